@@ -120,6 +120,7 @@ async function main() {
       });
       console.log("\n위 ID들을 복사하여 .env 파일의 BUNJANG_FILTER_CATEGORY_IDS 값으로 사용하세요 (쉼표로 구분).");
       console.log("예: BUNJANG_FILTER_CATEGORY_IDS=12345,67890,11223");
+      console.log("\n같은 키워드로 찾은 카테고리는 POST /api/sync/catalog/category-mappings/seed 로 카테고리 매핑 테이블에 등록할 수 있습니다.");
     } else {
       console.log("주어진 키워드와 일치하는 카테고리를 찾지 못했습니다. 키워드를 확인하거나 전체 카테고리 목록을 직접 살펴보세요.");
       // 모든 카테고리 목록을 보고 싶다면 아래 주석 해제 (목록이 매우 길 수 있음)
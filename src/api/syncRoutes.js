@@ -3,48 +3,159 @@
 // BullMQ 큐에 작업을 추가하는 방식으로 변경됩니다.
 
 const express = require('express');
+const { query, param, body } = require('express-validator');
 const router = express.Router();
 const logger = require('../config/logger');
 const config = require('../config');
 const { getQueue } = require('../jobs/queues');
 const { AppError } = require('../utils/customErrors');
+const { handleValidationErrors } = require('../utils/validationHelper');
+const catalogCheckpointController = require('../controllers/catalogCheckpointController');
+const listingRetirementController = require('../controllers/listingRetirementController');
+const duplicateListingController = require('../controllers/duplicateListingController');
+const catalogRunController = require('../controllers/catalogRunController');
+const catalogQuarantineController = require('../controllers/catalogQuarantineController');
+const catalogFilterRuleController = require('../controllers/catalogFilterRuleController');
+const sellerReputationController = require('../controllers/sellerReputationController');
+const categoryMappingController = require('../controllers/categoryMappingController');
+const brandCatalogController = require('../controllers/brandCatalogController');
+const artistController = require('../controllers/artistController');
+const attributePatternController = require('../controllers/attributePatternController');
+const translationGlossaryController = require('../controllers/translationGlossaryController');
 // const productSyncController = require('../controllers/productSyncController'); // 컨트롤러 사용 시
 
+const DUPLICATE_STATUSES = ['LINKED', 'PENDING_REVIEW', 'DISMISSED'];
+const QUARANTINE_RULES = ['MISSING_PID', 'MISSING_NAME', 'INVALID_PRICE', 'INVALID_DATE'];
+const PLAN_ACTIONS = ['create', 'update_price', 'update_content', 'archive', 'skip'];
+const FILTER_RULE_TYPES = ['CATEGORY', 'BRAND', 'SELLER', 'PRICE_BAND', 'CONDITION', 'KEYWORD_REGEX', 'MIN_IMAGE_COUNT'];
+const SELLER_OVERRIDES = ['NONE', 'ALLOW', 'BLOCK'];
+const PRODUCT_ATTRIBUTES = ['ITEM_TYPE', 'ALBUM', 'VERSION'];
+
+// 카테고리 매핑 생성/수정 본문 검증 (isCreate이면 카테고리 ID 요구)
+const categoryMappingBodyValidators = (isCreate) => [
+  ...(isCreate ? [body('bunjangCategoryId').isString().trim().notEmpty().withMessage('bunjangCategoryId는 비어 있지 않은 문자열이어야 합니다.')] : []),
+  body('bunjangCategoryName').optional().isString().trim(),
+  body('bunjangCategoryNameEng').optional().isString().trim(),
+  body('shopifyProductType').optional({ values: 'null' }).isString().trim().isLength({ max: 255 }),
+  body('shopifyCollectionGid').optional({ values: 'null' }).matches(/^gid:\/\/shopify\/Collection\/\d+$/).withMessage('shopifyCollectionGid는 gid://shopify/Collection/<id> 형식이어야 합니다.'),
+  body('tags').optional().isArray().withMessage('tags는 배열이어야 합니다.'),
+  body('tags.*').optional().isString().trim().notEmpty(),
+  body('defaultWeightGrams').optional({ values: 'null' }).isFloat({ min: 0 }).toFloat(),
+  body('enabled').optional().isBoolean().toBoolean(),
+];
+
+// 아티스트 생성/수정 본문 검증 (isCreate이면 이름 요구)
+const artistBodyValidators = (isCreate) => [
+  (isCreate ? body('name') : body('name').optional()).isString().trim().notEmpty().withMessage('name은 비어 있지 않은 문자열이어야 합니다.'),
+  body('slug').optional().isString().trim().toLowerCase().matches(/^[a-z0-9가-힣]+(-[a-z0-9가-힣]+)*$/).withMessage('slug는 소문자, 숫자, 한글과 하이픈(-)만 사용할 수 있습니다.'),
+  body('aliases').optional().isArray().withMessage('aliases는 배열이어야 합니다.'),
+  body('aliases.*').optional().isString().trim().notEmpty(),
+  body('members').optional().isArray().withMessage('members는 배열이어야 합니다.'),
+  body('members.*.name').isString().trim().notEmpty().withMessage('members의 각 항목에는 name이 있어야 합니다.'),
+  body('members.*.aliases').optional().isArray().withMessage('members.aliases는 배열이어야 합니다.'),
+  body('members.*.aliases.*').optional().isString().trim().notEmpty(),
+  body('enabled').optional().isBoolean().toBoolean(),
+];
+
+// 속성 패턴 생성/수정 본문 검증 (isCreate이면 필수 필드 요구)
+const attributePatternBodyValidators = (isCreate) => [
+  (isCreate ? body('name') : body('name').optional()).isString().trim().notEmpty().withMessage('name은 비어 있지 않은 문자열이어야 합니다.'),
+  (isCreate ? body('attribute') : body('attribute').optional()).isIn(PRODUCT_ATTRIBUTES).withMessage(`attribute는 ${PRODUCT_ATTRIBUTES.join(', ')} 중 하나여야 합니다.`),
+  (isCreate ? body('pattern') : body('pattern').optional()).isString().notEmpty().isLength({ max: 500 }).withMessage('pattern은 500자 이하의 정규식이어야 합니다.'),
+  body('patternFlags').optional().matches(/^[imsu]*$/).withMessage('patternFlags는 i, m, s, u 조합이어야 합니다.'),
+  body('value').optional({ values: 'null' }).isString().trim().isLength({ max: 100 }),
+  body('artistSlug').optional({ values: 'null' }).isString().trim().toLowerCase(),
+  body('description').optional().isString().isLength({ max: 500 }),
+  body('priority').optional().isInt().toInt(),
+  body('enabled').optional().isBoolean().toBoolean(),
+];
+
+// 번역 용어 생성/수정 본문 검증 (isCreate이면 원문/번역 요구)
+const glossaryTermBodyValidators = (isCreate) => [
+  (isCreate ? body('source') : body('source').optional()).isString().trim().notEmpty().isLength({ max: 100 }).withMessage('source는 100자 이하의 비어 있지 않은 문자열이어야 합니다.'),
+  (isCreate ? body('target') : body('target').optional()).isString().trim().notEmpty().isLength({ max: 255 }).withMessage('target은 255자 이하의 비어 있지 않은 문자열이어야 합니다.'),
+  body('description').optional().isString().isLength({ max: 500 }),
+  body('enabled').optional().isBoolean().toBoolean(),
+];
+
+// 필터 규칙 생성/수정 본문 검증 (isCreate이면 필수 필드 요구)
+const filterRuleBodyValidators = (isCreate) => [
+  (isCreate ? body('name') : body('name').optional()).isString().trim().notEmpty().withMessage('name은 비어 있지 않은 문자열이어야 합니다.'),
+  (isCreate ? body('effect') : body('effect').optional()).isIn(['INCLUDE', 'EXCLUDE']).withMessage('effect는 INCLUDE 또는 EXCLUDE여야 합니다.'),
+  (isCreate ? body('type') : body('type').optional()).isIn(FILTER_RULE_TYPES).withMessage(`type은 ${FILTER_RULE_TYPES.join(', ')} 중 하나여야 합니다.`),
+  body('description').optional().isString().isLength({ max: 500 }),
+  body('values').optional().isArray().withMessage('values는 배열이어야 합니다.'),
+  body('values.*').optional().isString().trim(),
+  body('minPriceKrw').optional({ values: 'null' }).isFloat({ min: 0 }).toFloat(),
+  body('maxPriceKrw').optional({ values: 'null' }).isFloat({ min: 0 }).toFloat(),
+  body('pattern').optional().isString().isLength({ max: 500 }),
+  body('patternFlags').optional().matches(/^[imsu]*$/).withMessage('patternFlags는 i, m, s, u 조합이어야 합니다.'),
+  body('fields').optional().isArray().withMessage('fields는 배열이어야 합니다.'),
+  body('fields.*').optional().isIn(['name', 'description', 'keywords']).withMessage('fields는 name, description, keywords 중에서 선택해야 합니다.'),
+  body('minImageCount').optional().isInt({ min: 1 }).toInt(),
+  body('priority').optional().isInt().toInt(),
+  body('enabled').optional().isBoolean().toBoolean(),
+];
+
 // 이 라우트들은 authMiddleware.verifyInternalApiKey 를 통해 보호되어야 함 (api/index.js에서 적용)
 
 /**
  * POST /api/sync/catalog/full
  * 전체 카탈로그 동기화 작업을 BullMQ에 추가합니다.
+ * Body: { dryRun?: true, planOverrides?: { markupPercentage, handlingFeeUsd, filterCategoryIds } }
+ * dryRun이면 Shopify에 반영하지 않고 상품별 예정 작업을 plan 보고서(GET /runs/:runId/plan)로만 기록합니다.
  */
-router.post('/catalog/full', async (req, res, next) => {
-  const jobName = 'ManualTrigger-FetchBunjangCatalog-Full';
-  const queueName = config.bullmq.queues.catalog;
-  logger.info(`[SyncRoute] API call to trigger full catalog sync. Adding to queue: ${queueName}`);
-  
-  if (!config.redis.enabled) {
-    return next(new AppError('Redis is disabled, cannot add job to queue.', 503, 'QUEUE_DISABLED'));
-  }
-  const catalogQueue = getQueue(queueName);
-  if (!catalogQueue) {
-    return next(new AppError(`Queue "${queueName}" not available.`, 503, 'QUEUE_UNAVAILABLE'));
-  }
+router.post(
+  '/catalog/full',
+  [
+    body('bypassAnomalyGuard').optional().isBoolean().withMessage('bypassAnomalyGuard는 boolean이어야 합니다.').toBoolean(),
+    body('dryRun').optional().isBoolean().withMessage('dryRun은 boolean이어야 합니다.').toBoolean(),
+    body('planOverrides').optional().isObject().withMessage('planOverrides는 객체여야 합니다.'),
+    body('planOverrides.markupPercentage').optional().isFloat({ min: 0, max: 1000 }).toFloat(),
+    body('planOverrides.handlingFeeUsd').optional().isFloat({ min: 0 }).toFloat(),
+    body('planOverrides.filterCategoryIds').optional().isArray().withMessage('filterCategoryIds는 배열이어야 합니다.'),
+  ],
+  handleValidationErrors,
+  async (req, res, next) => {
+    const jobName = 'ManualTrigger-FetchBunjangCatalog-Full';
+    const queueName = config.bullmq.queues.catalog;
+    const dryRun = req.body?.dryRun === true;
+    logger.info(`[SyncRoute] API call to trigger full catalog ${dryRun ? 'plan (dry-run)' : 'sync'}. Adding to queue: ${queueName}`);
+    
+    if (!config.redis.enabled) {
+      return next(new AppError('Redis is disabled, cannot add job to queue.', 503, 'QUEUE_DISABLED'));
+    }
+    const catalogQueue = getQueue(queueName);
+    if (!catalogQueue) {
+      return next(new AppError(`Queue "${queueName}" not available.`, 503, 'QUEUE_UNAVAILABLE'));
+    }
 
-  try {
-    const jobData = { catalogType: 'full', triggeredBy: 'api_manual' };
-    const job = await catalogQueue.add(jobName, jobData, {
-      // jobId: `manual-full-catalog-${Date.now()}`, // 필요시 고유 ID
-    });
-    logger.info(`[SyncRoute] Job "${jobName}" (ID: ${job.id}) added to queue "${queueName}" for full catalog sync.`);
-    res.status(202).json({ 
-        message: '전체 카탈로그 동기화 작업이 큐에 추가되었습니다. 처리 상태는 서버 로그 또는 작업 대시보드를 확인하세요.',
-        jobId: job.id,
-        queueName: queueName,
-    });
-  } catch (error) {
-    logger.error(`[SyncRoute] Error adding full catalog sync job to queue "${queueName}":`, error);
-    next(new AppError('카탈로그 동기화 작업 추가 실패.', 500, 'QUEUE_JOB_ADD_FAILED', true, error));
+    try {
+      // bypassAnomalyGuard: 이상 감지 알림을 검토한 뒤 같은 파일을 강제로 처리할 때 true
+      // dryRun: 마크업 변경이나 새 카테고리 필터를 적용하기 전에 planOverrides로 결과를 미리 확인
+      const jobData = { catalogType: 'full', triggeredBy: 'api_manual', bypassAnomalyGuard: req.body?.bypassAnomalyGuard === true };
+      if (dryRun) {
+        jobData.dryRun = true;
+        jobData.planOverrides = req.body.planOverrides || null;
+      }
+      const job = await catalogQueue.add(dryRun ? 'ManualTrigger-PlanBunjangCatalog-Full' : jobName, jobData, {
+        // jobId: `manual-full-catalog-${Date.now()}`, // 필요시 고유 ID
+      });
+      logger.info(`[SyncRoute] Job "${job.name}" (ID: ${job.id}) added to queue "${queueName}" for full catalog ${dryRun ? 'plan' : 'sync'}.`);
+      res.status(202).json({ 
+          message: dryRun
+            ? '전체 카탈로그 plan(dry-run) 작업이 큐에 추가되었습니다. 완료 후 실행 이력(GET /api/sync/runs?status=DRY_RUN)의 plan 보고서를 확인하세요.'
+            : '전체 카탈로그 동기화 작업이 큐에 추가되었습니다. 처리 상태는 서버 로그 또는 작업 대시보드를 확인하세요.',
+          jobId: job.id,
+          queueName: queueName,
+          dryRun,
+      });
+    } catch (error) {
+      logger.error(`[SyncRoute] Error adding full catalog sync job to queue "${queueName}":`, error);
+      next(new AppError('카탈로그 동기화 작업 추가 실패.', 500, 'QUEUE_JOB_ADD_FAILED', true, error));
+    }
   }
-});
+);
 
 /**
  * POST /api/sync/catalog/segment
@@ -74,6 +185,789 @@ router.post('/catalog/segment', async (req, res, next) => {
   }
 });
 
+/**
+ * GET /api/sync/catalog/checkpoints
+ * 카탈로그 처리 체크포인트(진행 상황) 목록을 조회합니다.
+ */
+router.get(
+  '/catalog/checkpoints',
+  [
+    query('status').optional().isIn(['IN_PROGRESS', 'COMPLETED', 'ABANDONED']).withMessage('status는 IN_PROGRESS, COMPLETED, ABANDONED 중 하나여야 합니다.'),
+    query('catalogType').optional().isIn(['full', 'segment']).withMessage('catalogType은 full 또는 segment여야 합니다.'),
+    query('limit').optional().isInt({ min: 1, max: 100 }).toInt(),
+  ],
+  handleValidationErrors,
+  catalogCheckpointController.listCheckpoints
+);
+
+/**
+ * GET /api/sync/catalog/checkpoints/:checkpointId
+ * 단일 체크포인트를 조회합니다.
+ */
+router.get(
+  '/catalog/checkpoints/:checkpointId',
+  [param('checkpointId').isMongoId().withMessage('유효하지 않은 체크포인트 ID입니다.')],
+  handleValidationErrors,
+  catalogCheckpointController.getCheckpoint
+);
+
+/**
+ * POST /api/sync/catalog/checkpoints/:checkpointId/abandon
+ * 진행 중인 카탈로그 처리를 중단합니다.
+ */
+router.post(
+  '/catalog/checkpoints/:checkpointId/abandon',
+  [
+    param('checkpointId').isMongoId().withMessage('유효하지 않은 체크포인트 ID입니다.'),
+    body('reason').optional().isString().trim().isLength({ max: 500 }),
+  ],
+  handleValidationErrors,
+  catalogCheckpointController.abandonCheckpoint
+);
+
+/**
+ * GET /api/sync/catalog/retirements
+ * 전체 카탈로그 처리 후 판매 종료로 Shopify에서 내린 상품(PID) 기록을 조회합니다.
+ */
+router.get(
+  '/catalog/retirements',
+  [
+    query('catalogFileName').optional().isString().trim(),
+    query('reason').optional().isIn(['MISSING_FROM_CATALOG', 'NOT_SELLING']).withMessage('reason은 MISSING_FROM_CATALOG 또는 NOT_SELLING이어야 합니다.'),
+    query('status').optional().isIn(['RETIRED', 'FAILED']).withMessage('status는 RETIRED 또는 FAILED여야 합니다.'),
+    query('bunjangPid').optional().isString().trim(),
+    query('limit').optional().isInt({ min: 1, max: 1000 }).toInt(),
+  ],
+  handleValidationErrors,
+  listingRetirementController.listRetirements
+);
+
+/**
+ * GET /api/sync/catalog/duplicates
+ * 재등록/중복 게시로 판단된 상품 기록을 조회합니다. (status=PENDING_REVIEW: 검토 대기)
+ */
+router.get(
+  '/catalog/duplicates',
+  [
+    query('status').optional().isIn(DUPLICATE_STATUSES).withMessage(`status는 ${DUPLICATE_STATUSES.join(', ')} 중 하나여야 합니다.`),
+    query('bunjangPid').optional().isString().trim(),
+    query('duplicateOfPid').optional().isString().trim(),
+    query('limit').optional().isInt({ min: 1, max: 1000 }).toInt(),
+  ],
+  handleValidationErrors,
+  duplicateListingController.listDuplicates
+);
+
+/**
+ * GET /api/sync/catalog/duplicates/:duplicateId
+ * 단일 중복 상품 기록을 조회합니다.
+ */
+router.get(
+  '/catalog/duplicates/:duplicateId',
+  [param('duplicateId').isMongoId().withMessage('유효하지 않은 중복 상품 ID입니다.')],
+  handleValidationErrors,
+  duplicateListingController.getDuplicate
+);
+
+/**
+ * POST /api/sync/catalog/duplicates/:duplicateId/link
+ * 검토 대기 중인 새 PID를 기존 Shopify 상품에 연결합니다.
+ */
+router.post(
+  '/catalog/duplicates/:duplicateId/link',
+  [
+    param('duplicateId').isMongoId().withMessage('유효하지 않은 중복 상품 ID입니다.'),
+    body('note').optional().isString().trim().isLength({ max: 500 }),
+  ],
+  handleValidationErrors,
+  duplicateListingController.linkDuplicate
+);
+
+/**
+ * POST /api/sync/catalog/duplicates/:duplicateId/dismiss
+ * 검토 대기 중인 새 PID를 중복이 아닌 것으로 처리합니다. (다음 동기화에서 새 상품으로 등록)
+ */
+router.post(
+  '/catalog/duplicates/:duplicateId/dismiss',
+  [
+    param('duplicateId').isMongoId().withMessage('유효하지 않은 중복 상품 ID입니다.'),
+    body('note').optional().isString().trim().isLength({ max: 500 }),
+  ],
+  handleValidationErrors,
+  duplicateListingController.dismissDuplicate
+);
+
+/**
+ * GET /api/sync/catalog/quarantine
+ * 필수 데이터 검증에 실패해 격리된 카탈로그 행 목록을 조회합니다.
+ */
+router.get(
+  '/catalog/quarantine',
+  [
+    query('rule').optional().isIn(QUARANTINE_RULES).withMessage(`rule은 ${QUARANTINE_RULES.join(', ')} 중 하나여야 합니다.`),
+    query('status').optional().isIn(['QUARANTINED', 'RESUBMITTED']).withMessage('status는 QUARANTINED 또는 RESUBMITTED여야 합니다.'),
+    query('catalogFileName').optional().isString().trim(),
+    query('bunjangPid').optional().isString().trim(),
+    query('limit').optional().isInt({ min: 1, max: 1000 }).toInt(),
+  ],
+  handleValidationErrors,
+  catalogQuarantineController.listQuarantinedRows
+);
+
+/**
+ * GET /api/sync/catalog/quarantine/summary
+ * 격리된 행 수를 거부 규칙별로 집계합니다.
+ */
+router.get(
+  '/catalog/quarantine/summary',
+  [
+    query('status').optional().isIn(['QUARANTINED', 'RESUBMITTED']).withMessage('status는 QUARANTINED 또는 RESUBMITTED여야 합니다.'),
+    query('catalogFileName').optional().isString().trim(),
+    query('from').optional().isISO8601().withMessage('from은 ISO8601 날짜여야 합니다.'),
+    query('to').optional().isISO8601().withMessage('to는 ISO8601 날짜여야 합니다.'),
+  ],
+  handleValidationErrors,
+  catalogQuarantineController.getQuarantineSummary
+);
+
+/**
+ * POST /api/sync/catalog/quarantine/resubmit
+ * 조건에 맞는 격리 행을 일괄 재제출합니다. (예: 파서 수정 후)
+ */
+router.post(
+  '/catalog/quarantine/resubmit',
+  [
+    body('rule').optional().isIn(QUARANTINE_RULES).withMessage(`rule은 ${QUARANTINE_RULES.join(', ')} 중 하나여야 합니다.`),
+    body('catalogFileName').optional().isString().trim(),
+    body('limit').optional().isInt({ min: 1, max: 1000 }).toInt(),
+  ],
+  handleValidationErrors,
+  catalogQuarantineController.resubmitQuarantinedRows
+);
+
+/**
+ * GET /api/sync/catalog/quarantine/:quarantineId
+ * 단일 격리 행을 조회합니다.
+ */
+router.get(
+  '/catalog/quarantine/:quarantineId',
+  [param('quarantineId').isMongoId().withMessage('유효하지 않은 격리 행 ID입니다.')],
+  handleValidationErrors,
+  catalogQuarantineController.getQuarantinedRow
+);
+
+/**
+ * POST /api/sync/catalog/quarantine/:quarantineId/resubmit
+ * 격리 행을 (필요하면 rowOverrides로 수정하여) 다시 검증하고 동기화에 전달합니다.
+ */
+router.post(
+  '/catalog/quarantine/:quarantineId/resubmit',
+  [
+    param('quarantineId').isMongoId().withMessage('유효하지 않은 격리 행 ID입니다.'),
+    body('rowOverrides').optional().isObject().withMessage('rowOverrides는 객체여야 합니다.'),
+  ],
+  handleValidationErrors,
+  catalogQuarantineController.resubmitQuarantinedRow
+);
+
+/**
+ * GET /api/sync/catalog/filter-rules
+ * 카탈로그 포함/제외 필터 규칙 목록을 평가 순서대로 조회합니다.
+ */
+router.get(
+  '/catalog/filter-rules',
+  [
+    query('enabled').optional().isBoolean().toBoolean(),
+    query('type').optional().isIn(FILTER_RULE_TYPES).withMessage('유효하지 않은 type입니다.'),
+    query('effect').optional().isIn(['INCLUDE', 'EXCLUDE']).withMessage('effect는 INCLUDE 또는 EXCLUDE여야 합니다.'),
+  ],
+  handleValidationErrors,
+  catalogFilterRuleController.listRules
+);
+
+/**
+ * POST /api/sync/catalog/filter-rules
+ * 필터 규칙을 생성합니다.
+ */
+router.post(
+  '/catalog/filter-rules',
+  filterRuleBodyValidators(true),
+  handleValidationErrors,
+  catalogFilterRuleController.createRule
+);
+
+/**
+ * POST /api/sync/catalog/filter-rules/evaluate
+ * 현재 활성 규칙으로 샘플 상품을 평가합니다.
+ */
+router.post(
+  '/catalog/filter-rules/evaluate',
+  [
+    body('price').isFloat({ min: 0 }).withMessage('price(KRW)는 0 이상의 숫자여야 합니다.').toFloat(),
+    body('keywords').optional().custom(value => Array.isArray(value) || typeof value === 'string').withMessage('keywords는 배열 또는 쉼표 구분 문자열이어야 합니다.'),
+  ],
+  handleValidationErrors,
+  catalogFilterRuleController.evaluateSampleProduct
+);
+
+/**
+ * GET /api/sync/catalog/filter-rules/:ruleId
+ */
+router.get(
+  '/catalog/filter-rules/:ruleId',
+  [param('ruleId').isMongoId().withMessage('유효하지 않은 규칙 ID입니다.')],
+  handleValidationErrors,
+  catalogFilterRuleController.getRule
+);
+
+/**
+ * PATCH /api/sync/catalog/filter-rules/:ruleId
+ * 필터 규칙을 수정합니다.
+ */
+router.patch(
+  '/catalog/filter-rules/:ruleId',
+  [param('ruleId').isMongoId().withMessage('유효하지 않은 규칙 ID입니다.'), ...filterRuleBodyValidators(false)],
+  handleValidationErrors,
+  catalogFilterRuleController.updateRule
+);
+
+/**
+ * DELETE /api/sync/catalog/filter-rules/:ruleId
+ */
+router.delete(
+  '/catalog/filter-rules/:ruleId',
+  [param('ruleId').isMongoId().withMessage('유효하지 않은 규칙 ID입니다.')],
+  handleValidationErrors,
+  catalogFilterRuleController.deleteRule
+);
+
+/**
+ * GET /api/sync/catalog/filter-decisions
+ * 상품별 최근 필터 결정(어떤 규칙이 포함/제외했는지)을 조회합니다.
+ */
+router.get(
+  '/catalog/filter-decisions',
+  [
+    query('decision').optional().isIn(['INCLUDED', 'EXCLUDED']).withMessage('decision은 INCLUDED 또는 EXCLUDED여야 합니다.'),
+    query('ruleId').optional().isMongoId().withMessage('유효하지 않은 규칙 ID입니다.'),
+    query('catalogRunId').optional().isMongoId().withMessage('유효하지 않은 실행 ID입니다.'),
+    query('limit').optional().isInt({ min: 1, max: 500 }).toInt(),
+  ],
+  handleValidationErrors,
+  catalogFilterRuleController.listFilterDecisions
+);
+
+/**
+ * GET /api/sync/catalog/filter-decisions/summary
+ * 필터 결정을 포함/제외 및 규칙별로 집계합니다.
+ */
+router.get(
+  '/catalog/filter-decisions/summary',
+  [query('catalogRunId').optional().isMongoId().withMessage('유효하지 않은 실행 ID입니다.')],
+  handleValidationErrors,
+  catalogFilterRuleController.getFilterDecisionSummary
+);
+
+/**
+ * GET /api/sync/catalog/filter-decisions/:bunjangPid
+ * 상품 하나의 최근 필터 결정을 조회합니다.
+ */
+router.get(
+  '/catalog/filter-decisions/:bunjangPid',
+  [param('bunjangPid').isString().trim().notEmpty()],
+  handleValidationErrors,
+  catalogFilterRuleController.getFilterDecision
+);
+
+/**
+ * GET /api/sync/catalog/category-mappings
+ * 카테고리 매핑 목록을 조회합니다.
+ */
+router.get(
+  '/catalog/category-mappings',
+  [
+    query('enabled').optional().isBoolean().toBoolean(),
+    query('source').optional().isIn(['MANUAL', 'SEED', 'ENV']).withMessage('source는 MANUAL, SEED, ENV 중 하나여야 합니다.'),
+  ],
+  handleValidationErrors,
+  categoryMappingController.listMappings
+);
+
+/**
+ * POST /api/sync/catalog/category-mappings
+ * 카테고리 매핑을 생성합니다.
+ */
+router.post(
+  '/catalog/category-mappings',
+  categoryMappingBodyValidators(true),
+  handleValidationErrors,
+  categoryMappingController.createMapping
+);
+
+/**
+ * GET /api/sync/catalog/category-mappings/unmapped
+ * 최근 카탈로그에 나타났지만 매핑되지 않은 카테고리를 조회합니다.
+ */
+router.get(
+  '/catalog/category-mappings/unmapped',
+  [
+    query('days').optional().isInt({ min: 1, max: 90 }).toInt(),
+    query('limit').optional().isInt({ min: 1, max: 500 }).toInt(),
+  ],
+  handleValidationErrors,
+  categoryMappingController.listUnmappedCategories
+);
+
+/**
+ * POST /api/sync/catalog/category-mappings/seed
+ * 번개장터 카테고리 API와 환경 변수 매핑으로 매핑 테이블을 채웁니다.
+ */
+router.post(
+  '/catalog/category-mappings/seed',
+  [
+    body('keywords').optional().isArray({ min: 1 }).withMessage('keywords는 비어 있지 않은 배열이어야 합니다.'),
+    body('keywords.*').optional().isString().trim().notEmpty(),
+    body('includeAll').optional().isBoolean().toBoolean(),
+  ],
+  handleValidationErrors,
+  categoryMappingController.seedMappings
+);
+
+/**
+ * GET /api/sync/catalog/category-mappings/:categoryId
+ * 카테고리 하나의 매핑을 조회합니다.
+ */
+router.get(
+  '/catalog/category-mappings/:categoryId',
+  [param('categoryId').isString().trim().notEmpty()],
+  handleValidationErrors,
+  categoryMappingController.getMapping
+);
+
+/**
+ * PATCH /api/sync/catalog/category-mappings/:categoryId
+ * 카테고리 매핑의 일부 필드를 수정합니다.
+ */
+router.patch(
+  '/catalog/category-mappings/:categoryId',
+  [param('categoryId').isString().trim().notEmpty(), ...categoryMappingBodyValidators(false)],
+  handleValidationErrors,
+  categoryMappingController.updateMapping
+);
+
+/**
+ * DELETE /api/sync/catalog/category-mappings/:categoryId
+ * 카테고리 매핑을 삭제합니다.
+ */
+router.delete(
+  '/catalog/category-mappings/:categoryId',
+  [param('categoryId').isString().trim().notEmpty()],
+  handleValidationErrors,
+  categoryMappingController.deleteMapping
+);
+
+/**
+ * GET /api/sync/catalog/brands
+ * 번개장터 브랜드 캐시 목록을 조회합니다.
+ */
+router.get(
+  '/catalog/brands',
+  [
+    query('q').optional().isString().trim().notEmpty(),
+    query('hasCollection').optional().isBoolean().toBoolean(),
+    query('limit').optional().isInt({ min: 1, max: 1000 }).toInt(),
+  ],
+  handleValidationErrors,
+  brandCatalogController.listBrands
+);
+
+/**
+ * POST /api/sync/catalog/brands/sync
+ * 번개장터 브랜드 API로 브랜드 캐시를 즉시 갱신합니다.
+ */
+router.post(
+  '/catalog/brands/sync',
+  brandCatalogController.syncBrands
+);
+
+/**
+ * GET /api/sync/catalog/brands/:brandId
+ * 브랜드 하나를 조회합니다.
+ */
+router.get(
+  '/catalog/brands/:brandId',
+  [param('brandId').isString().trim().notEmpty()],
+  handleValidationErrors,
+  brandCatalogController.getBrand
+);
+
+/**
+ * PATCH /api/sync/catalog/brands/:brandId
+ * 브랜드의 표시 이름, slug, 컬렉션을 수정합니다.
+ */
+router.patch(
+  '/catalog/brands/:brandId',
+  [
+    param('brandId').isString().trim().notEmpty(),
+    body('displayName').optional({ values: 'null' }).isString().trim().notEmpty().isLength({ max: 255 }),
+    body('slug').optional().isString().trim().toLowerCase().matches(/^[a-z0-9]+(-[a-z0-9]+)*$/).withMessage('slug는 소문자, 숫자와 하이픈(-)만 사용할 수 있습니다.'),
+    body('shopifyCollectionGid').optional({ values: 'null' }).matches(/^gid:\/\/shopify\/Collection\/\d+$/).withMessage('shopifyCollectionGid는 gid://shopify/Collection/<id> 형식이어야 합니다.'),
+  ],
+  handleValidationErrors,
+  brandCatalogController.updateBrand
+);
+
+/**
+ * GET /api/sync/catalog/artists
+ * 아티스트 사전 목록을 조회합니다.
+ */
+router.get(
+  '/catalog/artists',
+  [
+    query('enabled').optional().isBoolean().toBoolean(),
+    query('q').optional().isString().trim().isLength({ max: 100 }),
+  ],
+  handleValidationErrors,
+  artistController.listArtists
+);
+
+/**
+ * POST /api/sync/catalog/artists
+ * 아티스트를 사전에 추가합니다.
+ */
+router.post(
+  '/catalog/artists',
+  artistBodyValidators(true),
+  handleValidationErrors,
+  artistController.createArtist
+);
+
+/**
+ * POST /api/sync/catalog/artists/match
+ * 상품명/키워드 샘플에서 찾을 아티스트를 미리 확인합니다.
+ */
+router.post(
+  '/catalog/artists/match',
+  [
+    body('name').isString().trim().notEmpty().withMessage('name은 비어 있지 않은 문자열이어야 합니다.'),
+    body('keywords').optional().isArray().withMessage('keywords는 배열이어야 합니다.'),
+    body('keywords.*').optional().isString().trim(),
+  ],
+  handleValidationErrors,
+  artistController.matchSample
+);
+
+/**
+ * POST /api/sync/catalog/artists/seed
+ * 기본 아티스트 사전을 추가합니다.
+ */
+router.post('/catalog/artists/seed', artistController.seedArtists);
+
+/**
+ * GET /api/sync/catalog/artists/:artistId
+ * 아티스트 하나를 조회합니다.
+ */
+router.get(
+  '/catalog/artists/:artistId',
+  [param('artistId').isMongoId().withMessage('유효하지 않은 아티스트 ID입니다.')],
+  handleValidationErrors,
+  artistController.getArtist
+);
+
+/**
+ * PATCH /api/sync/catalog/artists/:artistId
+ * 아티스트의 일부 필드를 수정합니다.
+ */
+router.patch(
+  '/catalog/artists/:artistId',
+  [param('artistId').isMongoId().withMessage('유효하지 않은 아티스트 ID입니다.'), ...artistBodyValidators(false)],
+  handleValidationErrors,
+  artistController.updateArtist
+);
+
+/**
+ * DELETE /api/sync/catalog/artists/:artistId
+ * 아티스트를 사전에서 삭제합니다.
+ */
+router.delete(
+  '/catalog/artists/:artistId',
+  [param('artistId').isMongoId().withMessage('유효하지 않은 아티스트 ID입니다.')],
+  handleValidationErrors,
+  artistController.deleteArtist
+);
+
+/**
+ * GET /api/sync/catalog/attribute-patterns
+ * 상품 속성 추출 패턴 목록을 조회합니다.
+ */
+router.get(
+  '/catalog/attribute-patterns',
+  [
+    query('attribute').optional().isIn(PRODUCT_ATTRIBUTES).withMessage(`attribute는 ${PRODUCT_ATTRIBUTES.join(', ')} 중 하나여야 합니다.`),
+    query('enabled').optional().isBoolean().toBoolean(),
+  ],
+  handleValidationErrors,
+  attributePatternController.listPatterns
+);
+
+/**
+ * POST /api/sync/catalog/attribute-patterns
+ * 상품 속성 추출 패턴을 생성합니다.
+ */
+router.post(
+  '/catalog/attribute-patterns',
+  attributePatternBodyValidators(true),
+  handleValidationErrors,
+  attributePatternController.createPattern
+);
+
+/**
+ * POST /api/sync/catalog/attribute-patterns/extract
+ * 상품명/키워드 샘플에서 추출될 속성을 미리 확인합니다.
+ */
+router.post(
+  '/catalog/attribute-patterns/extract',
+  [
+    body('name').isString().trim().notEmpty().withMessage('name은 비어 있지 않은 문자열이어야 합니다.'),
+    body('keywords').optional().isArray().withMessage('keywords는 배열이어야 합니다.'),
+    body('keywords.*').optional().isString().trim(),
+  ],
+  handleValidationErrors,
+  attributePatternController.extractSample
+);
+
+/**
+ * POST /api/sync/catalog/attribute-patterns/seed
+ * 기본 속성 패턴을 추가합니다.
+ */
+router.post('/catalog/attribute-patterns/seed', attributePatternController.seedPatterns);
+
+/**
+ * GET /api/sync/catalog/attribute-patterns/:patternId
+ * 속성 패턴 하나를 조회합니다.
+ */
+router.get(
+  '/catalog/attribute-patterns/:patternId',
+  [param('patternId').isMongoId().withMessage('유효하지 않은 속성 패턴 ID입니다.')],
+  handleValidationErrors,
+  attributePatternController.getPattern
+);
+
+/**
+ * PATCH /api/sync/catalog/attribute-patterns/:patternId
+ * 속성 패턴의 일부 필드를 수정합니다.
+ */
+router.patch(
+  '/catalog/attribute-patterns/:patternId',
+  [param('patternId').isMongoId().withMessage('유효하지 않은 속성 패턴 ID입니다.'), ...attributePatternBodyValidators(false)],
+  handleValidationErrors,
+  attributePatternController.updatePattern
+);
+
+/**
+ * DELETE /api/sync/catalog/attribute-patterns/:patternId
+ * 속성 패턴을 삭제합니다.
+ */
+router.delete(
+  '/catalog/attribute-patterns/:patternId',
+  [param('patternId').isMongoId().withMessage('유효하지 않은 속성 패턴 ID입니다.')],
+  handleValidationErrors,
+  attributePatternController.deletePattern
+);
+
+/**
+ * GET /api/sync/catalog/glossary-terms
+ * 번역 용어 목록을 조회합니다.
+ */
+router.get(
+  '/catalog/glossary-terms',
+  [query('enabled').optional().isBoolean().toBoolean()],
+  handleValidationErrors,
+  translationGlossaryController.listTerms
+);
+
+/**
+ * POST /api/sync/catalog/glossary-terms
+ * 번역 용어를 추가합니다.
+ */
+router.post(
+  '/catalog/glossary-terms',
+  glossaryTermBodyValidators(true),
+  handleValidationErrors,
+  translationGlossaryController.createTerm
+);
+
+/**
+ * POST /api/sync/catalog/glossary-terms/translate
+ * 상품명/설명 샘플을 현재 번역기와 용어집으로 번역해 봅니다.
+ */
+router.post(
+  '/catalog/glossary-terms/translate',
+  [
+    body('name').isString().trim().notEmpty().withMessage('name은 비어 있지 않은 문자열이어야 합니다.'),
+    body('description').optional().isString().isLength({ max: 10000 }),
+  ],
+  handleValidationErrors,
+  translationGlossaryController.translateSample
+);
+
+/**
+ * POST /api/sync/catalog/glossary-terms/seed
+ * 기본 번역 용어집을 추가합니다.
+ */
+router.post('/catalog/glossary-terms/seed', translationGlossaryController.seedTerms);
+
+/**
+ * GET /api/sync/catalog/glossary-terms/:termId
+ * 번역 용어 하나를 조회합니다.
+ */
+router.get(
+  '/catalog/glossary-terms/:termId',
+  [param('termId').isMongoId().withMessage('유효하지 않은 번역 용어 ID입니다.')],
+  handleValidationErrors,
+  translationGlossaryController.getTerm
+);
+
+/**
+ * PATCH /api/sync/catalog/glossary-terms/:termId
+ * 번역 용어의 일부 필드를 수정합니다.
+ */
+router.patch(
+  '/catalog/glossary-terms/:termId',
+  [param('termId').isMongoId().withMessage('유효하지 않은 번역 용어 ID입니다.'), ...glossaryTermBodyValidators(false)],
+  handleValidationErrors,
+  translationGlossaryController.updateTerm
+);
+
+/**
+ * DELETE /api/sync/catalog/glossary-terms/:termId
+ * 번역 용어를 삭제합니다.
+ */
+router.delete(
+  '/catalog/glossary-terms/:termId',
+  [param('termId').isMongoId().withMessage('유효하지 않은 번역 용어 ID입니다.')],
+  handleValidationErrors,
+  translationGlossaryController.deleteTerm
+);
+
+/**
+ * GET /api/sync/sellers
+ * 판매자 신뢰도 목록을 점수가 낮은 순으로 조회합니다.
+ */
+router.get(
+  '/sellers',
+  [
+    query('override').optional().isIn(SELLER_OVERRIDES).withMessage(`override는 ${SELLER_OVERRIDES.join(', ')} 중 하나여야 합니다.`),
+    query('maxScore').optional().isFloat({ min: 0, max: 100 }).toFloat(),
+    query('limit').optional().isInt({ min: 1, max: 500 }).toInt(),
+  ],
+  handleValidationErrors,
+  sellerReputationController.listSellers
+);
+
+/**
+ * POST /api/sync/sellers/recompute
+ * 모든 판매자의 신뢰도 점수를 다시 계산합니다.
+ */
+router.post('/sellers/recompute', sellerReputationController.recomputeSellers);
+
+/**
+ * GET /api/sync/sellers/:sellerUid
+ * 판매자 한 명의 신뢰도와 최근 주문 처리 결과를 조회합니다.
+ */
+router.get(
+  '/sellers/:sellerUid',
+  [param('sellerUid').isString().trim().notEmpty()],
+  handleValidationErrors,
+  sellerReputationController.getSeller
+);
+
+/**
+ * PUT /api/sync/sellers/:sellerUid/override
+ * 판매자를 수동으로 차단(BLOCK)/허용(ALLOW)하거나 점수 기준(NONE)으로 되돌립니다.
+ */
+router.put(
+  '/sellers/:sellerUid/override',
+  [
+    param('sellerUid').isString().trim().notEmpty(),
+    body('override').isIn(SELLER_OVERRIDES).withMessage(`override는 ${SELLER_OVERRIDES.join(', ')} 중 하나여야 합니다.`),
+    body('reason').optional({ values: 'null' }).isString().trim().isLength({ max: 500 }),
+  ],
+  handleValidationErrors,
+  sellerReputationController.setSellerOverride
+);
+
+/**
+ * GET /api/sync/runs
+ * 카탈로그 처리 실행 이력 목록을 조회합니다.
+ */
+router.get(
+  '/runs',
+  [
+    query('catalogType').optional().isIn(['full', 'segment']).withMessage('catalogType은 full 또는 segment여야 합니다.'),
+    query('trigger').optional().isIn(['cron', 'api', 'manual']).withMessage('trigger는 cron, api, manual 중 하나여야 합니다.'),
+    query('status').optional().isIn(['RUNNING', 'COMPLETED', 'FAILED', 'ABANDONED', 'UNAVAILABLE', 'BLOCKED', 'DRY_RUN']).withMessage('유효하지 않은 status입니다.'),
+    query('from').optional().isISO8601().withMessage('from은 ISO8601 날짜여야 합니다.'),
+    query('to').optional().isISO8601().withMessage('to는 ISO8601 날짜여야 합니다.'),
+    query('limit').optional().isInt({ min: 1, max: 200 }).toInt(),
+  ],
+  handleValidationErrors,
+  catalogRunController.listRuns
+);
+
+/**
+ * GET /api/sync/runs/:runId
+ * 단일 실행 이력을 조회합니다.
+ */
+router.get(
+  '/runs/:runId',
+  [param('runId').isMongoId().withMessage('유효하지 않은 실행 ID입니다.')],
+  handleValidationErrors,
+  catalogRunController.getRun
+);
+
+/**
+ * GET /api/sync/runs/:runId/compare
+ * 실행 이력을 직전에 완료된 같은 타입의 실행과 비교합니다.
+ */
+router.get(
+  '/runs/:runId/compare',
+  [param('runId').isMongoId().withMessage('유효하지 않은 실행 ID입니다.')],
+  handleValidationErrors,
+  catalogRunController.compareRun
+);
+
+/**
+ * GET /api/sync/runs/:runId/plan
+ * plan(dry-run) 실행의 상품별 예정 작업과 계산된 USD 가격을 조회합니다.
+ */
+router.get(
+  '/runs/:runId/plan',
+  [
+    param('runId').isMongoId().withMessage('유효하지 않은 실행 ID입니다.'),
+    query('action').optional().isIn(PLAN_ACTIONS).withMessage(`action은 ${PLAN_ACTIONS.join(', ')} 중 하나여야 합니다.`),
+    query('bunjangPid').optional().isString().trim(),
+    query('limit').optional().isInt({ min: 1, max: 1000 }).toInt(),
+    query('skip').optional().isInt({ min: 0 }).toInt(),
+  ],
+  handleValidationErrors,
+  catalogRunController.getRunPlan
+);
+
+/**
+ * GET /api/sync/runs/:runId/plan/download
+ * plan(dry-run) 보고서 전체를 CSV 파일로 다운로드합니다.
+ */
+router.get(
+  '/runs/:runId/plan/download',
+  [
+    param('runId').isMongoId().withMessage('유효하지 않은 실행 ID입니다.'),
+    query('action').optional().isIn(PLAN_ACTIONS).withMessage(`action은 ${PLAN_ACTIONS.join(', ')} 중 하나여야 합니다.`),
+  ],
+  handleValidationErrors,
+  catalogRunController.downloadRunPlan
+);
+
 
 // TODO: 특정 Shopify 주문 재처리 엔드포인트 (Shopify Order ID를 받아 주문 처리 큐에 작업 추가)
 // router.post('/order/:shopifyOrderId/reprocess', async (req, res, next) => { ... });
@@ -45,7 +45,18 @@ const config = {
     defaultCollectionGid: process.env.SHOPIFY_BUNJANG_COLLECTION_GID,
     appProxy: {
         subpathPrefix: process.env.SHOPIFY_APP_PROXY_SUBPATH_PREFIX || 'bunjang-proxy', // Shopify Admin 설정과 일치
-    }
+    },
+    // GraphQL 비용 기반 요청 조절 (shopifyThrottleService): 응답의 extensions.cost.throttleStatus로 버킷 잔량을 추적하고
+    // 잔량이 부족하면 요청 전에 기다림. Redis가 켜져 있으면 모든 워커/인스턴스가 같은 버킷 상태를 공유
+    graphqlThrottle: {
+      enabled: process.env.SHOPIFY_GRAPHQL_THROTTLE_ENABLED !== 'false', // 기본 활성화
+      defaultQueryCost: parseInt(process.env.SHOPIFY_GRAPHQL_DEFAULT_QUERY_COST, 10) || 50, // 처음 보는 operation의 예상 비용
+      reservePoints: parseInt(process.env.SHOPIFY_GRAPHQL_RESERVE_POINTS, 10) || 50, // 버킷이 비기 전에 멈추도록 남겨 둘 포인트
+      initialMaximumAvailable: parseInt(process.env.SHOPIFY_GRAPHQL_MAXIMUM_AVAILABLE, 10) || 1000, // 첫 응답 전 가정할 버킷 크기
+      initialRestoreRate: parseInt(process.env.SHOPIFY_GRAPHQL_RESTORE_RATE, 10) || 50, // 첫 응답 전 가정할 초당 회복량
+      maxWaitMs: parseInt(process.env.SHOPIFY_GRAPHQL_THROTTLE_MAX_WAIT_MS, 10) || 60000, // 한 요청이 기다릴 최대 시간 (넘으면 그냥 보냄)
+      redisKey: process.env.SHOPIFY_GRAPHQL_THROTTLE_REDIS_KEY || 'shopify:graphql:throttle',
+    },
   },
 
   bunjang: {
@@ -58,6 +69,8 @@ const config = {
     apiTimeoutMs: parseInt(process.env.BUNJANG_API_TIMEOUT_MS, 10) || 60000,
     catalogDownloadTimeoutMs: parseInt(process.env.BUNJANG_CATALOG_DOWNLOAD_TIMEOUT_MS, 10) || 300000,
     filterCategoryIds: process.env.BUNJANG_FILTER_CATEGORY_IDS ? process.env.BUNJANG_FILTER_CATEGORY_IDS.split(',').map(id => id.trim()) : [],
+    // 예전 방식의 카테고리 → 상품 유형 매핑. 카탈로그 처리는 Mongo 매핑 테이블(CategoryMapping)을 사용하며,
+    // 이 값은 POST /api/sync/catalog/category-mappings/seed 실행 시 매핑 테이블로 가져옵니다.
     categoryToShopifyType: {
       ...(Object.keys(process.env)
         .filter(key => key.startsWith('BUNJANG_CATEGORY_TO_SHOPIFY_TYPE_'))
@@ -95,6 +108,119 @@ const config = {
     
     // 동기화 동시성 설정
     syncConcurrency: parseInt(process.env.BUNJANG_SYNC_CONCURRENCY, 10) || 1,
+
+    // 변경된 상품마다 개별 동기화 작업을 product-sync 큐에 추가 (false이거나 Redis 비활성화 시 카탈로그 작업 안에서 직접 동기화)
+    productSyncViaQueue: process.env.BUNJANG_PRODUCT_SYNC_VIA_QUEUE !== 'false',
+
+    // 세그먼트 카탈로그 누락 시간대 보충(backfill) 설정
+    segmentBackfillHours: parseInt(process.env.BUNJANG_SEGMENT_BACKFILL_HOURS, 10) || 24, // 현재 시간 포함, 확인할 과거 시간대 수 (KST)
+    segmentRetryDelayMs: parseInt(process.env.BUNJANG_SEGMENT_RETRY_DELAY_MS, 10) || 15 * 60 * 1000, // 미게시 파일 재시도 지연 (기본 15분)
+
+    // 전체 카탈로그에서 사라졌거나 판매중(SELLING)이 아닌 상품 정리 설정
+    retirement: {
+      enabled: process.env.BUNJANG_RETIRE_MISSING_LISTINGS !== 'false', // 기본 활성화
+      // 'ARCHIVE' (보관) 또는 'DRAFT' (임시 저장)
+      policy: (process.env.BUNJANG_RETIREMENT_POLICY || 'ARCHIVE').trim().toUpperCase() === 'DRAFT' ? 'DRAFT' : 'ARCHIVE',
+      // 내린 상품 URL(/products/<handle>)을 404 대신 아티스트 컬렉션으로 리디렉션 (다시 게시되면 리디렉션 삭제)
+      redirectEnabled: process.env.BUNJANG_RETIREMENT_REDIRECT !== 'false', // 기본 활성화
+      artistCollectionPath: process.env.BUNJANG_RETIREMENT_ARTIST_COLLECTION_PATH || '/collections/{artist}', // {artist}는 아티스트 slug
+      fallbackRedirectPath: process.env.BUNJANG_RETIREMENT_FALLBACK_REDIRECT_PATH || '/collections/all', // 아티스트를 모르는 상품
+    },
+
+    // 마크업/환율 변경으로 계산된 USD 가격이 리스팅 가격과 이 비율(%) 이상 달라지면 내용이 같아도 가격을 다시 반영
+    priceDriftTolerancePercent: parseFloat(process.env.BUNJANG_PRICE_DRIFT_TOLERANCE_PERCENT) || 1,
+    // plan(dry-run) 모드 보고서 보관 기간 (일)
+    planReportRetentionDays: parseInt(process.env.BUNJANG_PLAN_REPORT_RETENTION_DAYS, 10) || 30,
+
+    // 이미지 수집: 번개장터 이미지 URL을 직접 받아 확인(응답, 형식, 크기)하고 Shopify staged upload로 다시 올림
+    images: {
+      validationEnabled: process.env.BUNJANG_IMAGE_VALIDATION_ENABLED !== 'false', // false이면 확인 없이 원본 URL을 그대로 첨부
+      rehostEnabled: process.env.BUNJANG_IMAGE_REHOST_ENABLED !== 'false', // false이면 확인만 하고 원본 URL로 첨부 (번개장터 CDN 의존)
+      requestTimeoutMs: parseInt(process.env.BUNJANG_IMAGE_REQUEST_TIMEOUT_MS, 10) || 10000,
+      maxBytes: parseInt(process.env.BUNJANG_IMAGE_MAX_BYTES, 10) || 20 * 1024 * 1024, // Shopify 이미지 용량 제한 (20MB)
+      minDimension: parseInt(process.env.BUNJANG_IMAGE_MIN_DIMENSION, 10) || 200, // 가로/세로가 이보다 작으면 제외 (px)
+      primaryMinDimension: parseInt(process.env.BUNJANG_IMAGE_PRIMARY_MIN_DIMENSION, 10) || 600, // 대표 이미지로 쓸 최소 크기 (px)
+      maxImagesPerProduct: parseInt(process.env.BUNJANG_IMAGE_MAX_PER_PRODUCT, 10) || 20,
+    },
+
+    // 상품 설명 끝에 붙이는 상품 상태/배송 안내 HTML (없으면 mappers/descriptionRenderer.js의 기본 문구)
+    descriptionDisclaimerHtml: process.env.BUNJANG_DESCRIPTION_DISCLAIMER_HTML || null,
+
+    // 상품명/설명 한→영 번역 (translationService). 한국어 원문은 bunjang.original_title / original_description 메타필드에 보관
+    translation: {
+      enabled: process.env.BUNJANG_TRANSLATION_ENABLED !== 'false',
+      provider: (process.env.BUNJANG_TRANSLATION_PROVIDER || 'glossary').trim().toLowerCase(), // 등록된 번역기 이름 (기본: 용어집)
+      glossaryRefreshMs: parseInt(process.env.BUNJANG_TRANSLATION_GLOSSARY_REFRESH_MS, 10) || 5 * 60 * 1000, // 용어집 메모리 캐시 갱신 주기
+    },
+
+    // 상품 상태 등급 (mappers/conditionGrader.js): condition:<grade> 태그, bunjang.condition_grade 메타필드
+    conditionGrading: {
+      // 등급별 가격 조정(%) - 환율/마크업 적용 전 원화 가격에 반영. 예: BUNJANG_CONDITION_PRICE_ADJUSTMENT_DAMAGED=-20
+      priceAdjustmentPercent: {
+        ...(Object.keys(process.env)
+          .filter(key => key.startsWith('BUNJANG_CONDITION_PRICE_ADJUSTMENT_'))
+          .reduce((obj, key) => {
+            const grade = key.replace('BUNJANG_CONDITION_PRICE_ADJUSTMENT_', '').trim().toUpperCase();
+            const percent = parseFloat(process.env[key]);
+            if (!isNaN(percent)) obj[grade] = percent;
+            return obj;
+          }, {})),
+      },
+    },
+
+    // 중복/재등록 상품 감지 (duplicateListingService): 새 PID를 기존 동기화 상품과 상품명, 판매자, 가격, 첫 이미지 pHash로 비교
+    duplicates: {
+      enabled: process.env.BUNJANG_DUPLICATE_DETECTION_ENABLED !== 'false',
+      autoLinkEnabled: process.env.BUNJANG_DUPLICATE_AUTO_LINK_ENABLED !== 'false', // false이면 확실한 중복도 검토 대기
+      linkScore: parseFloat(process.env.BUNJANG_DUPLICATE_LINK_SCORE) || 0.85, // 이 점수 이상이면 기존 Shopify 상품에 연결
+      reviewScore: parseFloat(process.env.BUNJANG_DUPLICATE_REVIEW_SCORE) || 0.6, // 이 점수 이상이면 검토 대기 (새 상품을 만들지 않음)
+      titleSimilarityThreshold: parseFloat(process.env.BUNJANG_DUPLICATE_TITLE_SIMILARITY) || 0.8,
+      maxImageDistance: parseInt(process.env.BUNJANG_DUPLICATE_MAX_IMAGE_DISTANCE, 10) || 8, // pHash 해밍 거리 (0 ~ 63)
+      priceTolerancePercent: parseFloat(process.env.BUNJANG_DUPLICATE_PRICE_TOLERANCE_PERCENT) || 10,
+      lookbackDays: parseInt(process.env.BUNJANG_DUPLICATE_LOOKBACK_DAYS, 10) || 30, // 이 기간 안에 동기화된 상품만 비교
+      maxCandidates: parseInt(process.env.BUNJANG_DUPLICATE_MAX_CANDIDATES, 10) || 200,
+    },
+
+    // 브랜드 목록 캐시 (brandCatalogService): 브랜드 API를 주기적으로 동기화하여 vendor, brand:<slug> 태그, 브랜드 컬렉션에 사용
+    brands: {
+      collectionsEnabled: process.env.BUNJANG_BRAND_COLLECTIONS_ENABLED !== 'false', // 상품이 처음 동기화될 때 브랜드 컬렉션 자동 생성
+      collectionHandlePrefix: process.env.BUNJANG_BRAND_COLLECTION_HANDLE_PREFIX || 'brand-', // 컬렉션 핸들 (예: "brand-nike")
+      collectionClaimTimeoutMinutes: parseInt(process.env.BUNJANG_BRAND_COLLECTION_CLAIM_TIMEOUT_MINUTES, 10) || 10, // 생성 중 표시가 이보다 오래되면 다시 시도
+    },
+
+    // Shopify 일괄 작업(bulkOperationRunMutation) 동기화: 변경된 상품을 JSONL로 모아 productSet을 한 번에 제출 (상품별 GraphQL 왕복 대신)
+    // 세그먼트 카탈로그와 개별 상품 동기화(API, product-sync 큐)는 계속 상품별로 처리
+    bulkSync: {
+      enabled: process.env.BUNJANG_BULK_SYNC_ENABLED === 'true', // 기본 비활성화
+      catalogTypes: (process.env.BUNJANG_BULK_SYNC_CATALOG_TYPES || 'full').split(',').map(type => type.trim()).filter(Boolean),
+      batchSize: parseInt(process.env.BUNJANG_BULK_SYNC_BATCH_SIZE, 10) || 1000, // 일괄 작업 하나에 담을 상품 수
+      pollIntervalMs: parseInt(process.env.BUNJANG_BULK_SYNC_POLL_INTERVAL_MS, 10) || 10000, // 일괄 작업 상태 확인 간격
+      timeoutMinutes: parseInt(process.env.BUNJANG_BULK_SYNC_TIMEOUT_MINUTES, 10) || 60, // 이 시간 안에 끝나지 않으면 작업을 취소하고 해당 상품을 오류로 기록
+    },
+
+    // 카탈로그 이상 감지: 대량 쓰기 전에 파일 통계를 직전 완료 실행과 비교하여 잘리거나 깨진 파일을 차단
+    anomalyGuard: {
+      enabled: process.env.BUNJANG_ANOMALY_GUARD_ENABLED !== 'false', // 기본 활성화
+      catalogTypes: (process.env.BUNJANG_ANOMALY_GUARD_CATALOG_TYPES || 'full').split(',').map(type => type.trim()).filter(Boolean), // 세그먼트는 시간대별 편차가 커서 기본 제외
+      // 'abort' (처리 중단 및 작업 실패) 또는 'dry_run' (Shopify에 쓰지 않고 결과만 기록)
+      action: (process.env.BUNJANG_ANOMALY_GUARD_ACTION || 'abort').trim().toLowerCase() === 'dry_run' ? 'dry_run' : 'abort',
+      maxTotalRowsDropRatio: parseFloat(process.env.BUNJANG_ANOMALY_MAX_TOTAL_ROWS_DROP_RATIO) || 0.5, // 직전 대비 전체 행 감소율 상한
+      maxSellingRowsDropRatio: parseFloat(process.env.BUNJANG_ANOMALY_MAX_SELLING_ROWS_DROP_RATIO) || 0.5, // 직전 대비 판매중 행 감소율 상한
+      maxInvalidPriceRatio: parseFloat(process.env.BUNJANG_ANOMALY_MAX_INVALID_PRICE_RATIO) || 0.2, // 판매중 행 중 가격 파싱 실패 비율 상한
+      maxRejectedRatio: parseFloat(process.env.BUNJANG_ANOMALY_MAX_REJECTED_RATIO) || 0.3, // 판매중 행 중 검증 실패(격리) 비율 상한
+      minSellingRows: parseInt(process.env.BUNJANG_ANOMALY_MIN_SELLING_ROWS, 10) || 1, // 판매중 행 최소 개수
+    },
+
+    // 판매자 신뢰도: 주문 상태 동기화에서 판매자별 발송 준비(SHIP_READY) 소요 시간, 취소, 환불을 집계하여 점수(0~100)를 계산
+    sellerReputation: {
+      enabled: process.env.BUNJANG_SELLER_REPUTATION_ENABLED !== 'false', // 기본 활성화
+      minOrders: parseInt(process.env.BUNJANG_SELLER_MIN_ORDERS_FOR_SCORE, 10) || 3, // 점수를 매기기 위한 최소 주문 수 (미만이면 점수 없음)
+      shipReadySlaHours: parseInt(process.env.BUNJANG_SELLER_SHIP_READY_SLA_HOURS, 10) || 72, // 결제 후 이 시간 안에 SHIP_READY가 되지 않으면 지연으로 집계
+      lowScoreThreshold: parseFloat(process.env.BUNJANG_SELLER_LOW_SCORE_THRESHOLD) || 60, // 이 점수 미만이면 저신뢰 판매자
+      // 저신뢰/차단 판매자 상품 처리: 'DRAFT' (임시 저장으로 게시) 또는 'EXCLUDE' (새로 게시하지 않고 기존 리스팅은 임시 저장)
+      lowScoreAction: (process.env.BUNJANG_SELLER_LOW_SCORE_ACTION || 'DRAFT').trim().toUpperCase() === 'EXCLUDE' ? 'EXCLUDE' : 'DRAFT',
+      blockedAction: (process.env.BUNJANG_SELLER_BLOCKED_ACTION || 'EXCLUDE').trim().toUpperCase() === 'DRAFT' ? 'DRAFT' : 'EXCLUDE',
+    },
   },
 
   openExchangeRates: {
@@ -170,6 +296,7 @@ const config = {
     fetchFullCatalogCron: process.env.FETCH_FULL_CATALOG_CRON || "30 3 * * *",
     fetchSegmentCatalogCron: process.env.FETCH_SEGMENT_CATALOG_CRON || "10 */1 * * *", // 매시간 10분으로 수정
     updateExchangeRatesCron: process.env.UPDATE_EXCHANGE_RATES_CRON || "0 */3 * * *",
+    syncBunjangBrandsCron: process.env.SYNC_BUNJANG_BRANDS_CRON || "0 3 * * *", // 전체 카탈로그(03:30) 전에 브랜드 목록 갱신
     
     // 주문 상태 동기화 크론
     orderStatusSyncHourlyCron: process.env.ORDER_STATUS_SYNC_HOURLY_CRON || "0 * * * *", // 매시간 정각
@@ -209,6 +336,7 @@ const config = {
       orderProcessing: parseInt(process.env.WORKER_ORDER_PROCESSING_CONCURRENCY, 10) || 1,
       priceSync: parseInt(process.env.WORKER_PRICE_SYNC_CONCURRENCY, 10) || 2,
       inventorySync: parseInt(process.env.WORKER_INVENTORY_SYNC_CONCURRENCY, 10) || 2,
+      productSync: parseInt(process.env.WORKER_PRODUCT_SYNC_CONCURRENCY, 10) || 1,
     },
     // BullMQ Arena (작업 대시보드) 설정
     arena: {
@@ -238,6 +366,7 @@ const config = {
       order: process.env.BULLMQ_QUEUE_ORDER || 'order-processing-queue',
       orderStatusSync: process.env.BULLMQ_QUEUE_ORDER_STATUS_SYNC || 'order-status-sync-queue', // 주문 상태 동기화 큐
       exchangeRate: process.env.BULLMQ_QUEUE_EXCHANGE_RATE || 'exchange-rate-update-queue',
+      brandSync: process.env.BULLMQ_QUEUE_BRAND_SYNC || 'brand-sync-queue', // 번개장터 브랜드 목록 동기화 큐
     },
     arenaAdmin: { // BullMQ Arena UI 인증
         username: process.env.ARENA_ADMIN_USERNAME || 'arena_admin_user', // 반드시 변경
@@ -0,0 +1,126 @@
+// src/controllers/artistController.js
+// K-Pop 아티스트 사전(영문 이름, 한글/로마자 별칭, 멤버)을 관리하는 API 핸들러입니다.
+
+const logger = require('../config/logger');
+const artistDictionaryService = require('../services/artistDictionaryService');
+
+const ARTIST_FIELDS = ['name', 'slug', 'aliases', 'members', 'enabled'];
+
+/**
+ * 요청 본문에서 아티스트 필드만 추립니다.
+ * @param {object} body - 요청 본문.
+ * @returns {object}
+ */
+function pickArtistFields(body = {}) {
+  return Object.fromEntries(ARTIST_FIELDS.filter(field => body[field] !== undefined).map(field => [field, body[field]]));
+}
+
+/**
+ * GET /api/sync/catalog/artists?enabled=true&q=방탄
+ * 아티스트 사전 목록을 반환합니다.
+ */
+async function listArtists(req, res, next) {
+  const { enabled, q } = req.query;
+  try {
+    const artists = await artistDictionaryService.listArtists({ enabled, q });
+    res.status(200).json({ count: artists.length, artists });
+  } catch (error) {
+    logger.error(`[ArtistCtrlr] Error listing artists: ${error.message}`);
+    next(error);
+  }
+}
+
+/**
+ * GET /api/sync/catalog/artists/:artistId
+ */
+async function getArtist(req, res, next) {
+  try {
+    const artist = await artistDictionaryService.getArtist(req.params.artistId);
+    res.status(200).json(artist);
+  } catch (error) {
+    next(error);
+  }
+}
+
+/**
+ * POST /api/sync/catalog/artists
+ * Body: { name: "SEVENTEEN", aliases: ["세븐틴", "SVT"], members: [{ name: "Mingyu", aliases: ["민규"] }] }
+ * 아티스트를 사전에 추가합니다. 다음 카탈로그 처리부터 적용됩니다.
+ */
+async function createArtist(req, res, next) {
+  logger.info(`[ArtistCtrlr] API call to add artist "${req.body?.name}".`);
+  try {
+    const artist = await artistDictionaryService.createArtist(pickArtistFields(req.body));
+    res.status(201).json({ message: '아티스트가 추가되었습니다. 다음 카탈로그 처리부터 적용됩니다.', artist });
+  } catch (error) {
+    next(error);
+  }
+}
+
+/**
+ * PATCH /api/sync/catalog/artists/:artistId
+ * 아티스트의 일부 필드를 수정합니다. aliases/members는 전달한 값으로 교체됩니다.
+ */
+async function updateArtist(req, res, next) {
+  const { artistId } = req.params;
+  logger.info(`[ArtistCtrlr] API call to update artist ${artistId}.`);
+  try {
+    const artist = await artistDictionaryService.updateArtist(artistId, pickArtistFields(req.body));
+    res.status(200).json({ message: '아티스트가 수정되었습니다. 다음 카탈로그 처리부터 적용됩니다.', artist });
+  } catch (error) {
+    next(error);
+  }
+}
+
+/**
+ * DELETE /api/sync/catalog/artists/:artistId
+ */
+async function deleteArtist(req, res, next) {
+  const { artistId } = req.params;
+  logger.info(`[ArtistCtrlr] API call to delete artist ${artistId}.`);
+  try {
+    const artist = await artistDictionaryService.deleteArtist(artistId);
+    res.status(200).json({ message: '아티스트가 삭제되었습니다.', artist });
+  } catch (error) {
+    next(error);
+  }
+}
+
+/**
+ * POST /api/sync/catalog/artists/match
+ * Body: { name: "[세븐틴] 민규 포카", keywords: ["seventeen"] }
+ * 현재 사전으로 상품명/키워드에서 찾을 아티스트와 태그를 미리 확인합니다.
+ */
+async function matchSample(req, res, next) {
+  const { name, keywords } = req.body;
+  try {
+    const result = await artistDictionaryService.matchSample({ name, keywords });
+    res.status(200).json(result);
+  } catch (error) {
+    next(error);
+  }
+}
+
+/**
+ * POST /api/sync/catalog/artists/seed
+ * 기본 아티스트 사전을 추가합니다. 이미 있는 아티스트는 바꾸지 않습니다.
+ */
+async function seedArtists(req, res, next) {
+  logger.info('[ArtistCtrlr] API call to seed default artist dictionary.');
+  try {
+    const result = await artistDictionaryService.seedDefaultArtists();
+    res.status(200).json({ message: '기본 아티스트 사전 시드가 완료되었습니다.', ...result });
+  } catch (error) {
+    next(error);
+  }
+}
+
+module.exports = {
+  listArtists,
+  getArtist,
+  createArtist,
+  updateArtist,
+  deleteArtist,
+  matchSample,
+  seedArtists,
+};
@@ -0,0 +1,126 @@
+// src/controllers/attributePatternController.js
+// 상품명/키워드에서 상품 종류, 앨범/활동명, 버전을 추출하는 패턴을 관리하는 API 핸들러입니다.
+
+const logger = require('../config/logger');
+const productAttributeService = require('../services/productAttributeService');
+
+const PATTERN_FIELDS = ['name', 'attribute', 'pattern', 'patternFlags', 'value', 'artistSlug', 'description', 'priority', 'enabled'];
+
+/**
+ * 요청 본문에서 패턴 필드만 추립니다.
+ * @param {object} body - 요청 본문.
+ * @returns {object}
+ */
+function pickPatternFields(body = {}) {
+  return Object.fromEntries(PATTERN_FIELDS.filter(field => body[field] !== undefined).map(field => [field, body[field]]));
+}
+
+/**
+ * GET /api/sync/catalog/attribute-patterns?attribute=ITEM_TYPE&enabled=true
+ * 속성 패턴 목록을 속성별 평가 순서(priority)대로 반환합니다.
+ */
+async function listPatterns(req, res, next) {
+  const { attribute, enabled } = req.query;
+  try {
+    const patterns = await productAttributeService.listPatterns({ attribute, enabled });
+    res.status(200).json({ count: patterns.length, patterns });
+  } catch (error) {
+    logger.error(`[AttributePatternCtrlr] Error listing attribute patterns: ${error.message}`);
+    next(error);
+  }
+}
+
+/**
+ * GET /api/sync/catalog/attribute-patterns/:patternId
+ */
+async function getPattern(req, res, next) {
+  try {
+    const pattern = await productAttributeService.getPattern(req.params.patternId);
+    res.status(200).json(pattern);
+  } catch (error) {
+    next(error);
+  }
+}
+
+/**
+ * POST /api/sync/catalog/attribute-patterns
+ * Body: { name: "album-seventeen-fml", attribute: "ALBUM", pattern: "fml|face the sun", value: "FML", artistSlug: "seventeen", priority: 10 }
+ * 속성 패턴을 생성합니다. 다음 카탈로그 처리부터 적용됩니다.
+ */
+async function createPattern(req, res, next) {
+  logger.info(`[AttributePatternCtrlr] API call to create attribute pattern "${req.body?.name}".`);
+  try {
+    const pattern = await productAttributeService.createPattern(pickPatternFields(req.body));
+    res.status(201).json({ message: '속성 패턴이 생성되었습니다. 다음 카탈로그 처리부터 적용됩니다.', pattern });
+  } catch (error) {
+    next(error);
+  }
+}
+
+/**
+ * PATCH /api/sync/catalog/attribute-patterns/:patternId
+ * 속성 패턴의 일부 필드를 수정합니다.
+ */
+async function updatePattern(req, res, next) {
+  const { patternId } = req.params;
+  logger.info(`[AttributePatternCtrlr] API call to update attribute pattern ${patternId}.`);
+  try {
+    const pattern = await productAttributeService.updatePattern(patternId, pickPatternFields(req.body));
+    res.status(200).json({ message: '속성 패턴이 수정되었습니다. 다음 카탈로그 처리부터 적용됩니다.', pattern });
+  } catch (error) {
+    next(error);
+  }
+}
+
+/**
+ * DELETE /api/sync/catalog/attribute-patterns/:patternId
+ */
+async function deletePattern(req, res, next) {
+  const { patternId } = req.params;
+  logger.info(`[AttributePatternCtrlr] API call to delete attribute pattern ${patternId}.`);
+  try {
+    const pattern = await productAttributeService.deletePattern(patternId);
+    res.status(200).json({ message: '속성 패턴이 삭제되었습니다.', pattern });
+  } catch (error) {
+    next(error);
+  }
+}
+
+/**
+ * POST /api/sync/catalog/attribute-patterns/extract
+ * Body: { name: "[세븐틴] FML 앨범 캐럿반 포카 민규", keywords: [] }
+ * 현재 패턴과 아티스트 사전으로 샘플에서 추출될 속성과 메타필드를 미리 확인합니다.
+ */
+async function extractSample(req, res, next) {
+  const { name, keywords } = req.body;
+  try {
+    const result = await productAttributeService.extractSampleAttributes({ name, keywords });
+    res.status(200).json(result);
+  } catch (error) {
+    next(error);
+  }
+}
+
+/**
+ * POST /api/sync/catalog/attribute-patterns/seed
+ * 기본 속성 패턴(포토카드, 앨범, 응원봉, 버전 등)을 추가합니다. 이미 있는 패턴은 바꾸지 않습니다.
+ */
+async function seedPatterns(req, res, next) {
+  logger.info('[AttributePatternCtrlr] API call to seed default attribute patterns.');
+  try {
+    const result = await productAttributeService.seedDefaultPatterns();
+    res.status(200).json({ message: '기본 속성 패턴 시드가 완료되었습니다.', ...result });
+  } catch (error) {
+    next(error);
+  }
+}
+
+module.exports = {
+  listPatterns,
+  getPattern,
+  createPattern,
+  updatePattern,
+  deletePattern,
+  extractSample,
+  seedPatterns,
+};
@@ -0,0 +1,72 @@
+// src/controllers/brandCatalogController.js
+// 번개장터 브랜드 캐시(vendor, brand:<slug> 태그, 브랜드 컬렉션에 사용)를 조회/수정/동기화하는 API 핸들러입니다.
+
+const logger = require('../config/logger');
+const brandCatalogService = require('../services/brandCatalogService');
+
+const BRAND_FIELDS = ['displayName', 'slug', 'shopifyCollectionGid'];
+
+/**
+ * GET /api/sync/catalog/brands?q=nike&hasCollection=true&limit=100
+ * 브랜드 캐시 목록을 반환합니다.
+ */
+async function listBrands(req, res, next) {
+  const { q, hasCollection, limit } = req.query;
+  try {
+    const brands = await brandCatalogService.listBrands({ q, hasCollection, limit: limit || 100 });
+    res.status(200).json({ count: brands.length, brands });
+  } catch (error) {
+    logger.error(`[BrandCatalogCtrlr] Error listing brands: ${error.message}`);
+    next(error);
+  }
+}
+
+/**
+ * GET /api/sync/catalog/brands/:brandId
+ */
+async function getBrand(req, res, next) {
+  try {
+    const brand = await brandCatalogService.getBrand(req.params.brandId);
+    res.status(200).json(brand);
+  } catch (error) {
+    next(error);
+  }
+}
+
+/**
+ * PATCH /api/sync/catalog/brands/:brandId
+ * Body: { displayName?: "Nike", slug?: "nike", shopifyCollectionGid?: "gid://shopify/Collection/123" | null }
+ * 브랜드의 표시 이름, slug, 컬렉션을 수정합니다. 다음 카탈로그 처리부터 적용됩니다.
+ */
+async function updateBrand(req, res, next) {
+  const { brandId } = req.params;
+  logger.info(`[BrandCatalogCtrlr] API call to update brand ${brandId}.`);
+  try {
+    const updates = Object.fromEntries(BRAND_FIELDS.filter(field => req.body?.[field] !== undefined).map(field => [field, req.body[field]]));
+    const brand = await brandCatalogService.updateBrand(brandId, updates);
+    res.status(200).json({ message: '브랜드가 수정되었습니다. 다음 카탈로그 처리부터 적용됩니다.', brand });
+  } catch (error) {
+    next(error);
+  }
+}
+
+/**
+ * POST /api/sync/catalog/brands/sync
+ * 번개장터 브랜드 API로 브랜드 캐시를 즉시 갱신합니다. (스케줄 작업과 같은 처리)
+ */
+async function syncBrands(req, res, next) {
+  logger.info('[BrandCatalogCtrlr] API call to sync Bunjang brands.');
+  try {
+    const result = await brandCatalogService.syncBrandsFromBunjang({ jobId: 'api-sync' });
+    res.status(200).json({ message: '브랜드 목록 동기화가 완료되었습니다.', ...result });
+  } catch (error) {
+    next(error);
+  }
+}
+
+module.exports = {
+  listBrands,
+  getBrand,
+  updateBrand,
+  syncBrands,
+};
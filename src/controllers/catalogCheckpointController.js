@@ -0,0 +1,59 @@
+// src/controllers/catalogCheckpointController.js
+// 진행 중이거나 완료된 카탈로그 처리 체크포인트를 조회하고, 진행 중인 처리를 중단(abandon)하는 API 핸들러입니다.
+
+const logger = require('../config/logger');
+const catalogCheckpointService = require('../services/catalogCheckpointService');
+
+/**
+ * GET /api/sync/catalog/checkpoints?status=IN_PROGRESS&catalogType=full&limit=20
+ * 카탈로그 처리 체크포인트 목록을 최신순으로 반환합니다.
+ */
+async function listCheckpoints(req, res, next) {
+  const { status, catalogType, limit } = req.query;
+  try {
+    const checkpoints = await catalogCheckpointService.listCheckpoints({ status, catalogType, limit: limit || 20 });
+    res.status(200).json({ count: checkpoints.length, checkpoints });
+  } catch (error) {
+    logger.error(`[CatalogCheckpointCtrlr] Error listing catalog checkpoints: ${error.message}`);
+    next(error);
+  }
+}
+
+/**
+ * GET /api/sync/catalog/checkpoints/:checkpointId
+ * 단일 체크포인트의 진행 상황(마지막 처리 행, 카운터 등)을 반환합니다.
+ */
+async function getCheckpoint(req, res, next) {
+  try {
+    const checkpoint = await catalogCheckpointService.getCheckpoint(req.params.checkpointId);
+    res.status(200).json(checkpoint);
+  } catch (error) {
+    next(error);
+  }
+}
+
+/**
+ * POST /api/sync/catalog/checkpoints/:checkpointId/abandon
+ * 진행 중인 체크포인트를 중단합니다. 처리 중인 작업은 다음 청크 전에 종료되고,
+ * 같은 파일을 다시 처리하면 처음부터 시작합니다.
+ */
+async function abandonCheckpoint(req, res, next) {
+  const { checkpointId } = req.params;
+  const reason = req.body?.reason;
+  logger.info(`[CatalogCheckpointCtrlr] API call to abandon catalog checkpoint ${checkpointId}. Reason: ${reason || 'N/A'}`);
+  try {
+    const checkpoint = await catalogCheckpointService.abandonCheckpoint(checkpointId, reason);
+    res.status(200).json({
+      message: '카탈로그 처리 체크포인트가 중단 처리되었습니다. 처리 중인 작업은 다음 청크 전에 종료됩니다.',
+      checkpoint,
+    });
+  } catch (error) {
+    next(error);
+  }
+}
+
+module.exports = {
+  listCheckpoints,
+  getCheckpoint,
+  abandonCheckpoint,
+};
@@ -0,0 +1,157 @@
+// src/controllers/catalogFilterRuleController.js
+// 카탈로그 포함/제외 필터 규칙을 관리하고, 상품(PID)별 필터 결정을 조회하는 관리 API 핸들러입니다.
+
+const logger = require('../config/logger');
+const catalogFilterRuleService = require('../services/catalogFilterRuleService');
+
+const RULE_FIELDS = [
+  'name', 'description', 'effect', 'type', 'values', 'minPriceKrw', 'maxPriceKrw',
+  'pattern', 'patternFlags', 'fields', 'minImageCount', 'priority', 'enabled',
+];
+
+/**
+ * 요청 본문에서 규칙 필드만 추립니다.
+ * @param {object} body - 요청 본문.
+ * @returns {object}
+ */
+function pickRuleFields(body = {}) {
+  return Object.fromEntries(RULE_FIELDS.filter(field => body[field] !== undefined).map(field => [field, body[field]]));
+}
+
+/**
+ * GET /api/sync/catalog/filter-rules?enabled=true&type=KEYWORD_REGEX&effect=EXCLUDE
+ * 필터 규칙 목록을 평가 순서(priority)대로 반환합니다.
+ */
+async function listRules(req, res, next) {
+  const { enabled, type, effect } = req.query;
+  try {
+    const rules = await catalogFilterRuleService.listRules({ enabled, type, effect });
+    res.status(200).json({ count: rules.length, rules });
+  } catch (error) {
+    logger.error(`[CatalogFilterRuleCtrlr] Error listing filter rules: ${error.message}`);
+    next(error);
+  }
+}
+
+/**
+ * GET /api/sync/catalog/filter-rules/:ruleId
+ */
+async function getRule(req, res, next) {
+  try {
+    const rule = await catalogFilterRuleService.getRule(req.params.ruleId);
+    res.status(200).json(rule);
+  } catch (error) {
+    next(error);
+  }
+}
+
+/**
+ * POST /api/sync/catalog/filter-rules
+ * Body: { name, effect: "EXCLUDE", type: "KEYWORD_REGEX", pattern: "가품|레플", priority: 10 }
+ * 필터 규칙을 생성합니다. 다음 카탈로그 처리부터 적용됩니다.
+ */
+async function createRule(req, res, next) {
+  logger.info(`[CatalogFilterRuleCtrlr] API call to create filter rule "${req.body?.name}".`);
+  try {
+    const rule = await catalogFilterRuleService.createRule(pickRuleFields(req.body));
+    res.status(201).json({ message: '필터 규칙이 생성되었습니다. 다음 카탈로그 처리부터 적용됩니다.', rule });
+  } catch (error) {
+    next(error);
+  }
+}
+
+/**
+ * PATCH /api/sync/catalog/filter-rules/:ruleId
+ * 필터 규칙의 일부 필드를 수정합니다. (예: { enabled: false }로 일시 중지)
+ */
+async function updateRule(req, res, next) {
+  const { ruleId } = req.params;
+  logger.info(`[CatalogFilterRuleCtrlr] API call to update filter rule ${ruleId}.`);
+  try {
+    const rule = await catalogFilterRuleService.updateRule(ruleId, pickRuleFields(req.body));
+    res.status(200).json({ message: '필터 규칙이 수정되었습니다. 다음 카탈로그 처리부터 적용됩니다.', rule });
+  } catch (error) {
+    next(error);
+  }
+}
+
+/**
+ * DELETE /api/sync/catalog/filter-rules/:ruleId
+ */
+async function deleteRule(req, res, next) {
+  const { ruleId } = req.params;
+  logger.info(`[CatalogFilterRuleCtrlr] API call to delete filter rule ${ruleId}.`);
+  try {
+    const rule = await catalogFilterRuleService.deleteRule(ruleId);
+    res.status(200).json({ message: '필터 규칙이 삭제되었습니다.', rule });
+  } catch (error) {
+    next(error);
+  }
+}
+
+/**
+ * POST /api/sync/catalog/filter-rules/evaluate
+ * Body: { pid, name, price, condition, categoryId, brandId, uid, keywords, images }
+ * 현재 활성 규칙으로 샘플 상품을 평가한 결과를 반환합니다. (저장하지 않음)
+ */
+async function evaluateSampleProduct(req, res, next) {
+  try {
+    const result = await catalogFilterRuleService.evaluateSampleProduct(req.body || {});
+    res.status(200).json(result);
+  } catch (error) {
+    next(error);
+  }
+}
+
+/**
+ * GET /api/sync/catalog/filter-decisions?decision=EXCLUDED&ruleId=...&catalogRunId=...&limit=100
+ * 상품별 최근 필터 결정을 최신순으로 반환합니다.
+ */
+async function listFilterDecisions(req, res, next) {
+  const { decision, ruleId, catalogRunId, limit } = req.query;
+  try {
+    const decisions = await catalogFilterRuleService.listFilterDecisions({ decision, ruleId, catalogRunId, limit: limit || 100 });
+    res.status(200).json({ count: decisions.length, decisions });
+  } catch (error) {
+    logger.error(`[CatalogFilterRuleCtrlr] Error listing filter decisions: ${error.message}`);
+    next(error);
+  }
+}
+
+/**
+ * GET /api/sync/catalog/filter-decisions/summary?catalogRunId=...
+ * 필터 결정을 포함/제외 및 규칙별로 집계합니다.
+ */
+async function getFilterDecisionSummary(req, res, next) {
+  try {
+    const summary = await catalogFilterRuleService.summarizeFilterDecisions({ catalogRunId: req.query.catalogRunId });
+    res.status(200).json(summary);
+  } catch (error) {
+    next(error);
+  }
+}
+
+/**
+ * GET /api/sync/catalog/filter-decisions/:bunjangPid
+ * 상품 하나가 어떤 규칙으로 포함/제외되었는지 반환합니다.
+ */
+async function getFilterDecision(req, res, next) {
+  try {
+    const decision = await catalogFilterRuleService.getFilterDecision(req.params.bunjangPid);
+    res.status(200).json(decision);
+  } catch (error) {
+    next(error);
+  }
+}
+
+module.exports = {
+  listRules,
+  getRule,
+  createRule,
+  updateRule,
+  deleteRule,
+  evaluateSampleProduct,
+  listFilterDecisions,
+  getFilterDecisionSummary,
+  getFilterDecision,
+};
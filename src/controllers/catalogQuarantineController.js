@@ -0,0 +1,93 @@
+// src/controllers/catalogQuarantineController.js
+// 필수 데이터 검증에 실패해 격리된 카탈로그 행을 조회/집계하고 재제출하는 API 핸들러입니다.
+
+const logger = require('../config/logger');
+const catalogQuarantineService = require('../services/catalogQuarantineService');
+
+/**
+ * GET /api/sync/catalog/quarantine?rule=INVALID_PRICE&status=QUARANTINED&catalogFileName=full-20240524.csv.gz&limit=100
+ * 격리된 행 목록을 최신순으로 반환합니다.
+ */
+async function listQuarantinedRows(req, res, next) {
+  const { rule, status, catalogFileName, bunjangPid, limit } = req.query;
+  try {
+    const rows = await catalogQuarantineService.listQuarantinedRows({ rule, status, catalogFileName, bunjangPid, limit: limit || 100 });
+    res.status(200).json({ count: rows.length, rows });
+  } catch (error) {
+    logger.error(`[CatalogQuarantineCtrlr] Error listing quarantined rows: ${error.message}`);
+    next(error);
+  }
+}
+
+/**
+ * GET /api/sync/catalog/quarantine/summary?status=QUARANTINED&from=2024-05-01
+ * 격리된 행 수를 거부 규칙별로 집계하여 반환합니다.
+ */
+async function getQuarantineSummary(req, res, next) {
+  const { status, catalogFileName, from, to } = req.query;
+  try {
+    const summary = await catalogQuarantineService.countQuarantinedRowsByRule({ status, catalogFileName, from, to });
+    res.status(200).json(summary);
+  } catch (error) {
+    logger.error(`[CatalogQuarantineCtrlr] Error counting quarantined rows: ${error.message}`);
+    next(error);
+  }
+}
+
+/**
+ * GET /api/sync/catalog/quarantine/:quarantineId
+ * 단일 격리 행을 원본 행과 함께 반환합니다.
+ */
+async function getQuarantinedRow(req, res, next) {
+  try {
+    const row = await catalogQuarantineService.getQuarantinedRow(req.params.quarantineId);
+    res.status(200).json(row);
+  } catch (error) {
+    next(error);
+  }
+}
+
+/**
+ * POST /api/sync/catalog/quarantine/:quarantineId/resubmit
+ * Body: { rowOverrides?: { price: "15000", ... } }
+ * 격리 행을 다시 검증하고, 통과하면 상품 동기화에 전달합니다.
+ */
+async function resubmitQuarantinedRow(req, res, next) {
+  const { quarantineId } = req.params;
+  logger.info(`[CatalogQuarantineCtrlr] API call to resubmit quarantined row ${quarantineId}.`);
+  try {
+    const result = await catalogQuarantineService.resubmitQuarantinedRow(quarantineId, { rowOverrides: req.body?.rowOverrides });
+    res.status(200).json({
+      message: result.resubmitted
+        ? '격리 행이 검증을 통과하여 상품 동기화에 전달되었습니다.'
+        : '격리 행이 여전히 검증에 실패했습니다.',
+      ...result,
+    });
+  } catch (error) {
+    next(error);
+  }
+}
+
+/**
+ * POST /api/sync/catalog/quarantine/resubmit
+ * Body: { rule?: "INVALID_DATE", catalogFileName?: "...", limit?: 100 }
+ * 조건에 맞는 격리 행(QUARANTINED)을 일괄 재제출합니다.
+ */
+async function resubmitQuarantinedRows(req, res, next) {
+  const { rule, catalogFileName, limit } = req.body || {};
+  logger.info(`[CatalogQuarantineCtrlr] API call to bulk resubmit quarantined rows. Rule: ${rule || 'ALL'}, File: ${catalogFileName || 'ALL'}`);
+  try {
+    const summary = await catalogQuarantineService.resubmitQuarantinedRows({ rule, catalogFileName, limit: limit || 100 });
+    res.status(200).json(summary);
+  } catch (error) {
+    next(error);
+  }
+}
+
+module.exports = {
+  listQuarantinedRows,
+  getQuarantineSummary,
+  getQuarantinedRow,
+  resubmitQuarantinedRow,
+  resubmitQuarantinedRows,
+};
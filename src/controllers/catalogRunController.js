@@ -0,0 +1,97 @@
+// src/controllers/catalogRunController.js
+// 카탈로그 처리 실행 이력(CatalogRun)과 plan(dry-run) 보고서를 조회하는 API 핸들러입니다.
+
+const { pipeline } = require('node:stream/promises');
+const { Readable } = require('node:stream');
+const logger = require('../config/logger');
+const catalogRunService = require('../services/catalogRunService');
+const catalogPlanService = require('../services/catalogPlanService');
+
+/**
+ * GET /api/sync/runs?catalogType=full&trigger=cron&status=COMPLETED&from=2024-05-01&to=2024-05-31&limit=30
+ * 실행 이력 목록을 최신순으로 반환합니다. (오류 샘플 제외)
+ */
+async function listRuns(req, res, next) {
+  const { catalogType, trigger, status, from, to, limit } = req.query;
+  try {
+    const runs = await catalogRunService.listRuns({ catalogType, trigger, status, from, to, limit: limit || 30 });
+    res.status(200).json({ count: runs.length, runs });
+  } catch (error) {
+    logger.error(`[CatalogRunCtrlr] Error listing catalog runs: ${error.message}`);
+    next(error);
+  }
+}
+
+/**
+ * GET /api/sync/runs/:runId
+ * 단일 실행 이력을 오류 샘플과 함께 반환합니다.
+ */
+async function getRun(req, res, next) {
+  try {
+    const run = await catalogRunService.getRun(req.params.runId);
+    res.status(200).json(run);
+  } catch (error) {
+    next(error);
+  }
+}
+
+/**
+ * GET /api/sync/runs/:runId/compare
+ * 실행 이력을 직전에 완료된 같은 타입의 실행과 비교한 결과를 반환합니다.
+ */
+async function compareRun(req, res, next) {
+  try {
+    const comparison = await catalogRunService.compareWithPreviousRun(req.params.runId);
+    res.status(200).json(comparison);
+  } catch (error) {
+    next(error);
+  }
+}
+
+/**
+ * GET /api/sync/runs/:runId/plan?action=update_price&limit=100&skip=0
+ * plan 실행의 상품별 예정 작업을 행 순서대로 반환합니다.
+ */
+async function getRunPlan(req, res, next) {
+  const { action, bunjangPid, limit, skip } = req.query;
+  try {
+    const report = await catalogPlanService.listPlanEntries(req.params.runId, { action, bunjangPid, limit: limit || 100, skip: skip || 0 });
+    res.status(200).json(report);
+  } catch (error) {
+    next(error);
+  }
+}
+
+/**
+ * GET /api/sync/runs/:runId/plan/download?action=archive
+ * plan 보고서를 CSV 첨부 파일로 스트리밍합니다.
+ */
+async function downloadRunPlan(req, res, next) {
+  const { runId } = req.params;
+  let planCsv;
+  try {
+    planCsv = await catalogPlanService.createPlanCsv(runId, { action: req.query.action });
+  } catch (error) {
+    return next(error);
+  }
+
+  const baseFileName = String(planCsv.run.fileName || 'catalog').replace(/\.csv\.gz$/, '');
+  res.status(200);
+  res.setHeader('Content-Type', 'text/csv; charset=utf-8');
+  res.setHeader('Content-Disposition', `attachment; filename="plan-${baseFileName}-${runId}.csv"`);
+  try {
+    await pipeline(Readable.from(planCsv.lines), res);
+  } catch (error) {
+    // 헤더가 이미 전송되었으므로 오류 응답을 보낼 수 없음
+    logger.error(`[CatalogRunCtrlr] Error streaming plan CSV for run ${runId}: ${error.message}`);
+    res.destroy(error);
+  }
+}
+
+module.exports = {
+  listRuns,
+  getRun,
+  compareRun,
+  getRunPlan,
+  downloadRunPlan,
+};
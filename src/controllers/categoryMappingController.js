@@ -0,0 +1,134 @@
+// src/controllers/categoryMappingController.js
+// 번개장터 카테고리 → Shopify 상품 유형/컬렉션/태그/기본 무게 매핑을 관리하는 API 핸들러입니다.
+
+const logger = require('../config/logger');
+const categoryMappingService = require('../services/categoryMappingService');
+
+const MAPPING_FIELDS = [
+  'bunjangCategoryId', 'bunjangCategoryName', 'bunjangCategoryNameEng', 'shopifyProductType',
+  'shopifyCollectionGid', 'tags', 'defaultWeightGrams', 'enabled',
+];
+
+/**
+ * 요청 본문에서 매핑 필드만 추립니다.
+ * @param {object} body - 요청 본문.
+ * @returns {object}
+ */
+function pickMappingFields(body = {}) {
+  return Object.fromEntries(MAPPING_FIELDS.filter(field => body[field] !== undefined).map(field => [field, body[field]]));
+}
+
+/**
+ * GET /api/sync/catalog/category-mappings?enabled=true&source=SEED
+ * 카테고리 매핑 목록을 반환합니다.
+ */
+async function listMappings(req, res, next) {
+  const { enabled, source } = req.query;
+  try {
+    const mappings = await categoryMappingService.listMappings({ enabled, source });
+    res.status(200).json({ count: mappings.length, mappings });
+  } catch (error) {
+    logger.error(`[CategoryMappingCtrlr] Error listing category mappings: ${error.message}`);
+    next(error);
+  }
+}
+
+/**
+ * GET /api/sync/catalog/category-mappings/:categoryId
+ */
+async function getMapping(req, res, next) {
+  try {
+    const mapping = await categoryMappingService.getMapping(req.params.categoryId);
+    res.status(200).json(mapping);
+  } catch (error) {
+    next(error);
+  }
+}
+
+/**
+ * POST /api/sync/catalog/category-mappings
+ * Body: { bunjangCategoryId: "900100100", shopifyProductType: "K-Pop Photocard", tags: ["Photocard"], defaultWeightGrams: 50 }
+ * 카테고리 매핑을 생성합니다. 다음 카탈로그 처리부터 적용됩니다.
+ */
+async function createMapping(req, res, next) {
+  logger.info(`[CategoryMappingCtrlr] API call to create category mapping for ${req.body?.bunjangCategoryId}.`);
+  try {
+    const mapping = await categoryMappingService.createMapping(pickMappingFields(req.body));
+    res.status(201).json({ message: '카테고리 매핑이 생성되었습니다. 다음 카탈로그 처리부터 적용됩니다.', mapping });
+  } catch (error) {
+    next(error);
+  }
+}
+
+/**
+ * PATCH /api/sync/catalog/category-mappings/:categoryId
+ * 카테고리 매핑의 일부 필드를 수정합니다.
+ */
+async function updateMapping(req, res, next) {
+  const { categoryId } = req.params;
+  logger.info(`[CategoryMappingCtrlr] API call to update category mapping ${categoryId}.`);
+  try {
+    const mapping = await categoryMappingService.updateMapping(categoryId, pickMappingFields(req.body));
+    res.status(200).json({ message: '카테고리 매핑이 수정되었습니다. 다음 카탈로그 처리부터 적용됩니다.', mapping });
+  } catch (error) {
+    next(error);
+  }
+}
+
+/**
+ * DELETE /api/sync/catalog/category-mappings/:categoryId
+ */
+async function deleteMapping(req, res, next) {
+  const { categoryId } = req.params;
+  logger.info(`[CategoryMappingCtrlr] API call to delete category mapping ${categoryId}.`);
+  try {
+    const mapping = await categoryMappingService.deleteMapping(categoryId);
+    res.status(200).json({ message: '카테고리 매핑이 삭제되었습니다.', mapping });
+  } catch (error) {
+    next(error);
+  }
+}
+
+/**
+ * GET /api/sync/catalog/category-mappings/unmapped?days=7&limit=100
+ * 최근 카탈로그에 나타났지만 매핑되지 않은 카테고리 ID를 상품 수가 많은 순으로 반환합니다.
+ */
+async function listUnmappedCategories(req, res, next) {
+  const { days, limit } = req.query;
+  try {
+    const report = await categoryMappingService.listUnmappedCategories({ days: days || 7, limit: limit || 100 });
+    res.status(200).json(report);
+  } catch (error) {
+    next(error);
+  }
+}
+
+/**
+ * POST /api/sync/catalog/category-mappings/seed
+ * Body: { keywords?: ["앨범", "포토카드"], includeAll?: false }
+ * 번개장터 카테고리 API와 BUNJANG_CATEGORY_TO_SHOPIFY_TYPE_<id> 환경 변수로 매핑 테이블을 채웁니다. 기존 매핑은 바꾸지 않습니다.
+ */
+async function seedMappings(req, res, next) {
+  const { keywords, includeAll } = req.body || {};
+  logger.info('[CategoryMappingCtrlr] API call to seed category mappings.');
+  try {
+    const result = await categoryMappingService.seedCategoryMappings({
+      ...(keywords && { keywords }),
+      includeAll: includeAll === true,
+      jobId: 'api-seed',
+    });
+    res.status(200).json({ message: '카테고리 매핑 시드가 완료되었습니다.', ...result });
+  } catch (error) {
+    next(error);
+  }
+}
+
+module.exports = {
+  listMappings,
+  getMapping,
+  createMapping,
+  updateMapping,
+  deleteMapping,
+  listUnmappedCategories,
+  seedMappings,
+};
@@ -0,0 +1,72 @@
+// src/controllers/duplicateListingController.js
+// 재등록/중복 게시로 판단된 상품(기존 Shopify 상품에 연결되었거나 검토 대기 중)을 조회하고 검토하는 API 핸들러입니다.
+
+const logger = require('../config/logger');
+const duplicateListingService = require('../services/duplicateListingService');
+
+/**
+ * GET /api/sync/catalog/duplicates?status=PENDING_REVIEW&limit=100
+ * 중복 상품 기록을 최신순으로 반환합니다.
+ */
+async function listDuplicates(req, res, next) {
+  const { status, bunjangPid, duplicateOfPid, limit } = req.query;
+  try {
+    const duplicates = await duplicateListingService.listDuplicateListings({ status, bunjangPid, duplicateOfPid, limit: limit || 100 });
+    res.status(200).json({ count: duplicates.length, duplicates });
+  } catch (error) {
+    logger.error(`[DuplicateListingCtrlr] Error listing duplicate listings: ${error.message}`);
+    next(error);
+  }
+}
+
+/**
+ * GET /api/sync/catalog/duplicates/:duplicateId
+ * 단일 중복 상품 기록을 반환합니다.
+ */
+async function getDuplicate(req, res, next) {
+  try {
+    const duplicate = await duplicateListingService.getDuplicateListing(req.params.duplicateId);
+    res.status(200).json(duplicate);
+  } catch (error) {
+    next(error);
+  }
+}
+
+/**
+ * POST /api/sync/catalog/duplicates/:duplicateId/link
+ * Body: { note?: "같은 포카, 판매자 재등록" }
+ * 검토 대기 중인 새 PID를 기존 Shopify 상품에 연결합니다.
+ */
+async function linkDuplicate(req, res, next) {
+  const { duplicateId } = req.params;
+  logger.info(`[DuplicateListingCtrlr] API call to link duplicate listing ${duplicateId}.`);
+  try {
+    const duplicate = await duplicateListingService.linkReviewedDuplicate(duplicateId, { note: req.body?.note });
+    res.status(200).json({ message: '새 상품이 기존 Shopify 상품에 연결되었습니다. 다음 동기화에서 새 상품 정보로 업데이트됩니다.', duplicate });
+  } catch (error) {
+    next(error);
+  }
+}
+
+/**
+ * POST /api/sync/catalog/duplicates/:duplicateId/dismiss
+ * Body: { note?: "다른 상품" }
+ * 검토 대기 중인 새 PID를 중복이 아닌 것으로 처리합니다.
+ */
+async function dismissDuplicate(req, res, next) {
+  const { duplicateId } = req.params;
+  logger.info(`[DuplicateListingCtrlr] API call to dismiss duplicate listing ${duplicateId}.`);
+  try {
+    const duplicate = await duplicateListingService.dismissDuplicateListing(duplicateId, { note: req.body?.note });
+    res.status(200).json({ message: '중복이 아닌 것으로 처리되었습니다. 다음 동기화에서 새 Shopify 상품으로 등록됩니다.', duplicate });
+  } catch (error) {
+    next(error);
+  }
+}
+
+module.exports = {
+  listDuplicates,
+  getDuplicate,
+  linkDuplicate,
+  dismissDuplicate,
+};
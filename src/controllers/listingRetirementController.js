@@ -0,0 +1,26 @@
+// src/controllers/listingRetirementController.js
+// 판매 종료(카탈로그에서 사라짐/SELLING 아님)로 Shopify에서 내린 상품 기록을 조회하는 API 핸들러입니다.
+
+const logger = require('../config/logger');
+const listingRetirementService = require('../services/listingRetirementService');
+
+/**
+ * GET /api/sync/catalog/retirements?catalogFileName=full-20240524.csv.gz&reason=NOT_SELLING&status=RETIRED&limit=100
+ * 판매 종료 처리 기록을 최신순으로 반환합니다.
+ */
+async function listRetirements(req, res, next) {
+  const { catalogFileName, reason, status, bunjangPid, limit } = req.query;
+  try {
+    const retirements = await listingRetirementService.listRetirements({
+      catalogFileName, reason, status, bunjangPid, limit: limit || 100,
+    });
+    res.status(200).json({ count: retirements.length, retirements });
+  } catch (error) {
+    logger.error(`[ListingRetirementCtrlr] Error listing listing retirements: ${error.message}`);
+    next(error);
+  }
+}
+
+module.exports = {
+  listRetirements,
+};
@@ -0,0 +1,71 @@
+// src/controllers/sellerReputationController.js
+// 번개장터 판매자 신뢰도를 조회하고, 판매자 허용/차단을 수동으로 설정하는 관리 API 핸들러입니다.
+
+const logger = require('../config/logger');
+const sellerReputationService = require('../services/sellerReputationService');
+
+/**
+ * GET /api/sync/sellers?override=BLOCK&maxScore=60&limit=100
+ * 판매자 신뢰도 목록을 점수가 낮은 순으로 반환합니다.
+ */
+async function listSellers(req, res, next) {
+  const { override, maxScore, limit } = req.query;
+  try {
+    const sellers = await sellerReputationService.listSellers({ override, maxScore, limit: limit || 100 });
+    res.status(200).json({ count: sellers.length, sellers });
+  } catch (error) {
+    logger.error(`[SellerReputationCtrlr] Error listing sellers: ${error.message}`);
+    next(error);
+  }
+}
+
+/**
+ * GET /api/sync/sellers/:sellerUid
+ * 판매자 한 명의 신뢰도, 현재 게시 정책, 최근 주문 처리 결과를 반환합니다.
+ */
+async function getSeller(req, res, next) {
+  try {
+    const seller = await sellerReputationService.getSeller(req.params.sellerUid);
+    res.status(200).json(seller);
+  } catch (error) {
+    next(error);
+  }
+}
+
+/**
+ * PUT /api/sync/sellers/:sellerUid/override
+ * Body: { override: "BLOCK" | "ALLOW" | "NONE", reason: "미발송 반복" }
+ * 판매자를 수동으로 차단/허용하거나 점수 기준으로 되돌립니다. 다음 카탈로그 처리부터 적용됩니다.
+ */
+async function setSellerOverride(req, res, next) {
+  const { sellerUid } = req.params;
+  const { override, reason } = req.body;
+  logger.info(`[SellerReputationCtrlr] API call to set seller ${sellerUid} override to ${override}.`);
+  try {
+    const seller = await sellerReputationService.setSellerOverride(sellerUid, { override, reason });
+    res.status(200).json({ message: '판매자 설정이 변경되었습니다. 다음 카탈로그 처리부터 적용됩니다.', seller });
+  } catch (error) {
+    next(error);
+  }
+}
+
+/**
+ * POST /api/sync/sellers/recompute
+ * 기록된 주문 처리 결과로 모든 판매자의 신뢰도 점수를 다시 계산합니다. (설정 변경 후 등)
+ */
+async function recomputeSellers(req, res, next) {
+  logger.info('[SellerReputationCtrlr] API call to recompute all seller reputations.');
+  try {
+    const recomputed = await sellerReputationService.recomputeSellerReputations(null, 'api-recompute');
+    res.status(200).json({ message: '판매자 신뢰도 점수를 다시 계산했습니다.', recomputed });
+  } catch (error) {
+    next(error);
+  }
+}
+
+module.exports = {
+  listSellers,
+  getSeller,
+  setSellerOverride,
+  recomputeSellers,
+};
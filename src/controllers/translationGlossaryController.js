@@ -0,0 +1,126 @@
+// src/controllers/translationGlossaryController.js
+// 상품명/설명 한→영 번역에 쓰는 용어집을 관리하는 API 핸들러입니다.
+
+const logger = require('../config/logger');
+const translationService = require('../services/translationService');
+
+const TERM_FIELDS = ['source', 'target', 'description', 'enabled'];
+
+/**
+ * 요청 본문에서 용어 필드만 추립니다.
+ * @param {object} body - 요청 본문.
+ * @returns {object}
+ */
+function pickTermFields(body = {}) {
+  return Object.fromEntries(TERM_FIELDS.filter(field => body[field] !== undefined).map(field => [field, body[field]]));
+}
+
+/**
+ * GET /api/sync/catalog/glossary-terms?enabled=true
+ * 번역 용어 목록을 원문순으로 반환합니다.
+ */
+async function listTerms(req, res, next) {
+  const { enabled } = req.query;
+  try {
+    const terms = await translationService.listGlossaryTerms({ enabled });
+    res.status(200).json({ count: terms.length, terms });
+  } catch (error) {
+    logger.error(`[TranslationGlossaryCtrlr] Error listing glossary terms: ${error.message}`);
+    next(error);
+  }
+}
+
+/**
+ * GET /api/sync/catalog/glossary-terms/:termId
+ */
+async function getTerm(req, res, next) {
+  try {
+    const term = await translationService.getGlossaryTerm(req.params.termId);
+    res.status(200).json(term);
+  } catch (error) {
+    next(error);
+  }
+}
+
+/**
+ * POST /api/sync/catalog/glossary-terms
+ * Body: { source: "미개봉", target: "Sealed" }
+ * 번역 용어를 추가합니다. 다음 상품 동기화부터 적용됩니다.
+ */
+async function createTerm(req, res, next) {
+  logger.info(`[TranslationGlossaryCtrlr] API call to create glossary term "${req.body?.source}".`);
+  try {
+    const term = await translationService.createGlossaryTerm(pickTermFields(req.body));
+    res.status(201).json({ message: '번역 용어가 추가되었습니다. 다음 상품 동기화부터 적용됩니다.', term });
+  } catch (error) {
+    next(error);
+  }
+}
+
+/**
+ * PATCH /api/sync/catalog/glossary-terms/:termId
+ * 번역 용어의 일부 필드를 수정합니다.
+ */
+async function updateTerm(req, res, next) {
+  const { termId } = req.params;
+  logger.info(`[TranslationGlossaryCtrlr] API call to update glossary term ${termId}.`);
+  try {
+    const term = await translationService.updateGlossaryTerm(termId, pickTermFields(req.body));
+    res.status(200).json({ message: '번역 용어가 수정되었습니다. 다음 상품 동기화부터 적용됩니다.', term });
+  } catch (error) {
+    next(error);
+  }
+}
+
+/**
+ * DELETE /api/sync/catalog/glossary-terms/:termId
+ */
+async function deleteTerm(req, res, next) {
+  const { termId } = req.params;
+  logger.info(`[TranslationGlossaryCtrlr] API call to delete glossary term ${termId}.`);
+  try {
+    const term = await translationService.deleteGlossaryTerm(termId);
+    res.status(200).json({ message: '번역 용어가 삭제되었습니다.', term });
+  } catch (error) {
+    next(error);
+  }
+}
+
+/**
+ * POST /api/sync/catalog/glossary-terms/translate
+ * Body: { name: "[미개봉] 세븐틴 FML 앨범 포카 양도", description: "..." }
+ * 현재 번역기와 용어집으로 샘플 상품명/설명을 번역해 봅니다.
+ */
+async function translateSample(req, res, next) {
+  const { name, description } = req.body;
+  try {
+    const result = await translationService.translateSample({ name, description });
+    res.status(200).json(result);
+  } catch (error) {
+    next(error);
+  }
+}
+
+/**
+ * POST /api/sync/catalog/glossary-terms/seed
+ * 기본 용어집(포카, 미개봉, 양도 등)을 추가합니다. 이미 있는 용어는 바꾸지 않습니다.
+ */
+async function seedTerms(req, res, next) {
+  logger.info('[TranslationGlossaryCtrlr] API call to seed default glossary terms.');
+  try {
+    const result = await translationService.seedDefaultGlossary();
+    res.status(200).json({ message: '기본 번역 용어집 시드가 완료되었습니다.', ...result });
+  } catch (error) {
+    next(error);
+  }
+}
+
+module.exports = {
+  listTerms,
+  getTerm,
+  createTerm,
+  updateTerm,
+  deleteTerm,
+  translateSample,
+  seedTerms,
+};
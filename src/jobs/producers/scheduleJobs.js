@@ -12,10 +12,10 @@ const createJobData = {
   updateExchangeRates: () => ({ taskType: 'FETCH_AND_STORE_RATES' }),
   fetchFullCatalog: () => ({ catalogType: 'full', triggeredBy: 'cron_scheduler' }),
   fetchSegmentCatalog: () => {
-    // 세그먼트 카탈로그는 특정 시간대의 파일명을 생성해야 할 수 있음
-    // 예: const now = new Date(); const hour = now.getHours(); return { catalogType: 'segment', hour };
+    // 파일명을 지정하지 않으면 워커가 최근 시간대 중 처리되지 않은 세그먼트 파일을 모두 KST 순서대로 처리함 (누락 시간대 보충)
     return { catalogType: 'segment', triggeredBy: 'cron_scheduler' };
   },
+  syncBunjangBrands: () => ({ triggeredBy: 'cron_scheduler' }),
 };
 
 /**
@@ -95,6 +95,14 @@ function initializeScheduledJobs() {
     createJobData.fetchSegmentCatalog,
     { priority: 1 } // 예: 전체 카탈로그보다 높은 우선순위
   );
+
+  // 4. 번개장터 브랜드 목록 동기화 작업 (상품 vendor/브랜드 태그/브랜드 컬렉션용 캐시)
+  scheduleJob(
+    config.scheduler.syncBunjangBrandsCron,
+    'SyncBunjangBrands',
+    config.bullmq.queues.brandSync,
+    createJobData.syncBunjangBrands
+  );
   
   // TODO: 여기에 다른 주기적인 작업들 추가 (예: 오래된 데이터 정리, 보고서 생성 등)
 
@@ -0,0 +1,60 @@
+// src/jobs/workers/brandSyncWorker.js
+// BullMQ 워커: 번개장터 브랜드 목록 동기화 작업을 처리합니다.
+
+const { Worker } = require('bullmq');
+const logger = require('../../config/logger');
+const brandCatalogService = require('../../services/brandCatalogService');
+const { JobQueueError } = require('../../utils/customErrors');
+
+const CONCURRENCY = 1; // 브랜드 목록 전체를 upsert하므로 한 번에 하나만 처리
+
+/**
+ * 브랜드 목록 동기화 작업을 처리하는 워커 로직입니다.
+ * @param {import('bullmq').Job} job - BullMQ 작업 객체.
+ */
+async function processBrandSync(job) {
+  logger.info(`[Worker: ${job.queueName}] Starting job ${job.id} (Name: ${job.name}). Data: ${JSON.stringify(job.data)}`);
+
+  try {
+    const summary = await brandCatalogService.syncBrandsFromBunjang({ jobId: job.id });
+    return { success: true, ...summary };
+  } catch (error) {
+    logger.error(`[Worker: ${job.queueName}] Job ${job.id} failed: ${error.message}`, {
+      stack: error.stack, errorCode: error.errorCode, details: error.details,
+    });
+    throw new JobQueueError(job.queueName, { id: job.id, name: job.name, data: job.data }, error, `브랜드 목록 동기화 작업 실패 (Job ID: ${job.id})`);
+  }
+}
+
+/**
+ * 지정된 큐 이름과 Redis 연결을 사용하여 브랜드 목록 동기화 워커를 생성하고 시작합니다.
+ * @param {string} queueName - 작업을 가져올 큐의 이름.
+ * @param {object} connection - BullMQ용 Redis 연결 객체 (ioredis 인스턴스).
+ * @returns {Worker} 생성된 BullMQ 워커 인스턴스.
+ */
+function createBrandSyncWorker(queueName, connection) {
+  const worker = new Worker(queueName, processBrandSync, {
+    connection,
+    concurrency: CONCURRENCY,
+  });
+
+  worker.on('completed', (job, returnValue) => {
+    logger.info(`[Worker: ${worker.name}] Job ${job.id} (Name: ${job.name}) completed. Return: ${JSON.stringify(returnValue)}`);
+  });
+
+  worker.on('failed', (job, error) => {
+    logger.error(`[Worker: ${worker.name}] Job ${job?.id} (Name: ${job?.name}) failed ultimately: ${error.message}`, {
+      jobData: job?.data,
+      attemptsMade: job?.attemptsMade,
+    });
+  });
+
+  worker.on('error', err => {
+    logger.error(`[Worker: ${worker.name}] General error in worker:`, err);
+  });
+
+  logger.info(`[Worker] Brand Sync Worker listening on queue "${queueName}" with concurrency ${CONCURRENCY}.`);
+  return worker;
+}
+
+module.exports = createBrandSyncWorker;
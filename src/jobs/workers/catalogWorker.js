@@ -1,8 +1,10 @@
 // src/jobs/workers/catalogWorker.js
-const { Worker } = require('bullmq');
+const { Worker, UnrecoverableError } = require('bullmq');
 const config = require('../../config');
 const logger = require('../../config/logger');
-const { fetchAndProcessBunjangCatalog } = require('../../services/catalogService');
+const { fetchAndProcessBunjangCatalog, generateBunjangCatalogFilename, CATALOG_ANOMALY_DETECTED } = require('../../services/catalogService');
+const { processPendingSegmentCatalogs } = require('../../services/segmentBackfillService');
+const { getQueue } = require('../queues');
 let catalogService;
 
 async function initializeCatalogService() {
@@ -38,9 +40,28 @@ async function processCatalogJob(job) {
     throw new JobQueueError(job.queueName, job, null, `Invalid catalogType: ${catalogType} for ${currentJobIdentifier}`);
   }
 
+  // Segment jobs without an explicit file name process every pending hourly segment (backfill) in KST order.
+  if (catalogType === 'segment' && !job.data.catalogFileName) {
+    return processSegmentBackfillJob(job, currentJobIdentifier);
+  }
+
   try {
+    // Pin the catalog file name to the job data on the first attempt so that a retried or stalled job
+    // resumes the same file (and its checkpoint) instead of computing a new name from the retry time.
+    let catalogFileName = job.data.catalogFileName;
+    if (!catalogFileName) {
+      catalogFileName = generateBunjangCatalogFilename(catalogType, new Date());
+      await job.updateData({ ...job.data, catalogFileName });
+    }
+
     // Pass the well-defined 'currentJobIdentifier' to the service layer for consistent logging
-    const resultSummary = await fetchAndProcessBunjangCatalog(catalogType, currentJobIdentifier);
+    const resultSummary = await fetchAndProcessBunjangCatalog(catalogType, currentJobIdentifier, {
+      fileName: catalogFileName,
+      triggeredBy: job.data.triggeredBy, // recorded on the CatalogRun history (cron vs api)
+      bypassAnomalyGuard: job.data.bypassAnomalyGuard === true, // admin override after reviewing an anomaly alert
+      dryRun: job.data.dryRun === true, // plan mode: report per-product actions without writing to Shopify
+      planOverrides: job.data.planOverrides || null, // markup / handling fee / category filter to preview in plan mode
+    });
     logger.info(`[Worker: ${job.queueName}] ${currentJobIdentifier} (Type: ${catalogType}) completed successfully. Summary:`, resultSummary);
     return { success: true, catalogType, summary: resultSummary };
   } catch (error) { // This 'error' is whatever was thrown from fetchAndProcessBunjangCatalog
@@ -59,6 +80,11 @@ async function processCatalogJob(job) {
     // Create a more informative message for BullMQ/Bull Board
     // This message will be the 'message' property of the JobQueueError
     const displayErrorMessage = `Catalog processing ${currentJobIdentifier}, Type: ${catalogType}, failed. Cause: ${originalErrorMessage.substring(0, 250)}`;
+
+    // An anomalous catalog file fails the same way on every attempt; retrying would only re-download it and re-alert.
+    if (error.errorCode === CATALOG_ANOMALY_DETECTED) {
+      throw new UnrecoverableError(displayErrorMessage);
+    }
     
     // Wrap the caught error in JobQueueError to provide context to the job system
     // The original 'error' object is passed as the 'cause'
@@ -66,6 +92,48 @@ async function processCatalogJob(job) {
   }
 }
 
+const SEGMENT_RETRY_JOB_NAME = 'RetryPending-FetchBunjangCatalog-Segment';
+
+async function processSegmentBackfillJob(job, currentJobIdentifier) {
+  let backfillResult;
+  try {
+    backfillResult = await processPendingSegmentCatalogs(currentJobIdentifier, { triggeredBy: job.data.triggeredBy });
+  } catch (error) {
+    logger.error(`[Worker: ${job.queueName}] ${currentJobIdentifier} segment backfill FAILED. Caught Error: ${error.message}`, { originalStack: error.stack });
+    throw new JobQueueError(job.queueName, job, error, `Segment backfill ${currentJobIdentifier} failed. Cause: ${String(error.message).substring(0, 250)}`);
+  }
+
+  // Files that are not published yet are retried by a delayed job instead of failing this one.
+  if (backfillResult.unavailable.length > 0) {
+    await scheduleSegmentRetry(job.queueName, backfillResult.unavailable)
+      .catch(error => logger.warn(`[Worker: ${job.queueName}] Failed to schedule segment retry job: ${error.message}`));
+  }
+
+  if (backfillResult.failed.length > 0) {
+    const failedFiles = backfillResult.failed.map(f => f.fileName).join(', ');
+    throw new JobQueueError(job.queueName, job, null, `Segment backfill ${currentJobIdentifier} failed for: ${failedFiles.substring(0, 250)}`);
+  }
+
+  logger.info(`[Worker: ${job.queueName}] ${currentJobIdentifier} (Type: segment) completed. Processed: ${backfillResult.processed.length}, Not yet available: ${backfillResult.unavailable.length}`);
+  return { success: true, catalogType: 'segment', summary: backfillResult };
+}
+
+async function scheduleSegmentRetry(queueName, unavailableFileNames) {
+  const queue = getQueue(queueName);
+  if (!queue) return;
+
+  // Only keep one pending retry at a time; it processes every pending segment when it runs.
+  const delayedJobs = await queue.getDelayed();
+  if (delayedJobs.some(delayedJob => delayedJob.name === SEGMENT_RETRY_JOB_NAME)) {
+    logger.info(`[Worker: ${queueName}] Segment retry job already scheduled. Pending: ${unavailableFileNames.join(', ')}`);
+    return;
+  }
+
+  const delay = config.bunjang.segmentRetryDelayMs;
+  await queue.add(SEGMENT_RETRY_JOB_NAME, { catalogType: 'segment', triggeredBy: 'cron_segment_retry' }, { delay });
+  logger.info(`[Worker: ${queueName}] Scheduled segment retry in ${Math.round(delay / 1000)}s for: ${unavailableFileNames.join(', ')}`);
+}
+
 function createCatalogWorker(queueName, connection) {
   const worker = new Worker(queueName, processCatalogJob, {
     connection,
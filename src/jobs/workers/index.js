@@ -9,7 +9,8 @@ const { getBullMQRedisConnection } = require('../../config/redisClient'); // 경
 const createExchangeRateWorker = require('./exchangeRateWorker');
 const createCatalogWorker = require('./catalogWorker');
 const createOrderWorker = require('./orderWorker');
-// const createProductSyncWorker = require('./productSyncWorker'); // 필요시
+const createProductSyncWorker = require('./productSyncWorker');
+const createBrandSyncWorker = require('./brandSyncWorker');
 
 const workers = []; // 활성 워커 인스턴스 저장 배열
 
@@ -43,11 +44,17 @@ function initializeAllWorkers() {
   workers.push(orderWorker);
   logger.info(`[Workers] Order Processing Worker for queue "${orderQueueName}" initialized.`);
 
-  // 4. (선택) 개별 상품 동기화 워커
-  // const productSyncQueueName = config.bullmq.queues.productSync;
-  // const productSyncWorker = createProductSyncWorker(productSyncQueueName, getBullMQRedisConnection());
-  // workers.push(productSyncWorker);
-  // logger.info(`[Workers] Product Sync Worker for queue "${productSyncQueueName}" initialized.`);
+  // 4. 개별 상품 동기화 워커 (카탈로그 작업이 상품마다 추가한 작업 처리)
+  const productSyncQueueName = config.bullmq.queues.productSync;
+  const productSyncWorker = createProductSyncWorker(productSyncQueueName, getBullMQRedisConnection());
+  workers.push(productSyncWorker);
+  logger.info(`[Workers] Product Sync Worker for queue "${productSyncQueueName}" initialized.`);
+
+  // 5. 번개장터 브랜드 목록 동기화 워커
+  const brandSyncQueueName = config.bullmq.queues.brandSync;
+  const brandSyncWorker = createBrandSyncWorker(brandSyncQueueName, getBullMQRedisConnection());
+  workers.push(brandSyncWorker);
+  logger.info(`[Workers] Brand Sync Worker for queue "${brandSyncQueueName}" initialized.`);
 
 
   logger.info(`[Workers] All ${workers.length} BullMQ workers have been initialized.`);
@@ -0,0 +1,95 @@
+// src/jobs/workers/productSyncWorker.js
+// BullMQ 워커: 카탈로그 작업이 상품마다 추가한 개별 상품 동기화 작업을 처리합니다.
+
+const { Worker } = require('bullmq');
+const config = require('../../config');
+const logger = require('../../config/logger');
+const { syncBunjangProductToShopify } = require('../../services/catalogService');
+const catalogRunService = require('../../services/catalogRunService');
+const { JobQueueError } = require('../../utils/customErrors');
+
+const CONCURRENCY = config.jobQueue?.concurrency?.productSync || 1; // 동시 처리 작업 수
+
+/**
+ * 작업 데이터(JSON)로 직렬화되며 문자열이 된 날짜 필드를 Date로 복원합니다.
+ * @param {object} product - 작업 데이터의 상품 객체.
+ * @returns {object} 날짜 필드가 복원된 상품 객체.
+ */
+function rehydrateProduct(product) {
+  return {
+    ...product,
+    updatedAt: product.updatedAt ? new Date(product.updatedAt) : null,
+    createdAt: product.createdAt ? new Date(product.createdAt) : null,
+  };
+}
+
+/**
+ * 개별 상품 동기화 작업을 처리하는 워커 로직입니다.
+ * 동기화 실패 시 작업을 실패시켜 BullMQ가 재시도하도록 하며, 최종 결과만 카탈로그 실행 이력에 반영합니다.
+ * @param {import('bullmq').Job} job - BullMQ 작업 객체.
+ */
+async function processProductSyncJob(job) {
+  const { product: rawProduct, catalogRunId, catalogFileName } = job.data;
+  if (!rawProduct?.pid) {
+    throw new JobQueueError(job.queueName, { id: job.id, name: job.name }, null, `상품 동기화 작업에 PID가 없습니다 (Job ID: ${job.id})`);
+  }
+
+  const product = rehydrateProduct(rawProduct);
+  const jobIdentifier = `ProductJob ${job.id} (Catalog: ${catalogFileName || 'N/A'})`;
+  const maxAttempts = job.opts.attempts || 1;
+  const isFinalAttempt = job.attemptsMade + 1 >= maxAttempts;
+
+  let result;
+  try {
+    result = await syncBunjangProductToShopify(product, jobIdentifier);
+  } catch (error) {
+    result = { status: 'error', message: error.message };
+  }
+
+  if (result.status === 'error') {
+    logger.warn(`[Worker: ${job.queueName}] Sync failed for PID ${product.pid} (attempt ${job.attemptsMade + 1}/${maxAttempts}): ${result.message}`);
+    if (isFinalAttempt) {
+      await catalogRunService.recordProductSyncResult(catalogRunId, 'error', {
+        pid: product.pid,
+        rowNumber: product.rowNumber,
+        message: result.message,
+      }).catch(runError => logger.warn(`[Worker: ${job.queueName}] Failed to record product sync result: ${runError.message}`));
+    }
+    throw new JobQueueError(job.queueName, { id: job.id, name: job.name, pid: product.pid }, null, `상품 동기화 실패 (PID: ${product.pid}): ${String(result.message).substring(0, 250)}`);
+  }
+
+  await catalogRunService.recordProductSyncResult(catalogRunId, result.status)
+    .catch(runError => logger.warn(`[Worker: ${job.queueName}] Failed to record product sync result: ${runError.message}`));
+  return { pid: product.pid, ...result };
+}
+
+/**
+ * 지정된 큐 이름과 Redis 연결을 사용하여 상품 동기화 워커를 생성하고 시작합니다.
+ * 여러 인스턴스에서 같은 큐를 처리하도록 수평 확장할 수 있습니다.
+ * @param {string} queueName - 작업을 가져올 큐의 이름.
+ * @param {object} connection - BullMQ용 Redis 연결 객체 (ioredis 인스턴스).
+ * @returns {Worker} 생성된 BullMQ 워커 인스턴스.
+ */
+function createProductSyncWorker(queueName, connection) {
+  const worker = new Worker(queueName, processProductSyncJob, {
+    connection,
+    concurrency: CONCURRENCY,
+  });
+
+  worker.on('completed', (job, returnValue) => {
+    logger.debug(`[Worker: ${worker.name}] Job ${job.id} completed. Return: ${JSON.stringify(returnValue)}`);
+  });
+
+  worker.on('failed', (job, error) => {
+    logger.error(`[Worker: ${worker.name}] Job ${job?.id} (PID: ${job?.data?.product?.pid}) failed after ${job?.attemptsMade} attempts: ${error.message}`);
+  });
+
+  worker.on('error', err => {
+    logger.error(`[Worker: ${worker.name}] General error in product sync worker:`, err);
+  });
+
+  logger.info(`[Worker] Product Sync Worker listening on queue "${queueName}" with concurrency ${CONCURRENCY}.`);
+  return worker;
+}
+
+module.exports = createProductSyncWorker;
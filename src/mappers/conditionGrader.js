@@ -0,0 +1,166 @@
+// src/mappers/conditionGrader.js
+// 번개장터 상품 상태(condition 필드)와 상품명/설명의 표현을 합쳐 해외 구매자용 고정 등급으로 정규화합니다.
+//   등급 (좋은 순): SEALED(미개봉) > NEW(새상품) > LIKE_NEW(거의 새것) > GOOD(중고) > FAIR(사용감/기스) > DAMAGED(하자)
+//   1. condition 필드로 기본 등급 (USED → GOOD)
+//   2. 상품명/설명의 미개봉/새상품/거의 새것 표현은 판매자가 새상품으로 등록한 경우에만 등급을 정하고(미개봉 구분), 그 외에는 등급을 올리지 않음
+//      ("미개봉 아님", "밀봉 X"처럼 부정되었거나 가까이에 개봉 표현이 있으면 무시, "포카만"처럼 구성품 하나만 파는 상품의 미개봉 표현도 무시)
+//   3. 하자 표현이 있으면 DAMAGED, 사용감/기스는 최대 FAIR, 포카 없음 등 구성품 누락은 최대 GOOD ("하자 없음" 같은 부정 표현은 제외)
+// 등급은 condition:<grade> 태그, bunjang.condition_grade 메타필드, 등급별 가격 조정(config.bunjang.conditionGrading)에 사용됩니다.
+
+const config = require('../config');
+
+const CONDITION_GRADES = ['SEALED', 'NEW', 'LIKE_NEW', 'GOOD', 'FAIR', 'DAMAGED'];
+const CONDITION_GRADE_LABELS = {
+  SEALED: 'Sealed',
+  NEW: 'New',
+  LIKE_NEW: 'Like New',
+  GOOD: 'Good',
+  FAIR: 'Fair',
+  DAMAGED: 'Damaged',
+};
+// 번개장터 condition 값 → 기본 등급
+const BASE_GRADES_BY_CONDITION = {
+  NEW: 'NEW',
+  '새상품': 'NEW',
+  LIKE_NEW: 'LIKE_NEW',
+  ALMOST_NEW: 'LIKE_NEW',
+  USED: 'GOOD',
+  '중고': 'GOOD',
+  DAMAGED: 'DAMAGED',
+  DEFECTIVE: 'DAMAGED',
+};
+
+const DEFECT_WORDS = '하자|파손|깨짐|깨진|찢어짐|찢김|꺾임|접힘|구김|찍힘|얼룩|오염|변색|곰팡이|고장|불량';
+const WEAR_WORDS = '생활\\s*기스|기스|스크래치|스크레치|흠집';
+// "하자 없음", "기스x", "무하자", "no damage" 등 부정 표현은 먼저 지움
+const NEGATED_FLAW_PATTERN = new RegExp(
+  `무하자|(?:${DEFECT_WORDS}|${WEAR_WORDS})\\s*(?:은|는|도|이|가)?\\s*(?:거의\\s*)?(?:없|x(?![a-z])|無)|\\b(?:no|without)\\s+(?:damages?|defects?|scratch(?:es)?|stains?|creases?|signs\\s+of\\s+use)\\b`,
+  'gi'
+);
+const DAMAGE_PATTERN = new RegExp(`${DEFECT_WORDS}|\\b(?:defects?|defective|damaged?|broken|torn|stains?|creased?)\\b`, 'i');
+const WEAR_PATTERN = new RegExp(`${WEAR_WORDS}|사용감\\s*(?:이|은)?\\s*(?:조금\\s*|약간\\s*)?있|\\bscratch(?:es|ed)?\\b|\\bsigns\\s+of\\s+use\\b`, 'i');
+const MISSING_PHOTOCARD_PATTERN = /(?:포카|포토\s*카드)\s*(?:는|도|가|이)?\s*(?:없|미포함|제외|빠|x(?![a-z]))|\b(?:no|without)\s+(?:photo\s*cards?|pcs?)\b|\b(?:photo\s*cards?|pcs?)\s+(?:not\s+included|missing)\b/i;
+const MISSING_INCLUSIONS_PATTERN = /구성품\s*(?:은|이)?\s*(?:없|미포함|일부|누락|빠)|\b(?:inclusions?|components?)\s+(?:not\s+included|missing)\b/i;
+const SEALED_PATTERN = /미개봉|밀봉|\bsealed\b|\bunopened\b/gi;
+// "새것 같은"처럼 새상품 표현을 포함하므로 NEW보다 먼저 확인하고 지움
+const LIKE_NEW_PATTERN = /새\s*(?:것|상품|제품)\s*같|거의\s*새|사용감\s*(?:이|은)?\s*(?:거의\s*)?(?:없|x(?![a-z]))|민트급|s급|\blike\s*new\b|\bnear\s*mint\b|\bmint\b/gi;
+const NEW_PATTERN = /새\s*상품|새\s*제품|새것|미사용|\bbrand\s*new\b|\bunused\b/gi;
+const CUE_WINDOW = 15; // 표현 앞뒤로 부정/개봉 표현을 찾는 글자 수
+// 표현 바로 뒤의 부정 ("미개봉 아님", "새상품 아닙니다", "밀봉x")
+const NEGATION_AFTER_CUE_PATTERN = /^\s*(?:은|는|이|가|도)?\s*(?:아님|아닙|아니|아닌|x(?![a-z])|×)/;
+const NEGATION_BEFORE_CUE_PATTERN = /\b(?:not|no\s+longer)\s+$/;
+// 개봉 표현 ("개봉함", "opened"). 미개봉, "개봉 안 함"은 제외
+const OPENED_PATTERN = /(?<!미)개봉(?!\s*(?:안|않|하지\s*않|x(?![a-z])))|\bopened\b/;
+// 구성품 하나만 파는 상품 ("앨범 미개봉, 포카만"의 미개봉은 상품이 아니라 앨범 상태)
+const PHOTOCARD_ONLY_PATTERN = /(?:포카|포토\s*카드)\s*(?:만|단품)(?!\s*(?:없|빠|제외|미포함))|\b(?:photo\s*cards?|pcs?)\s+only\b|\bonly\s+(?:the\s+)?(?:photo\s*cards?|pcs?)\b/i;
+
+/**
+ * 두 등급 중 나쁜 쪽을 반환합니다.
+ * @param {string} gradeA
+ * @param {string} gradeB
+ * @returns {string}
+ */
+function worseGrade(gradeA, gradeB) {
+  return CONDITION_GRADES.indexOf(gradeA) >= CONDITION_GRADES.indexOf(gradeB) ? gradeA : gradeB;
+}
+
+/**
+ * 부정되지 않은 상태 표현이 있는지 확인합니다.
+ * @param {string} text - 정규화된 상품명/설명.
+ * @param {RegExp} pattern - 상태 표현 (g 플래그).
+ * @param {object} [options]
+ * @param {boolean} [options.openedBreaksCue=false] - 가까이에 개봉 표현이 있으면 무시 (미개봉 표현용).
+ * @returns {boolean}
+ */
+function hasAffirmedCue(text, pattern, { openedBreaksCue = false } = {}) {
+  for (const match of text.matchAll(pattern)) {
+    const start = match.index;
+    const end = start + match[0].length;
+    if (NEGATION_AFTER_CUE_PATTERN.test(text.slice(end, end + CUE_WINDOW))) continue;
+    if (NEGATION_BEFORE_CUE_PATTERN.test(text.slice(Math.max(0, start - CUE_WINDOW), start))) continue;
+    if (openedBreaksCue && OPENED_PATTERN.test(text.slice(Math.max(0, start - CUE_WINDOW), end + CUE_WINDOW))) continue;
+    return true;
+  }
+  return false;
+}
+
+/**
+ * 상품 상태 등급을 정합니다.
+ * @param {object} params
+ * @param {string} [params.condition] - 번개장터 condition 필드 (processCatalogRow에서 대문자, 기본 USED).
+ * @param {string} [params.name] - 상품명.
+ * @param {string} [params.description] - 상품 설명.
+ * @returns {{grade: string, label: string, notes: string[]}} notes는 구매자에게 보여줄 영어 안내 (예: "Photocard not included").
+ */
+function gradeCondition({ condition, name, description }) {
+  const text = `${name || ''}\n${description || ''}`.normalize('NFKC').toLowerCase().replace(NEGATED_FLAW_PATTERN, ' ');
+  const baseGrade = BASE_GRADES_BY_CONDITION[String(condition || 'USED').trim().toUpperCase()] || 'GOOD';
+  let grade = baseGrade;
+
+  const textWithoutLikeNew = text.replace(LIKE_NEW_PATTERN, ' ');
+  let cueGrade = null;
+  if (!PHOTOCARD_ONLY_PATTERN.test(text) && hasAffirmedCue(text, SEALED_PATTERN, { openedBreaksCue: true })) cueGrade = 'SEALED';
+  else if (hasAffirmedCue(textWithoutLikeNew, NEW_PATTERN)) cueGrade = 'NEW';
+  else if (hasAffirmedCue(text, LIKE_NEW_PATTERN)) cueGrade = 'LIKE_NEW';
+  // 중고/하자로 등록한 상품은 설명에 새상품 표현이 있어도 등급을 올리지 않음
+  if (cueGrade) grade = baseGrade === 'NEW' ? cueGrade : worseGrade(baseGrade, cueGrade);
+
+  const notes = [];
+  if (MISSING_PHOTOCARD_PATTERN.test(text)) notes.push('Photocard not included');
+  if (MISSING_INCLUSIONS_PATTERN.test(text)) notes.push('Some inclusions are missing');
+  if (notes.length > 0) grade = worseGrade(grade, 'GOOD');
+  if (WEAR_PATTERN.test(text)) {
+    grade = worseGrade(grade, 'FAIR');
+    notes.push('Visible signs of use or scratches');
+  }
+  if (DAMAGE_PATTERN.test(text)) {
+    grade = 'DAMAGED';
+    notes.push('Has defects described by the seller');
+  }
+  return { grade, label: CONDITION_GRADE_LABELS[grade], notes };
+}
+
+/**
+ * 등급 태그를 만듭니다.
+ * @param {string} grade - 예: 'LIKE_NEW'
+ * @returns {string} 예: "condition:like-new"
+ */
+function buildConditionTag(grade) {
+  return `condition:${grade.toLowerCase().replace(/_/g, '-')}`;
+}
+
+/**
+ * 상태 메타필드를 만듭니다. (bunjang.condition: 번개장터 원본 값, condition_grade: 등급 이름, condition_notes: 안내)
+ * @param {string} condition - 번개장터 condition 필드.
+ * @param {object|null} conditionGrade - gradeCondition 결과.
+ * @returns {Array<object>} Shopify MetafieldInput 목록.
+ */
+function buildConditionMetafields(condition, conditionGrade) {
+  const metafields = [];
+  if (condition) metafields.push({ namespace: 'bunjang', key: 'condition', type: 'single_line_text_field', value: String(condition) });
+  if (!conditionGrade) return metafields;
+  metafields.push({ namespace: 'bunjang', key: 'condition_grade', type: 'single_line_text_field', value: conditionGrade.label });
+  if (conditionGrade.notes.length > 0) {
+    metafields.push({ namespace: 'bunjang', key: 'condition_notes', type: 'list.single_line_text_field', value: JSON.stringify(conditionGrade.notes) });
+  }
+  return metafields;
+}
+
+/**
+ * 등급별 가격 조정을 원화 가격에 적용합니다. 설정이 없으면 그대로 반환합니다.
+ * @param {number} priceKrw - 번개장터 원화 가격.
+ * @param {string|null} grade - 상태 등급.
+ * @returns {number} 조정된 원화 가격 (원 단위 반올림).
+ */
+function applyConditionPriceAdjustment(priceKrw, grade) {
+  const percent = grade ? config.bunjang.conditionGrading?.priceAdjustmentPercent?.[grade] : null;
+  if (!percent) return priceKrw;
+  return Math.max(1, Math.round(priceKrw * (1 + percent / 100)));
+}
+
+module.exports = {
+  gradeCondition,
+  buildConditionTag,
+  buildConditionMetafields,
+  applyConditionPriceAdjustment,
+};
@@ -0,0 +1,114 @@
+// src/mappers/descriptionRenderer.js
+// 번개장터 판매자가 쓴 상품 설명을 스토어에 올릴 안전한 HTML로 변환합니다.
+//   - 판매자 HTML은 허용하지 않습니다. 태그는 줄바꿈/텍스트로 풀고 모든 문자를 이스케이프한 뒤 <p>/<br>만 사용합니다.
+//   - 전화번호, 카카오톡 ID/오픈채팅 등 외부 연락처, 외부 링크는 해당 부분만 제거합니다 (플랫폼 밖 거래 유도 방지).
+//   - 빈 줄로 나뉜 문단은 <p>, 문단 안의 줄바꿈은 <br>로 만들고 끝에 상품 상태/배송 안내 문구를 붙입니다.
+
+const config = require('../config');
+
+// 외부 메신저 연락처 부분만 제거 (예: "카톡으로 문의 주세요", "오픈채팅", "카카오톡 id: abc123", "카카오 아이디 abc123")
+// "카카오" 자체는 지우지 않음 ("카카오프렌즈 인형", "카카오 공식 굿즈"는 상품 설명). open.kakao.com 링크는 LINK_PATTERNS에서 제거
+const OFF_PLATFORM_CONTACT_PATTERN = new RegExp(
+  '(?:(?:카카오\\s*톡|카톡|kakao\\s*talk|오픈\\s*채팅|오픈\\s*톡|텔레그램|telegram)(?:\\s*(?:id(?![a-z])|아이디))?' + // 메신저 이름 (+ ID)
+  '|(?<![a-z])(?:카카오|kakao|라인|line)\\s*(?:id(?![a-z])|아이디))' + // 카카오/라인 ID
+  '(?:\\s*[:：=]?\\s*@?[a-z0-9_.-]{2,})?' + // 뒤따르는 ID
+  '(?:\\s*(?:으로|로|에서|이나|나)?\\s*(?:문의|연락|상담|대화|주세요|주시면|바랍니다|해\\s*주세요|하세요|가능|환영)[요.!~]*)*', // "으로 문의 주세요" 등 안내 문구
+  'gi'
+);
+const PHONE_NUMBER_PATTERNS = [
+  /(?:\+?82[-.\s]?)?\b0?1[016789][-.\s]?\d{3,4}[-.\s]?\d{4}\b/g, // 휴대폰 (010-1234-5678, 01012345678, +82 10 1234 5678)
+  /\b0(?:2|[3-6][1-5]|70)[-.\s)]\s?\d{3,4}[-.\s]\d{4}\b/g, // 지역번호/인터넷 전화 (02-123-4567, 070-1234-5678)
+];
+const LINK_PATTERNS = [
+  /(?:https?:\/\/|www\.)[^\s<>"'()]+/gi,
+  /\b[a-z0-9-]+(?:\.[a-z0-9-]+)*\.(?:com|net|org|kr|me|io|ly|gl|link|shop|store)\b(?:\/[^\s<>"'()]*)?/gi,
+];
+const HTML_ENTITIES = { amp: '&', lt: '<', gt: '>', quot: '"', apos: "'", nbsp: ' ' };
+
+// 기본 안내 문구 (config.bunjang.descriptionDisclaimerHtml로 교체 가능)
+const DEFAULT_DISCLAIMER_HTML = [
+  '<div class="bunjang-disclaimer">',
+  '<p><strong>Condition:</strong> This is a second-hand item listed by a seller in Korea. Photos show the actual item; minor signs of use or handling may not be mentioned in the description.</p>',
+  '<p><strong>Shipping:</strong> The item ships from Korea once the seller has delivered it to our warehouse and we have checked it. Delivery times vary by destination.</p>',
+  '</div>',
+].join('');
+
+/**
+ * HTML 특수문자를 이스케이프합니다.
+ * @param {string} text
+ * @returns {string}
+ */
+function escapeHtml(text) {
+  return text
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;')
+    .replace(/'/g, '&#39;');
+}
+
+/**
+ * 판매자 설명의 HTML을 일반 텍스트로 풉니다. (script/style 내용 제거, 블록 태그와 <br>은 줄바꿈, 나머지 태그 제거, 엔티티 복원)
+ * @param {string} text
+ * @returns {string}
+ */
+function htmlToText(text) {
+  return text
+    .replace(/<(script|style)\b[\s\S]*?<\/\1\s*>/gi, '')
+    .replace(/<br\s*\/?>/gi, '\n')
+    .replace(/<\/(p|div|li|h[1-6])\s*>/gi, '\n')
+    .replace(/<\/?[a-z][^>]*>/gi, '')
+    .replace(/&(#\d+|#x[0-9a-f]+|[a-z]+);/gi, (entity, code) => {
+      if (code[0] === '#') {
+        const codePoint = code[1].toLowerCase() === 'x' ? parseInt(code.slice(2), 16) : parseInt(code.slice(1), 10);
+        return codePoint > 0 && codePoint <= 0x10ffff ? String.fromCodePoint(codePoint) : '';
+      }
+      return HTML_ENTITIES[code.toLowerCase()] ?? entity;
+    });
+}
+
+/**
+ * 설명에서 HTML과 외부 연락처(전화번호, 메신저 ID, 외부 링크)를 제거한 일반 텍스트를 만듭니다.
+ * 번역 전과 한국어 원문 메타필드에도 같은 결과를 사용합니다.
+ * @param {string} description - 번개장터 상품 설명 원문.
+ * @returns {string} 정리된 텍스트 (줄바꿈 유지, 빈 줄은 최대 하나).
+ */
+function sanitizeDescriptionText(description) {
+  if (!description) return '';
+  return htmlToText(String(description))
+    .replace(/\r\n?/g, '\n')
+    .split('\n')
+    .map(line => {
+      const originalLine = line.trim();
+      // 링크/전화번호를 먼저 지워야 "카톡 010-..."이나 "오픈채팅 https://..."에서 메신저 부분만 남지 않음
+      for (const pattern of [...PHONE_NUMBER_PATTERNS, ...LINK_PATTERNS, OFF_PLATFORM_CONTACT_PATTERN]) {
+        line = line.replace(pattern, '');
+      }
+      line = line.replace(/[ \t\u00a0]+/g, ' ').trim();
+      return !originalLine || /[\p{L}\p{N}]/u.test(line) ? line : null; // 연락처를 지우고 빈 줄/구두점만 남은 줄은 제거 (원래 빈 줄은 문단 구분으로 유지)
+    })
+    .filter(line => line !== null)
+    .join('\n')
+    .replace(/\n{3,}/g, '\n\n')
+    .trim();
+}
+
+/**
+ * 상품 설명을 Shopify descriptionHtml로 렌더링합니다.
+ * @param {string} description - 상품 설명 (번역문 또는 원문).
+ * @param {object} [options] - { pid: 설명이 비었을 때 안내문에 표시할 상품 ID }
+ * @returns {string} 안전한 HTML (문단 + 안내 문구).
+ */
+function renderDescriptionHtml(description, { pid } = {}) {
+  const text = sanitizeDescriptionText(description);
+  const paragraphs = text
+    ? text.split(/\n\n/).map(paragraph => `<p>${paragraph.split('\n').map(escapeHtml).join('<br>')}</p>`)
+    : [`<p>Imported from Bunjang.${pid ? ` Product ID: ${escapeHtml(String(pid))}` : ''}</p>`];
+  const disclaimerHtml = config.bunjang.descriptionDisclaimerHtml || DEFAULT_DISCLAIMER_HTML;
+  return `${paragraphs.join('')}${disclaimerHtml}`;
+}
+
+module.exports = {
+  sanitizeDescriptionText,
+  renderDescriptionHtml,
+};
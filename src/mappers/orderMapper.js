@@ -87,7 +87,7 @@ function mapMultipleItemsToBunjangOrders(shopifyLineItems, bunjangProductDetails
       continue; // 번개장터 연동 상품이 아님
     }
     
-    const bunjangPid = item.sku.substring(3);
+    const bunjangPid = item.sku.substring(3).split('-')[0];
     const bunjangProductDetails = bunjangProductDetailsMap.get(bunjangPid);
     
     if (!bunjangProductDetails) {
@@ -132,7 +132,7 @@ function extractBunjangMetadataFromOrder(shopifyOrder) {
     if (item.sku && item.sku.startsWith('BJ-')) {
       metadata.hasBunjangItems = true;
       metadata.bunjangItemCount++;
-      metadata.bunjangPids.push(item.sku.substring(3));
+      metadata.bunjangPids.push(item.sku.substring(3).split('-')[0]);
       metadata.totalBunjangValue += (parseFloat(item.price) || 0) * (item.quantity || 1);
     }
   }
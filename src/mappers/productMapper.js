@@ -5,6 +5,9 @@
 const config = require('../config');
 const logger = require('../config/logger');
 const { AppError } = require('../utils/customErrors');
+const { buildVariantPlan } = require('./variantMapper');
+const { renderDescriptionHtml } = require('./descriptionRenderer');
+const { buildBrandListingFields } = require('../services/brandCatalogService');
 
 /**
  * 번개장터 카테고리 ID를 Shopify 상품 유형 문자열로 매핑합니다.
@@ -40,11 +43,8 @@ function mapBunjangToShopifyInput(bunjangProduct, shopifyPriceString) {
 
     const productType = mapBunjangCategoryToShopifyProductType(categoryId);
 
-    // HTML 정제: description 필드는 HTML일 수 있으므로 정제 필요.
-    // 실제 운영에서는 XSS 방지를 위해 DOMPurify 같은 신뢰할 수 있는 HTML Sanitizer 사용 필수!
-    // 여기서는 간단히 줄바꿈만 처리하고, 위험할 수 있는 태그 제거 시도.
-    let bodyHtml = description ? description.replace(/\n/g, '<br />') : '<p>상품 설명이 제공되지 않았습니다.</p>';
-    bodyHtml = bodyHtml.replace(/<script\b[^<]*(?:(?!<\/script>)<[^<]*)*<\/script>/gi, ''); // 기본적인 script 태그 제거
+    // 설명의 HTML/외부 연락처를 제거하고 문단과 안내 문구를 붙여 렌더링 (descriptionRenderer)
+    const bodyHtml = renderDescriptionHtml(description, { pid });
 
     const sku = `BJ-${pid}`; // Shopify 스토어 내 고유 SKU
 
@@ -56,6 +56,9 @@ function mapBunjangToShopifyInput(bunjangProduct, shopifyPriceString) {
         }))
       : []; // 이미지가 없으면 빈 배열 (Shopify에서 오류 발생하지 않도록)
 
+    // 브랜드 캐시(brandCatalogService)의 브랜드 이름과 brand:<slug> 태그 (캐시에 없으면 기본 vendor와 bunjang_brand:<id>)
+    const brandFields = buildBrandListingFields(brandId, bunjangProduct.brand);
+
     // 태그: 번개장터 키워드 + 고정 태그 + 카테고리 + 브랜드 + PID (검색용)
     // 태그는 최대 255자, 상품당 최대 250개
     const tags = [
@@ -63,7 +66,7 @@ function mapBunjangToShopifyInput(bunjangProduct, shopifyPriceString) {
       'BunjangLinked',
       productType, // 예: "K-Pop Goods"
       `bunjang_pid:${pid}`, // 검색 가능한 형태로 PID 저장
-      brandId ? `bunjang_brand:${brandId}` : undefined,
+      ...brandFields.tags,
       // condition ? `condition:${condition}` : undefined, // 상태도 태그로 (선택적)
     ].map(tag => String(tag || '').trim().substring(0, 255)) // 문자열 변환, 공백제거, 길이제한
      .filter((tag, index, self) => tag && self.indexOf(tag) === index) // 유효하고 중복 없는 태그만
@@ -84,31 +87,28 @@ function mapBunjangToShopifyInput(bunjangProduct, shopifyPriceString) {
       (bunjangOptions && bunjangOptions.length > 0) ? { namespace: "bunjang", key: "options_json", value: JSON.stringify(bunjangOptions), type: "json_string" } : null,
     ].filter(Boolean); // null인 메타필드 제거
 
-    // 상품 옵션 및 변형(Variants) 처리
-    // 번개장터 'options' 필드: "[{ \"id\": \"색상\", \"value\": \"빨강\" }, { \"id\": \"사이즈\", \"value\": \"M\" }]"
-    // Shopify ProductInput:
-    //   options: ["색상", "사이즈"] (옵션 이름 배열)
-    //   variants: [{ option1: "빨강", option2: "M", price: "...", sku: "...", ... }, ...]
-    // 이 부분은 매우 복잡하며, 번개장터 옵션 구조에 따라 동적으로 Shopify variants를 생성해야 함.
-    // 현재 구현은 단일 variant를 기본으로 하고, 옵션 정보는 메타필드에 JSON으로 저장.
-    // TODO: 실제 다중 옵션 상품 처리 로직 구현 필요.
-    const productVariantsInput = [
-      {
-        price: shopifyPriceString, // 계산된 USD 가격
-        sku: sku,
-        // inventoryPolicy: 재고 0일 때 판매 계속 여부 ('DENY' 또는 'CONTINUE')
-        // 카탈로그 quantity가 0이면 CONTINUE (품절이지만 계속 표시), 0보다 크면 DENY (재고 없으면 판매 중지)
-        inventoryPolicy: quantity > 0 ? 'DENY' : 'CONTINUE',
-        inventoryQuantities: [
-          {
-            availableQuantity: quantity > 0 ? quantity : 0,
-            locationId: config.shopify.defaultLocationId, // .env 설정된 기본 Location GID
-          },
-        ],
-        // 단일 variant의 경우 Shopify가 자동으로 "Default Title" 옵션을 생성하거나,
-        // option1: "Default" 등을 설정할 수 있음. 여기서는 비워둠.
-      },
-    ];
+    // 상품 옵션 및 변형(Variants) 처리 (variantMapper.buildVariantPlan)
+    // 번개장터 'options' 필드: [{ "id": "멤버", "value": "정국" }, { "id": "멤버", "value": "지민" }]
+    // → Shopify productOptions: [{ name: "멤버", values: [{ name: "정국" }, { name: "지민" }] }], 옵션 조합마다 variant (SKU: BJ-<pid>-<n>)
+    // 옵션 가격(KRW)의 USD 환산은 비동기이므로 여기서는 모든 variant에 계산된 가격을 사용 (catalogService.syncProductVariants에서 옵션별 환산)
+    const variantPlan = buildVariantPlan({ pid, price: bunjangPriceKrw, optionsRaw: bunjangOptions });
+    const variantInputs = variantPlan?.productOptions.length > 0
+      ? variantPlan.variants.map(variant => ({ sku: variant.sku, optionValues: variant.optionValues, quantity: variant.quantity }))
+      : [{ sku: sku, optionValues: [], quantity: quantity > 0 ? quantity : 0 }];
+    const productVariantsInput = variantInputs.map(variant => ({
+      price: shopifyPriceString, // 계산된 USD 가격
+      sku: variant.sku,
+      ...(variant.optionValues.length > 0 && { optionValues: variant.optionValues }),
+      // inventoryPolicy: 재고 0일 때 판매 계속 여부 ('DENY' 또는 'CONTINUE')
+      // 카탈로그 quantity가 0이면 CONTINUE (품절이지만 계속 표시), 0보다 크면 DENY (재고 없으면 판매 중지)
+      inventoryPolicy: quantity > 0 ? 'DENY' : 'CONTINUE',
+      inventoryQuantities: [
+        {
+          availableQuantity: variant.quantity,
+          locationId: config.shopify.defaultLocationId, // .env 설정된 기본 Location GID
+        },
+      ],
+    }));
     
     // 상품 상태: 번개장터 saleStatus가 'SELLING'이면 'ACTIVE', 아니면 'DRAFT' 또는 'ARCHIVED'
     // 카탈로그에는 SELLING만 온다고 가정했으므로 ACTIVE.
@@ -117,7 +117,7 @@ function mapBunjangToShopifyInput(bunjangProduct, shopifyPriceString) {
     const productInput = {
       title: String(name).substring(0, 255), // Shopify 제목 길이 제한
       bodyHtml: bodyHtml,
-      vendor: brandId ? `Bunjang (Brand: ${brandId})` : `Bunjang (Seller: ${sellerUid})`, // 공급업체
+      vendor: brandFields.vendor, // 공급업체
       productType: productType,
       tags: tags,
       status: productStatus, // 상품 상태 (ACTIVE, DRAFT, ARCHIVED)
@@ -127,7 +127,7 @@ function mapBunjangToShopifyInput(bunjangProduct, shopifyPriceString) {
       metafields: metafields.length > 0 ? metafields : undefined, // 메타필드 없으면 제외
 
       variants: productVariantsInput,
-      // options: ["옵션1 이름", "옵션2 이름"] // 다중 옵션 시 여기에 옵션 이름 배열 설정
+      ...(variantPlan?.productOptions.length > 0 && { productOptions: variantPlan.productOptions }),
     };
 
     return productInput;
@@ -0,0 +1,93 @@
+// src/mappers/seoMapper.js
+// Shopify 상품 핸들(URL)과 검색엔진용 SEO 제목/설명을 만듭니다.
+//   - 핸들: "<아티스트>-<상품 종류>-<PID>" 형식의 ASCII (예: "bts-photocard-123456789"). PID가 들어가므로 상품마다 고유하며,
+//     한 번 정해진 핸들은 상품명/속성이 바뀌어도 유지합니다 (catalogService에서 기존 핸들을 전달).
+//   - SEO 제목(70자)과 설명(160자)은 번역된 상품명, 상품 유형(카테고리), 브랜드/아티스트, 설명 앞부분으로 만듭니다.
+
+const MAX_HANDLE_SEGMENT_LENGTH = 40;
+const MAX_SEO_TITLE_LENGTH = 70;
+const MAX_SEO_DESCRIPTION_LENGTH = 160;
+
+/**
+ * 텍스트를 핸들에 쓸 수 있는 ASCII 조각으로 바꿉니다. (소문자, 숫자, 하이픈)
+ * @param {string} text
+ * @returns {string} ASCII 문자가 없으면 빈 문자열.
+ */
+function toHandleSegment(text) {
+  return String(text || '')
+    .normalize('NFKD')
+    .replace(/[\u0300-\u036f]/g, '') // 악센트 제거 (é → e)
+    .toLowerCase()
+    .replace(/&/g, ' and ')
+    .replace(/['’]/g, '')
+    .replace(/[^a-z0-9]+/g, '-')
+    .replace(/^-+|-+$/g, '')
+    .substring(0, MAX_HANDLE_SEGMENT_LENGTH)
+    .replace(/-+$/g, '');
+}
+
+/**
+ * 상품 핸들을 만듭니다. 아티스트(아티스트 사전의 slug)와 상품 종류(속성 추출 결과)가 없으면 "bunjang-<PID>"입니다.
+ * @param {object} bunjangProduct - processCatalogRow 결과 상품 객체 (pid, artists, attributes).
+ * @returns {string} 예: "seventeen-photocard-123456789"
+ */
+function buildProductHandle(bunjangProduct) {
+  const artistSegment = toHandleSegment(bunjangProduct.artists?.[0]?.slug || bunjangProduct.artists?.[0]?.name);
+  const itemTypeSegment = toHandleSegment(bunjangProduct.attributes?.itemType);
+  const segments = [artistSegment, itemTypeSegment].filter(Boolean);
+  return [...(segments.length > 0 ? segments : ['bunjang']), toHandleSegment(bunjangProduct.pid)].join('-');
+}
+
+/**
+ * 이 연동이 만든 핸들인지 확인합니다. (PID로 끝나는 ASCII 핸들. 예전 한국어 상품명으로 만들어진 핸들은 false)
+ * @param {string|null} handle - 현재 Shopify 핸들.
+ * @param {string} pid - 번개장터 상품 ID.
+ * @returns {boolean}
+ */
+function isGeneratedProductHandle(handle, pid) {
+  return !!handle && /^[a-z0-9-]+$/.test(handle) && handle.endsWith(`-${toHandleSegment(pid)}`);
+}
+
+/**
+ * 단어 경계에서 최대 길이로 자릅니다.
+ * @param {string} text
+ * @param {number} maxLength
+ * @returns {string}
+ */
+function truncateAtWord(text, maxLength) {
+  if (text.length <= maxLength) return text;
+  const cut = text.substring(0, maxLength - 1);
+  const lastSpace = cut.lastIndexOf(' ');
+  return `${(lastSpace > maxLength / 2 ? cut.substring(0, lastSpace) : cut).replace(/[\s,.;:|-]+$/, '')}…`;
+}
+
+/**
+ * SEO 제목과 설명을 만듭니다.
+ * @param {object} params
+ * @param {string} params.title - 상품명 (번역문 우선).
+ * @param {string} [params.productType] - Shopify 상품 유형 (카테고리 매핑 결과).
+ * @param {string} [params.brand] - 브랜드 또는 아티스트 이름.
+ * @param {string} [params.descriptionText] - 외부 연락처를 제거한 설명 텍스트 (번역문 우선).
+ * @returns {{title: string, description: string}} Shopify ProductInput.seo
+ */
+function buildSeoFields({ title, productType, brand, descriptionText }) {
+  const cleanTitle = String(title || '').replace(/\s+/g, ' ').trim();
+  const includesBrand = brand && cleanTitle.toLowerCase().includes(brand.toLowerCase());
+  const seoTitle = truncateAtWord(includesBrand || !brand ? cleanTitle : `${cleanTitle} | ${brand}`, MAX_SEO_TITLE_LENGTH);
+
+  const includesProductType = productType && cleanTitle.toLowerCase().includes(productType.toLowerCase());
+  const summary = [includesProductType ? null : productType, brand && !includesBrand ? `by ${brand}` : null].filter(Boolean).join(' ');
+  const descriptionSnippet = String(descriptionText || '').replace(/\s+/g, ' ').trim();
+  const seoDescription = truncateAtWord(
+    [`${cleanTitle}${summary ? ` - ${summary}` : ''}.`, descriptionSnippet, 'Shipped from Korea.'].filter(Boolean).join(' '),
+    MAX_SEO_DESCRIPTION_LENGTH
+  );
+  return { title: seoTitle, description: seoDescription };
+}
+
+module.exports = {
+  toHandleSegment,
+  buildProductHandle,
+  isGeneratedProductHandle,
+  buildSeoFields,
+};
@@ -0,0 +1,157 @@
+// src/mappers/variantMapper.js
+// 번개장터 상품 옵션을 Shopify 상품 옵션/variant로 변환하고, 주문된 variant를 번개장터 옵션으로 되돌립니다.
+// 번개장터 options 필드: [{ "id": "멤버", "value": "정국" }, { "id": "멤버", "value": "지민", "price": 12000 }, { "id": "버전", "value": "A" }]
+//   - id가 같은 항목끼리 하나의 Shopify 옵션(예: "멤버")이 되고, 옵션 값 조합마다 variant를 만듭니다.
+//   - price(KRW)가 있는 값은 그 가격으로, 없으면 상품 가격으로 판매합니다. (조합에 가격이 여러 개면 가장 높은 가격)
+//   - quantity가 0인 값이 들어간 조합은 재고 0으로 올립니다.
+//   - variant SKU는 옵션 값 조합의 해시(BJ-<pid>-<hash>)라서 판매자가 옵션을 추가/삭제/재정렬해도 기존 조합의 SKU가 바뀌지 않습니다.
+
+const crypto = require('crypto');
+const logger = require('../config/logger');
+
+const MAX_SHOPIFY_OPTIONS = 3; // Shopify 상품당 옵션 수 제한
+const MAX_VARIANTS = 100; // 한 번장 상품에서 만들 variant 수 상한 (조합 폭증 방지)
+
+/**
+ * 번개장터 options 원본(JSON 문자열 또는 배열)을 { id, value, price, quantity } 목록으로 정규화합니다.
+ * @param {string|Array<object>} optionsRaw - 카탈로그 options 필드 또는 상품 상세 API의 options.
+ * @returns {Array<{id: string, value: string, price: number|null, quantity: number|null}>} 파싱 실패 시 빈 배열.
+ */
+function parseBunjangOptions(optionsRaw) {
+  let parsed = optionsRaw;
+  if (typeof optionsRaw === 'string') {
+    if (!optionsRaw.trim()) return [];
+    try {
+      parsed = JSON.parse(optionsRaw.trim());
+    } catch (error) {
+      logger.warn(`[VariantMapper] Failed to parse Bunjang options: "${String(optionsRaw).substring(0, 200)}"`);
+      return [];
+    }
+  }
+  if (!Array.isArray(parsed)) return [];
+  return parsed
+    .filter(option => option && option.id != null && option.value != null && String(option.value).trim())
+    .map(option => {
+      const price = Number(option.price);
+      const quantity = Number(option.quantity);
+      return {
+        id: String(option.id).trim(),
+        value: String(option.value).trim(),
+        price: option.price != null && Number.isFinite(price) && price > 0 ? price : null,
+        quantity: option.quantity != null && Number.isFinite(quantity) ? quantity : null,
+      };
+    });
+}
+
+/**
+ * 옵션 값 조합으로 variant SKU 접미사를 만듭니다. 옵션 순서와 대소문자/공백 차이에 영향을 받지 않습니다.
+ * @param {Array<{id: string, value: string}>} combination - 선택 옵션 조합.
+ * @returns {string} 8자리 16진수 (예: "3f9a0c12")
+ */
+function buildOptionSkuSuffix(combination) {
+  const normalize = text => String(text).normalize('NFKC').trim().toLowerCase().replace(/\s+/g, ' ');
+  const key = combination.map(option => `${normalize(option.id)}=${normalize(option.value)}`).sort().join('|');
+  return crypto.createHash('sha256').update(key).digest('hex').substring(0, 8);
+}
+
+/**
+ * 번개장터 상품 옵션으로 Shopify 옵션/variant 구성을 만듭니다.
+ * 값이 하나뿐인 옵션은 Shopify 옵션으로 만들지 않고 모든 variant의 번개장터 옵션에만 포함합니다.
+ * @param {object} bunjangProduct - processCatalogRow 상품 객체 (pid, price, optionsRaw).
+ * @returns {object|null} { productOptions, variants: [{ sku, optionValues, bunjangOptions, priceKrw, quantity }] }.
+ *   옵션이 없거나 Shopify 제한을 넘으면 null (기존처럼 단일 variant).
+ */
+function buildVariantPlan(bunjangProduct) {
+  const options = parseBunjangOptions(bunjangProduct.optionsRaw);
+  if (options.length === 0) return null;
+
+  // id별로 값 묶기 (같은 값이 중복되면 첫 항목 사용)
+  const groups = new Map();
+  for (const option of options) {
+    if (!groups.has(option.id)) groups.set(option.id, new Map());
+    const values = groups.get(option.id);
+    if (!values.has(option.value)) values.set(option.value, option);
+  }
+  const fixedOptions = [...groups.values()].filter(values => values.size === 1).map(values => [...values.values()][0]);
+  const choiceGroups = [...groups.entries()].filter(([, values]) => values.size > 1);
+
+  const combinationCount = choiceGroups.reduce((count, [, values]) => count * values.size, 1);
+  if (choiceGroups.length > MAX_SHOPIFY_OPTIONS || combinationCount > MAX_VARIANTS) {
+    logger.warn(`[VariantMapper] PID ${bunjangProduct.pid} has ${choiceGroups.length} option(s) / ${combinationCount} combination(s), exceeding Shopify limits (${MAX_SHOPIFY_OPTIONS} options, ${MAX_VARIANTS} variants). Listing as a single variant.`);
+    return null;
+  }
+
+  // 옵션 값 조합 (선택 옵션이 없으면 고정 옵션만 가진 조합 하나)
+  let combinations = [[]];
+  for (const [, values] of choiceGroups) {
+    combinations = combinations.flatMap(combination => [...values.values()].map(option => [...combination, option]));
+  }
+
+  const variants = combinations.map(combination => {
+    const selected = [...combination, ...fixedOptions];
+    const optionPrices = selected.map(option => option.price).filter(price => price != null);
+    return {
+      // 선택 옵션이 없으면 기존 단일 variant SKU 유지
+      sku: choiceGroups.length > 0 ? `BJ-${bunjangProduct.pid}-${buildOptionSkuSuffix(combination)}` : `BJ-${bunjangProduct.pid}`,
+      optionValues: combination.map(option => ({ optionName: option.id, name: option.value })),
+      bunjangOptions: selected.map(option => ({ id: option.id, value: option.value })),
+      priceKrw: optionPrices.length > 0 ? Math.max(...optionPrices) : bunjangProduct.price,
+      quantity: selected.some(option => option.quantity === 0) ? 0 : 1,
+    };
+  });
+
+  return {
+    productOptions: choiceGroups.map(([name, values]) => ({ name, values: [...values.keys()].map(value => ({ name: value })) })),
+    variants,
+  };
+}
+
+/**
+ * Shopify 주문 line item에 해당하는 동기화된 variant를 찾습니다. SKU로 찾고, 없으면 variant 제목("정국 / A")으로 찾습니다.
+ * @param {object} syncedProduct - SyncedProduct 문서 (bunjangVariants).
+ * @param {object} lineItem - Shopify 주문 웹훅의 line_items 항목 (sku, variant_title).
+ * @returns {object|null} { sku, bunjangOptions, priceKrw } 또는 null (옵션 없는 상품).
+ */
+function findSyncedVariantForLineItem(syncedProduct, lineItem) {
+  const variants = syncedProduct?.bunjangVariants || [];
+  if (variants.length === 0) return null;
+  const bySku = lineItem.sku && variants.find(variant => variant.sku === lineItem.sku);
+  if (bySku) return bySku;
+  if (lineItem.variant_title) {
+    const byTitle = variants.find(variant => variant.optionValues?.length > 0 &&
+      variant.optionValues.map(optionValue => optionValue.name).join(' / ') === lineItem.variant_title);
+    if (byTitle) return byTitle;
+  }
+  return variants.length === 1 ? variants[0] : null;
+}
+
+/**
+ * 주문 시점의 번개장터 상품 상세에서 선택한 옵션 조합의 가격을 계산합니다. (buildVariantPlan과 같은 규칙)
+ * @param {object} bunjangProductDetails - 번개장터 상품 상세 API 결과 (price, options).
+ * @param {Array<{id: string, value: string}>} selectedOptions - 주문한 옵션.
+ * @returns {{price: number, unavailableOptions: Array<object>}} 가격과 현재 상품에 없는(또는 재고 0인) 옵션 목록.
+ */
+function resolveBunjangOptionPrice(bunjangProductDetails, selectedOptions) {
+  const currentOptions = parseBunjangOptions(bunjangProductDetails.options);
+  const unavailableOptions = [];
+  const optionPrices = [];
+  for (const selected of selectedOptions) {
+    const current = currentOptions.find(option => option.id === selected.id && option.value === selected.value);
+    if (!current || current.quantity === 0) {
+      unavailableOptions.push(selected);
+    } else if (current.price != null) {
+      optionPrices.push(current.price);
+    }
+  }
+  return {
+    price: optionPrices.length > 0 ? Math.max(...optionPrices) : (bunjangProductDetails.price || 0),
+    unavailableOptions,
+  };
+}
+
+module.exports = {
+  parseBunjangOptions,
+  buildVariantPlan,
+  findSyncedVariantForLineItem,
+  resolveBunjangOptionPrice,
+};
@@ -0,0 +1,24 @@
+// src/models/artist.model.js
+// K-Pop 아티스트/그룹 사전입니다. 영문 대표 이름, 한글 이름, 흔한 로마자 표기, 멤버 이름으로 카탈로그 상품명/키워드에서 아티스트를 찾아
+// `artist:<slug>` 태그와 bunjang.artist 메타필드를 만듭니다.
+const mongoose = require('mongoose');
+
+const artistMemberSchema = new mongoose.Schema({
+  name: { type: String, required: true, trim: true }, // 대표 이름 (예: "Jennie")
+  aliases: { type: [String], default: [] }, // 한글 이름, 다른 표기 (예: ["제니", "김제니"])
+}, { _id: false });
+
+const artistSchema = new mongoose.Schema({
+  name: { type: String, required: true, unique: true, trim: true }, // 영문 대표 이름 (예: "BLACKPINK")
+  slug: { type: String, required: true, unique: true, trim: true, lowercase: true }, // 태그 값 (예: "blackpink" → artist:blackpink)
+  aliases: { type: [String], default: [] }, // 한글 이름, 로마자 표기, 약칭 (예: ["블랙핑크", "블핑"])
+  members: { type: [artistMemberSchema], default: [] },
+  enabled: { type: Boolean, default: true, index: true },
+}, {
+  timestamps: true,
+  versionKey: false,
+});
+
+const Artist = mongoose.model('Artist', artistSchema);
+
+module.exports = Artist;
@@ -0,0 +1,26 @@
+// src/models/attributePattern.model.js
+// 상품명/키워드에서 상품 속성(상품 종류, 앨범/활동명, 버전)을 뽑아내는 정규식 패턴입니다.
+// 속성마다 priority 오름차순으로 평가되며 처음 일치한 패턴이 값을 결정합니다 (productAttributeService.extractProductAttributes).
+// 아티스트/멤버는 아티스트 사전(artist.model.js)에서 찾습니다.
+const mongoose = require('mongoose');
+
+const attributePatternSchema = new mongoose.Schema({
+  name: { type: String, required: true, unique: true, trim: true }, // 예: "item-type-photocard"
+  attribute: { type: String, enum: ['ITEM_TYPE', 'ALBUM', 'VERSION'], required: true, index: true },
+  pattern: { type: String, required: true }, // 예: "포카|포토\\s*카드|photo\\s*card"
+  patternFlags: { type: String, default: 'i' },
+  // 결과 값. $1~$9는 캡처 그룹으로 바뀌며, 비어 있으면 첫 캡처 그룹(없으면 일치한 문자열)을 사용 (예: "Photocard", "$1")
+  value: { type: String, trim: true },
+  artistSlug: { type: String, trim: true, lowercase: true, index: true }, // 지정하면 해당 아티스트 상품에만 적용 (예: 앨범명)
+  description: { type: String, trim: true, maxlength: 500 },
+
+  priority: { type: Number, default: 100, index: true }, // 낮을수록 먼저 평가
+  enabled: { type: Boolean, default: true, index: true },
+}, {
+  timestamps: true,
+  versionKey: false,
+});
+
+const AttributePattern = mongoose.model('AttributePattern', attributePatternSchema);
+
+module.exports = AttributePattern;
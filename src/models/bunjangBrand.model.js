@@ -0,0 +1,23 @@
+// src/models/bunjangBrand.model.js
+// 번개장터 브랜드 목록 캐시입니다. 브랜드 API(/api/v1/brands)를 주기적으로 동기화(brandCatalogService.syncBrandsFromBunjang)하고,
+// 카탈로그 처리 시작 시 불러와 상품의 vendor, `brand:<slug>` 태그, 브랜드 컬렉션에 사용합니다.
+const mongoose = require('mongoose');
+
+const bunjangBrandSchema = new mongoose.Schema({
+  bunjangBrandId: { type: String, required: true, unique: true, trim: true },
+  nameKor: { type: String, trim: true }, // 번개장터 한글명
+  nameEng: { type: String, trim: true }, // 번개장터 영문명
+  displayName: { type: String, trim: true }, // 관리자가 지정한 표시 이름 (있으면 영문명/한글명 대신 vendor에 사용, 동기화가 덮어쓰지 않음)
+  slug: { type: String, required: true, trim: true, lowercase: true, index: true }, // 태그/컬렉션 핸들 값 (예: "nike" → brand:nike)
+  shopifyCollectionGid: { type: String, trim: true }, // 브랜드 컬렉션 (자동 생성 또는 관리자 지정)
+  collectionCreateClaimedAt: { type: Date }, // 컬렉션 생성 중복 방지용 (동시에 여러 워커가 만들지 않도록)
+  collectionError: { type: String }, // 마지막 컬렉션 생성 실패 사유
+  lastSeenAt: { type: Date, index: true }, // 마지막으로 브랜드 API 응답에 포함된 시각
+}, {
+  timestamps: true,
+  versionKey: false,
+});
+
+const BunjangBrand = mongoose.model('BunjangBrand', bunjangBrandSchema);
+
+module.exports = BunjangBrand;
@@ -0,0 +1,20 @@
+// src/models/catalogCategorySighting.model.js
+// 카탈로그 처리에서 확인된 번개장터 카테고리별 최근 등장 정보입니다. 매핑되지 않은 카테고리 보고서에 사용됩니다.
+const mongoose = require('mongoose');
+
+const catalogCategorySightingSchema = new mongoose.Schema({
+  bunjangCategoryId: { type: String, required: true, unique: true, trim: true },
+  categoryName: { type: String, trim: true },
+  lastSeenAt: { type: Date, required: true, index: true },
+  lastCatalogFileName: { type: String, trim: true },
+  lastCatalogRunId: { type: mongoose.Schema.Types.ObjectId, ref: 'CatalogRun' },
+  lastRunProductCount: { type: Number, default: 0 }, // 마지막 카탈로그에서 처리 대상이었던 상품 수
+  samplePid: { type: String, trim: true },
+}, {
+  timestamps: true,
+  versionKey: false,
+});
+
+const CatalogCategorySighting = mongoose.model('CatalogCategorySighting', catalogCategorySightingSchema);
+
+module.exports = CatalogCategorySighting;
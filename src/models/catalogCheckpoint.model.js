@@ -0,0 +1,51 @@
+// src/models/catalogCheckpoint.model.js
+// 카탈로그 처리 진행 상황(체크포인트)을 저장합니다.
+// 워커가 중간에 종료되더라도 재시작된 작업이 마지막으로 처리한 행 다음부터 이어서 처리할 수 있도록 합니다.
+const mongoose = require('mongoose');
+
+const catalogCheckpointSchema = new mongoose.Schema({
+  catalogType: { // 'full' 또는 'segment'
+    type: String, enum: ['full', 'segment'], required: true, index: true,
+  },
+  fileName: { // 예: "full-20240524.csv.gz"
+    type: String, required: true, trim: true, index: true,
+  },
+  status: {
+    type: String,
+    enum: ['IN_PROGRESS', 'COMPLETED', 'ABANDONED'],
+    default: 'IN_PROGRESS',
+    index: true,
+  },
+  jobId: { type: String, trim: true }, // 마지막으로 이 체크포인트를 처리한 작업 식별자 (로깅용)
+
+  // 진행 상황
+  lastProcessedRow: { type: Number, default: 0 }, // 처리가 끝난 마지막 CSV 행 번호 (1부터 시작)
+  totalOriginalCsvRows: { type: Number, default: 0 },
+  validProductsToProcess: { type: Number, default: 0 },
+  counters: {
+    successfullyProcessed: { type: Number, default: 0 },
+    errors: { type: Number, default: 0 },
+    skippedByFilter: { type: Number, default: 0 },
+    skippedNoChange: { type: Number, default: 0 },
+    enqueuedForSync: { type: Number, default: 0 }, // product-sync 큐에 추가된 상품 수
+    quarantined: { type: Number, default: 0 }, // 필수 데이터 검증 실패로 격리된 판매중 행 수
+  },
+  resumeCount: { type: Number, default: 0 }, // 재시작되어 이어서 처리된 횟수
+
+  startedAt: { type: Date, default: Date.now },
+  lastProgressAt: { type: Date },
+  finishedAt: { type: Date },
+  abandonedAt: { type: Date },
+  abandonReason: { type: String, maxlength: 500 },
+  lastErrorMessage: { type: String, maxlength: 1000 },
+}, {
+  timestamps: true,
+  versionKey: false,
+});
+
+// 파일별 진행 중인 체크포인트 조회용
+catalogCheckpointSchema.index({ fileName: 1, status: 1 });
+
+const CatalogCheckpoint = mongoose.model('CatalogCheckpoint', catalogCheckpointSchema);
+
+module.exports = CatalogCheckpoint;
@@ -0,0 +1,27 @@
+// src/models/catalogFilterDecision.model.js
+// 카탈로그 필터 규칙이 상품(PID)별로 내린 가장 최근 결정입니다.
+// 어떤 규칙 때문에 상품이 포함/제외되었는지 머천다이저가 확인할 수 있도록 PID마다 한 건씩 유지합니다.
+const mongoose = require('mongoose');
+
+const catalogFilterDecisionSchema = new mongoose.Schema({
+  bunjangPid: { type: String, required: true, unique: true, trim: true },
+  decision: { type: String, enum: ['INCLUDED', 'EXCLUDED'], required: true, index: true },
+  // RULE_MATCH: 규칙과 일치, NO_INCLUDE_MATCH: 포함 규칙이 있는데 어느 것과도 일치하지 않아 제외,
+  // NO_RULE_MATCH: 제외 규칙만 있고 어느 것과도 일치하지 않아 포함
+  reason: { type: String, enum: ['RULE_MATCH', 'NO_INCLUDE_MATCH', 'NO_RULE_MATCH'], required: true },
+  ruleId: { type: mongoose.Schema.Types.ObjectId, ref: 'CatalogFilterRule', index: true },
+  ruleName: { type: String, trim: true },
+  ruleType: { type: String, trim: true },
+  catalogFileName: { type: String, trim: true },
+  catalogRunId: { type: mongoose.Schema.Types.ObjectId, ref: 'CatalogRun', index: true },
+  decidedAt: { type: Date, default: Date.now },
+}, {
+  timestamps: true,
+  versionKey: false,
+});
+
+catalogFilterDecisionSchema.index({ decision: 1, ruleId: 1, decidedAt: -1 });
+
+const CatalogFilterDecision = mongoose.model('CatalogFilterDecision', catalogFilterDecisionSchema);
+
+module.exports = CatalogFilterDecision;
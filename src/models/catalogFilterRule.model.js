@@ -0,0 +1,35 @@
+// src/models/catalogFilterRule.model.js
+// 카탈로그 상품을 Shopify에 올릴지 결정하는 포함(INCLUDE)/제외(EXCLUDE) 규칙입니다.
+// 머천다이저가 관리 API로 재배포 없이 상품 구성을 조정할 수 있도록 DB에 저장합니다.
+// 규칙은 priority 오름차순으로 평가되며 처음 일치한 규칙이 결정합니다 (catalogFilterRuleService.evaluateFilterRules).
+const mongoose = require('mongoose');
+
+const catalogFilterRuleSchema = new mongoose.Schema({
+  name: { type: String, required: true, unique: true, trim: true }, // 예: "exclude-fake-albums"
+  description: { type: String, trim: true, maxlength: 500 },
+  effect: { type: String, enum: ['INCLUDE', 'EXCLUDE'], required: true },
+  type: {
+    type: String,
+    // CATEGORY/BRAND/SELLER/CONDITION: values 중 하나와 일치, PRICE_BAND: minPriceKrw~maxPriceKrw 범위,
+    // KEYWORD_REGEX: pattern이 fields 중 하나와 일치, MIN_IMAGE_COUNT: 이미지가 minImageCount개 미만
+    enum: ['CATEGORY', 'BRAND', 'SELLER', 'PRICE_BAND', 'CONDITION', 'KEYWORD_REGEX', 'MIN_IMAGE_COUNT'],
+    required: true,
+  },
+  values: { type: [String], default: undefined }, // 카테고리 ID, 브랜드 ID, 판매자 uid 또는 상품 상태(NEW, USED 등)
+  minPriceKrw: { type: Number, min: 0 },
+  maxPriceKrw: { type: Number, min: 0 },
+  pattern: { type: String }, // KEYWORD_REGEX 정규식 (예: "포토카드|photocard")
+  patternFlags: { type: String, default: 'i' },
+  fields: { type: [String], enum: ['name', 'description', 'keywords'], default: undefined }, // KEYWORD_REGEX 검사 대상 (기본: name, keywords)
+  minImageCount: { type: Number, min: 1 },
+
+  priority: { type: Number, default: 100, index: true }, // 낮을수록 먼저 평가
+  enabled: { type: Boolean, default: true, index: true },
+}, {
+  timestamps: true,
+  versionKey: false,
+});
+
+const CatalogFilterRule = mongoose.model('CatalogFilterRule', catalogFilterRuleSchema);
+
+module.exports = CatalogFilterRule;
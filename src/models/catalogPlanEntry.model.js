@@ -0,0 +1,33 @@
+// src/models/catalogPlanEntry.model.js
+// 카탈로그 plan(dry-run) 실행에서 상품(PID)별로 계산한 예정 작업과 USD 가격을 저장합니다.
+// 마크업 변경이나 새 카테고리 필터를 적용하기 전에 어떤 상품이 생성/수정/보관될지 보고서로 확인하는 용도입니다.
+const mongoose = require('mongoose');
+
+const catalogPlanEntrySchema = new mongoose.Schema({
+  catalogRunId: { type: mongoose.Schema.Types.ObjectId, ref: 'CatalogRun', required: true },
+  bunjangPid: { type: String, trim: true },
+  rowNumber: { type: Number }, // CSV 행 번호 (보관 대상은 카탈로그에 없을 수 있어 null)
+  productName: { type: String, trim: true },
+  action: {
+    type: String,
+    enum: ['create', 'update_price', 'update_content', 'archive', 'skip'],
+    required: true,
+  },
+  reason: { type: String, trim: true }, // 예: 'new_product', 'price_changed', 'price_drift', 'unchanged', 'rejected:INVALID_PRICE'
+  changedFields: { type: [String], default: undefined }, // 내용 해시 기준으로 바뀐 카탈로그 필드
+  priceKrw: { type: Number },
+  shopifyPriceUsd: { type: String }, // plan 설정(마크업 등)으로 계산한 USD 가격 (예: "27.88")
+  currentShopifyPriceUsd: { type: String }, // 현재 Shopify에 리스팅된 USD 가격
+  shopifyGid: { type: String },
+  expiresAt: { type: Date }, // 보고서 보관 기한 (config.bunjang.planReportRetentionDays)
+}, {
+  timestamps: { createdAt: true, updatedAt: false },
+  versionKey: false,
+});
+
+catalogPlanEntrySchema.index({ catalogRunId: 1, action: 1, rowNumber: 1 });
+catalogPlanEntrySchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 }); // 보관 기한이 지난 보고서는 자동 삭제
+
+const CatalogPlanEntry = mongoose.model('CatalogPlanEntry', catalogPlanEntrySchema);
+
+module.exports = CatalogPlanEntry;
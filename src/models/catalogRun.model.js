@@ -0,0 +1,73 @@
+// src/models/catalogRun.model.js
+// 카탈로그 처리(fetchAndProcessBunjangCatalog) 1회 실행 이력을 저장합니다.
+// 실행 시간, 파일명, 트리거(cron/api), 처리 카운터, 오류 샘플을 기록하여 일자별 추이를 비교할 수 있도록 합니다.
+const mongoose = require('mongoose');
+
+const errorSampleSchema = new mongoose.Schema({
+  pid: { type: String, trim: true },
+  rowNumber: { type: Number },
+  message: { type: String, maxlength: 500 },
+  occurredAt: { type: Date, default: Date.now },
+}, { _id: false });
+
+const catalogRunSchema = new mongoose.Schema({
+  catalogType: { type: String, enum: ['full', 'segment'], required: true, index: true },
+  fileName: { type: String, required: true, trim: true, index: true }, // 예: "full-20240524.csv.gz"
+  trigger: { // 실행 주체 구분
+    type: String,
+    enum: ['cron', 'api', 'manual'],
+    default: 'manual',
+    index: true,
+  },
+  triggeredBy: { type: String, trim: true }, // 작업 데이터의 원본 triggeredBy 값 (예: 'cron_scheduler', 'api_manual')
+  jobId: { type: String, trim: true }, // 작업 식별자 (로깅용)
+  checkpointId: { type: mongoose.Schema.Types.ObjectId, ref: 'CatalogCheckpoint' },
+  resumedFromRow: { type: Number, default: null }, // 체크포인트에서 재개된 경우 시작 기준 행
+
+  status: {
+    type: String,
+    // UNAVAILABLE: 카탈로그 파일 미게시 (나중에 재시도), BLOCKED: 이상 감지로 중단,
+    // DRY_RUN: plan 모드로 요청되었거나 이상 감지로 dry-run 전환되어 Shopify에 반영하지 않고 plan 보고서만 생성
+    enum: ['RUNNING', 'COMPLETED', 'FAILED', 'ABANDONED', 'UNAVAILABLE', 'BLOCKED', 'DRY_RUN'],
+    default: 'RUNNING',
+    index: true,
+  },
+  startedAt: { type: Date, default: Date.now, index: true },
+  finishedAt: { type: Date },
+  durationMs: { type: Number },
+
+  // 처리 카운터 (fetchAndProcessBunjangCatalog 요약과 동일한 항목)
+  counters: {
+    totalOriginalCsvRows: { type: Number, default: 0 },
+    validProductsToProcess: { type: Number, default: 0 },
+    successfullyProcessed: { type: Number, default: 0 },
+    errors: { type: Number, default: 0 },
+    skippedByFilter: { type: Number, default: 0 },
+    skippedNoChange: { type: Number, default: 0 },
+    enqueuedForSync: { type: Number, default: 0 }, // product-sync 큐에 추가된 상품 수
+    quarantined: { type: Number, default: 0 }, // 필수 데이터 검증 실패로 격리된 판매중 행 수
+  },
+  // product-sync 큐 작업의 최종 결과 (워커가 작업을 끝낼 때마다 증가, 실행 완료 이후에도 갱신될 수 있음)
+  productSyncResults: {
+    successfullyProcessed: { type: Number, default: 0 },
+    errors: { type: Number, default: 0 },
+    skippedByFilter: { type: Number, default: 0 },
+    skippedNoChange: { type: Number, default: 0 },
+  },
+  retirement: { type: mongoose.Schema.Types.Mixed }, // 판매 종료 상품 정리 결과 (전체 카탈로그만)
+  preflight: { type: mongoose.Schema.Types.Mixed }, // 처리 전 파일 통계와 이상 감지 결과 (catalogAnomalyGuardService)
+  plan: { type: mongoose.Schema.Types.Mixed }, // plan(dry-run) 보고서 요약 { entries, byAction, overrides } (항목은 CatalogPlanEntry)
+
+  errorSamples: { type: [errorSampleSchema], default: [] }, // 상품별 오류 샘플 (최대 개수 제한)
+  failureMessage: { type: String, maxlength: 1000 }, // 실행 자체가 실패한 경우의 오류 메시지
+}, {
+  timestamps: true,
+  versionKey: false,
+});
+
+// 타입별 최근 실행 조회 및 이전 실행 비교용
+catalogRunSchema.index({ catalogType: 1, status: 1, startedAt: -1 });
+
+const CatalogRun = mongoose.model('CatalogRun', catalogRunSchema);
+
+module.exports = CatalogRun;
@@ -0,0 +1,24 @@
+// src/models/categoryMapping.model.js
+// 번개장터 카테고리 → Shopify 상품 유형/컬렉션/태그/기본 무게 매핑입니다.
+// 카탈로그 처리 시작 시 활성 매핑을 불러와 상품 변환(transformBunjangRowToShopifyInput)에 사용합니다.
+const mongoose = require('mongoose');
+
+const categoryMappingSchema = new mongoose.Schema({
+  bunjangCategoryId: { type: String, required: true, unique: true, trim: true },
+  bunjangCategoryName: { type: String, trim: true }, // 한글명 (참고용)
+  bunjangCategoryNameEng: { type: String, trim: true }, // 영문명 (참고용)
+  shopifyProductType: { type: String, trim: true }, // 비어 있으면 카탈로그의 카테고리명 사용
+  shopifyCollectionGid: { type: String, trim: true }, // 기본 번개장터 컬렉션에 더해 추가할 컬렉션 (예: "gid://shopify/Collection/123")
+  tags: { type: [String], default: [] },
+  defaultWeightGrams: { type: Number, min: 0 }, // 배송비 계산용 기본 무게 (g)
+  enabled: { type: Boolean, default: true, index: true },
+  // MANUAL: 관리 API, SEED: 번개장터 카테고리 API 시드, ENV: BUNJANG_CATEGORY_TO_SHOPIFY_TYPE_<id> 환경 변수에서 가져옴
+  source: { type: String, enum: ['MANUAL', 'SEED', 'ENV'], default: 'MANUAL' },
+}, {
+  timestamps: true,
+  versionKey: false,
+});
+
+const CategoryMapping = mongoose.model('CategoryMapping', categoryMappingSchema);
+
+module.exports = CategoryMapping;
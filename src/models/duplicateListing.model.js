@@ -0,0 +1,36 @@
+// src/models/duplicateListing.model.js
+// 새 번개장터 상품이 이미 Shopify에 올라간 상품과 같은 물건(판매자 재등록, 다른 계정으로 중복 게시)으로 판단된 기록입니다.
+// 확실한 경우 기존 Shopify 상품에 연결(LINKED)하고, 애매한 경우 검토 대기(PENDING_REVIEW)로 두어 새 Shopify 상품을 만들지 않습니다.
+const mongoose = require('mongoose');
+
+const duplicateListingSchema = new mongoose.Schema({
+  bunjangPid: { type: String, required: true, unique: true, trim: true }, // 새로 들어온 PID
+  duplicateOfPid: { type: String, required: true, trim: true, index: true }, // 같은 상품으로 판단된 기존 PID
+  shopifyGid: { type: String, trim: true }, // 기존 PID의 Shopify 상품
+  score: { type: Number, required: true }, // 0 ~ 1
+  signals: { // 판단 근거
+    titleSimilarity: { type: Number }, // 정규화 상품명 유사도 (0 ~ 1)
+    sameSeller: { type: Boolean },
+    priceDifferencePercent: { type: Number },
+    imageDistance: { type: Number }, // 첫 번째 이미지 pHash 해밍 거리 (없으면 null)
+  },
+  status: {
+    type: String,
+    enum: ['LINKED', 'PENDING_REVIEW', 'DISMISSED'],
+    required: true,
+    index: true,
+  },
+  linkedBy: { type: String, enum: ['AUTO', 'REVIEW'] }, // LINKED인 경우 자동 연결인지 검토 후 연결인지
+  reviewedAt: { type: Date },
+  reviewNote: { type: String, maxlength: 500 },
+  jobId: { type: String, trim: true },
+}, {
+  timestamps: true,
+  versionKey: false,
+});
+
+duplicateListingSchema.index({ status: 1, createdAt: -1 });
+
+const DuplicateListing = mongoose.model('DuplicateListing', duplicateListingSchema);
+
+module.exports = DuplicateListing;
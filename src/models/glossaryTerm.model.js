@@ -0,0 +1,19 @@
+// src/models/glossaryTerm.model.js
+// 한→영 번역 용어집입니다. 용어집 번역기(glossaryTranslationProvider)는 긴 용어부터 치환하며,
+// 외부 번역기를 붙일 때도 같은 용어집을 번역 결과에 강제할 용어로 전달합니다 (translationService).
+// 아티스트/멤버의 한글 이름은 아티스트 사전(artist.model.js)에서 자동으로 추가됩니다.
+const mongoose = require('mongoose');
+
+const glossaryTermSchema = new mongoose.Schema({
+  source: { type: String, required: true, unique: true, trim: true }, // 한국어 용어 (예: "포카")
+  target: { type: String, required: true, trim: true }, // 영어 번역 (예: "Photocard")
+  description: { type: String, trim: true, maxlength: 500 },
+  enabled: { type: Boolean, default: true, index: true },
+}, {
+  timestamps: true,
+  versionKey: false,
+});
+
+const GlossaryTerm = mongoose.model('GlossaryTerm', glossaryTermSchema);
+
+module.exports = GlossaryTerm;
@@ -0,0 +1,41 @@
+// src/models/listingRetirement.model.js
+// 전체 카탈로그 처리 후 판매 종료(카탈로그에서 사라짐 또는 SELLING 아님)로 판단되어
+// Shopify에서 보관/임시저장 처리된 상품 기록입니다. 검토용으로 상품(PID)마다 한 건씩 저장합니다.
+const mongoose = require('mongoose');
+
+const listingRetirementSchema = new mongoose.Schema({
+  bunjangPid: { type: String, required: true, trim: true, index: true },
+  shopifyGid: { type: String, trim: true },
+  reason: { // 판매 종료 판단 사유
+    type: String,
+    enum: ['MISSING_FROM_CATALOG', 'NOT_SELLING'],
+    required: true,
+    index: true,
+  },
+  bunjangSaleStatus: { type: String, trim: true }, // NOT_SELLING인 경우 카탈로그상의 saleStatus (예: SOLD_OUT)
+  policy: { type: String, enum: ['ARCHIVE', 'DRAFT'], required: true }, // 적용된 정리 정책
+  previousShopifyStatus: { type: String, trim: true },
+  newShopifyStatus: { type: String, enum: ['DRAFT', 'ARCHIVED'] },
+  redirectPath: { type: String, trim: true }, // 리디렉션한 상품 URL 경로 (예: /products/bts-photocard-123)
+  redirectTarget: { type: String, trim: true }, // 리디렉션 대상 (예: /collections/bts)
+  redirectError: { type: String, maxlength: 1000 }, // 리디렉션 생성 실패 사유 (상품 정리는 성공)
+  status: { // 처리 결과
+    type: String,
+    enum: ['RETIRED', 'FAILED'],
+    required: true,
+    index: true,
+  },
+  errorMessage: { type: String, maxlength: 1000 },
+  catalogFileName: { type: String, required: true, trim: true, index: true }, // 판단 기준이 된 전체 카탈로그 파일
+  checkpointId: { type: mongoose.Schema.Types.ObjectId, ref: 'CatalogCheckpoint' },
+  jobId: { type: String, trim: true },
+}, {
+  timestamps: true,
+  versionKey: false,
+});
+
+listingRetirementSchema.index({ catalogFileName: 1, status: 1 });
+
+const ListingRetirement = mongoose.model('ListingRetirement', listingRetirementSchema);
+
+module.exports = ListingRetirement;
@@ -0,0 +1,38 @@
+// src/models/quarantinedCatalogRow.model.js
+// 카탈로그 처리 중 파싱/검증 규칙에 걸려 동기화되지 못한 판매중(SELLING) 행을 원본 그대로 보관합니다.
+// 어떤 규칙 때문에 얼마나 많은 상품이 빠지는지 확인하고, 수정 후 다시 제출(resubmit)할 수 있도록 합니다.
+const mongoose = require('mongoose');
+
+const quarantinedCatalogRowSchema = new mongoose.Schema({
+  bunjangPid: { type: String, trim: true, index: true }, // MISSING_PID인 경우 빈 값
+  rule: { type: String, enum: ['MISSING_PID', 'MISSING_NAME', 'INVALID_PRICE', 'INVALID_DATE'], required: true, index: true }, // 행을 거부한 processCatalogRow 규칙
+  message: { type: String, maxlength: 500 }, // 상세 거부 사유
+  rawRow: { type: mongoose.Schema.Types.Mixed, required: true }, // CSV 원본 행 (csv-parser 결과 객체)
+  catalogType: { type: String, enum: ['full', 'segment'] },
+  catalogFileName: { type: String, required: true, trim: true, index: true }, // 예: "full-20240524.csv.gz"
+  rowNumber: { type: Number, required: true }, // CSV 행 번호 (1부터 시작)
+  catalogRunId: { type: mongoose.Schema.Types.ObjectId, ref: 'CatalogRun' },
+  jobId: { type: String, trim: true },
+
+  status: {
+    type: String,
+    enum: ['QUARANTINED', 'RESUBMITTED'], // RESUBMITTED: 다시 제출되어 검증을 통과하고 동기화에 전달됨
+    default: 'QUARANTINED',
+    index: true,
+  },
+  rowOverrides: { type: mongoose.Schema.Types.Mixed }, // 재제출 시 원본 행에 덮어쓴 필드 (예: { price: "15000" })
+  resubmitAttempts: { type: Number, default: 0 },
+  lastResubmittedAt: { type: Date },
+  resubmitResult: { type: mongoose.Schema.Types.Mixed }, // 마지막 재제출 시 동기화(또는 큐 추가) 결과
+}, {
+  timestamps: true,
+  versionKey: false,
+});
+
+// 같은 파일의 같은 행은 한 건만 보관 (체크포인트 재개/재처리 시 중복 방지)
+quarantinedCatalogRowSchema.index({ catalogFileName: 1, rowNumber: 1 }, { unique: true });
+quarantinedCatalogRowSchema.index({ status: 1, rule: 1, createdAt: -1 });
+
+const QuarantinedCatalogRow = mongoose.model('QuarantinedCatalogRow', quarantinedCatalogRowSchema);
+
+module.exports = QuarantinedCatalogRow;
@@ -0,0 +1,28 @@
+// src/models/sellerOrderOutcome.model.js
+// 번개장터 주문 상품(주문 ID + PID)별 판매자 처리 결과입니다. 주문 상태 동기화에서 상태를 처음 확인한 시각을 기록하며,
+// 판매자 신뢰도(sellerReputation.model.js) 집계의 원본 데이터로 사용됩니다.
+const mongoose = require('mongoose');
+
+const sellerOrderOutcomeSchema = new mongoose.Schema({
+  bunjangOrderId: { type: String, required: true, trim: true },
+  bunjangPid: { type: String, required: true, trim: true },
+  sellerUid: { type: String, required: true, index: true, trim: true },
+  orderedAt: { type: Date }, // 번개장터 주문 생성(결제) 시각
+  lastStatus: { type: String, trim: true },
+  lastStatusAt: { type: Date },
+  // 각 단계를 처음 확인한 시각 (번개장터 statusUpdatedAt 기준). 주문 동기화 간격 사이에 SHIP_READY를 건너뛰고
+  // IN_TRANSIT 등으로 바로 확인된 경우 그 시각을 발송 준비 시각으로 사용합니다.
+  shipReadyAt: { type: Date },
+  cancelledAt: { type: Date },
+  refundedAt: { type: Date },
+  returnedAt: { type: Date },
+}, {
+  timestamps: true,
+  versionKey: false,
+});
+
+sellerOrderOutcomeSchema.index({ bunjangOrderId: 1, bunjangPid: 1 }, { unique: true });
+
+const SellerOrderOutcome = mongoose.model('SellerOrderOutcome', sellerOrderOutcomeSchema);
+
+module.exports = SellerOrderOutcome;
@@ -0,0 +1,30 @@
+// src/models/sellerReputation.model.js
+// 번개장터 판매자별 신뢰도 점수와 관리자 허용/차단 설정입니다.
+// 통계와 점수는 주문 상태 동기화 후 sellerOrderOutcome에서 다시 계산되며, 관리자 설정(override)은 점수보다 우선합니다.
+const mongoose = require('mongoose');
+
+const sellerReputationSchema = new mongoose.Schema({
+  sellerUid: { type: String, required: true, unique: true, trim: true },
+  stats: {
+    orders: { type: Number, default: 0 },
+    shipped: { type: Number, default: 0 }, // SHIP_READY 이후 단계까지 진행된 주문
+    cancelled: { type: Number, default: 0 },
+    refunded: { type: Number, default: 0 }, // 환불 또는 반품
+    late: { type: Number, default: 0 }, // SLA 이후 발송 준비되었거나, SLA가 지났는데 아직 발송 준비되지 않은 주문
+    pending: { type: Number, default: 0 }, // 아직 발송 준비되지 않은 주문 (SLA 이내 포함)
+    avgShipReadyHours: { type: Number, default: null },
+  },
+  score: { type: Number, default: null, index: true }, // 0~100. 주문 수가 minOrders 미만이면 null
+  scoreUpdatedAt: { type: Date },
+  // NONE: 점수에 따름, ALLOW: 점수와 관계없이 허용, BLOCK: 차단
+  override: { type: String, enum: ['NONE', 'ALLOW', 'BLOCK'], default: 'NONE', index: true },
+  overrideReason: { type: String, trim: true },
+  overrideUpdatedAt: { type: Date },
+}, {
+  timestamps: true,
+  versionKey: false,
+});
+
+const SellerReputation = mongoose.model('SellerReputation', sellerReputationSchema);
+
+module.exports = SellerReputation;
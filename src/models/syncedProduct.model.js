@@ -16,24 +16,78 @@ const syncedProductSchema = new mongoose.Schema({
   },
   // 번개장터 원본 정보 (참고 및 동기화 비교용)
   bunjangProductName: { type: String, trim: true },
+  bunjangNormalizedTitle: { type: String, index: true, trim: true }, // 중복 상품 감지용 정규화 상품명 (duplicateListingService)
   bunjangCategoryId: { type: String, index: true, trim: true },
   bunjangBrandId: { type: String, index: true, trim: true },
   bunjangSellerUid: { type: String, index: true, trim: true },
   bunjangCondition: { type: String, trim: true },
+  conditionGrade: { type: String, enum: ['SEALED', 'NEW', 'LIKE_NEW', 'GOOD', 'FAIR', 'DAMAGED', null], index: true }, // 정규화한 상태 등급 (mappers/conditionGrader.js)
   bunjangOriginalPriceKrw: { type: Number },
   bunjangOriginalShippingFeeKrw: { type: Number },
   bunjangQuantity: { type: Number }, // 카탈로그 기준 재고
   bunjangOptionsJson: { type: String }, // 번개장터 옵션 원본 JSON 문자열
+  // 번개장터 옵션 조합별로 만든 Shopify variant (주문 line item의 SKU로 번개장터 주문 옵션을 찾기 위해 사용)
+  bunjangVariants: [{
+    _id: false,
+    sku: { type: String, trim: true }, // 예: "BJ-123456-3f9a0c12" (옵션 값 조합 해시)
+    optionValues: [{ _id: false, optionName: String, name: String }], // Shopify 옵션 값 (예: 멤버 = 정국)
+    bunjangOptions: [{ _id: false, id: String, value: String }], // 번개장터 주문 시 보낼 옵션
+    priceKrw: { type: Number },
+    shopifyVariantGid: { type: String },
+  }],
   bunjangImagesJson: { type: String }, // 번개장터 이미지 URL 목록 원본 JSON 문자열
+  // 이미지별 검증/첨부 결과 (imageIngestionService, 번개장터 순서)
+  images: [{
+    _id: false,
+    sourceUrl: { type: String },
+    status: { type: String, enum: ['VALID', 'UNCHECKED', 'INVALID_URL', 'UNREACHABLE', 'INVALID_CONTENT_TYPE', 'TOO_SMALL', 'TOO_LARGE', 'DUPLICATE'] },
+    error: { type: String, maxlength: 300 }, // 제외 사유
+    contentType: { type: String },
+    width: { type: Number },
+    height: { type: Number },
+    bytes: { type: Number },
+    contentHash: { type: String }, // 파일 내용 sha256 (중복 제거용)
+    isPrimary: { type: Boolean, default: false },
+    // STAGED: staged upload로 다시 올림, SOURCE_URL: 번개장터 URL로 첨부, FAILED: Shopify가 미디어를 거부
+    uploadStatus: { type: String, enum: ['STAGED', 'SOURCE_URL', 'FAILED'] },
+    uploadError: { type: String, maxlength: 300 },
+    shopifyMediaGid: { type: String },
+    checkedAt: { type: Date },
+  }],
+  validImageCount: { type: Number, index: true }, // 사용할 수 있는 이미지 수 (0이면 DRAFT로 게시)
+  firstImagePerceptualHash: { type: String, index: true }, // 첫 번째 유효 이미지의 pHash (중복 상품 감지용)
   bunjangKeywordsJson: { type: String }, // 번개장터 키워드 목록 원본 JSON 문자열
   bunjangCreatedAt: { type: Date }, // 번개장터 상품 생성 시간 (KST)
   bunjangUpdatedAt: { type: Date, index: true }, // 번개장터 상품 수정 시간 (KST, 카탈로그 기준)
 
+  // 마지막으로 Shopify에 반영된 카탈로그 내용의 해시 (utils/productContentHash.js)
+  bunjangContentHash: { type: String, index: true }, // 매핑 대상 필드 전체 해시
+  bunjangContentFieldHashes: { // 필드별 해시 (바뀐 필드만 부분 업데이트하기 위해 사용)
+    name: { type: String },
+    description: { type: String },
+    price: { type: String },
+    shippingFee: { type: String },
+    images: { type: String },
+    options: { type: String },
+    category: { type: String },
+    brand: { type: String },
+  },
+  bunjangContentHashAlgorithm: { type: String }, // 예: 'sha256-v1'
+
   // Shopify 연동 정보
   shopifyProductType: { type: String, index: true, trim: true }, // 매핑된 Shopify 상품 유형
   shopifyListedPriceUsd: { type: String }, // Shopify에 리스팅된 USD 가격 문자열 (예: "25.99")
   shopifyStatus: { type: String, enum: ['ACTIVE', 'DRAFT', 'ARCHIVED'], index: true }, // Shopify 상품 상태
 
+  // 상품명/키워드에서 추출한 속성 (productAttributeService, Shopify 메타필드 bunjang.* 와 같은 값)
+  productAttributes: {
+    itemType: { type: String, index: true }, // 예: 'Photocard', 'Album', 'Lightstick'
+    artists: { type: [String], index: true },
+    members: { type: [String] },
+    album: { type: String },
+    version: { type: String },
+  },
+
   // 동기화 상태 및 이력
   lastSyncAttemptAt: { type: Date, default: Date.now, index: true },
   lastSuccessfulSyncAt: { type: Date, index: true },
@@ -49,6 +103,15 @@ const syncedProductSchema = new mongoose.Schema({
   
   // 추가적인 내부 관리 필드
   isFilteredOut: { type: Boolean, default: false, index: true }, // 카테고리 등으로 필터링 아웃된 상품 표시
+  retiredAt: { type: Date, index: true }, // 카탈로그에서 사라지거나 판매 종료되어 Shopify에서 내린 시간
+  retirementReason: { type: String, enum: ['MISSING_FROM_CATALOG', 'NOT_SELLING', null] },
+  shopifyUrlRedirectGid: { type: String, trim: true }, // 판매 종료 시 만든 상품 URL → 아티스트 컬렉션 리디렉션 (다시 게시되면 삭제)
+
+  // 중복/재등록 상품 (duplicateListingService)
+  duplicateOfPid: { type: String, index: true, trim: true }, // 같은 상품으로 판단된 기존 PID
+  duplicateStatus: { type: String, enum: ['PENDING_REVIEW', 'LINKED', 'DISMISSED', null] }, // LINKED: 기존 Shopify 상품을 이어받음, DISMISSED: 중복 아님으로 검토됨
+  supersededByPid: { type: String, index: true, trim: true }, // 이 상품의 Shopify 상품을 이어받은 새 PID (이 PID는 더 이상 동기화하지 않음)
+  supersededAt: { type: Date },
   notes: { type: String, maxlength: 500 }, // 관리자 메모
 
 }, {
@@ -0,0 +1,24 @@
+// src/models/translationCache.model.js
+// 번역 결과 캐시입니다. 키는 번역기 이름, 용어집 버전, 원문으로 만든 해시이므로
+// 같은 상품명/설명이 다시 들어오면 번역기를 호출하지 않고, 용어집이 바뀌면 자연스럽게 다시 번역됩니다.
+const mongoose = require('mongoose');
+
+const translationCacheSchema = new mongoose.Schema({
+  cacheKey: { type: String, required: true, unique: true }, // sha256(provider | glossaryVersion | sourceText)
+  provider: { type: String, required: true, index: true }, // 예: 'glossary'
+  glossaryVersion: { type: String },
+  sourceLanguage: { type: String, default: 'ko' },
+  targetLanguage: { type: String, default: 'en' },
+  translatedText: { type: String, required: true },
+  hitCount: { type: Number, default: 0 },
+  lastUsedAt: { type: Date, default: Date.now },
+}, {
+  timestamps: true,
+  versionKey: false,
+});
+
+translationCacheSchema.index({ lastUsedAt: 1 }, { expireAfterSeconds: 90 * 24 * 60 * 60 }); // 90일 동안 쓰이지 않은 번역은 자동 삭제
+
+const TranslationCache = mongoose.model('TranslationCache', translationCacheSchema);
+
+module.exports = TranslationCache;
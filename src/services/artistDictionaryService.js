@@ -0,0 +1,351 @@
+// src/services/artistDictionaryService.js
+// K-Pop 아티스트 사전을 관리하고, 카탈로그 상품명/키워드에서 아티스트를 찾습니다.
+// 한글 별칭은 띄어쓰기를 무시한 부분 일치로("방탄소년단포카"), 영문 별칭은 앞뒤가 영문/숫자가 아닌 경우에만("BTS포카"는 일치, "ABTS"는 불일치) 일치로 봅니다.
+
+const logger = require('../config/logger');
+const Artist = require('../models/artist.model');
+const { AppError, NotFoundError } = require('../utils/customErrors');
+
+const SERVICE_NAME = 'ArtistDictionarySvc';
+const MIN_ALIAS_LENGTH = 2; // 한 글자 별칭(예: "뷔", "V")은 오탐이 많아 사용하지 않음
+const SEPARATOR_PATTERN = /[\s\-_.·]+/g;
+// 시드용 기본 사전. 관리 API로 추가/수정합니다.
+const DEFAULT_ARTISTS = [
+  {
+    name: 'BTS',
+    aliases: ['방탄소년단', '방탄', 'Bangtan', 'Bangtan Boys'],
+    members: [
+      { name: 'RM', aliases: ['알엠', '김남준'] },
+      { name: 'Jin', aliases: ['석진', '김석진'] },
+      { name: 'SUGA', aliases: ['슈가', '민윤기'] },
+      { name: 'j-hope', aliases: ['제이홉', '정호석'] },
+      { name: 'Jimin', aliases: ['지민', '박지민'] },
+      { name: 'V', aliases: ['김태형', '태형'] },
+      { name: 'Jung Kook', aliases: ['정국', '전정국', 'Jungkook'] },
+    ],
+  },
+  {
+    name: 'BLACKPINK',
+    aliases: ['블랙핑크', '블핑'],
+    members: [
+      { name: 'Jisoo', aliases: ['지수', '김지수'] },
+      { name: 'Jennie', aliases: ['제니', '김제니'] },
+      { name: 'Rosé', aliases: ['로제', 'Rose'] },
+      { name: 'Lisa', aliases: ['리사'] },
+    ],
+  },
+  {
+    name: 'SEVENTEEN',
+    aliases: ['세븐틴', '세봉', 'SVT'],
+    members: [
+      { name: 'S.Coups', aliases: ['에스쿱스', '최승철'] },
+      { name: 'Jeonghan', aliases: ['정한', '윤정한'] },
+      { name: 'Joshua', aliases: ['조슈아', '홍지수'] },
+      { name: 'Jun', aliases: ['문준휘'] },
+      { name: 'Hoshi', aliases: ['호시', '권순영'] },
+      { name: 'Wonwoo', aliases: ['원우', '전원우'] },
+      { name: 'Woozi', aliases: ['우지', '이지훈'] },
+      { name: 'DK', aliases: ['도겸', '이석민'] },
+      { name: 'Mingyu', aliases: ['민규', '김민규'] },
+      { name: 'The8', aliases: ['디에잇', '서명호'] },
+      { name: 'Seungkwan', aliases: ['승관', '부승관'] },
+      { name: 'Vernon', aliases: ['버논', '최한솔'] },
+      { name: 'Dino', aliases: ['디노', '이찬'] },
+    ],
+  },
+  { name: 'TWICE', aliases: ['트와이스'] },
+  { name: 'Stray Kids', aliases: ['스트레이키즈', '스키즈', 'SKZ'] },
+  { name: 'NewJeans', aliases: ['뉴진스'] },
+  { name: 'aespa', aliases: ['에스파'] },
+  { name: 'IVE', aliases: ['아이브'] },
+  { name: 'LE SSERAFIM', aliases: ['르세라핌', 'LESSERAFIM'] },
+  { name: '(G)I-DLE', aliases: ['여자아이들', 'GIDLE', 'G-IDLE', 'I-DLE'] },
+  { name: 'NCT', aliases: ['엔시티'] },
+  { name: 'NCT 127', aliases: ['엔시티127', 'NCT127'] },
+  { name: 'NCT DREAM', aliases: ['엔시티드림', 'NCTDREAM'] },
+  { name: 'EXO', aliases: ['엑소'] },
+  { name: 'Red Velvet', aliases: ['레드벨벳', '레벨'] },
+  { name: 'TXT', aliases: ['투모로우바이투게더', '투바투', 'TOMORROW X TOGETHER'] },
+  { name: 'ENHYPEN', aliases: ['엔하이픈'] },
+  { name: 'ATEEZ', aliases: ['에이티즈'] },
+  { name: 'IU', aliases: ['아이유'] },
+  { name: 'BIGBANG', aliases: ['빅뱅'] },
+  { name: 'SHINee', aliases: ['샤이니'] },
+  { name: 'Super Junior', aliases: ['슈퍼주니어', '슈주'] },
+  { name: 'GOT7', aliases: ['갓세븐'] },
+  { name: 'MONSTA X', aliases: ['몬스타엑스'] },
+  { name: 'TREASURE', aliases: ['트레저'] },
+  { name: 'ZEROBASEONE', aliases: ['제로베이스원', '제베원', 'ZB1'] },
+  { name: 'RIIZE', aliases: ['라이즈'] },
+  { name: 'BOYNEXTDOOR', aliases: ['보이넥스트도어'] },
+  { name: 'THE BOYZ', aliases: ['더보이즈'] },
+  { name: 'BABYMONSTER', aliases: ['베이비몬스터'] },
+  { name: 'ILLIT', aliases: ['아일릿'] },
+  { name: 'NMIXX', aliases: ['엔믹스'] },
+  { name: 'STAYC', aliases: ['스테이씨'] },
+  { name: 'fromis_9', aliases: ['프로미스나인'] },
+  { name: 'Kep1er', aliases: ['케플러'] },
+];
+
+/**
+ * 아티스트 이름으로 태그용 slug를 만듭니다. (예: "Stray Kids" → "stray-kids", "(G)I-DLE" → "g-i-dle")
+ * @param {string} name - 아티스트 이름.
+ * @returns {string}
+ */
+function toArtistSlug(name) {
+  return String(name || '')
+    .normalize('NFKD')
+    .replace(/[̀-ͯ]/g, '')
+    .toLowerCase()
+    .replace(/[^a-z0-9가-힣]+/g, '-')
+    .replace(/^-+|-+$/g, '');
+}
+
+/**
+ * 비교용으로 문자열을 정규화합니다. (NFC, 소문자)
+ * @param {string} text
+ * @returns {string}
+ */
+function normalizeText(text) {
+  return String(text || '').normalize('NFC').toLowerCase();
+}
+
+/**
+ * 정규식 특수 문자를 이스케이프합니다.
+ * @param {string} text
+ * @returns {string}
+ */
+function escapeRegExp(text) {
+  return text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+}
+
+/**
+ * 별칭 하나를 일치 함수로 변환합니다.
+ * @param {string} alias - 별칭.
+ * @returns {{alias: string, hangul: boolean, find: function}|null} 너무 짧은 별칭이면 null.
+ *   find(normalizedText, compactText)는 { start, end } 또는 null을 반환합니다.
+ */
+function compileAlias(alias) {
+  const normalized = normalizeText(alias).trim();
+  const compact = normalized.replace(SEPARATOR_PATTERN, '');
+  if (compact.length < MIN_ALIAS_LENGTH) return null;
+
+  if (/[가-힣]/.test(compact)) {
+    return {
+      alias,
+      hangul: true,
+      find: (normalizedText, compactText) => {
+        const start = compactText.indexOf(compact);
+        return start >= 0 ? { start, end: start + compact.length, compact: true } : null;
+      },
+    };
+  }
+  const body = normalized.split(SEPARATOR_PATTERN).filter(Boolean).map(escapeRegExp).join('[\\s\\-_.·]*');
+  const pattern = new RegExp(`(?<![a-z0-9])${body}(?![a-z0-9])`);
+  return {
+    alias,
+    hangul: false,
+    find: (normalizedText) => {
+      const match = pattern.exec(normalizedText);
+      return match ? { start: match.index, end: match.index + match[0].length, compact: false } : null;
+    },
+  };
+}
+
+/**
+ * 아티스트 문서 목록을 일치 검사용 사전으로 변환합니다.
+ * @param {object[]} artists - Artist 문서(lean) 목록.
+ * @returns {object[]} 컴파일된 사전.
+ */
+function compileArtistDictionary(artists) {
+  return artists.map(artist => ({
+    name: artist.name,
+    slug: artist.slug || toArtistSlug(artist.name),
+    patterns: [artist.name, ...(artist.aliases || [])].map(compileAlias).filter(Boolean),
+    members: (artist.members || []).map(member => ({
+      name: member.name,
+      patterns: [member.name, ...(member.aliases || [])].map(compileAlias).filter(Boolean),
+    })),
+  }));
+}
+
+/**
+ * 활성 아티스트 사전을 불러옵니다. 카탈로그 처리 시작 시 한 번 호출합니다.
+ * @returns {Promise<object[]>} 컴파일된 사전.
+ */
+async function loadArtistDictionary() {
+  const artists = await Artist.find({ enabled: true }).lean();
+  return compileArtistDictionary(artists);
+}
+
+/**
+ * 텍스트에서 사전의 아티스트를 찾습니다.
+ * 그룹 이름/별칭이 없어도 멤버의 한글 이름(예: "제니")이 있으면 그룹을 찾은 것으로 보며, 멤버의 영문 이름(예: "Rose")은
+ * 일반 단어와 겹치는 경우가 많아 그룹을 이미 찾은 경우에만 멤버 식별에 사용합니다.
+ * 다른 아티스트 별칭 안에 포함된 일치(예: "엔시티127" 안의 "엔시티")는 제외합니다.
+ * @param {string[]} texts - 검사할 텍스트 (상품명, 키워드 등).
+ * @param {object[]} dictionary - compileArtistDictionary 결과.
+ * @returns {Array<{name: string, slug: string, members: string[], matchedAlias: string}>} 텍스트에 처음 나온 순서대로 정렬된 아티스트 목록.
+ */
+function matchArtists(texts, dictionary) {
+  if (!dictionary || dictionary.length === 0) return [];
+  const normalizedText = normalizeText(texts.filter(Boolean).join(' '));
+  const compactText = normalizedText.replace(SEPARATOR_PATTERN, '');
+  const findFirst = patterns => patterns
+    .map(pattern => ({ pattern, span: pattern.find(normalizedText, compactText) }))
+    .filter(result => result.span)
+    .sort((a, b) => a.span.start - b.span.start)[0] || null;
+
+  const matches = [];
+  for (const artist of dictionary) {
+    const artistHit = findFirst(artist.patterns);
+    const members = [];
+    let memberHit = null;
+    for (const member of artist.members) {
+      const hit = findFirst(artistHit ? member.patterns : member.patterns.filter(pattern => pattern.hangul));
+      if (hit) {
+        members.push(member.name);
+        if (!memberHit || hit.span.start < memberHit.span.start) memberHit = hit;
+      }
+    }
+    const hit = artistHit || memberHit;
+    if (hit) {
+      matches.push({ name: artist.name, slug: artist.slug, members, matchedAlias: hit.pattern.alias, span: hit.span });
+    }
+  }
+
+  // 같은 기준(압축/원문) 위치끼리 비교하여 더 긴 별칭 안에 포함된 일치 제거
+  const isContained = (inner, outer) => inner !== outer && inner.span.compact === outer.span.compact &&
+    outer.span.start <= inner.span.start && inner.span.end <= outer.span.end &&
+    (outer.span.end - outer.span.start) > (inner.span.end - inner.span.start);
+  return matches
+    .filter(match => !matches.some(other => isContained(match, other)))
+    .sort((a, b) => a.span.start - b.span.start)
+    .map(({ span, ...match }) => match);
+}
+
+/**
+ * 아티스트 목록을 이름순으로 조회합니다.
+ * @param {object} [filters] - { enabled, q: 이름/별칭 검색어 }
+ * @returns {Promise<object[]>}
+ */
+async function listArtists({ enabled, q } = {}) {
+  const query = {};
+  if (enabled !== undefined) query.enabled = enabled;
+  if (q) {
+    const pattern = new RegExp(escapeRegExp(q), 'i');
+    query.$or = [{ name: pattern }, { aliases: pattern }, { 'members.name': pattern }, { 'members.aliases': pattern }];
+  }
+  return Artist.find(query).sort({ name: 1 }).lean();
+}
+
+/**
+ * 아티스트 하나를 조회합니다.
+ * @param {string} artistId - Artist 문서 ID.
+ * @returns {Promise<object>}
+ * @throws {NotFoundError} 아티스트가 없는 경우.
+ */
+async function getArtist(artistId) {
+  const artist = await Artist.findById(artistId).lean();
+  if (!artist) throw new NotFoundError(undefined, 'Artist', artistId);
+  return artist;
+}
+
+/**
+ * 이름/slug 중복 오류를 409로 변환하여 저장합니다.
+ * @param {function} saveFn - 저장 함수.
+ * @param {string} name - 아티스트 이름 (오류 메시지용).
+ * @returns {Promise<*>}
+ */
+async function saveArtist(saveFn, name) {
+  try {
+    return await saveFn();
+  } catch (error) {
+    if (error.code === 11000) {
+      throw new AppError(`같은 이름(또는 slug)의 아티스트가 이미 있습니다: ${name}`, 409, 'ARTIST_NAME_CONFLICT');
+    }
+    throw error;
+  }
+}
+
+/**
+ * 아티스트를 추가합니다. slug를 지정하지 않으면 이름으로 만듭니다.
+ * @param {object} data - { name, slug, aliases, members, enabled }
+ * @returns {Promise<object>}
+ */
+async function createArtist(data) {
+  const created = await saveArtist(() => Artist.create({ ...data, slug: data.slug || toArtistSlug(data.name) }), data.name);
+  logger.info(`[${SERVICE_NAME}] Added artist "${created.name}" (artist:${created.slug}) with ${created.aliases.length} alias(es), ${created.members.length} member(s).`);
+  return created.toObject();
+}
+
+/**
+ * 아티스트의 일부 필드를 수정합니다. aliases/members는 전달한 값으로 교체됩니다.
+ * @param {string} artistId - Artist 문서 ID.
+ * @param {object} updates - 수정할 필드.
+ * @returns {Promise<object>}
+ * @throws {NotFoundError} 아티스트가 없는 경우.
+ */
+async function updateArtist(artistId, updates) {
+  const updated = await saveArtist(
+    () => Artist.findByIdAndUpdate(artistId, { $set: updates }, { new: true, runValidators: true }).lean(),
+    updates.name || artistId
+  );
+  if (!updated) throw new NotFoundError(undefined, 'Artist', artistId);
+  logger.info(`[${SERVICE_NAME}] Updated artist "${updated.name}" (${artistId}). Fields: [${Object.keys(updates).join(', ')}]`);
+  return updated;
+}
+
+/**
+ * 아티스트를 삭제합니다.
+ * @param {string} artistId - Artist 문서 ID.
+ * @returns {Promise<object>} 삭제된 아티스트.
+ * @throws {NotFoundError} 아티스트가 없는 경우.
+ */
+async function deleteArtist(artistId) {
+  const deleted = await Artist.findByIdAndDelete(artistId).lean();
+  if (!deleted) throw new NotFoundError(undefined, 'Artist', artistId);
+  logger.info(`[${SERVICE_NAME}] Deleted artist "${deleted.name}" (${artistId}).`);
+  return deleted;
+}
+
+/**
+ * 현재 사전으로 샘플 상품명/키워드를 검사합니다. (저장하지 않음)
+ * @param {object} sample - { name, keywords }
+ * @returns {Promise<object>} { artists, tags }
+ */
+async function matchSample({ name, keywords = [] }) {
+  const artists = matchArtists([name, ...keywords], await loadArtistDictionary());
+  return { artists, tags: artists.map(artist => `artist:${artist.slug}`) };
+}
+
+/**
+ * 기본 아티스트 사전을 추가합니다. 이미 있는 아티스트(같은 이름)는 바꾸지 않습니다.
+ * @returns {Promise<object>} { total, created, existing }
+ */
+async function seedDefaultArtists() {
+  const result = await Artist.bulkWrite(DEFAULT_ARTISTS.map(artist => ({
+    updateOne: {
+      filter: { name: artist.name },
+      update: { $setOnInsert: { members: [], enabled: true, ...artist, slug: toArtistSlug(artist.name) } },
+      upsert: true,
+    },
+  })), { ordered: false });
+  const created = result.upsertedCount || 0;
+  logger.info(`[${SERVICE_NAME}] Seeded default artist dictionary. Created: ${created}, Existing: ${DEFAULT_ARTISTS.length - created}`);
+  return { total: DEFAULT_ARTISTS.length, created, existing: DEFAULT_ARTISTS.length - created };
+}
+
+module.exports = {
+  toArtistSlug,
+  compileArtistDictionary,
+  loadArtistDictionary,
+  matchArtists,
+  listArtists,
+  getArtist,
+  createArtist,
+  updateArtist,
+  deleteArtist,
+  matchSample,
+  seedDefaultArtists,
+};
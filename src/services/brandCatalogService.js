@@ -0,0 +1,225 @@
+// src/services/brandCatalogService.js
+// 번개장터 브랜드 목록(브랜드 API)을 MongoDB에 캐시하고, 상품 변환에서 브랜드 ID 대신 실제 브랜드 이름을 쓰도록 합니다.
+//   - 동기화: 스케줄 작업(brandSyncWorker)이 브랜드 API 결과를 upsert (API에서 빠진 브랜드도 지우지 않음)
+//   - 상품 변환: vendor는 브랜드 이름, 태그는 brand:<slug>, 브랜드 컬렉션에 추가 (캐시에 없는 브랜드만 bunjang_brand:<id> 태그)
+//   - 브랜드 컬렉션은 그 브랜드 상품이 처음 동기화될 때 만듭니다 (수천 개 브랜드의 빈 컬렉션을 미리 만들지 않도록).
+
+const config = require('../config');
+const logger = require('../config/logger');
+const BunjangBrand = require('../models/bunjangBrand.model');
+const bunjangService = require('./bunjangService');
+const shopifyService = require('./shopifyService');
+const { toHandleSegment } = require('../mappers/seoMapper');
+const { NotFoundError } = require('../utils/customErrors');
+
+const SERVICE_NAME = 'BrandCatalogSvc';
+
+/**
+ * 정규식 특수 문자를 이스케이프합니다.
+ * @param {string} text
+ * @returns {string}
+ */
+function escapeRegExp(text) {
+  return text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+}
+
+/**
+ * 브랜드의 표시 이름을 정합니다. (관리자 지정 이름 > 영문명 > 한글명)
+ * @param {object} brand - BunjangBrand 문서.
+ * @returns {string|null}
+ */
+function resolveBrandName(brand) {
+  return brand.displayName || brand.nameEng || brand.nameKor || null;
+}
+
+/**
+ * 브랜드 태그/컬렉션 핸들에 쓸 slug를 만듭니다. 영문명이 없으면(한글명만 있으면) "brand-<id>"입니다.
+ * @param {object} brand - 브랜드 API 항목 { id, nameKor, nameEng }.
+ * @returns {string}
+ */
+function buildBrandSlug(brand) {
+  return toHandleSegment(brand.nameEng) || toHandleSegment(brand.nameKor) || `brand-${toHandleSegment(brand.id)}`;
+}
+
+/**
+ * 번개장터 브랜드 API로 브랜드 캐시를 갱신합니다. slug는 처음 저장할 때만 정하므로 영문명이 바뀌어도 태그가 유지됩니다.
+ * 조회에 실패하면 기존 캐시를 그대로 두고 오류를 던집니다.
+ * @param {object} [options] - { jobId }
+ * @returns {Promise<object>} { fetched, created, updated, skipped }
+ */
+async function syncBrandsFromBunjang({ jobId = 'N/A' } = {}) {
+  const brands = await bunjangService.getBunjangBrands();
+  const now = new Date();
+
+  const operations = [];
+  let skipped = 0;
+  for (const brand of brands) {
+    const bunjangBrandId = String(brand.id || '').trim();
+    if (!bunjangBrandId || (!brand.nameKor && !brand.nameEng)) {
+      skipped++;
+      continue;
+    }
+    operations.push({
+      updateOne: {
+        filter: { bunjangBrandId },
+        update: {
+          $set: { nameKor: brand.nameKor || null, nameEng: brand.nameEng || null, lastSeenAt: now },
+          $setOnInsert: { bunjangBrandId, slug: buildBrandSlug(brand) },
+        },
+        upsert: true,
+      },
+    });
+  }
+
+  let created = 0;
+  let updated = 0;
+  if (operations.length > 0) {
+    const result = await BunjangBrand.bulkWrite(operations, { ordered: false });
+    created = result.upsertedCount || 0;
+    updated = result.modifiedCount || 0;
+  }
+
+  const summary = { fetched: brands.length, created, updated, skipped };
+  logger.info(`[${SERVICE_NAME}:Job-${jobId}] Synced Bunjang brands.`, summary);
+  return summary;
+}
+
+/**
+ * 브랜드 캐시를 카탈로그 처리용으로 불러옵니다. 카탈로그 처리 시작 시 한 번 호출합니다.
+ * @returns {Promise<Map<string, object>>} 브랜드 ID → { bunjangBrandId, name, slug, shopifyCollectionGid }
+ */
+async function loadBrandMap() {
+  const brands = await BunjangBrand.find()
+    .select('bunjangBrandId nameKor nameEng displayName slug shopifyCollectionGid')
+    .lean();
+  return new Map(brands.map(brand => [brand.bunjangBrandId, {
+    bunjangBrandId: brand.bunjangBrandId,
+    name: resolveBrandName(brand),
+    slug: brand.slug,
+    shopifyCollectionGid: brand.shopifyCollectionGid || null,
+  }]));
+}
+
+/**
+ * 상품의 브랜드 관련 Shopify 필드를 만듭니다. 캐시에 없는 브랜드는 기본 vendor와 번개장터 브랜드 ID 태그를 사용합니다.
+ * @param {string} brandId - 번개장터 브랜드 ID (없으면 빈 문자열).
+ * @param {object|null} brand - loadBrandMap 항목.
+ * @returns {{vendor: string, brandName: string|null, tags: string[], collectionGid: string|null}}
+ */
+function buildBrandListingFields(brandId, brand) {
+  const defaultVendor = config.bunjang.defaultVendor || 'BunjangImport';
+  if (brand?.name) {
+    return { vendor: brand.name, brandName: brand.name, tags: [`brand:${brand.slug}`], collectionGid: brand.shopifyCollectionGid || null };
+  }
+  return { vendor: defaultVendor, brandName: null, tags: brandId ? [`bunjang_brand:${brandId}`] : [], collectionGid: null };
+}
+
+/**
+ * 브랜드 컬렉션이 없으면 만듭니다. 여러 워커가 같은 브랜드 상품을 동시에 동기화해도 한 번만 만들도록 문서에 생성 중 표시를 남기며,
+ * 다른 워커가 만드는 중이면 컬렉션 없이 진행합니다 (컬렉션이 생기면 브랜드 해시가 바뀌어 다음 동기화에서 추가됨).
+ * 실패해도 상품 동기화를 멈추지 않습니다.
+ * @param {object|null} brand - loadBrandMap 항목 (processCatalogRow가 붙인 bunjangProduct.brand).
+ * @param {string} [jobId]
+ * @returns {Promise<object|null>} shopifyCollectionGid가 반영된 브랜드 항목.
+ */
+async function ensureBrandCollection(brand, jobId = 'N/A') {
+  if (!brand?.name || brand.shopifyCollectionGid || !config.bunjang.brands.collectionsEnabled) return brand;
+
+  const now = new Date();
+  const staleClaimBefore = new Date(now.getTime() - config.bunjang.brands.collectionClaimTimeoutMinutes * 60 * 1000);
+  const claimed = await BunjangBrand.findOneAndUpdate(
+    {
+      bunjangBrandId: brand.bunjangBrandId,
+      shopifyCollectionGid: null,
+      $or: [{ collectionCreateClaimedAt: null }, { collectionCreateClaimedAt: { $lt: staleClaimBefore } }],
+    },
+    { $set: { collectionCreateClaimedAt: now } },
+    { new: true }
+  ).lean();
+  if (!claimed) {
+    const current = await BunjangBrand.findOne({ bunjangBrandId: brand.bunjangBrandId }).select('shopifyCollectionGid').lean();
+    return { ...brand, shopifyCollectionGid: current?.shopifyCollectionGid || null };
+  }
+
+  try {
+    const collection = await shopifyService.createCollection({
+      title: brand.name,
+      handle: `${config.bunjang.brands.collectionHandlePrefix}${brand.slug}`,
+    });
+    await BunjangBrand.updateOne(
+      { bunjangBrandId: brand.bunjangBrandId },
+      { $set: { shopifyCollectionGid: collection.id }, $unset: { collectionCreateClaimedAt: '', collectionError: '' } }
+    );
+    logger.info(`[${SERVICE_NAME}:Job-${jobId}] Created brand collection ${collection.id} for brand ${brand.bunjangBrandId} ("${brand.name}").`);
+    return { ...brand, shopifyCollectionGid: collection.id };
+  } catch (error) {
+    // 생성 중 표시는 남겨 두어 시간 제한이 지난 뒤에 다시 시도 (상품마다 실패한 요청을 반복하지 않도록)
+    logger.warn(`[${SERVICE_NAME}:Job-${jobId}] Failed to create brand collection for brand ${brand.bunjangBrandId} ("${brand.name}"): ${error.message}`);
+    await BunjangBrand.updateOne({ bunjangBrandId: brand.bunjangBrandId }, { $set: { collectionError: error.message } })
+      .catch(dbError => logger.warn(`[${SERVICE_NAME}:Job-${jobId}] Failed to record brand collection error: ${dbError.message}`));
+    return brand;
+  }
+}
+
+/**
+ * 브랜드 목록을 조회합니다.
+ * @param {object} [filters] - { q: 이름/slug 검색어, hasCollection, limit }
+ * @returns {Promise<object[]>}
+ */
+async function listBrands({ q, hasCollection, limit = 100 } = {}) {
+  const query = {};
+  if (q) {
+    const pattern = new RegExp(escapeRegExp(q), 'i');
+    query.$or = [{ nameKor: pattern }, { nameEng: pattern }, { displayName: pattern }, { slug: pattern }, { bunjangBrandId: q }];
+  }
+  if (hasCollection !== undefined) query.shopifyCollectionGid = hasCollection ? { $ne: null } : null;
+  return BunjangBrand.find(query).sort({ bunjangBrandId: 1 }).limit(limit).lean();
+}
+
+/**
+ * 브랜드 하나를 조회합니다.
+ * @param {string} bunjangBrandId - 번개장터 브랜드 ID.
+ * @returns {Promise<object>}
+ * @throws {NotFoundError} 캐시에 없는 경우.
+ */
+async function getBrand(bunjangBrandId) {
+  const brand = await BunjangBrand.findOne({ bunjangBrandId }).lean();
+  if (!brand) throw new NotFoundError(undefined, 'BunjangBrand', bunjangBrandId);
+  return brand;
+}
+
+/**
+ * 브랜드의 표시 이름, slug, 컬렉션을 수정합니다. 브랜드 API 동기화는 이 필드를 덮어쓰지 않습니다.
+ * @param {string} bunjangBrandId - 번개장터 브랜드 ID.
+ * @param {object} updates - { displayName, slug, shopifyCollectionGid } (null이면 지움)
+ * @returns {Promise<object>}
+ * @throws {NotFoundError} 캐시에 없는 경우.
+ */
+async function updateBrand(bunjangBrandId, updates) {
+  const $set = {};
+  const $unset = {};
+  for (const field of ['displayName', 'slug', 'shopifyCollectionGid']) {
+    if (updates[field] === undefined) continue;
+    if (updates[field] === null) $unset[field] = '';
+    else $set[field] = updates[field];
+  }
+  if ($set.shopifyCollectionGid) Object.assign($unset, { collectionCreateClaimedAt: '', collectionError: '' });
+  const updated = await BunjangBrand.findOneAndUpdate(
+    { bunjangBrandId },
+    { ...(Object.keys($set).length > 0 && { $set }), ...(Object.keys($unset).length > 0 && { $unset }) },
+    { new: true, runValidators: true }
+  ).lean();
+  if (!updated) throw new NotFoundError(undefined, 'BunjangBrand', bunjangBrandId);
+  logger.info(`[${SERVICE_NAME}] Updated brand ${bunjangBrandId}. Fields: [${[...Object.keys($set), ...Object.keys($unset)].join(', ')}]`);
+  return updated;
+}
+
+module.exports = {
+  syncBrandsFromBunjang,
+  loadBrandMap,
+  buildBrandListingFields,
+  ensureBrandCollection,
+  listBrands,
+  getBrand,
+  updateBrand,
+};
@@ -153,7 +153,8 @@ async function getBunjangProductDetails(pid) {
  * 번개장터에 주문을 생성합니다. (Create Order V2 API: /api/v2/orders)
  * 주의: 번개장터 API를 통해 주문하면 자동으로 번개 포인트가 사용됩니다.
  * @param {object} orderPayload - 주문 생성 API 페이로드.
- * 예: { product: { id: number, price: number }, deliveryPrice: number }
+ * 예: { product: { id: number, price: number, options?: [{ id: string, value: string }] }, deliveryPrice: number }
+ * 옵션 상품은 주문한 옵션을 상품 상세의 options와 같은 { id, value } 형식으로 전달합니다.
  * @returns {Promise<object>} 번개장터 주문 생성 API 응답의 data 부분 (예: { id: newOrderId }).
  * @throws {ExternalServiceError|AppError} 주문 생성 실패 시.
  */
@@ -313,7 +314,8 @@ async function searchBunjangProducts(params) {
 
 /**
  * 번개장터 브랜드 목록을 조회합니다. (Brands Lookup API: /api/v1/brands)
- * @returns {Promise<object[]>} 브랜드 목록
+ * @returns {Promise<object[]>} 브랜드 목록 (각 항목: id, nameKor, nameEng)
+ * @throws {AppError} 조회에 실패한 경우. (빈 목록으로 브랜드 캐시를 덮어쓰지 않도록 실패를 알림)
  */
 async function getBunjangBrands() {
   logger.info('[BunjangSvc] Fetching Bunjang brands list');
@@ -326,7 +328,29 @@ async function getBunjangBrands() {
     return [];
   } catch (error) {
     logger.error(`[BunjangSvc] Failed to fetch Bunjang brands: ${error.message}`);
+    if (error instanceof AppError || error instanceof ExternalServiceError) throw error;
+    throw new AppError(`번개장터 브랜드 목록 조회 실패: ${error.message}`, 500, 'BUNJANG_BRANDS_FETCH_ERROR');
+  }
+}
+
+/**
+ * 번개장터 카테고리 목록을 조회합니다. (Categories Lookup API: /api/v1/categories)
+ * @returns {Promise<object[]>} 카테고리 목록 (각 항목: id, nameKor, nameEng)
+ * @throws {AppError} 조회에 실패한 경우.
+ */
+async function getBunjangCategories() {
+  logger.info('[BunjangSvc] Fetching Bunjang categories list');
+  try {
+    const response = await bunjangApiClient.get('/api/v1/categories');
+    if (response.data && response.data.data) {
+      logger.info(`[BunjangSvc] Successfully fetched ${response.data.data.length} categories`);
+      return response.data.data;
+    }
     return [];
+  } catch (error) {
+    logger.error(`[BunjangSvc] Failed to fetch Bunjang categories: ${error.message}`);
+    if (error instanceof AppError || error instanceof ExternalServiceError) throw error;
+    throw new AppError(`번개장터 카테고리 목록 조회 실패: ${error.message}`, 500, 'BUNJANG_CATEGORIES_FETCH_ERROR');
   }
 }
 
@@ -340,4 +364,5 @@ module.exports = {
   getBunjangPointBalance,
   searchBunjangProducts,
   getBunjangBrands,
+  getBunjangCategories,
 };
\ No newline at end of file
@@ -0,0 +1,166 @@
+// src/services/catalogAnomalyGuardService.js
+// 카탈로그 파일을 Shopify에 반영하기 전에 파싱 통계를 직전 완료 실행 및 설정된 임계값과 비교합니다.
+// 잘렸거나 깨진 파일(예: 가격 열 전체 파싱 실패, 판매중 행 급감)이면 처리를 중단하거나 dry-run으로 전환하고 알림을 보냅니다.
+
+const config = require('../config');
+const logger = require('../config/logger');
+const catalogRunService = require('./catalogRunService');
+const notificationService = require('./notificationService');
+
+const SERVICE_NAME = 'CatalogAnomalyGuardSvc';
+
+/**
+ * 해당 카탈로그 타입에 사전 점검이 적용되는지 확인합니다.
+ * @param {string} catalogType - 'full' 또는 'segment'.
+ * @returns {boolean}
+ */
+function isGuardEnabledFor(catalogType) {
+  const guardConfig = config.bunjang.anomalyGuard || {};
+  return !!guardConfig.enabled && (guardConfig.catalogTypes || []).includes(catalogType);
+}
+
+/**
+ * 직전 완료 실행에서 비교 기준 통계를 만듭니다.
+ * 사전 점검 도입 이전 실행은 판매중 행 수가 없으므로 처리 카운터(전체 행, 처리 대상 상품 수)로 대체합니다.
+ * @param {object|null} baselineRun - 직전 완료 CatalogRun 문서.
+ * @returns {object|null} { totalRows, sellingRows?, validRows }
+ */
+function buildBaselineStats(baselineRun) {
+  if (!baselineRun) return null;
+  if (baselineRun.preflight?.stats) return baselineRun.preflight.stats;
+  return {
+    totalRows: baselineRun.counters?.totalOriginalCsvRows || 0,
+    validRows: baselineRun.counters?.validProductsToProcess || 0,
+  };
+}
+
+/**
+ * 파일 통계를 임계값 및 기준 통계와 비교하여 이상 항목을 반환합니다.
+ * @param {object} stats - { totalRows, sellingRows, validRows, rejectedRows, rejectedByRule }
+ * @param {object|null} baselineStats - buildBaselineStats 결과.
+ * @param {object} thresholds - config.bunjang.anomalyGuard의 임계값.
+ * @returns {Array<{check: string, value: number, threshold: number, message: string}>}
+ */
+function evaluateCatalogStats(stats, baselineStats, thresholds) {
+  const anomalies = [];
+  const ratio = (part, whole) => (whole > 0 ? part / whole : 0);
+  const dropRatio = (current, previous) => (previous > 0 ? (previous - current) / previous : 0);
+  const percent = value => `${(value * 100).toFixed(1)}%`;
+
+  if (stats.sellingRows < thresholds.minSellingRows) {
+    anomalies.push({
+      check: 'MIN_SELLING_ROWS',
+      value: stats.sellingRows,
+      threshold: thresholds.minSellingRows,
+      message: `Only ${stats.sellingRows} SELLING rows (minimum ${thresholds.minSellingRows}).`,
+    });
+  }
+
+  const invalidPriceRatio = ratio(stats.rejectedByRule?.INVALID_PRICE || 0, stats.sellingRows);
+  if (invalidPriceRatio > thresholds.maxInvalidPriceRatio) {
+    anomalies.push({
+      check: 'INVALID_PRICE_RATIO',
+      value: invalidPriceRatio,
+      threshold: thresholds.maxInvalidPriceRatio,
+      message: `${percent(invalidPriceRatio)} of SELLING rows have an unparseable price (limit ${percent(thresholds.maxInvalidPriceRatio)}).`,
+    });
+  }
+
+  const rejectedRatio = ratio(stats.rejectedRows, stats.sellingRows);
+  if (rejectedRatio > thresholds.maxRejectedRatio) {
+    anomalies.push({
+      check: 'REJECTED_RATIO',
+      value: rejectedRatio,
+      threshold: thresholds.maxRejectedRatio,
+      message: `${percent(rejectedRatio)} of SELLING rows failed validation (limit ${percent(thresholds.maxRejectedRatio)}).`,
+    });
+  }
+
+  if (baselineStats) {
+    const totalRowsDrop = dropRatio(stats.totalRows, baselineStats.totalRows);
+    if (totalRowsDrop > thresholds.maxTotalRowsDropRatio) {
+      anomalies.push({
+        check: 'TOTAL_ROWS_DROP',
+        value: totalRowsDrop,
+        threshold: thresholds.maxTotalRowsDropRatio,
+        message: `Total rows dropped ${percent(totalRowsDrop)} (${baselineStats.totalRows} -> ${stats.totalRows}, limit ${percent(thresholds.maxTotalRowsDropRatio)}).`,
+      });
+    }
+
+    // 기준 실행에 판매중 행 수가 없으면 처리 대상 상품 수로 비교
+    const [countKey, check] = baselineStats.sellingRows != null ? ['sellingRows', 'SELLING_ROWS_DROP'] : ['validRows', 'VALID_ROWS_DROP'];
+    const sellingDrop = dropRatio(stats[countKey], baselineStats[countKey]);
+    if (sellingDrop > thresholds.maxSellingRowsDropRatio) {
+      anomalies.push({
+        check,
+        value: sellingDrop,
+        threshold: thresholds.maxSellingRowsDropRatio,
+        message: `${countKey} dropped ${percent(sellingDrop)} (${baselineStats[countKey]} -> ${stats[countKey]}, limit ${percent(thresholds.maxSellingRowsDropRatio)}).`,
+      });
+    }
+  }
+
+  return anomalies;
+}
+
+/**
+ * 카탈로그 파일 사전 점검을 수행합니다. 이상이 있으면 설정된 조치(abort/dry_run)를 결정하고 알림을 보냅니다.
+ * @param {object} params
+ * @param {string} params.catalogType - 'full' 또는 'segment'.
+ * @param {string} params.fileName - 카탈로그 파일명.
+ * @param {object} params.stats - 파일 통계 (catalogService.collectCatalogFileStats 결과).
+ * @param {string} params.runId - 현재 실행 ID (직전 완료 실행 조회용).
+ * @param {boolean} [params.bypass=false] - 관리자가 점검을 무시하고 진행하도록 요청한 경우 true.
+ * @param {string} [params.jobId='N/A'] - 작업 식별자 (로깅용).
+ * @returns {Promise<object>} { checked, action: 'proceed'|'abort'|'dry_run', blocked, bypassed, anomalies, stats, baselineRunId, baselineStats, thresholds }
+ */
+async function runPreflightCheck({ catalogType, fileName, stats, runId, bypass = false, jobId = 'N/A' }) {
+  const { enabled, catalogTypes, action, ...thresholds } = config.bunjang.anomalyGuard || {};
+  const result = { checked: false, action: 'proceed', blocked: false, bypassed: false, anomalies: [], stats };
+  if (!isGuardEnabledFor(catalogType)) return result;
+
+  const run = await catalogRunService.getRun(runId);
+  const baselineRun = await catalogRunService.findPreviousCompletedRun(run);
+  const baselineStats = buildBaselineStats(baselineRun);
+  const anomalies = evaluateCatalogStats(stats, baselineStats, thresholds);
+  Object.assign(result, {
+    checked: true,
+    anomalies,
+    baselineRunId: baselineRun?._id || null,
+    baselineStats,
+    thresholds,
+  });
+
+  if (anomalies.length === 0) {
+    logger.info(`[${SERVICE_NAME}:Job-${jobId}] Preflight check passed for ${fileName}.`, { stats, baselineRunId: result.baselineRunId });
+    return result;
+  }
+
+  const anomalySummary = anomalies.map(anomaly => anomaly.message).join(' ');
+  if (bypass) {
+    result.bypassed = true;
+    await notificationService.sendAlert({
+      title: `Catalog anomaly bypassed: ${fileName}`,
+      message: `Anomaly guard was bypassed by request. Processing continues. ${anomalySummary}`,
+      severity: 'warning',
+      details: { runId: String(runId), anomalies, stats, baselineStats },
+    });
+    return result;
+  }
+
+  result.action = action;
+  result.blocked = true;
+  await notificationService.sendAlert({
+    title: `Catalog anomaly detected: ${fileName}`,
+    message: `${action === 'dry_run' ? 'Switched to dry-run; nothing was written to Shopify.' : 'Processing aborted; nothing was written to Shopify.'} ${anomalySummary}`,
+    severity: 'critical',
+    details: { runId: String(runId), catalogType, anomalies, stats, baselineRunId: result.baselineRunId ? String(result.baselineRunId) : null, baselineStats },
+  });
+  return result;
+}
+
+module.exports = {
+  isGuardEnabledFor,
+  evaluateCatalogStats,
+  runPreflightCheck,
+};
@@ -0,0 +1,190 @@
+// src/services/catalogCheckpointService.js
+// 카탈로그 처리 체크포인트(진행 상황)를 기록하고 조회합니다.
+// catalogService는 청크 단위로 진행 상황을 저장하고, 재시작 시 마지막 처리 행 다음부터 이어서 처리합니다.
+
+const logger = require('../config/logger');
+const CatalogCheckpoint = require('../models/catalogCheckpoint.model');
+const { AppError, NotFoundError } = require('../utils/customErrors');
+
+const SERVICE_NAME = 'CatalogCheckpointSvc';
+
+/**
+ * 주어진 파일에 대해 진행 중인 체크포인트가 있으면 이어서 사용하고, 없으면 새로 생성합니다.
+ * @param {string} catalogType - 'full' 또는 'segment'.
+ * @param {string} fileName - 카탈로그 파일명 (예: "full-20240524.csv.gz").
+ * @param {string} [jobId='N/A'] - 작업 식별자 (로깅용).
+ * @returns {Promise<{checkpoint: object, resumed: boolean}>} 체크포인트 문서(lean)와 재개 여부.
+ */
+async function startOrResumeCheckpoint(catalogType, fileName, jobId = 'N/A') {
+  const existing = await CatalogCheckpoint.findOne({ fileName, status: 'IN_PROGRESS' }).sort({ startedAt: -1 }).lean();
+
+  if (existing) {
+    const resumed = await CatalogCheckpoint.findByIdAndUpdate(
+      existing._id,
+      { $set: { jobId, lastErrorMessage: null }, $inc: { resumeCount: 1 } },
+      { new: true }
+    ).lean();
+    logger.info(`[${SERVICE_NAME}:Job-${jobId}] Resuming checkpoint ${existing._id} for ${fileName} after row #${existing.lastProcessedRow}.`, {
+      counters: existing.counters,
+      resumeCount: resumed.resumeCount,
+    });
+    return { checkpoint: resumed, resumed: true };
+  }
+
+  const created = await CatalogCheckpoint.create({ catalogType, fileName, jobId, startedAt: new Date() });
+  logger.info(`[${SERVICE_NAME}:Job-${jobId}] Created new checkpoint ${created._id} for ${fileName}.`);
+  return { checkpoint: created.toObject(), resumed: false };
+}
+
+/**
+ * 파싱 결과(전체 행 수, 처리 대상 상품 수)를 체크포인트에 기록합니다.
+ * @param {string} checkpointId - 체크포인트 ID.
+ * @param {object} stats - { totalOriginalCsvRows, validProductsToProcess }
+ */
+async function recordParseStats(checkpointId, { totalOriginalCsvRows, validProductsToProcess }) {
+  await CatalogCheckpoint.updateOne(
+    { _id: checkpointId },
+    { $set: { totalOriginalCsvRows, validProductsToProcess, lastProgressAt: new Date() } }
+  );
+}
+
+/**
+ * 한 청크의 처리가 끝난 뒤 마지막 처리 행과 카운터 증가분을 저장합니다.
+ * @param {string} checkpointId - 체크포인트 ID.
+ * @param {number} lastProcessedRow - 청크에서 처리한 마지막 CSV 행 번호.
+ * @param {object} counterDelta - { successfullyProcessed, errors, skippedByFilter, skippedNoChange } 증가분.
+ */
+async function recordChunkProgress(checkpointId, lastProcessedRow, counterDelta) {
+  const inc = {};
+  Object.entries(counterDelta).forEach(([key, value]) => {
+    if (value) inc[`counters.${key}`] = value;
+  });
+  await CatalogCheckpoint.updateOne(
+    { _id: checkpointId, status: 'IN_PROGRESS' },
+    {
+      $max: { lastProcessedRow },
+      $set: { lastProgressAt: new Date() },
+      ...(Object.keys(inc).length > 0 && { $inc: inc }),
+    }
+  );
+}
+
+/**
+ * 체크포인트가 관리 API를 통해 중단(ABANDONED) 처리되었는지 확인합니다.
+ * @param {string} checkpointId - 체크포인트 ID.
+ * @returns {Promise<boolean>}
+ */
+async function isCheckpointAbandoned(checkpointId) {
+  const doc = await CatalogCheckpoint.findById(checkpointId).select('status').lean();
+  return !doc || doc.status === 'ABANDONED';
+}
+
+/**
+ * 처리 중 오류 메시지를 기록합니다. 상태는 IN_PROGRESS로 유지되어 재시도 시 이어서 처리됩니다.
+ * @param {string} checkpointId - 체크포인트 ID.
+ * @param {string} errorMessage - 오류 메시지.
+ */
+async function recordCheckpointError(checkpointId, errorMessage) {
+  await CatalogCheckpoint.updateOne(
+    { _id: checkpointId },
+    { $set: { lastErrorMessage: String(errorMessage || '').substring(0, 1000), lastProgressAt: new Date() } }
+  );
+}
+
+/**
+ * 체크포인트를 완료 상태로 표시하고 최종 문서를 반환합니다.
+ * @param {string} checkpointId - 체크포인트 ID.
+ * @returns {Promise<object|null>} 완료된 체크포인트 문서(lean).
+ */
+async function completeCheckpoint(checkpointId) {
+  return CatalogCheckpoint.findOneAndUpdate(
+    { _id: checkpointId, status: 'IN_PROGRESS' },
+    { $set: { status: 'COMPLETED', finishedAt: new Date() } },
+    { new: true }
+  ).lean();
+}
+
+/**
+ * 처리를 시작하지 못한 체크포인트를 삭제합니다. (예: 카탈로그 파일이 아직 게시되지 않은 경우)
+ * 진행 기록이 있는 체크포인트는 삭제하지 않습니다.
+ * @param {string} checkpointId - 체크포인트 ID.
+ */
+async function discardCheckpoint(checkpointId) {
+  await CatalogCheckpoint.deleteOne({ _id: checkpointId, status: 'IN_PROGRESS', lastProcessedRow: 0 });
+}
+
+/**
+ * 주어진 파일들 중 처리가 끝난(완료 또는 중단) 파일명을 반환합니다.
+ * @param {string[]} fileNames - 확인할 카탈로그 파일명 목록.
+ * @returns {Promise<Set<string>>}
+ */
+async function findFinishedFileNames(fileNames) {
+  const finished = await CatalogCheckpoint.distinct('fileName', {
+    fileName: { $in: fileNames },
+    status: { $in: ['COMPLETED', 'ABANDONED'] },
+  });
+  return new Set(finished);
+}
+
+/**
+ * 체크포인트 목록을 조회합니다. (관리 API용)
+ * @param {object} [filters] - { status, catalogType, limit }
+ * @returns {Promise<object[]>}
+ */
+async function listCheckpoints({ status, catalogType, limit = 20 } = {}) {
+  const query = {};
+  if (status) query.status = status;
+  if (catalogType) query.catalogType = catalogType;
+  return CatalogCheckpoint.find(query).sort({ startedAt: -1 }).limit(limit).lean();
+}
+
+/**
+ * 단일 체크포인트를 조회합니다.
+ * @param {string} checkpointId - 체크포인트 ID.
+ * @returns {Promise<object>}
+ * @throws {NotFoundError} 체크포인트가 없는 경우.
+ */
+async function getCheckpoint(checkpointId) {
+  const doc = await CatalogCheckpoint.findById(checkpointId).lean();
+  if (!doc) throw new NotFoundError(undefined, 'CatalogCheckpoint', checkpointId);
+  return doc;
+}
+
+/**
+ * 진행 중인 체크포인트를 중단(ABANDONED) 처리합니다.
+ * 처리 중인 작업은 다음 청크 시작 전에 이를 감지하고 종료하며, 이후 같은 파일은 처음부터 다시 처리됩니다.
+ * @param {string} checkpointId - 체크포인트 ID.
+ * @param {string} [reason] - 중단 사유.
+ * @returns {Promise<object>} 업데이트된 체크포인트 문서(lean).
+ * @throws {NotFoundError|AppError} 체크포인트가 없거나 이미 종료된 경우.
+ */
+async function abandonCheckpoint(checkpointId, reason) {
+  const existing = await getCheckpoint(checkpointId);
+  if (existing.status !== 'IN_PROGRESS') {
+    throw new AppError(`체크포인트가 진행 중 상태가 아닙니다 (현재 상태: ${existing.status}).`, 409, 'CHECKPOINT_NOT_IN_PROGRESS');
+  }
+  const updated = await CatalogCheckpoint.findOneAndUpdate(
+    { _id: checkpointId, status: 'IN_PROGRESS' },
+    { $set: { status: 'ABANDONED', abandonedAt: new Date(), abandonReason: reason ? String(reason).substring(0, 500) : null } },
+    { new: true }
+  ).lean();
+  if (!updated) {
+    throw new AppError('체크포인트 상태가 변경되어 중단할 수 없습니다.', 409, 'CHECKPOINT_NOT_IN_PROGRESS');
+  }
+  logger.warn(`[${SERVICE_NAME}] Checkpoint ${checkpointId} (${existing.fileName}) abandoned at row #${existing.lastProcessedRow}. Reason: ${reason || 'N/A'}`);
+  return updated;
+}
+
+module.exports = {
+  startOrResumeCheckpoint,
+  recordParseStats,
+  recordChunkProgress,
+  isCheckpointAbandoned,
+  recordCheckpointError,
+  completeCheckpoint,
+  discardCheckpoint,
+  findFinishedFileNames,
+  listCheckpoints,
+  getCheckpoint,
+  abandonCheckpoint,
+};
@@ -0,0 +1,394 @@
+// src/services/catalogFilterRuleService.js
+// DB에 저장된 카탈로그 포함/제외 규칙을 관리하고 상품에 적용합니다.
+// 규칙은 priority 오름차순으로 평가되어 처음 일치한 규칙이 결정하며(INCLUDE → 포함, EXCLUDE → 제외),
+// 일치하는 규칙이 없으면 활성 INCLUDE 규칙이 하나라도 있을 때만 제외합니다. 상품별 결정은 CatalogFilterDecision에 기록됩니다.
+// 이미 Shopify에 게시 중인 상품이 제외되면 임시 저장(DRAFT)으로 내리고, 규칙이 풀리면 다음 동기화에서 다시 게시됩니다.
+
+const mongoose = require('mongoose');
+const logger = require('../config/logger');
+const CatalogFilterRule = require('../models/catalogFilterRule.model');
+const CatalogFilterDecision = require('../models/catalogFilterDecision.model');
+const SyncedProduct = require('../models/syncedProduct.model');
+const shopifyService = require('./shopifyService');
+const { AppError, NotFoundError, ValidationError } = require('../utils/customErrors');
+const { normalizeImages } = require('../utils/productContentHash');
+
+const SERVICE_NAME = 'CatalogFilterRuleSvc';
+const VALUE_LIST_RULE_TYPES = ['CATEGORY', 'BRAND', 'SELLER', 'CONDITION'];
+const DEFAULT_KEYWORD_FIELDS = ['name', 'keywords'];
+
+/**
+ * 규칙 정의가 타입에 맞는 값을 가지고 있는지 검사합니다.
+ * @param {object} rule - 규칙 정의 (모델 필드).
+ * @returns {Array<{field: string, message: string}>} 오류 목록 (없으면 빈 배열).
+ */
+function getRuleDefinitionErrors(rule) {
+  const errors = [];
+  if (VALUE_LIST_RULE_TYPES.includes(rule.type) && !(Array.isArray(rule.values) && rule.values.length > 0)) {
+    errors.push({ field: 'values', message: `${rule.type} 규칙에는 values가 하나 이상 필요합니다.` });
+  }
+  if (rule.type === 'PRICE_BAND') {
+    if (rule.minPriceKrw == null && rule.maxPriceKrw == null) {
+      errors.push({ field: 'minPriceKrw', message: 'PRICE_BAND 규칙에는 minPriceKrw 또는 maxPriceKrw가 필요합니다.' });
+    } else if (rule.minPriceKrw != null && rule.maxPriceKrw != null && rule.minPriceKrw > rule.maxPriceKrw) {
+      errors.push({ field: 'maxPriceKrw', message: 'maxPriceKrw는 minPriceKrw보다 크거나 같아야 합니다.' });
+    }
+  }
+  if (rule.type === 'KEYWORD_REGEX') {
+    if (!rule.pattern) {
+      errors.push({ field: 'pattern', message: 'KEYWORD_REGEX 규칙에는 pattern이 필요합니다.' });
+    } else {
+      try {
+        new RegExp(rule.pattern, rule.patternFlags || 'i');
+      } catch (regexError) {
+        errors.push({ field: 'pattern', message: `유효하지 않은 정규식입니다: ${regexError.message}` });
+      }
+    }
+  }
+  if (rule.type === 'MIN_IMAGE_COUNT' && !(rule.minImageCount >= 1)) {
+    errors.push({ field: 'minImageCount', message: 'MIN_IMAGE_COUNT 규칙에는 1 이상의 minImageCount가 필요합니다.' });
+  }
+  return errors;
+}
+
+/**
+ * 규칙 문서를 상품 평가용 함수로 변환합니다.
+ * @param {object} rule - CatalogFilterRule 문서(lean).
+ * @returns {{id: string, name: string, type: string, effect: string, matches: function(object): boolean}}
+ * @throws {ValidationError} 규칙 정의가 타입에 맞지 않는 경우.
+ */
+function compileRule(rule) {
+  const errors = getRuleDefinitionErrors(rule);
+  if (errors.length > 0) {
+    throw new ValidationError(`필터 규칙 "${rule.name}" 정의가 유효하지 않습니다.`, errors);
+  }
+
+  let matches;
+  switch (rule.type) {
+    case 'CATEGORY':
+    case 'BRAND':
+    case 'SELLER': {
+      const productField = { CATEGORY: 'categoryId', BRAND: 'brandId', SELLER: 'uid' }[rule.type];
+      const values = new Set(rule.values.map(value => String(value).trim()));
+      matches = product => !!product[productField] && values.has(product[productField]);
+      break;
+    }
+    case 'CONDITION': {
+      const values = new Set(rule.values.map(value => String(value).trim().toUpperCase()));
+      matches = product => values.has(product.condition);
+      break;
+    }
+    case 'PRICE_BAND': {
+      const minPrice = rule.minPriceKrw ?? 0;
+      const maxPrice = rule.maxPriceKrw ?? Infinity;
+      matches = product => product.price >= minPrice && product.price <= maxPrice;
+      break;
+    }
+    case 'KEYWORD_REGEX': {
+      const regex = new RegExp(rule.pattern, (rule.patternFlags || 'i').replace(/[gy]/g, ''));
+      const fields = rule.fields?.length ? rule.fields : DEFAULT_KEYWORD_FIELDS;
+      matches = product => fields.some(field => {
+        const text = field === 'keywords' ? (product.keywords || []).join(' ') : product[field];
+        return !!text && regex.test(text);
+      });
+      break;
+    }
+    case 'MIN_IMAGE_COUNT':
+      matches = product => normalizeImages(product.images).length < rule.minImageCount;
+      break;
+    default:
+      throw new ValidationError(`알 수 없는 필터 규칙 타입입니다: ${rule.type}`, [{ field: 'type', message: rule.type }]);
+  }
+  return { id: String(rule._id), name: rule.name, type: rule.type, effect: rule.effect, matches };
+}
+
+/**
+ * 상품에 필터 규칙을 적용합니다. 규칙 목록은 평가 순서(priority)대로 정렬되어 있어야 합니다.
+ * @param {object} product - processCatalogRow가 만든 상품 객체.
+ * @param {Array<object>} compiledRules - loadActiveRules 결과.
+ * @returns {object|null} { bunjangPid, decision: 'INCLUDED'|'EXCLUDED', reason, ruleId, ruleName, ruleType }. 규칙이 없으면 null.
+ */
+function evaluateFilterRules(product, compiledRules) {
+  if (!compiledRules || compiledRules.length === 0) return null;
+  for (const rule of compiledRules) {
+    if (rule.matches(product)) {
+      return {
+        bunjangPid: product.pid,
+        decision: rule.effect === 'INCLUDE' ? 'INCLUDED' : 'EXCLUDED',
+        reason: 'RULE_MATCH',
+        ruleId: rule.id,
+        ruleName: rule.name,
+        ruleType: rule.type,
+      };
+    }
+  }
+  // 포함 규칙이 하나라도 있으면 허용 목록(allowlist)으로 동작, 제외 규칙만 있으면 기본 포함
+  const hasIncludeRules = compiledRules.some(rule => rule.effect === 'INCLUDE');
+  return {
+    bunjangPid: product.pid,
+    decision: hasIncludeRules ? 'EXCLUDED' : 'INCLUDED',
+    reason: hasIncludeRules ? 'NO_INCLUDE_MATCH' : 'NO_RULE_MATCH',
+    ruleId: null,
+    ruleName: null,
+    ruleType: null,
+  };
+}
+
+/**
+ * 활성 규칙을 평가 순서대로 불러와 컴파일합니다. 카탈로그 처리 1회마다 한 번 호출합니다.
+ * 정의가 잘못된 규칙은 경고 후 건너뜁니다.
+ * @returns {Promise<Array<object>>} 컴파일된 규칙 목록.
+ */
+async function loadActiveRules() {
+  const rules = await CatalogFilterRule.find({ enabled: true }).sort({ priority: 1, createdAt: 1 }).lean();
+  const compiledRules = [];
+  for (const rule of rules) {
+    try {
+      compiledRules.push(compileRule(rule));
+    } catch (error) {
+      logger.warn(`[${SERVICE_NAME}] Skipping invalid filter rule "${rule.name}" (${rule._id}): ${error.message}`, { errors: error.errors });
+    }
+  }
+  if (compiledRules.length > 0) {
+    logger.info(`[${SERVICE_NAME}] Loaded ${compiledRules.length} active catalog filter rules.`);
+  }
+  return compiledRules;
+}
+
+/**
+ * 규칙 목록을 평가 순서대로 조회합니다. (API용)
+ * @param {object} [filters] - { enabled, type, effect }
+ * @returns {Promise<object[]>}
+ */
+async function listRules({ enabled, type, effect } = {}) {
+  const query = {};
+  if (enabled !== undefined) query.enabled = enabled;
+  if (type) query.type = type;
+  if (effect) query.effect = effect;
+  return CatalogFilterRule.find(query).sort({ priority: 1, createdAt: 1 }).lean();
+}
+
+/**
+ * 단일 규칙을 조회합니다.
+ * @param {string} ruleId - 규칙 ID.
+ * @returns {Promise<object>}
+ * @throws {NotFoundError} 규칙이 없는 경우.
+ */
+async function getRule(ruleId) {
+  const rule = await CatalogFilterRule.findById(ruleId).lean();
+  if (!rule) throw new NotFoundError(undefined, 'CatalogFilterRule', ruleId);
+  return rule;
+}
+
+/**
+ * 규칙 정의를 검사하고, 같은 이름의 규칙이 있으면 409 오류로 변환합니다.
+ * @param {function(): Promise<object>} saveFn - 저장 함수.
+ * @param {object} rule - 검사할 규칙 정의.
+ * @returns {Promise<object>}
+ */
+async function saveValidatedRule(saveFn, rule) {
+  const errors = getRuleDefinitionErrors(rule);
+  if (errors.length > 0) {
+    throw new ValidationError('필터 규칙 정의가 유효하지 않습니다.', errors);
+  }
+  try {
+    return await saveFn();
+  } catch (error) {
+    if (error.code === 11000) {
+      throw new AppError(`같은 이름의 필터 규칙이 이미 있습니다: ${rule.name}`, 409, 'FILTER_RULE_NAME_CONFLICT');
+    }
+    throw error;
+  }
+}
+
+/**
+ * 규칙을 생성합니다. 다음 카탈로그 처리부터 적용됩니다.
+ * @param {object} data - 규칙 필드.
+ * @returns {Promise<object>} 생성된 규칙.
+ */
+async function createRule(data) {
+  const created = await saveValidatedRule(() => CatalogFilterRule.create(data), data);
+  logger.info(`[${SERVICE_NAME}] Created ${created.effect} ${created.type} filter rule "${created.name}" (priority ${created.priority}).`);
+  return created.toObject();
+}
+
+/**
+ * 규칙을 수정합니다. 다음 카탈로그 처리부터 적용됩니다.
+ * @param {string} ruleId - 규칙 ID.
+ * @param {object} updates - 바꿀 필드.
+ * @returns {Promise<object>} 수정된 규칙.
+ * @throws {NotFoundError} 규칙이 없는 경우.
+ */
+async function updateRule(ruleId, updates) {
+  const existing = await getRule(ruleId);
+  const merged = { ...existing, ...updates };
+  const updated = await saveValidatedRule(
+    () => CatalogFilterRule.findByIdAndUpdate(ruleId, { $set: updates }, { new: true, runValidators: true }).lean(),
+    merged
+  );
+  logger.info(`[${SERVICE_NAME}] Updated filter rule "${updated.name}" (${ruleId}). Fields: [${Object.keys(updates).join(', ')}]`);
+  return updated;
+}
+
+/**
+ * 규칙을 삭제합니다. 이미 기록된 결정(CatalogFilterDecision)은 다음 카탈로그 처리 때 갱신됩니다.
+ * @param {string} ruleId - 규칙 ID.
+ * @returns {Promise<object>} 삭제된 규칙.
+ * @throws {NotFoundError} 규칙이 없는 경우.
+ */
+async function deleteRule(ruleId) {
+  const deleted = await CatalogFilterRule.findByIdAndDelete(ruleId).lean();
+  if (!deleted) throw new NotFoundError(undefined, 'CatalogFilterRule', ruleId);
+  logger.info(`[${SERVICE_NAME}] Deleted filter rule "${deleted.name}" (${ruleId}).`);
+  return deleted;
+}
+
+/**
+ * 현재 활성 규칙으로 샘플 상품을 평가합니다. 규칙을 추가/수정하기 전에 결과를 확인하는 용도입니다.
+ * @param {object} sample - { pid, name, description, price, condition, categoryId, brandId, uid, keywords, images }
+ * @returns {Promise<object>} { decision, reason, ruleId, ruleName, ruleType, activeRuleCount }
+ */
+async function evaluateSampleProduct(sample) {
+  const compiledRules = await loadActiveRules();
+  const product = {
+    ...sample,
+    pid: String(sample.pid || ''),
+    price: Number(sample.price),
+    condition: String(sample.condition || 'USED').trim().toUpperCase(),
+    keywords: Array.isArray(sample.keywords)
+      ? sample.keywords
+      : String(sample.keywords || '').split(',').map(keyword => keyword.trim()).filter(Boolean),
+  };
+  const result = evaluateFilterRules(product, compiledRules) || { decision: 'INCLUDED', reason: 'NO_RULES', ruleId: null, ruleName: null, ruleType: null };
+  return { ...result, activeRuleCount: compiledRules.length };
+}
+
+/**
+ * 상품별 필터 결정을 기록합니다. PID마다 가장 최근 결정만 유지됩니다.
+ * @param {Array<object>} decisions - evaluateFilterRules 결과 목록.
+ * @param {object} context - { catalogFileName, catalogRunId, jobId }
+ * @returns {Promise<number>} 기록된 결정 수.
+ */
+async function recordFilterDecisions(decisions, { catalogFileName, catalogRunId, jobId = 'N/A' }) {
+  if (!decisions || decisions.length === 0) return 0;
+  const decidedAt = new Date();
+  const operations = decisions.map(decision => ({
+    updateOne: {
+      filter: { bunjangPid: decision.bunjangPid },
+      update: {
+        $set: {
+          decision: decision.decision,
+          reason: decision.reason,
+          ruleId: decision.ruleId,
+          ruleName: decision.ruleName,
+          ruleType: decision.ruleType,
+          catalogFileName: catalogFileName || null,
+          catalogRunId: catalogRunId || null,
+          decidedAt,
+        },
+      },
+      upsert: true,
+    },
+  }));
+  await CatalogFilterDecision.bulkWrite(operations, { ordered: false });
+  logger.debug(`[${SERVICE_NAME}:Job-${jobId}] Recorded ${decisions.length} filter decisions from ${catalogFileName || 'N/A'}.`);
+  return decisions.length;
+}
+
+/**
+ * 필터 규칙으로 제외된 상품 중 Shopify에 게시 중인 상품을 임시 저장(DRAFT)으로 내립니다.
+ * 판매자 정책 제외와 같이 기존 리스팅이 계속 판매되지 않도록 하며, 규칙이 풀리면 게시 상태가 달라 다음 동기화에서 다시 게시됩니다.
+ * @param {string[]} bunjangPids - 이번 카탈로그에서 제외 결정된 PID 목록.
+ * @param {object} [context] - { jobId }
+ * @returns {Promise<object>} { candidates, drafted, failed }
+ */
+async function draftExcludedListings(bunjangPids, { jobId = 'N/A' } = {}) {
+  const summary = { candidates: 0, drafted: 0, failed: 0 };
+  if (!bunjangPids || bunjangPids.length === 0) return summary;
+  const liveDocs = await SyncedProduct.find({
+    bunjangPid: { $in: bunjangPids },
+    shopifyGid: { $ne: null },
+    retiredAt: null,
+    shopifyStatus: { $ne: 'DRAFT' },
+  }).select('bunjangPid shopifyGid').lean();
+
+  for (const syncedDoc of liveDocs) {
+    summary.candidates++;
+    try {
+      await shopifyService.updateProductStatus(syncedDoc.shopifyGid, 'DRAFT');
+      await SyncedProduct.updateOne({ bunjangPid: syncedDoc.bunjangPid }, { $set: { shopifyStatus: 'DRAFT' } });
+      summary.drafted++;
+      logger.info(`[${SERVICE_NAME}:Job-${jobId}] PID ${syncedDoc.bunjangPid} is excluded by a filter rule. Shopify product ${syncedDoc.shopifyGid} -> DRAFT.`);
+    } catch (error) {
+      summary.failed++;
+      logger.error(`[${SERVICE_NAME}:Job-${jobId}] Failed to draft excluded PID ${syncedDoc.bunjangPid} (Shopify ${syncedDoc.shopifyGid}): ${error.message}`);
+    }
+  }
+  return summary;
+}
+
+/**
+ * 상품별 필터 결정 목록을 최신순으로 조회합니다. (API용)
+ * @param {object} [filters] - { decision, ruleId, catalogRunId, limit }
+ * @returns {Promise<object[]>}
+ */
+async function listFilterDecisions({ decision, ruleId, catalogRunId, limit = 100 } = {}) {
+  const query = {};
+  if (decision) query.decision = decision;
+  if (ruleId) query.ruleId = ruleId;
+  if (catalogRunId) query.catalogRunId = catalogRunId;
+  return CatalogFilterDecision.find(query).sort({ decidedAt: -1 }).limit(limit).lean();
+}
+
+/**
+ * 단일 상품의 필터 결정을 조회합니다.
+ * @param {string} bunjangPid - 번개장터 상품 ID.
+ * @returns {Promise<object>}
+ * @throws {NotFoundError} 기록된 결정이 없는 경우.
+ */
+async function getFilterDecision(bunjangPid) {
+  const decision = await CatalogFilterDecision.findOne({ bunjangPid }).lean();
+  if (!decision) throw new NotFoundError(undefined, 'CatalogFilterDecision', bunjangPid);
+  return decision;
+}
+
+/**
+ * 필터 결정을 결정/규칙별로 집계합니다.
+ * @param {object} [filters] - { catalogRunId }
+ * @returns {Promise<object>} { total, included, excluded, byRule: [{ decision, reason, ruleId, ruleName, count }] }
+ */
+async function summarizeFilterDecisions({ catalogRunId } = {}) {
+  const match = {};
+  if (catalogRunId) match.catalogRunId = new mongoose.Types.ObjectId(catalogRunId);
+  const groups = await CatalogFilterDecision.aggregate([
+    { $match: match },
+    {
+      $group: {
+        _id: { decision: '$decision', reason: '$reason', ruleId: '$ruleId' },
+        ruleName: { $last: '$ruleName' },
+        count: { $sum: 1 },
+      },
+    },
+    { $sort: { count: -1 } },
+  ]);
+  const byRule = groups.map(group => ({ ...group._id, ruleName: group.ruleName, count: group.count }));
+  const countBy = decision => byRule.filter(group => group.decision === decision).reduce((sum, group) => sum + group.count, 0);
+  return { total: countBy('INCLUDED') + countBy('EXCLUDED'), included: countBy('INCLUDED'), excluded: countBy('EXCLUDED'), byRule };
+}
+
+module.exports = {
+  compileRule,
+  evaluateFilterRules,
+  loadActiveRules,
+  listRules,
+  getRule,
+  createRule,
+  updateRule,
+  deleteRule,
+  evaluateSampleProduct,
+  recordFilterDecisions,
+  draftExcludedListings,
+  listFilterDecisions,
+  getFilterDecision,
+  summarizeFilterDecisions,
+};
@@ -0,0 +1,115 @@
+// src/services/catalogPlanService.js
+// 카탈로그 plan(dry-run) 실행의 상품별 예정 작업을 기록하고, 실행별 보고서(JSON 목록/CSV 다운로드)로 제공합니다.
+
+const config = require('../config');
+const logger = require('../config/logger');
+const CatalogPlanEntry = require('../models/catalogPlanEntry.model');
+const catalogRunService = require('./catalogRunService');
+const { AppError } = require('../utils/customErrors');
+
+const SERVICE_NAME = 'CatalogPlanSvc';
+const PLAN_ACTIONS = ['create', 'update_price', 'update_content', 'archive', 'skip'];
+const PLAN_CSV_COLUMNS = [
+  'bunjangPid', 'rowNumber', 'productName', 'action', 'reason', 'changedFields',
+  'priceKrw', 'shopifyPriceUsd', 'currentShopifyPriceUsd', 'shopifyGid',
+];
+
+/**
+ * 작업별 카운터를 0으로 초기화한 객체를 만듭니다.
+ * @returns {object} { create, update_price, update_content, archive, skip }
+ */
+function createEmptyActionCounts() {
+  return Object.fromEntries(PLAN_ACTIONS.map(action => [action, 0]));
+}
+
+/**
+ * 상품별 예정 작업을 기록합니다. 보관 기한이 지나면 자동으로 삭제됩니다.
+ * @param {string} runId - plan 실행 ID.
+ * @param {object[]} entries - catalogService.planProductSyncAction 결과 등 계획 항목 목록.
+ * @returns {Promise<number>} 기록된 항목 수.
+ */
+async function recordPlanEntries(runId, entries) {
+  if (!entries || entries.length === 0) return 0;
+  const expiresAt = new Date(Date.now() + (config.bunjang.planReportRetentionDays || 30) * 24 * 60 * 60 * 1000);
+  await CatalogPlanEntry.insertMany(
+    entries.map(entry => ({ ...entry, catalogRunId: runId, expiresAt })),
+    { ordered: false }
+  );
+  return entries.length;
+}
+
+/**
+ * plan 보고서가 있는 실행인지 확인합니다.
+ * @param {string} runId - 실행 ID.
+ * @returns {Promise<object>} 실행 문서.
+ * @throws {NotFoundError} 실행 이력이 없는 경우.
+ * @throws {AppError} plan 보고서가 없는 실행인 경우 (404).
+ */
+async function getPlanRun(runId) {
+  const run = await catalogRunService.getRun(runId);
+  if (!run.plan) {
+    throw new AppError(`plan 보고서가 없는 실행입니다: ${runId}`, 404, 'CATALOG_PLAN_NOT_FOUND');
+  }
+  return run;
+}
+
+/**
+ * 실행의 plan 보고서 항목을 행 순서대로 조회합니다. (API용)
+ * @param {string} runId - plan 실행 ID.
+ * @param {object} [filters] - { action, bunjangPid, limit, skip }
+ * @returns {Promise<object>} { runId, plan: 실행 요약, count, entries }
+ */
+async function listPlanEntries(runId, { action, bunjangPid, limit = 100, skip = 0 } = {}) {
+  const run = await getPlanRun(runId);
+  const query = { catalogRunId: run._id };
+  if (action) query.action = action;
+  if (bunjangPid) query.bunjangPid = bunjangPid;
+  const entries = await CatalogPlanEntry.find(query)
+    .select('-_id -catalogRunId -expiresAt')
+    .sort({ rowNumber: 1, _id: 1 })
+    .skip(skip)
+    .limit(limit)
+    .lean();
+  return { runId: String(run._id), plan: run.plan, count: entries.length, entries };
+}
+
+/**
+ * CSV 값 하나를 이스케이프합니다.
+ * @param {*} value
+ * @returns {string}
+ */
+function toCsvValue(value) {
+  if (value === null || value === undefined) return '';
+  const text = Array.isArray(value) ? value.join('|') : String(value);
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+/**
+ * 실행의 plan 보고서를 CSV 행 단위로 생성합니다. (다운로드 응답 스트리밍용)
+ * @param {string} runId - plan 실행 ID.
+ * @param {object} [filters] - { action }
+ * @returns {Promise<{run: object, lines: AsyncGenerator<string>}>} 실행 문서와 헤더를 포함한 CSV 행 생성기.
+ */
+async function createPlanCsv(runId, { action } = {}) {
+  const run = await getPlanRun(runId);
+  const query = { catalogRunId: run._id };
+  if (action) query.action = action;
+
+  async function* lines() {
+    yield `${PLAN_CSV_COLUMNS.join(',')}\n`;
+    const cursor = CatalogPlanEntry.find(query).sort({ rowNumber: 1, _id: 1 }).lean().cursor();
+    for await (const entry of cursor) {
+      yield `${PLAN_CSV_COLUMNS.map(column => toCsvValue(entry[column])).join(',')}\n`;
+    }
+  }
+
+  logger.info(`[${SERVICE_NAME}] Generating plan CSV for run ${runId}${action ? ` (action: ${action})` : ''}.`);
+  return { run, lines: lines() };
+}
+
+module.exports = {
+  createEmptyActionCounts,
+  recordPlanEntries,
+  listPlanEntries,
+  createPlanCsv,
+};
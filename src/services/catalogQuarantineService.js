@@ -0,0 +1,208 @@
+// src/services/catalogQuarantineService.js
+// 카탈로그 처리 중 필수 데이터 검증(pid, name, 가격, 날짜)에 실패한 판매중 행을 격리(quarantine) 컬렉션에 기록하고,
+// 규칙별 집계와 수정 후 재제출(resubmit) 기능을 제공합니다.
+
+const config = require('../config');
+const logger = require('../config/logger');
+const QuarantinedCatalogRow = require('../models/quarantinedCatalogRow.model');
+const catalogFilterRuleService = require('./catalogFilterRuleService');
+const sellerReputationService = require('./sellerReputationService');
+const categoryMappingService = require('./categoryMappingService');
+const artistDictionaryService = require('./artistDictionaryService');
+const brandCatalogService = require('./brandCatalogService');
+const productAttributeService = require('./productAttributeService');
+const { getQueue } = require('../jobs/queues');
+const { AppError, NotFoundError } = require('../utils/customErrors');
+
+const SERVICE_NAME = 'CatalogQuarantineSvc';
+
+/**
+ * 거부된 행들을 격리 컬렉션에 기록합니다. 같은 파일의 같은 행은 한 건으로 유지됩니다.
+ * @param {Array<{rule: string, message: string, rawRow: object, rowNumber: number}>} rows - 거부된 행 목록.
+ * @param {object} context - { catalogType, catalogFileName, catalogRunId, jobId }
+ * @returns {Promise<number>} 새로 격리된 행 수.
+ */
+async function recordRejectedRows(rows, { catalogType, catalogFileName, catalogRunId, jobId }) {
+  if (!rows || rows.length === 0) return 0;
+  const operations = rows.map(row => ({
+    updateOne: {
+      filter: { catalogFileName, rowNumber: row.rowNumber },
+      update: {
+        $set: {
+          rule: row.rule,
+          message: String(row.message || '').substring(0, 500),
+          catalogRunId: catalogRunId || null,
+          jobId,
+        },
+        // 이미 재제출된 행은 상태와 원본을 그대로 유지
+        $setOnInsert: {
+          bunjangPid: (row.rawRow?.pid || '').trim(),
+          rawRow: row.rawRow,
+          catalogType,
+          status: 'QUARANTINED',
+        },
+      },
+      upsert: true,
+    },
+  }));
+  const result = await QuarantinedCatalogRow.bulkWrite(operations, { ordered: false });
+  logger.debug(`[${SERVICE_NAME}:Job-${jobId}] Quarantined ${rows.length} rejected rows from ${catalogFileName} (new: ${result.upsertedCount}).`);
+  return result.upsertedCount;
+}
+
+/**
+ * 격리된 행 목록을 최신순으로 조회합니다. (API용)
+ * @param {object} [filters] - { rule, status, catalogFileName, bunjangPid, limit }
+ * @returns {Promise<object[]>}
+ */
+async function listQuarantinedRows({ rule, status, catalogFileName, bunjangPid, limit = 100 } = {}) {
+  const query = {};
+  if (rule) query.rule = rule;
+  if (status) query.status = status;
+  if (catalogFileName) query.catalogFileName = catalogFileName;
+  if (bunjangPid) query.bunjangPid = bunjangPid;
+  return QuarantinedCatalogRow.find(query).sort({ createdAt: -1 }).limit(limit).lean();
+}
+
+/**
+ * 격리된 행 수를 거부 규칙별로 집계합니다.
+ * @param {object} [filters] - { status, catalogFileName, from, to }
+ * @returns {Promise<object>} { total, byRule: [{ rule, count, lastQuarantinedAt }] }
+ */
+async function countQuarantinedRowsByRule({ status, catalogFileName, from, to } = {}) {
+  const match = {};
+  if (status) match.status = status;
+  if (catalogFileName) match.catalogFileName = catalogFileName;
+  if (from || to) {
+    match.createdAt = {};
+    if (from) match.createdAt.$gte = new Date(from);
+    if (to) match.createdAt.$lte = new Date(to);
+  }
+  const groups = await QuarantinedCatalogRow.aggregate([
+    { $match: match },
+    { $group: { _id: '$rule', count: { $sum: 1 }, lastQuarantinedAt: { $max: '$createdAt' } } },
+    { $sort: { count: -1 } },
+  ]);
+  const byRule = groups.map(group => ({ rule: group._id, count: group.count, lastQuarantinedAt: group.lastQuarantinedAt }));
+  return { total: byRule.reduce((sum, group) => sum + group.count, 0), byRule };
+}
+
+/**
+ * 단일 격리 행을 조회합니다.
+ * @param {string} quarantineId - 격리 행 ID.
+ * @returns {Promise<object>}
+ * @throws {NotFoundError} 격리 행이 없는 경우.
+ */
+async function getQuarantinedRow(quarantineId) {
+  const row = await QuarantinedCatalogRow.findById(quarantineId).lean();
+  if (!row) throw new NotFoundError(undefined, 'QuarantinedCatalogRow', quarantineId);
+  return row;
+}
+
+/**
+ * 격리된 행을 다시 검증하고, 통과하면 상품 동기화에 전달합니다.
+ * 파서 수정 후에는 원본 그대로, 데이터 문제는 rowOverrides로 필드를 고쳐서 재제출할 수 있습니다.
+ * @param {string} quarantineId - 격리 행 ID.
+ * @param {object} [options] - { rowOverrides: 원본 행에 덮어쓸 필드, jobId: 로깅용 식별자 }
+ * @returns {Promise<object>} { quarantineId, bunjangPid, resubmitted, rule, message, syncResult }
+ * @throws {NotFoundError} 격리 행이 없는 경우.
+ * @throws {AppError} 이미 재제출된 행인 경우 (409).
+ */
+async function resubmitQuarantinedRow(quarantineId, { rowOverrides = null, jobId = 'quarantine-resubmit' } = {}) {
+  // catalogService가 이 서비스를 사용하므로 순환 참조를 피하기 위해 호출 시점에 로드
+  const { processCatalogRow, syncBunjangProductToShopify, enqueueProductSyncJob } = require('./catalogService');
+
+  const quarantined = await getQuarantinedRow(quarantineId);
+  if (quarantined.status === 'RESUBMITTED') {
+    throw new AppError(`이미 재제출된 격리 행입니다: ${quarantineId}`, 409, 'QUARANTINE_ALREADY_RESUBMITTED');
+  }
+
+  const mergedOverrides = rowOverrides ? { ...(quarantined.rowOverrides || {}), ...rowOverrides } : quarantined.rowOverrides;
+  const row = { ...quarantined.rawRow, ...(mergedOverrides || {}) };
+  let rejection = null;
+  let filterDecision = null;
+  const product = processCatalogRow(row, quarantined.rowNumber, rowRejection => { rejection = rowRejection; }, {
+    filterRules: await catalogFilterRuleService.loadActiveRules(),
+    sellerPolicies: await sellerReputationService.loadSellerListingPolicies(),
+    categoryMappings: await categoryMappingService.loadCategoryMappings(),
+    artistDictionary: await artistDictionaryService.loadArtistDictionary(),
+    attributePatterns: await productAttributeService.loadAttributePatterns(),
+    brands: await brandCatalogService.loadBrandMap(),
+    onFilterDecision: decision => { filterDecision = decision; },
+  });
+  const now = new Date();
+  if (filterDecision) {
+    await catalogFilterRuleService.recordFilterDecisions([filterDecision], { catalogFileName: quarantined.catalogFileName, catalogRunId: null, jobId });
+  }
+
+  if (!product) {
+    // 여전히 거부되면 최신 규칙으로 갱신, 판매중이 아니거나 카테고리 필터/필터 규칙에 걸리면 사유만 기록
+    const message = rejection ? rejection.message : 'Row is no longer eligible (not SELLING or excluded by category filter / filter rules).';
+    await QuarantinedCatalogRow.updateOne({ _id: quarantined._id }, {
+      $set: {
+        ...(rejection && { rule: rejection.rule }),
+        message,
+        rowOverrides: mergedOverrides || null,
+        lastResubmittedAt: now,
+        resubmitResult: { status: rejection ? 'rejected' : 'not_eligible', message },
+      },
+      $inc: { resubmitAttempts: 1 },
+    });
+    logger.info(`[${SERVICE_NAME}] Quarantined row ${quarantineId} (PID: ${quarantined.bunjangPid || 'N/A'}) still rejected on resubmit: ${message}`);
+    return { quarantineId, bunjangPid: quarantined.bunjangPid, resubmitted: false, rule: rejection?.rule || null, message };
+  }
+
+  const productSyncQueue = config.bunjang.productSyncViaQueue ? getQueue(config.bullmq.queues.productSync) : null;
+  const syncResult = productSyncQueue
+    ? await enqueueProductSyncJob(productSyncQueue, product, { runId: null, catalogFileName: quarantined.catalogFileName, jobId })
+    : await syncBunjangProductToShopify(product, jobId);
+
+  await QuarantinedCatalogRow.updateOne({ _id: quarantined._id }, {
+    $set: {
+      status: 'RESUBMITTED',
+      rowOverrides: mergedOverrides || null,
+      lastResubmittedAt: now,
+      resubmitResult: syncResult,
+    },
+    $inc: { resubmitAttempts: 1 },
+  });
+  logger.info(`[${SERVICE_NAME}] Resubmitted quarantined row ${quarantineId} (PID: ${product.pid}). Result: ${syncResult.status}`);
+  return { quarantineId, bunjangPid: product.pid, resubmitted: true, syncResult };
+}
+
+/**
+ * 조건에 맞는 격리 행(QUARANTINED)을 순서대로 재제출합니다. (예: 파서 수정 후 특정 규칙의 행 일괄 재제출)
+ * @param {object} [filters] - { rule, catalogFileName, limit }
+ * @returns {Promise<object>} { attempted, resubmitted, stillRejected, failed, results }
+ */
+async function resubmitQuarantinedRows({ rule, catalogFileName, limit = 100 } = {}) {
+  const query = { status: 'QUARANTINED' };
+  if (rule) query.rule = rule;
+  if (catalogFileName) query.catalogFileName = catalogFileName;
+  const candidates = await QuarantinedCatalogRow.find(query).select('_id').sort({ createdAt: 1 }).limit(limit).lean();
+
+  const summary = { attempted: candidates.length, resubmitted: 0, stillRejected: 0, failed: 0, results: [] };
+  for (const candidate of candidates) {
+    try {
+      const result = await resubmitQuarantinedRow(candidate._id);
+      if (result.resubmitted) summary.resubmitted++;
+      else summary.stillRejected++;
+      summary.results.push(result);
+    } catch (error) {
+      summary.failed++;
+      summary.results.push({ quarantineId: candidate._id, resubmitted: false, message: error.message });
+      logger.error(`[${SERVICE_NAME}] Failed to resubmit quarantined row ${candidate._id}: ${error.message}`);
+    }
+  }
+  logger.info(`[${SERVICE_NAME}] Bulk resubmit finished. Attempted: ${summary.attempted}, Resubmitted: ${summary.resubmitted}, Still rejected: ${summary.stillRejected}, Failed: ${summary.failed}`);
+  return summary;
+}
+
+module.exports = {
+  recordRejectedRows,
+  listQuarantinedRows,
+  countQuarantinedRowsByRule,
+  getQuarantinedRow,
+  resubmitQuarantinedRow,
+  resubmitQuarantinedRows,
+};
@@ -0,0 +1,250 @@
+// src/services/catalogRunService.js
+// 카탈로그 처리 실행 이력(CatalogRun)을 기록하고 조회합니다.
+
+const logger = require('../config/logger');
+const CatalogRun = require('../models/catalogRun.model');
+const { NotFoundError } = require('../utils/customErrors');
+
+const SERVICE_NAME = 'CatalogRunSvc';
+const MAX_ERROR_SAMPLES = 50; // 실행당 저장할 최대 오류 샘플 수
+
+const COUNTER_KEYS = [
+  'totalOriginalCsvRows',
+  'validProductsToProcess',
+  'successfullyProcessed',
+  'errors',
+  'skippedByFilter',
+  'skippedNoChange',
+  'enqueuedForSync',
+  'quarantined',
+];
+
+// syncBunjangProductToShopify 결과 상태 → productSyncResults 카운터 키
+const PRODUCT_SYNC_RESULT_KEYS = {
+  success: 'successfullyProcessed',
+  error: 'errors',
+  skipped_filter: 'skippedByFilter',
+  skipped_no_change: 'skippedNoChange',
+};
+
+/**
+ * 작업 데이터의 triggeredBy 값을 실행 이력의 트리거 구분으로 변환합니다.
+ * @param {string} [triggeredBy] - 예: 'cron_scheduler', 'api_manual', 'api_manual_full_sync'.
+ * @returns {'cron'|'api'|'manual'}
+ */
+function resolveTrigger(triggeredBy) {
+  const value = String(triggeredBy || '').toLowerCase();
+  if (value.startsWith('cron')) return 'cron';
+  if (value.startsWith('api')) return 'api';
+  return 'manual';
+}
+
+/**
+ * 새 실행 이력을 RUNNING 상태로 생성합니다.
+ * @param {object} params - { catalogType, fileName, triggeredBy, jobId }
+ * @returns {Promise<object>} 생성된 실행 문서(lean).
+ */
+async function startRun({ catalogType, fileName, triggeredBy, jobId }) {
+  const run = await CatalogRun.create({
+    catalogType,
+    fileName,
+    trigger: resolveTrigger(triggeredBy),
+    triggeredBy: triggeredBy || null,
+    jobId,
+    startedAt: new Date(),
+  });
+  logger.info(`[${SERVICE_NAME}:Job-${jobId}] Started catalog run ${run._id} for ${fileName} (trigger: ${run.trigger}).`);
+  return run.toObject();
+}
+
+/**
+ * 체크포인트 정보를 실행 이력에 연결합니다.
+ * @param {string} runId - 실행 ID.
+ * @param {object} params - { checkpointId, resumedFromRow }
+ */
+async function attachCheckpoint(runId, { checkpointId, resumedFromRow }) {
+  await CatalogRun.updateOne({ _id: runId }, { $set: { checkpointId, resumedFromRow } });
+}
+
+/**
+ * 상품별 오류 샘플을 추가합니다. 최대 MAX_ERROR_SAMPLES개까지만 유지합니다.
+ * @param {string} runId - 실행 ID.
+ * @param {Array<{pid: string, rowNumber: number, message: string}>} samples - 오류 샘플 목록.
+ */
+async function recordErrorSamples(runId, samples) {
+  if (!samples || samples.length === 0) return;
+  await CatalogRun.updateOne(
+    { _id: runId, [`errorSamples.${MAX_ERROR_SAMPLES - 1}`]: { $exists: false } },
+    {
+      $push: {
+        errorSamples: {
+          $each: samples.map(sample => ({
+            pid: sample.pid,
+            rowNumber: sample.rowNumber,
+            message: String(sample.message || '').substring(0, 500),
+            occurredAt: new Date(),
+          })),
+          $slice: MAX_ERROR_SAMPLES,
+        },
+      },
+    }
+  );
+}
+
+/**
+ * product-sync 큐 작업의 최종 결과를 실행 이력에 반영합니다.
+ * @param {string} runId - 작업을 추가한 실행 ID.
+ * @param {string} resultStatus - syncBunjangProductToShopify 결과 상태 ('success', 'error', 'skipped_filter', 'skipped_no_change').
+ * @param {object} [errorSample] - 오류인 경우 { pid, rowNumber, message }.
+ */
+async function recordProductSyncResult(runId, resultStatus, errorSample = null) {
+  const counterKey = PRODUCT_SYNC_RESULT_KEYS[resultStatus];
+  if (!runId || !counterKey) return;
+  await CatalogRun.updateOne({ _id: runId }, { $inc: { [`productSyncResults.${counterKey}`]: 1 } });
+  if (errorSample) {
+    await recordErrorSamples(runId, [errorSample]);
+  }
+}
+
+/**
+ * 처리 전 파일 통계와 이상 감지 결과를 기록합니다. 다음 실행의 비교 기준으로도 사용됩니다.
+ * @param {string} runId - 실행 ID.
+ * @param {object} preflight - catalogAnomalyGuardService.runPreflightCheck 결과.
+ */
+async function recordPreflight(runId, preflight) {
+  await CatalogRun.updateOne({ _id: runId }, { $set: { preflight } });
+}
+
+/**
+ * 처리 결과에 따른 실행 상태를 결정합니다.
+ * @param {object} summary - fetchAndProcessBunjangCatalog 처리 요약.
+ * @returns {string}
+ */
+function resolveFinishedStatus(summary) {
+  if (summary.dryRun) return 'DRY_RUN';
+  if (summary.anomaly?.blocked) return summary.anomaly.action === 'dry_run' ? 'DRY_RUN' : 'BLOCKED';
+  return summary.abandoned ? 'ABANDONED' : 'COMPLETED';
+}
+
+/**
+ * 처리 요약으로 실행 이력을 완료(또는 중단) 상태로 마무리합니다.
+ * @param {string} runId - 실행 ID.
+ * @param {object} summary - fetchAndProcessBunjangCatalog 처리 요약.
+ * @returns {Promise<object|null>} 업데이트된 실행 문서(lean).
+ */
+async function finishRun(runId, summary) {
+  const finishedAt = new Date();
+  const existing = await CatalogRun.findById(runId).select('startedAt').lean();
+  const counters = {};
+  COUNTER_KEYS.forEach(key => { counters[key] = summary[key] || 0; });
+
+  return CatalogRun.findByIdAndUpdate(runId, {
+    $set: {
+      status: resolveFinishedStatus(summary),
+      finishedAt,
+      durationMs: existing ? finishedAt.getTime() - new Date(existing.startedAt).getTime() : null,
+      counters,
+      retirement: summary.retirement || null,
+      plan: summary.plan || null,
+    },
+  }, { new: true }).lean();
+}
+
+/**
+ * 실행 자체가 실패한 경우 실행 이력을 FAILED(파일 미게시의 경우 UNAVAILABLE) 상태로 마무리합니다.
+ * @param {string} runId - 실행 ID.
+ * @param {Error} error - 발생한 오류.
+ * @param {object} [options] - { unavailable: 카탈로그 파일이 아직 게시되지 않아 나중에 재시도할 경우 true }
+ */
+async function failRun(runId, error, { unavailable = false } = {}) {
+  const finishedAt = new Date();
+  const existing = await CatalogRun.findById(runId).select('startedAt').lean();
+  await CatalogRun.updateOne({ _id: runId }, {
+    $set: {
+      status: unavailable ? 'UNAVAILABLE' : 'FAILED',
+      finishedAt,
+      durationMs: existing ? finishedAt.getTime() - new Date(existing.startedAt).getTime() : null,
+      failureMessage: String(error?.message || 'Unknown error').substring(0, 1000),
+    },
+  });
+}
+
+/**
+ * 실행 이력 목록을 최신순으로 조회합니다. (API용)
+ * @param {object} [filters] - { catalogType, trigger, status, from, to, limit }
+ * @returns {Promise<object[]>} 오류 샘플을 제외한 실행 문서 목록.
+ */
+async function listRuns({ catalogType, trigger, status, from, to, limit = 30 } = {}) {
+  const query = {};
+  if (catalogType) query.catalogType = catalogType;
+  if (trigger) query.trigger = trigger;
+  if (status) query.status = status;
+  if (from || to) {
+    query.startedAt = {};
+    if (from) query.startedAt.$gte = new Date(from);
+    if (to) query.startedAt.$lte = new Date(to);
+  }
+  return CatalogRun.find(query).select('-errorSamples').sort({ startedAt: -1 }).limit(limit).lean();
+}
+
+/**
+ * 단일 실행 이력을 조회합니다.
+ * @param {string} runId - 실행 ID.
+ * @returns {Promise<object>}
+ * @throws {NotFoundError} 실행 이력이 없는 경우.
+ */
+async function getRun(runId) {
+  const run = await CatalogRun.findById(runId).lean();
+  if (!run) throw new NotFoundError(undefined, 'CatalogRun', runId);
+  return run;
+}
+
+/**
+ * 주어진 실행 이전에 완료된 같은 타입의 실행을 조회합니다.
+ * @param {object} run - 기준 실행 문서.
+ * @returns {Promise<object|null>}
+ */
+async function findPreviousCompletedRun(run) {
+  return CatalogRun.findOne({
+    catalogType: run.catalogType,
+    status: 'COMPLETED',
+    startedAt: { $lt: run.startedAt },
+    _id: { $ne: run._id },
+  }).select('-errorSamples').sort({ startedAt: -1 }).lean();
+}
+
+/**
+ * 실행 이력을 직전에 완료된 같은 타입의 실행과 비교합니다.
+ * @param {string} runId - 실행 ID.
+ * @returns {Promise<object>} { run, previousRun, deltas } - deltas는 카운터별 (현재 - 이전) 값.
+ */
+async function compareWithPreviousRun(runId) {
+  const run = await getRun(runId);
+  const previousRun = await findPreviousCompletedRun(run);
+  let deltas = null;
+  if (previousRun) {
+    deltas = {};
+    COUNTER_KEYS.forEach(key => {
+      deltas[key] = (run.counters?.[key] || 0) - (previousRun.counters?.[key] || 0);
+    });
+    if (run.durationMs != null && previousRun.durationMs != null) {
+      deltas.durationMs = run.durationMs - previousRun.durationMs;
+    }
+  }
+  return { run, previousRun, deltas };
+}
+
+module.exports = {
+  resolveTrigger,
+  startRun,
+  attachCheckpoint,
+  recordErrorSamples,
+  recordProductSyncResult,
+  recordPreflight,
+  finishRun,
+  failRun,
+  listRuns,
+  getRun,
+  findPreviousCompletedRun,
+  compareWithPreviousRun,
+};
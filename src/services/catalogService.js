@@ -5,19 +5,49 @@ const path = require('node:path');
 const zlib = require('node:zlib');
 const { pipeline } = require('node:stream/promises');
 const axios = require('axios');
-const csv = require('csv-parser');
 const jwt = require('jsonwebtoken');
 const { v4: uuidv4 } = require('uuid');
 
 const config = require('../config');
 const logger = require('../config/logger');
 const shopifyService = require('./shopifyService');
+const shopifyBulkOperationService = require('./shopifyBulkOperationService');
 const SyncedProduct = require('../models/syncedProduct.model');
+const catalogCheckpointService = require('./catalogCheckpointService');
+const listingRetirementService = require('./listingRetirementService');
+const duplicateListingService = require('./duplicateListingService');
+const catalogRunService = require('./catalogRunService');
+const catalogQuarantineService = require('./catalogQuarantineService');
+const catalogAnomalyGuardService = require('./catalogAnomalyGuardService');
+const catalogPlanService = require('./catalogPlanService');
+const catalogFilterRuleService = require('./catalogFilterRuleService');
+const sellerReputationService = require('./sellerReputationService');
+const categoryMappingService = require('./categoryMappingService');
+const artistDictionaryService = require('./artistDictionaryService');
+const brandCatalogService = require('./brandCatalogService');
+const productAttributeService = require('./productAttributeService');
+const imageIngestionService = require('./imageIngestionService');
+const translationService = require('./translationService');
 const { calculateShopifyPriceUsd } = require('./priceCalculationService');
-const { AppError, ExternalServiceError } = require('../utils/customErrors');
+const { buildVariantPlan } = require('../mappers/variantMapper');
+const { renderDescriptionHtml, sanitizeDescriptionText } = require('../mappers/descriptionRenderer');
+const { buildProductHandle, isGeneratedProductHandle, buildSeoFields } = require('../mappers/seoMapper');
+const { gradeCondition, buildConditionTag, buildConditionMetafields, applyConditionPriceAdjustment } = require('../mappers/conditionGrader');
+const { getCachedRateInfo } = require('./exchangeRateService');
+const { AppError, ExternalServiceError, NotFoundError } = require('../utils/customErrors');
+const { iterateCsvRows } = require('../utils/csvProcessor');
+const { computeProductContentHashes, diffContentFieldHashes, CONTENT_HASH_ALGORITHM } = require('../utils/productContentHash');
+const { getQueue } = require('../jobs/queues');
 
 const BUNJANG_COLLECTION_GID = 'gid://shopify/Collection/445888299257';
 const TEMP_DOWNLOAD_DIR = config.tempDir || './tmp_downloads';
+const KST_OFFSET_MS = 9 * 60 * 60 * 1000; // 번개장터 카탈로그 파일명은 KST(UTC+9, 서머타임 없음) 기준
+const CATALOG_FILE_NOT_AVAILABLE = 'CATALOG_FILE_NOT_AVAILABLE';
+const CATALOG_ANOMALY_DETECTED = 'CATALOG_ANOMALY_DETECTED';
+const QUARANTINE_FLUSH_SIZE = 100; // 격리 행을 모아서 기록하는 단위
+const FILTER_DECISION_FLUSH_SIZE = 500; // 필터 결정을 모아서 기록하는 단위
+const PLAN_BATCH_SIZE = 200; // plan 모드에서 SyncedProduct 조회와 계획 항목 기록을 묶는 단위
+const COLLECTION_ADD_BATCH_SIZE = 250; // 일괄 동기화 후 collectionAddProducts 한 번에 추가할 상품 수
 
 async function generateBunjangAuthHeader() {
   if (!config.bunjang.accessKey || !config.bunjang.secretKey) {
@@ -86,51 +116,60 @@ async function downloadAndProcessFile(fileUrl, downloadDir, baseOutputFileName,
   } catch (error) {
     const responseStatus = error.response?.status;
     const errorMessage = error.response ? `Status: ${responseStatus}` : error.message;
-    logger.error(`[CatalogSvc] Error during download/processing of ${fileUrl}: ${errorMessage}`, { stack: error.stack, responseStatus });
     await fs.remove(tempDownloadedFilePath).catch(err => logger.warn(`[CatalogSvc] Failed to remove temp download file on error: ${tempDownloadedFilePath}`, err));
     await fs.remove(finalCsvFilePath).catch(err => logger.warn(`[CatalogSvc] Failed to remove temp .csv file during error: ${finalCsvFilePath}`, err));
+    if (responseStatus === 404) {
+      // 아직 게시되지 않은 카탈로그 파일 - 호출 측에서 나중에 재시도
+      logger.warn(`[CatalogSvc] Catalog file not yet available: ${fileUrl} (Status: 404)`);
+      throw new ExternalServiceError('BunjangCatalogProcessing', error, `번개장터 카탈로그 파일이 아직 준비되지 않았습니다: ${fileUrl}`, CATALOG_FILE_NOT_AVAILABLE);
+    }
+    logger.error(`[CatalogSvc] Error during download/processing of ${fileUrl}: ${errorMessage}`, { stack: error.stack, responseStatus });
     throw new ExternalServiceError('BunjangCatalogProcessing', error, `번개장터 카탈로그 파일 처리 실패: ${fileUrl}. 원인: ${errorMessage}`);
   }
 }
 
-async function parseCsvFileWithRowProcessor(csvFilePath, rowProcessor) {
-  const products = [];
-  let rowNumber = 0;
-  return new Promise((resolve, reject) => {
-    fs.createReadStream(csvFilePath)
-      .pipe(csv())
-      .on('data', (row) => {
-        rowNumber++;
-        const processedRow = rowProcessor(row, rowNumber);
-        if (processedRow) {
-          products.push(processedRow);
-        }
-      })
-      .on('end', () => {
-        logger.info(`[CatalogSvc] Successfully parsed and processed ${products.length} products (from ${rowNumber} CSV data rows) from ${csvFilePath}`);
-        resolve({ products, totalRows: rowNumber });
-      })
-      .on('error', (error) => {
-        logger.error(`[CatalogSvc] Error parsing CSV file ${csvFilePath}:`, error);
-        reject(new AppError(`CSV 파일 파싱 오류: ${csvFilePath}`, 500, 'CSV_PARSE_ERROR', error));
-      });
-  });
+function createEmptyCounters() {
+  return { successfullyProcessed: 0, errors: 0, skippedByFilter: 0, skippedNoChange: 0, enqueuedForSync: 0, quarantined: 0 };
 }
 
+/**
+ * 카탈로그 파일명을 생성합니다. 서버 로컬 시간대와 관계없이 KST 기준 날짜/시간을 사용합니다.
+ * @param {'full'|'segment'} type - 카탈로그 타입.
+ * @param {Date} [date=new Date()] - 기준 시각.
+ * @returns {string} 예: "full-20240524.csv.gz", "segment-20240524_13.csv.gz"
+ * @throws {AppError} 유효하지 않은 타입인 경우.
+ */
 function generateBunjangCatalogFilename(type, date = new Date()) {
-  const year = date.getFullYear();
-  const month = (date.getMonth() + 1).toString().padStart(2, '0');
-  const day = date.getDate().toString().padStart(2, '0');
+  const kstDate = new Date(date.getTime() + KST_OFFSET_MS);
+  const year = kstDate.getUTCFullYear();
+  const month = (kstDate.getUTCMonth() + 1).toString().padStart(2, '0');
+  const day = kstDate.getUTCDate().toString().padStart(2, '0');
   if (type === 'full') {
     return `full-${year}${month}${day}.csv.gz`;
   } else if (type === 'segment') {
-    const hour = date.getHours().toString().padStart(2, '0');
+    const hour = kstDate.getUTCHours().toString().padStart(2, '0');
     return `segment-${year}${month}${day}_${hour}.csv.gz`;
   }
   throw new AppError('유효하지 않은 카탈로그 타입입니다.', 400, 'INVALID_CATALOG_TYPE');
 }
 
-function processCatalogRow(row, rowNumber) {
+/**
+ * CSV 행 하나를 동기화용 상품 객체로 변환합니다. 판매중이 아니거나 필터에 걸리거나 필수 데이터가 잘못된 행은 null을 반환합니다.
+ * @param {object} row - csv-parser 결과 행 객체.
+ * @param {number} rowNumber - CSV 행 번호 (1부터 시작).
+ * @param {function} [onRejected] - 판매중인 행이 필수 데이터 검증에 실패했을 때 { rule, message }로 호출됩니다. (격리 기록용)
+ * @param {object} [options] - 추가 옵션.
+ * @param {string[]} [options.filterCategoryIds] - 설정 대신 사용할 카테고리 필터 (plan 모드에서 새 필터를 미리 확인할 때).
+ * @param {Array<object>} [options.filterRules] - catalogFilterRuleService.loadActiveRules로 불러온 DB 필터 규칙.
+ * @param {function} [options.onFilterDecision] - 필터 규칙이 상품을 포함/제외했을 때 결정 객체로 호출됩니다. (결정 기록용)
+ * @param {Map<string, object>} [options.sellerPolicies] - sellerReputationService.loadSellerListingPolicies 결과. 해당 판매자 상품에 sellerListingPolicy를 붙입니다.
+ * @param {Map<string, object>} [options.categoryMappings] - categoryMappingService.loadCategoryMappings 결과. 해당 카테고리 상품에 categoryMapping을 붙입니다.
+ * @param {object[]} [options.artistDictionary] - artistDictionaryService.loadArtistDictionary 결과. 상품명/키워드에서 찾은 아티스트를 artists로 붙입니다.
+ * @param {object[]} [options.attributePatterns] - productAttributeService.loadAttributePatterns 결과. 추출한 상품 종류/앨범/버전 등을 attributes로 붙입니다.
+ * @param {Map<string, object>} [options.brands] - brandCatalogService.loadBrandMap 결과. 해당 브랜드 상품에 brand(이름, slug, 컬렉션)를 붙입니다.
+ * @returns {object|null} 상품 객체 또는 null.
+ */
+function processCatalogRow(row, rowNumber, onRejected = null, options = {}) {
   // 가격 파싱을 더 강력하게 처리
   const parsePrice = (priceStr) => {
     if (!priceStr) return NaN;
@@ -161,6 +200,7 @@ function processCatalogRow(row, rowNumber) {
     uid: (row.uid || '').trim(),
     updatedAtString: row.updatedAt,
     createdAtString: row.createdAt,
+    rowNumber, // 체크포인트(마지막 처리 행) 기록용
   };
 
   // 가격 로깅 추가
@@ -188,22 +228,104 @@ function processCatalogRow(row, rowNumber) {
     logger.debug(`[CatalogSvc] Row #${rowNumber} PID ${product.pid} skipped: saleStatus is '${product.saleStatus}' (not SELLING).`);
     return null;
   }
-  if (!product.pid || !product.name || isNaN(product.price) || product.price <= 0 || !product.updatedAt) {
-    logger.warn(`[CatalogSvc] Row #${rowNumber} PID ${product.pid} skipped due to missing essential data (pid, name, valid price > 0, or valid updatedAt).`);
+  // 판매중인데 필수 데이터가 잘못된 행은 격리(quarantine) 대상으로 거부 규칙을 알림
+  let rejection = null;
+  if (!product.pid) {
+    rejection = { rule: 'MISSING_PID', message: 'pid is empty.' };
+  } else if (!product.name) {
+    rejection = { rule: 'MISSING_NAME', message: 'name is empty.' };
+  } else if (isNaN(product.price) || product.price <= 0) {
+    rejection = { rule: 'INVALID_PRICE', message: `price "${row.price}" parsed as ${product.price} (must be > 0).` };
+  } else if (!product.updatedAt) {
+    rejection = { rule: 'INVALID_DATE', message: `Missing or invalid date. updatedAt: "${product.updatedAtString}", createdAt: "${product.createdAtString}"` };
+  }
+  if (rejection) {
+    logger.warn(`[CatalogSvc] Row #${rowNumber} PID ${product.pid} skipped due to missing essential data (pid, name, valid price > 0, or valid updatedAt). Rule: ${rejection.rule}`);
+    if (onRejected) onRejected(rejection);
     return null;
   }
-  const filterCategoryIds = config.bunjang.filterCategoryIds || [];
+  const filterCategoryIds = options.filterCategoryIds || config.bunjang.filterCategoryIds || [];
   if (filterCategoryIds.length > 0 && product.categoryId && !filterCategoryIds.includes(product.categoryId)) {
     logger.debug(`[CatalogSvc] Row #${rowNumber} PID ${product.pid} skipped: categoryId '${product.categoryId}' not in filter list [${filterCategoryIds.join(', ')}].`);
     return null;
   }
+  const filterDecision = catalogFilterRuleService.evaluateFilterRules(product, options.filterRules);
+  if (filterDecision) {
+    if (options.onFilterDecision) options.onFilterDecision(filterDecision);
+    if (filterDecision.decision === 'EXCLUDED') {
+      logger.debug(`[CatalogSvc] Row #${rowNumber} PID ${product.pid} excluded by filter rule ${filterDecision.ruleName ? `"${filterDecision.ruleName}"` : '(no include rule matched)'}.`);
+      return null;
+    }
+  }
   if (product.price < 0) {
     logger.warn(`[CatalogSvc] Row #${rowNumber} PID ${product.pid} skipped due to invalid price (${product.price}).`);
     return null;
   }
+  // 차단/저신뢰 판매자 상품은 동기화 단계에서 제외하거나 임시 저장(DRAFT)으로 게시 (기존 리스팅 처리를 위해 여기서 거르지 않음)
+  const sellerListingPolicy = product.uid ? options.sellerPolicies?.get(product.uid) : null;
+  if (sellerListingPolicy) {
+    product.sellerListingPolicy = sellerListingPolicy;
+    logger.debug(`[CatalogSvc] Row #${rowNumber} PID ${product.pid} seller ${product.uid} listing policy: ${sellerListingPolicy.action} (${sellerListingPolicy.reason}).`);
+  }
+  const categoryMapping = product.categoryId ? options.categoryMappings?.get(product.categoryId) : null;
+  if (categoryMapping) product.categoryMapping = categoryMapping;
+  const brand = product.brandId ? options.brands?.get(product.brandId) : null;
+  if (brand) product.brand = brand;
+  // 설명은 다른 아티스트 언급이 많아 상품명과 키워드에서만 찾음
+  const artists = artistDictionaryService.matchArtists([product.name, ...product.keywords], options.artistDictionary);
+  if (artists.length > 0) product.artists = artists;
+  const attributes = productAttributeService.extractProductAttributes(product, options.attributePatterns);
+  if (attributes) product.attributes = attributes;
+  // condition 필드와 상품명/설명 표현(미개봉, 하자 있음, 포카 없음 등)으로 정한 상태 등급
+  product.conditionGrade = gradeCondition(product);
   return product;
 }
 
+/**
+ * 상태 등급별 가격 조정을 반영한 원화 가격을 반환합니다. (조정 설정이 없으면 번개장터 가격 그대로)
+ * @param {object} bunjangProduct - processCatalogRow 결과 상품 객체.
+ * @param {number} [priceKrw] - 옵션 가격 등 상품 가격 대신 사용할 원화 가격.
+ * @returns {number}
+ */
+function getListingPriceKrw(bunjangProduct, priceKrw = bunjangProduct.price) {
+  return applyConditionPriceAdjustment(priceKrw, bunjangProduct.conditionGrade?.grade);
+}
+
+/**
+ * 상품을 게시할 Shopify 상태를 결정합니다. 차단/저신뢰 판매자의 상품과 사용할 수 있는 이미지가 없는 상품은 DRAFT로 내립니다.
+ * 이미지 수는 이번 동기화에서 검증했으면 bunjangProduct.validImageCount, 아니면 지난 동기화 결과(syncedDoc.validImageCount)를 사용합니다.
+ * @param {object} bunjangProduct - processCatalogRow 결과 상품 객체.
+ * @param {object|null} [syncedDoc] - SyncedProduct 문서(lean).
+ * @returns {'ACTIVE'|'DRAFT'}
+ */
+function resolveListingStatus(bunjangProduct, syncedDoc = null) {
+  if (bunjangProduct.sellerListingPolicy) return 'DRAFT';
+  const validImageCount = bunjangProduct.validImageCount ?? syncedDoc?.validImageCount;
+  return validImageCount === 0 ? 'DRAFT' : 'ACTIVE';
+}
+
+/**
+ * 판매자 UID 기록 이전에 동기화된 상품에 UID를 채웁니다. (내용 변경 없이 건너뛰는 상품도 주문 처리 결과를 판매자와 연결하기 위해)
+ * @param {object} syncedDoc - SyncedProduct 문서(lean).
+ * @param {object} bunjangProduct - processCatalogRow 결과 상품 객체.
+ * @returns {Promise<void>}
+ */
+async function backfillSellerUid(syncedDoc, bunjangProduct) {
+  if (!bunjangProduct.uid || syncedDoc.bunjangSellerUid === bunjangProduct.uid) return;
+  await SyncedProduct.updateOne({ bunjangPid: bunjangProduct.pid }, { $set: { bunjangSellerUid: bunjangProduct.uid } });
+}
+
+/**
+ * 판매자 정책(EXCLUDE) 때문에 새로 게시하지 않을 상품인지 확인합니다.
+ * 이미 게시 중인 상품은 제외하지 않고 DRAFT로 내려서 기존 리스팅이 판매되지 않도록 합니다.
+ * @param {object|null} syncedDoc - SyncedProduct 문서(lean).
+ * @param {object} bunjangProduct - processCatalogRow 결과 상품 객체.
+ * @returns {boolean}
+ */
+function isExcludedBySellerPolicy(syncedDoc, bunjangProduct) {
+  return bunjangProduct.sellerListingPolicy?.action === 'EXCLUDE' && (!syncedDoc?.shopifyGid || !!syncedDoc.retiredAt);
+}
+
 function transformBunjangRowToShopifyInput(bunjangProduct, shopifyPriceUsd) {
   logger.info(`[CatalogSvc] Transforming Bunjang product ${bunjangProduct.pid} with price: ${bunjangProduct.price} KRW -> ${shopifyPriceUsd} USD, Quantity: 1 (always)`);
   
@@ -221,9 +343,22 @@ function transformBunjangRowToShopifyInput(bunjangProduct, shopifyPriceUsd) {
   if (kidultKeywords.length > 0 && kidultKeywords.some(keyword => titleLower.includes(keyword) || descriptionLower.includes(keyword) || categoryLower.includes(keyword))) {
     tags.push('Kidult');
   }
+  // 카테고리 매핑 테이블(categoryMapping.model.js)의 상품 유형/컬렉션/태그/기본 무게
+  const categoryMapping = bunjangProduct.categoryMapping || {};
+  tags.push(...(categoryMapping.tags || []));
+  // 아티스트 사전(artist.model.js)에서 찾은 아티스트
+  const artists = bunjangProduct.artists || [];
+  if (artists.length > 0) {
+    tags.push('K-Pop', ...artists.map(artist => `artist:${artist.slug}`));
+  }
+  if (bunjangProduct.conditionGrade) tags.push(buildConditionTag(bunjangProduct.conditionGrade.grade));
+  // 브랜드 캐시(bunjangBrand.model.js)의 브랜드 이름/slug/컬렉션 (캐시에 없는 브랜드는 bunjang_brand:<id> 태그만)
+  const brandFields = brandCatalogService.buildBrandListingFields(bunjangProduct.brandId, bunjangProduct.brand);
+  tags.push(...brandFields.tags);
+  const collectionsToJoin = [categoryMapping.shopifyCollectionGid, brandFields.collectionGid].filter(Boolean);
 
-  // 항상 ACTIVE 상태로 설정하여 바로 게시되도록 함
-  let shopifyStatus = 'ACTIVE';
+  // ACTIVE 상태로 설정하여 바로 게시되도록 함 (차단/저신뢰 판매자 상품과 이미지가 없는 상품은 DRAFT)
+  let shopifyStatus = resolveListingStatus(bunjangProduct);
   
   // *** 중요: 번개장터 상품은 항상 재고를 1로 설정 ***
   const variantQuantity = 1;
@@ -233,7 +368,8 @@ function transformBunjangRowToShopifyInput(bunjangProduct, shopifyPriceUsd) {
     price: String(shopifyPriceUsd), // 문자열로 확실히 변환
     sku: `BJ-${bunjangProduct.pid}`,
     inventoryPolicy: 'DENY',  // 재고가 0이 되면 판매 중지
-    inventoryManagement: 'SHOPIFY'  // 재고 추적 활성화
+    inventoryManagement: 'SHOPIFY',  // 재고 추적 활성화
+    weightGrams: categoryMapping.defaultWeightGrams || null
   };
 
   // BunJang Warehouse 위치 ID 사용 - 확실히 GID 형식으로
@@ -252,28 +388,40 @@ function transformBunjangRowToShopifyInput(bunjangProduct, shopifyPriceUsd) {
     enableInventoryTracking: true  
   });
 
-  if (bunjangProduct.optionsRaw) {
-    try {
-      let parsedOptions = [];
-      if (typeof bunjangProduct.optionsRaw === 'string' && bunjangProduct.optionsRaw.trim()) {
-        parsedOptions = JSON.parse(bunjangProduct.optionsRaw.trim());
-      } else if (Array.isArray(bunjangProduct.optionsRaw)) {
-        parsedOptions = bunjangProduct.optionsRaw;
-      }
-      if (Array.isArray(parsedOptions) && parsedOptions.length > 0 && parsedOptions[0].id && parsedOptions[0].value) {
-        logger.info(`[CatalogSvc] Product PID ${bunjangProduct.pid} has Bunjang options: ${JSON.stringify(parsedOptions)}. Advanced variant/option mapping may be needed.`);
-      }
-    } catch (e) {
-      logger.warn(`[CatalogSvc] Failed to parse Bunjang options for PID ${bunjangProduct.pid}: "${bunjangProduct.optionsRaw}"`, e);
-    }
+  // 번개장터 옵션(멤버, 버전 등) → Shopify 옵션/variant 구성 (옵션이 없으면 null, 단일 variant)
+  const variantPlan = buildVariantPlan(bunjangProduct);
+  if (variantPlan?.productOptions.length > 0) {
+    logger.info(`[CatalogSvc] Product PID ${bunjangProduct.pid} has ${variantPlan.productOptions.length} option(s) -> ${variantPlan.variants.length} variant(s).`);
   }
   
+  // 상품 속성(bunjang.item_type 등), 상태 등급(bunjang.condition_grade 등), 번역한 상품의 한국어 원문(bunjang.original_title, original_description)
+  const metafields = [
+    ...productAttributeService.buildAttributeMetafields(bunjangProduct.attributes),
+    ...buildConditionMetafields(bunjangProduct.condition, bunjangProduct.conditionGrade),
+    ...translationService.buildOriginalTextMetafields(bunjangProduct),
+  ];
+  // 동기화 단계에서 번역한 영어 상품명/설명 (translationService.translateProductContent, 없으면 한국어 원문)
+  // 설명은 HTML/외부 연락처를 제거하고 문단과 안내 문구를 붙여 렌더링
+  const translation = bunjangProduct.translation || {};
+  const title = translation.title || bunjangProduct.name;
+  const productType = categoryMapping.shopifyProductType || bunjangProduct.categoryName || config.bunjang.defaultShopifyProductType || "Uncategorized";
   const productInput = {
-    title: bunjangProduct.name,
-    descriptionHtml: bunjangProduct.description || `Imported from Bunjang. Product ID: ${bunjangProduct.pid}`,
-    vendor: config.bunjang.defaultVendor || "BunjangImport",
-    productType: bunjangProduct.categoryName || config.bunjang.defaultShopifyProductType || "Uncategorized",
+    title,
+    // 이미 이 연동이 만든 핸들이 있으면 유지 (URL 고정), 없으면 "<아티스트>-<상품 종류>-<PID>"
+    handle: bunjangProduct.shopifyHandle || buildProductHandle(bunjangProduct),
+    descriptionHtml: renderDescriptionHtml(translation.description || bunjangProduct.description, { pid: bunjangProduct.pid }),
+    seo: buildSeoFields({
+      title,
+      productType,
+      brand: brandFields.brandName || artists[0]?.name,
+      descriptionText: translation.description || sanitizeDescriptionText(bunjangProduct.description),
+    }),
+    vendor: brandFields.vendor,
+    productType,
     tags: [...new Set(tags)],
+    ...(collectionsToJoin.length > 0 && { collectionsToJoin }),
+    // 추출한 상품 속성(bunjang.item_type, artist, member, album, version)은 스토어 필터/컬렉션 조건에 사용
+    ...(metafields.length > 0 && { metafields }),
     status: shopifyStatus,
     // Add publishedAt to ensure product is published
     publishedAt: new Date().toISOString()
@@ -281,6 +429,7 @@ function transformBunjangRowToShopifyInput(bunjangProduct, shopifyPriceUsd) {
   
   logger.info(`[CatalogSvc] ProductInput for PID ${bunjangProduct.pid}:`, { 
     title: productInput.title, 
+    handle: productInput.handle,
     sku: variantData.sku,
     status: productInput.status,
     locationId: inventoryInfo.locationId,
@@ -289,7 +438,7 @@ function transformBunjangRowToShopifyInput(bunjangProduct, shopifyPriceUsd) {
     inventoryManagement: variantData.inventoryManagement
   });
 
-  return { productInput, variantData, inventoryInfo };
+  return { productInput, variantData, inventoryInfo, variantPlan };
 }
 
 // FIX: 가격 업데이트 검증 함수 추가
@@ -317,7 +466,244 @@ async function verifyVariantPrice(variantId, expectedPrice) {
   }
 }
 
-async function syncBunjangProductToShopify(bunjangProduct, jobId = 'N/A') {
+/**
+ * 검증된 번개장터 이미지를 Shopify 상품 미디어로 첨부합니다. 실패해도 동기화 전체를 실패시키지 않습니다.
+ * @param {string} productGid - Shopify 상품 GID.
+ * @param {object} bunjangProduct - processCatalogRow 결과 상품 객체.
+ * @param {object} imageIngestion - imageIngestionService.validateProductImages 결과.
+ * @param {object} context - { syncedDoc, jobId } (syncedDoc.images의 예전 미디어는 교체됨)
+ * @returns {Promise<Array<object>|null>} SyncedProduct.images에 저장할 이미지 기록. 예외가 나면 null.
+ */
+async function attachBunjangImagesToProduct(productGid, bunjangProduct, imageIngestion, { syncedDoc, jobId }) {
+  try {
+    return await imageIngestionService.attachProductImages(productGid, imageIngestion, {
+      previousImages: syncedDoc?.images || [],
+      altText: bunjangProduct.name ? bunjangProduct.name.substring(0, 250) : 'Product image',
+      pid: bunjangProduct.pid,
+      jobId,
+    });
+  } catch (mediaError) {
+    // Don't fail the entire sync if media attachment fails
+    logger.error(`[CatalogSvc:Job-${jobId}] Failed to attach media to product ${productGid}: ${mediaError.message}`, { stack: mediaError.stack });
+    return null;
+  }
+}
+
+// 카탈로그 필드 → 부분 업데이트 시 다시 보낼 Shopify ProductInput 필드 (태그는 이름/설명/카테고리의 키워드로, 속성 메타필드는 이름/키워드로, 한국어 원문 메타필드는 이름/설명으로 결정됨)
+// shippingFee는 아직 Shopify 필드에 매핑되지 않으므로 바뀌어도 해시만 갱신합니다. options는 syncProductVariants로 따로 반영합니다.
+// brand 해시에는 브랜드 캐시의 이름/slug/컬렉션이 포함되므로 브랜드 이름이 알려지거나 컬렉션이 생기면 vendor/태그/컬렉션을 다시 보냅니다.
+const PRODUCT_INPUT_FIELDS_BY_CONTENT_FIELD = {
+  name: ['title', 'tags', 'metafields', 'seo'],
+  description: ['descriptionHtml', 'tags', 'metafields', 'seo'],
+  category: ['productType', 'tags', 'collectionsToJoin', 'seo'],
+  brand: ['vendor', 'tags', 'collectionsToJoin', 'seo'],
+};
+
+/**
+ * 리스팅된 USD 가격이 현재 설정(마크업, 환율)으로 계산한 가격과 허용 오차 이상 달라졌는지 확인합니다.
+ * 환율의 작은 일일 변동마다 모든 상품 가격을 다시 반영하지 않도록 config.bunjang.priceDriftTolerancePercent 이하는 무시합니다.
+ * @param {string|null} listedPriceUsd - Shopify에 리스팅된 USD 가격 (SyncedProduct.shopifyListedPriceUsd).
+ * @param {string|null} expectedPriceUsd - 지금 계산한 USD 가격.
+ * @returns {boolean}
+ */
+function hasListedPriceDrifted(listedPriceUsd, expectedPriceUsd) {
+  const listedPrice = parseFloat(listedPriceUsd);
+  const expectedPrice = parseFloat(expectedPriceUsd);
+  if (!(listedPrice > 0) || !(expectedPrice > 0)) return false;
+  const tolerancePercent = config.bunjang.priceDriftTolerancePercent ?? 1;
+  return (Math.abs(expectedPrice - listedPrice) / listedPrice) * 100 > tolerancePercent;
+}
+
+/**
+ * 리스팅 가격과 비교할 USD 가격을 계산합니다.
+ * 환율 API 실패로 비상 환율이 사용된 경우에는 모든 상품 가격이 비상 환율로 바뀌지 않도록 비교하지 않습니다.
+ * @param {object|null} syncedDoc - SyncedProduct 문서(lean).
+ * @param {object} bunjangProduct - processCatalogRow 결과 상품 객체.
+ * @returns {Promise<string|null>} 계산된 USD 가격. 리스팅 가격이 없거나 실제 환율을 얻지 못했으면 null.
+ */
+async function calculateExpectedPriceUsd(syncedDoc, bunjangProduct) {
+  if (!syncedDoc?.shopifyListedPriceUsd) return null;
+  const expectedPriceUsd = await calculateShopifyPriceUsd(getListingPriceKrw(bunjangProduct));
+  return getCachedRateInfo() ? expectedPriceUsd : null;
+}
+
+/**
+ * 이미 동기화된 상품의 카탈로그 내용이 마지막 동기화 이후 그대로인지 확인합니다.
+ * 내용 해시가 저장되어 있으면 해시로 비교하고(수정 시간만 바뀐 행도 건너뜀), 해시 도입 이전 문서는 수정 시간으로 비교합니다.
+ * @param {object|null} syncedDoc - SyncedProduct 문서(lean).
+ * @param {object} bunjangProduct - processCatalogRow 결과 상품 객체.
+ * @param {object} contentHashes - computeProductContentHashes 결과.
+ * @param {string|null} [expectedPriceUsd] - 지금 계산한 USD 가격. 리스팅 가격과 허용 오차 이상 다르면 변경으로 봅니다.
+ * @returns {boolean} 변경 없음이면 true.
+ */
+function isSyncedContentUnchanged(syncedDoc, bunjangProduct, contentHashes, expectedPriceUsd = null) {
+  if (!syncedDoc || config.forceResyncAll) return false;
+  // 판매 종료로 내렸던 상품이 다시 판매중이면 재활성화를 위해 건너뛰지 않음
+  if (syncedDoc.syncStatus !== 'SYNCED' || syncedDoc.retiredAt || !syncedDoc.shopifyGid) return false;
+  // 마크업 변경 등으로 계산 가격이 달라졌으면 카탈로그 내용이 같아도 가격을 다시 반영
+  if (hasListedPriceDrifted(syncedDoc.shopifyListedPriceUsd, expectedPriceUsd)) return false;
+  // 판매자 정책이나 이미지 검증 결과로 게시 상태(ACTIVE/DRAFT)를 바꿔야 하면 다시 반영
+  if ((syncedDoc.shopifyStatus || 'ACTIVE') !== resolveListingStatus(bunjangProduct, syncedDoc)) return false;
+  if (syncedDoc.bunjangContentHash && syncedDoc.bunjangContentHashAlgorithm === CONTENT_HASH_ALGORITHM) {
+    return syncedDoc.bunjangContentHash === contentHashes.contentHash;
+  }
+  return !!(bunjangProduct.updatedAt && syncedDoc.bunjangUpdatedAt &&
+    new Date(syncedDoc.bunjangUpdatedAt).getTime() >= bunjangProduct.updatedAt.getTime());
+}
+
+/**
+ * 바뀐 필드만 반영하는 부분 업데이트가 가능한 상품인지 확인합니다. (정상 게시 중이고 같은 알고리즘의 필드별 해시가 있는 경우)
+ * @param {object} syncedDoc - SyncedProduct 문서(lean).
+ * @returns {boolean}
+ */
+function canApplyPartialUpdate(syncedDoc) {
+  return !!(syncedDoc &&
+    !config.forceResyncAll &&
+    syncedDoc.syncStatus === 'SYNCED' &&
+    syncedDoc.shopifyGid &&
+    !syncedDoc.retiredAt &&
+    syncedDoc.bunjangContentHashAlgorithm === CONTENT_HASH_ALGORITHM);
+}
+
+/**
+ * variantPlan의 variant를 SyncedProduct.bunjangVariants 항목으로 바꿉니다.
+ * @param {object} variant - variantPlan.variants 항목.
+ * @param {string|null} [shopifyVariantGid]
+ * @returns {object}
+ */
+function toSyncedVariant(variant, shopifyVariantGid = null) {
+  return {
+    sku: variant.sku,
+    optionValues: variant.optionValues,
+    bunjangOptions: variant.bunjangOptions,
+    priceKrw: variant.priceKrw,
+    shopifyVariantGid,
+  };
+}
+
+/**
+ * 옵션 조합별 variant의 USD 가격을 정합니다. 상품 가격과 다른 옵션 가격만 따로 환산합니다 (환율은 캐시됨).
+ * @param {object} variantPlan - buildVariantPlan 결과 (옵션이 있는 경우).
+ * @param {object} bunjangProduct - processCatalogRow 결과 상품 객체.
+ * @param {object} variantData - transformBunjangRowToShopifyInput의 variantData.
+ * @returns {Promise<Array<object>>} price가 채워진 variant 목록.
+ */
+async function priceVariantPlan(variantPlan, bunjangProduct, variantData) {
+  const pricedVariants = [];
+  for (const variant of variantPlan.variants) {
+    const price = variant.priceKrw === bunjangProduct.price ? variantData.price : await calculateShopifyPriceUsd(getListingPriceKrw(bunjangProduct, variant.priceKrw));
+    pricedVariants.push({ ...variant, price });
+  }
+  return pricedVariants;
+}
+
+/**
+ * 번개장터 옵션 구성(variantPlan)을 Shopify 옵션/variant로 반영합니다.
+ * 선택 옵션이 없으면 Shopify는 건드리지 않고, 예전에 여러 variant로 올렸던 상품만 단일 variant로 되돌립니다.
+ * @param {string} shopifyProductGid - Shopify 상품 GID.
+ * @param {object} params - { variantPlan, syncedDoc, bunjangProduct, variantData, jobId }
+ * @returns {Promise<Array<object>>} SyncedProduct.bunjangVariants에 저장할 목록 (주문 시 SKU → 번개장터 옵션 조회용).
+ */
+async function syncProductVariants(shopifyProductGid, { variantPlan, syncedDoc, bunjangProduct, variantData, jobId }) {
+  const variantDefaults = { inventoryPolicy: variantData.inventoryPolicy, weightGrams: variantData.weightGrams };
+
+  if (!(variantPlan?.productOptions.length > 0)) {
+    if (syncedDoc?.bunjangVariants?.length > 1) {
+      await shopifyService.setProductOptionsAndVariants(shopifyProductGid, [], [{ sku: variantData.sku, price: variantData.price, quantity: 1 }], variantDefaults);
+      logger.info(`[CatalogSvc:Job-${jobId}] Bunjang options removed for PID ${bunjangProduct.pid}. Reverted ${shopifyProductGid} to a single variant.`);
+    }
+    return (variantPlan?.variants || []).map(variant => toSyncedVariant(variant));
+  }
+
+  const pricedVariants = await priceVariantPlan(variantPlan, bunjangProduct, variantData);
+  const shopifyVariants = await shopifyService.setProductOptionsAndVariants(shopifyProductGid, variantPlan.productOptions, pricedVariants, variantDefaults);
+  const variantGidsBySku = new Map(shopifyVariants.map(variant => [variant.sku, variant.id]));
+  logger.info(`[CatalogSvc:Job-${jobId}] Set ${pricedVariants.length} variant(s) on ${shopifyProductGid} for PID ${bunjangProduct.pid}: ${pricedVariants.map(variant => `${variant.sku}=$${variant.price}`).join(', ')}`);
+  return pricedVariants.map(variant => toSyncedVariant(variant, variantGidsBySku.get(variant.sku) || null));
+}
+
+/**
+ * 이미 Shopify에 있는 상품에 바뀐 필드만 반영합니다. (예: 가격만 바뀌면 variant 가격만 업데이트)
+ * @param {object} params - { shopifyProductGid, syncedDoc, changedFields, shopifyProductInput, variantData, variantPlan, imageIngestion, bunjangProduct, jobId }
+ * @returns {Promise<{pushed: string[], bunjangVariants?: object[], images?: object[]}|null>} Shopify에 보낸 필드 목록
+ *   (옵션/variant를 다시 설정했으면 bunjangVariants, 이미지를 다시 첨부했으면 images 포함).
+ *   상품이 Shopify에 없으면 null (전체 동기화로 전환).
+ */
+async function applyPartialProductUpdate({ shopifyProductGid, syncedDoc, changedFields, shopifyProductInput, variantData, variantPlan, imageIngestion, bunjangProduct, jobId }) {
+  const pushed = [];
+  let bunjangVariants;
+  let images;
+
+  const productInputFields = new Set(changedFields.flatMap(field => PRODUCT_INPUT_FIELDS_BY_CONTENT_FIELD[field] || []));
+  if ((syncedDoc.shopifyStatus || 'ACTIVE') !== shopifyProductInput.status) productInputFields.add('status');
+  // 예전 한국어 상품명으로 만들어진 핸들은 생성한 ASCII 핸들로 바꾸고 기존 URL은 새 URL로 리디렉션
+  if (syncedDoc.shopifyHandle !== shopifyProductInput.handle) {
+    productInputFields.add('handle').add('seo');
+  }
+  if (productInputFields.size > 0) {
+    const updateInput = { id: shopifyProductGid };
+    productInputFields.forEach(field => { updateInput[field] = shopifyProductInput[field]; });
+    if (productInputFields.has('handle')) updateInput.redirectNewHandle = true;
+    try {
+      await shopifyService.updateProduct(updateInput);
+    } catch (error) {
+      if (error instanceof NotFoundError) return null;
+      throw error;
+    }
+    pushed.push(...productInputFields);
+  }
+
+  const priceChanged = changedFields.includes('price') || syncedDoc.shopifyListedPriceUsd !== variantData.price;
+  if (changedFields.includes('options') || (variantPlan?.productOptions.length > 0 && priceChanged)) {
+    // 옵션이 바뀌었거나 여러 variant 상품의 가격이 바뀌면 옵션/variant 전체를 다시 설정
+    bunjangVariants = await syncProductVariants(shopifyProductGid, { variantPlan, syncedDoc, bunjangProduct, variantData, jobId });
+    pushed.push('variants');
+  } else if (priceChanged) {
+    // KRW 가격이 같아도 환율 변동으로 USD 가격이 달라졌으면 함께 반영
+    const variantQuery = `
+      query getFirstVariant($id: ID!) {
+        product(id: $id) {
+          id
+          variants(first: 1) {
+            edges {
+              node {
+                id
+                price
+              }
+            }
+          }
+        }
+      }`;
+    const response = await shopifyService.shopifyGraphqlRequest(variantQuery, { id: shopifyProductGid });
+    if (!response.data?.product) return null;
+    const variant = response.data.product.variants?.edges?.[0]?.node;
+    if (!variant) {
+      throw new Error(`No variants found for product ${shopifyProductGid}`);
+    }
+    const newPrice = parseFloat(variantData.price);
+    if (Math.abs(parseFloat(variant.price || '0') - newPrice) > 0.01) {
+      await shopifyService.updateVariantPriceAndSku(shopifyProductGid, variant.id, newPrice, variantData.sku);
+      logger.info(`[CatalogSvc:Job-${jobId}] Updated variant price from $${variant.price} to $${newPrice} (partial update).`);
+      pushed.push('price');
+    }
+  }
+
+  if (changedFields.includes('images') && imageIngestion) {
+    images = await attachBunjangImagesToProduct(shopifyProductGid, bunjangProduct, imageIngestion, { syncedDoc, jobId });
+    pushed.push('media');
+  }
+
+  return { pushed, ...(bunjangVariants && { bunjangVariants }), ...(images && { images }) };
+}
+
+/**
+ * 동기화 전 단계: 건너뛸 상품(가격 오류, 제외된 판매자, 재등록으로 넘겨준 상품, 변경 없음)을 거르고 이번 시도를 기록한 뒤
+ * 부분 업데이트할 필드와 대상 Shopify 상품을 정합니다. (상품별 동기화와 일괄 동기화가 함께 사용)
+ * @param {object} bunjangProduct - processCatalogRow 결과 상품 객체.
+ * @param {string} [jobId='N/A'] - 작업 식별자 (로깅용).
+ * @returns {Promise<object>} 건너뛰면 { result }, 아니면 { syncedDoc, now, contentHashFields, changedFields, shopifyProductGid }.
+ */
+async function resolveProductSyncTarget(bunjangProduct, jobId = 'N/A') {
   const bunjangPid = bunjangProduct.pid;
   const bunjangName = bunjangProduct.name;
   const bunjangCatalogUpdatedAt = bunjangProduct.updatedAt;
@@ -327,11 +713,42 @@ async function syncBunjangProductToShopify(bunjangProduct, jobId = 'N/A') {
   // 가격이 유효한지 먼저 체크
   if (!bunjangProduct.price || bunjangProduct.price <= 0) {
     logger.error(`[CatalogSvc:Job-${jobId}] Invalid price for PID ${bunjangPid}: ${bunjangProduct.price}`);
-    return { status: 'error', message: 'Invalid price' };
+    return { result: { status: 'error', message: 'Invalid price' } };
   }
   
+  // 비교는 이번 시도 기록(upsert) 전에 읽은 문서로 해야 함 (upsert가 bunjangUpdatedAt 등을 덮어쓰기 전)
   let syncedDoc = await SyncedProduct.findOne({ bunjangPid }).lean();
   const now = new Date();
+  // 브랜드 컬렉션이 아직 없으면 만들어 해시와 상품 변환에 반영
+  bunjangProduct.brand = await brandCatalogService.ensureBrandCollection(bunjangProduct.brand, jobId);
+  const contentHashes = computeProductContentHashes(bunjangProduct);
+  // 리스팅 가격이 있는 상품은 현재 설정으로 계산한 가격과 비교 (환율은 캐시되므로 추가 요청이 거의 없음)
+  const expectedPriceUsd = await calculateExpectedPriceUsd(syncedDoc, bunjangProduct);
+
+  if (isExcludedBySellerPolicy(syncedDoc, bunjangProduct)) {
+    logger.info(`[CatalogSvc:Job-${jobId}] Product ${bunjangPid} skipped: seller ${bunjangProduct.uid} is excluded (${bunjangProduct.sellerListingPolicy.reason}).`);
+    return { result: { status: 'skipped_filter', message: `Seller excluded (${bunjangProduct.sellerListingPolicy.reason}).` } };
+  }
+
+  if (await duplicateListingService.isSupersededListing(syncedDoc)) {
+    logger.info(`[CatalogSvc:Job-${jobId}] Product ${bunjangPid} skipped: its Shopify product was taken over by relisted PID ${syncedDoc.supersededByPid}.`);
+    return { result: { status: 'skipped_filter', message: `Superseded by PID ${syncedDoc.supersededByPid}.` } };
+  }
+
+  if (duplicateListingService.isHeldForDuplicateReview(syncedDoc)) {
+    logger.info(`[CatalogSvc:Job-${jobId}] Product ${bunjangPid} skipped: held for review as a likely duplicate of PID ${syncedDoc.duplicateOfPid}.`);
+    return { result: { status: 'skipped_filter', message: `Held for review as a likely duplicate of PID ${syncedDoc.duplicateOfPid}.` } };
+  }
+
+  if (isSyncedContentUnchanged(syncedDoc, bunjangProduct, contentHashes, expectedPriceUsd)) {
+    logger.info(`[CatalogSvc:Job-${jobId}] Product ${bunjangPid} already SYNCED, catalog content is unchanged (content hash / bunjangUpdatedAt) and listed price is current. Skipping.`);
+    if (syncedDoc.bunjangContentHash && bunjangCatalogUpdatedAt) {
+      // 내용은 같고 수정 시간만 바뀐 경우 다음 비교를 위해 수정 시간만 갱신
+      await SyncedProduct.updateOne({ bunjangPid }, { $max: { bunjangUpdatedAt: bunjangCatalogUpdatedAt } });
+    }
+    await backfillSellerUid(syncedDoc, bunjangProduct);
+    return { result: { status: 'skipped_no_change', message: 'Already synced and catalog content unchanged.' } };
+  }
 
   await SyncedProduct.updateOne(
     { bunjangPid },
@@ -339,39 +756,34 @@ async function syncBunjangProductToShopify(bunjangProduct, jobId = 'N/A') {
       $set: {
         lastSyncAttemptAt: now,
         bunjangProductName: bunjangName,
-        bunjangUpdatedAt: bunjangCatalogUpdatedAt,
+        bunjangNormalizedTitle: duplicateListingService.normalizeListingTitle(bunjangName),
         bunjangOriginalPriceKrw: bunjangProduct.price,
         bunjangOriginalShippingFeeKrw: bunjangProduct.shippingFee,
-        bunjangQuantity: 1  // 항상 재고를 1로 설정
+        bunjangQuantity: 1,  // 항상 재고를 1로 설정
+        ...(bunjangProduct.uid && { bunjangSellerUid: bunjangProduct.uid }),
+        ...(bunjangProduct.categoryId && { bunjangCategoryId: bunjangProduct.categoryId }),
+        productAttributes: bunjangProduct.attributes || null,
+        bunjangCondition: bunjangProduct.condition,
+        conditionGrade: bunjangProduct.conditionGrade?.grade || null,
       },
       $inc: { syncAttemptCount: 1 },
       $setOnInsert: { bunjangPid, createdAt: now, syncStatus: 'PENDING' }
     },
     { upsert: true }
   );
-  syncedDoc = await SyncedProduct.findOne({ bunjangPid }).lean();
-
-  if (syncedDoc.syncStatus === 'SYNCED' &&
-      bunjangCatalogUpdatedAt && syncedDoc.bunjangUpdatedAt &&
-      new Date(syncedDoc.bunjangUpdatedAt).getTime() >= bunjangCatalogUpdatedAt.getTime() &&
-      !config.forceResyncAll
-      ) {
-    logger.info(`[CatalogSvc:Job-${jobId}] Product ${bunjangPid} already SYNCED and no updates from Bunjang catalog (based on bunjangUpdatedAt). Skipping.`);
-    
-    // 이미 동기화된 상품도 재고를 1로 확인
-    if (syncedDoc.shopifyGid) {
-      try {
-        await shopifyService.updateInventoryLevel(null, 'gid://shopify/Location/82604261625', 1);
-      } catch (err) {
-        logger.warn(`[CatalogSvc:Job-${jobId}] Failed to ensure inventory is 1 for existing product ${bunjangPid}: ${err.message}`);
-      }
-    }
-    
-    return { status: 'skipped_no_change', message: 'Already synced and no update in catalog based on bunjangUpdatedAt.' };
-  }
+  syncedDoc = syncedDoc || await SyncedProduct.findOne({ bunjangPid }).lean();
+
+  // 마지막 동기화 때 저장된 필드별 해시가 있으면 바뀐 필드만 반영 (null이면 전체 업데이트)
+  const changedFields = canApplyPartialUpdate(syncedDoc)
+    ? diffContentFieldHashes(syncedDoc.bunjangContentFieldHashes, contentHashes.fieldHashes)
+    : null;
+  const contentHashFields = {
+    bunjangContentHash: contentHashes.contentHash,
+    bunjangContentFieldHashes: contentHashes.fieldHashes,
+    bunjangContentHashAlgorithm: contentHashes.algorithm,
+  };
 
   let shopifyProductGid = syncedDoc.shopifyGid;
-  let existingVariant = null;
   
   if (!shopifyProductGid && bunjangPid) {
     try {
@@ -386,42 +798,169 @@ async function syncBunjangProductToShopify(bunjangProduct, jobId = 'N/A') {
     }
   }
 
-  try {
-    // 가격 계산 - 매우 중요!
-    logger.info(`[CatalogSvc:Job-${jobId}] Starting price calculation for PID ${bunjangPid}: ${bunjangProduct.price} KRW`);
-    
-    // 환율 서비스 상태 확인
-    const exchangeRateService = require('./exchangeRateService');
-    const rateInfo = exchangeRateService.getCachedRateInfo();
-    if (rateInfo) {
-      logger.info(`[CatalogSvc:Job-${jobId}] Exchange rate cache info:`, {
-        rate: rateInfo.rate,
-        ageMinutes: rateInfo.ageMinutes,
-        isExpired: rateInfo.isExpired
-      });
-    } else {
-      logger.warn(`[CatalogSvc:Job-${jobId}] No cached exchange rate available`);
+  return { syncedDoc, now, contentHashFields, changedFields, shopifyProductGid };
+}
+
+/**
+ * 동기화할 Shopify 입력을 만듭니다: 가격 계산, 이미지 검증, 새 상품의 중복/재등록 확인, 번역, 상품 변환.
+ * 중복으로 판단되어 기존 Shopify 상품을 이어받으면 syncedDoc과 shopifyProductGid가 바뀌어 반환됩니다.
+ * @param {object} bunjangProduct - processCatalogRow 결과 상품 객체.
+ * @param {object} target - resolveProductSyncTarget 결과.
+ * @param {string} [jobId='N/A'] - 작업 식별자 (로깅용).
+ * @returns {Promise<object>} 건너뛰면 { result }, 아니면 { syncedDoc, shopifyProductGid, shopifyPriceString, needsImageIngestion, imageIngestion, imageStatusFields, productInput, variantData, inventoryInfo, variantPlan }.
+ * @throws {Error} 가격 계산 등이 실패한 경우 (호출하는 쪽에서 recordProductSyncError로 기록).
+ */
+async function buildProductSyncInput(bunjangProduct, target, jobId = 'N/A') {
+  const bunjangPid = bunjangProduct.pid;
+  const bunjangName = bunjangProduct.name;
+  const bunjangCatalogUpdatedAt = bunjangProduct.updatedAt;
+  const { now, changedFields } = target;
+  let { syncedDoc, shopifyProductGid } = target;
+
+  // 가격 계산 - 매우 중요!
+  logger.info(`[CatalogSvc:Job-${jobId}] Starting price calculation for PID ${bunjangPid}: ${bunjangProduct.price} KRW`);
+  
+  // 환율 서비스 상태 확인
+  const exchangeRateService = require('./exchangeRateService');
+  const rateInfo = exchangeRateService.getCachedRateInfo();
+  if (rateInfo) {
+    logger.info(`[CatalogSvc:Job-${jobId}] Exchange rate cache info:`, {
+      rate: rateInfo.rate,
+      ageMinutes: rateInfo.ageMinutes,
+      isExpired: rateInfo.isExpired
+    });
+  } else {
+    logger.warn(`[CatalogSvc:Job-${jobId}] No cached exchange rate available`);
+  }
+  
+  const listingPriceKrw = getListingPriceKrw(bunjangProduct);
+  const shopifyPriceString = await calculateShopifyPriceUsd(listingPriceKrw);
+  logger.info(`[CatalogSvc:Job-${jobId}] Calculated price for PID ${bunjangPid}: ${bunjangProduct.price} KRW${listingPriceKrw !== bunjangProduct.price ? ` (${listingPriceKrw} KRW after ${bunjangProduct.conditionGrade.grade} condition adjustment)` : ''} -> ${shopifyPriceString} USD`);
+  
+  // 가격이 제대로 계산되었는지 확인
+  const calculatedPrice = parseFloat(shopifyPriceString);
+  if (isNaN(calculatedPrice) || calculatedPrice <= 0) {
+    logger.error(`[CatalogSvc:Job-${jobId}] Price calculation failed for PID ${bunjangPid}. Calculated: ${shopifyPriceString}`);
+    throw new Error(`Invalid calculated price: ${shopifyPriceString}`);
+  }
+  
+  // 새 상품이거나 이미지가 바뀌었으면 이미지를 검증 (아니면 지난 동기화의 유효 이미지 수로 게시 상태 결정)
+  const needsImageIngestion = !shopifyProductGid || !changedFields || changedFields.includes('images');
+  const imageIngestion = needsImageIngestion ? await imageIngestionService.validateProductImages(bunjangProduct, jobId) : null;
+  if (imageIngestion) bunjangProduct.validImageCount = imageIngestion.validImageCount;
+  const imageStatusFields = imageIngestion
+    ? { validImageCount: imageIngestion.validImageCount, firstImagePerceptualHash: imageIngestion.firstImagePerceptualHash }
+    : {};
+
+  // 새 상품이면 재등록/중복 게시 여부 확인: 확실하면 기존 Shopify 상품을 이어받고, 애매하면 검토 대기 (새 상품을 만들지 않음)
+  if (!shopifyProductGid) {
+    const duplicate = await duplicateListingService.resolveDuplicateListing(bunjangProduct, syncedDoc, {
+      perceptualHash: imageIngestion?.firstImagePerceptualHash,
+      jobId,
+    });
+    if (duplicate?.action === 'HELD') {
+      await SyncedProduct.updateOne({ bunjangPid }, { $set: { bunjangUpdatedAt: bunjangCatalogUpdatedAt, ...imageStatusFields } });
+      return { result: { status: 'skipped_filter', message: `Held for review as a likely duplicate of PID ${duplicate.duplicateOfPid}.` } };
     }
-    
-    const shopifyPriceString = await calculateShopifyPriceUsd(bunjangProduct.price);
-    logger.info(`[CatalogSvc:Job-${jobId}] Calculated price for PID ${bunjangPid}: ${bunjangProduct.price} KRW -> ${shopifyPriceString} USD`);
-    
-    // 가격이 제대로 계산되었는지 확인
-    const calculatedPrice = parseFloat(shopifyPriceString);
-    if (isNaN(calculatedPrice) || calculatedPrice <= 0) {
-      logger.error(`[CatalogSvc:Job-${jobId}] Price calculation failed for PID ${bunjangPid}. Calculated: ${shopifyPriceString}`);
-      throw new Error(`Invalid calculated price: ${shopifyPriceString}`);
+    if (duplicate?.action === 'LINKED') {
+      logger.info(`[CatalogSvc:Job-${jobId}] PID ${bunjangPid} is a relisting of PID ${duplicate.duplicateOfPid}. Updating its Shopify product ${duplicate.shopifyGid} instead of creating a new one.`);
+      syncedDoc = await SyncedProduct.findOne({ bunjangPid }).lean();
+      shopifyProductGid = duplicate.shopifyGid;
     }
-    
-    const transformResult = transformBunjangRowToShopifyInput(bunjangProduct, shopifyPriceString);
+  }
+
+  // 상품명/설명 영어 번역 (원문 해시로 캐시됨, 실패하면 한국어 원문으로 게시)
+  bunjangProduct.translation = await translationService.translateProductContent(bunjangProduct, jobId);
+  // 이 연동이 만든 핸들은 상품명/속성이 바뀌어도 유지 (예전 한국어 핸들은 생성 핸들로 교체)
+  bunjangProduct.shopifyHandle = isGeneratedProductHandle(syncedDoc.shopifyHandle, bunjangPid) ? syncedDoc.shopifyHandle : null;
+
+  const transformResult = transformBunjangRowToShopifyInput(bunjangProduct, shopifyPriceString);
+
+  if (!transformResult || !transformResult.productInput) {
+    logger.info(`[CatalogSvc:Job-${jobId}] Product PID ${bunjangPid} (Name: ${bunjangName}) skipped by transformBunjangRowToShopifyInput.`);
+    await SyncedProduct.updateOne({ bunjangPid }, { $set: { syncStatus: 'SKIPPED_FILTER', lastSyncAttemptAt: now, bunjangUpdatedAt: bunjangCatalogUpdatedAt } });
+    return { result: { status: 'skipped_filter', message: 'Filtered out by transformation logic.' } };
+  }
 
-    if (!transformResult || !transformResult.productInput) {
-      logger.info(`[CatalogSvc:Job-${jobId}] Product PID ${bunjangPid} (Name: ${bunjangName}) skipped by transformBunjangRowToShopifyInput.`);
-      await SyncedProduct.updateOne({ bunjangPid }, { $set: { syncStatus: 'SKIPPED_FILTER', lastSyncAttemptAt: now, bunjangUpdatedAt: bunjangCatalogUpdatedAt } });
-      return { status: 'skipped_filter', message: 'Filtered out by transformation logic.' };
+  return { syncedDoc, shopifyProductGid, shopifyPriceString, needsImageIngestion, imageIngestion, imageStatusFields, ...transformResult };
+}
+
+/**
+ * 동기화 실패를 SyncedProduct에 기록합니다.
+ * @param {object} bunjangProduct - processCatalogRow 결과 상품 객체.
+ * @param {Error} error - 발생한 오류 (Shopify userErrors 포함 가능).
+ * @param {string|null} shopifyProductGid - 대상 Shopify 상품 GID (있으면 유지).
+ * @param {string} [jobId='N/A'] - 작업 식별자 (로깅용).
+ * @returns {Promise<object>} { status: 'error', message, shopifyGid }
+ */
+async function recordProductSyncError(bunjangProduct, error, shopifyProductGid, jobId = 'N/A') {
+  const bunjangPid = bunjangProduct.pid;
+  const bunjangCatalogUpdatedAt = bunjangProduct.updatedAt;
+  let errorMessage = error.message;
+  if (error.userErrors && Array.isArray(error.userErrors) && error.userErrors.length > 0) {
+    errorMessage = error.userErrors.map(e => `Field: ${e.field?.join(',') || 'N/A'}, Msg: ${e.message}`).join('; ');
+  } else if (error.networkError) {
+    errorMessage = `Network error: ${error.message}`;
+  }
+  const errorStackSample = error.stack ? error.stack.substring(0, 1000) : null;
+  logger.error(`[CatalogSvc:Job-${jobId}] Failed to ${shopifyProductGid ? 'update' : 'create'} Shopify product for Bunjang PID ${bunjangPid}: ${errorMessage}`, { originalErrorStack: error.originalError?.stack || error.stack });
+
+  await SyncedProduct.updateOne({ bunjangPid }, {
+    $set: {
+      syncStatus: 'ERROR',
+      syncErrorMessage: errorMessage.substring(0, 1000),
+      syncErrorStackSample: errorStackSample,
+      bunjangUpdatedAt: bunjangCatalogUpdatedAt,
+      ...(shopifyProductGid && { shopifyGid: shopifyProductGid })
+    }
+  });
+  return { status: 'error', message: errorMessage.substring(0, 255), shopifyGid: shopifyProductGid };
+}
+
+async function syncBunjangProductToShopify(bunjangProduct, jobId = 'N/A') {
+  const bunjangPid = bunjangProduct.pid;
+  const bunjangCatalogUpdatedAt = bunjangProduct.updatedAt;
+
+  const target = await resolveProductSyncTarget(bunjangProduct, jobId);
+  if (target.result) return target.result;
+  const { now, contentHashFields, changedFields } = target;
+  let { syncedDoc, shopifyProductGid } = target;
+  let existingVariant = null;
+
+  try {
+    const prepared = await buildProductSyncInput(bunjangProduct, target, jobId);
+    if (prepared.result) return prepared.result;
+    ({ syncedDoc, shopifyProductGid } = prepared);
+    const { shopifyPriceString, needsImageIngestion, imageIngestion, imageStatusFields, productInput: shopifyProductInput, variantData, variantPlan } = prepared;
+
+    if (changedFields && shopifyProductGid) {
+      const partialResult = await applyPartialProductUpdate({
+        shopifyProductGid, syncedDoc, changedFields, shopifyProductInput, variantData, variantPlan, imageIngestion, bunjangProduct, jobId,
+      });
+      if (partialResult) {
+        await SyncedProduct.updateOne({ bunjangPid }, {
+          $set: {
+            lastSuccessfulSyncAt: now,
+            syncStatus: 'SYNCED',
+            syncErrorMessage: null,
+            syncErrorStackSample: null,
+            shopifyListedPriceUsd: shopifyPriceString,
+            shopifyStatus: shopifyProductInput.status,
+            shopifyHandle: shopifyProductInput.handle,
+            bunjangUpdatedAt: bunjangCatalogUpdatedAt,
+            ...contentHashFields,
+            ...(partialResult.bunjangVariants && { bunjangVariants: partialResult.bunjangVariants }),
+            ...imageStatusFields,
+            ...(partialResult.images && { images: partialResult.images }),
+            syncAttemptCount: 0,
+          },
+          $inc: { syncSuccessCount: 1 },
+        });
+        logger.info(`[CatalogSvc:Job-${jobId}] Partially updated Shopify product ${shopifyProductGid} for Bunjang PID ${bunjangPid}. Changed fields: [${changedFields.join(', ')}], Pushed: [${partialResult.pushed.join(', ') || 'none'}]`);
+        return { status: 'success', operation: 'partial_update', changedFields, shopifyGid: shopifyProductGid };
+      }
+      logger.warn(`[CatalogSvc:Job-${jobId}] Product ${shopifyProductGid} not found for partial update. Falling back to full sync.`);
     }
-    
-    const { productInput: shopifyProductInput, variantData, inventoryInfo } = transformResult;
 
     let shopifyApiResult;
     let operationType = '';
@@ -477,13 +1016,18 @@ async function syncBunjangProductToShopify(bunjangProduct, jobId = 'N/A') {
       operationType = 'create';
     }
 
+    // 판매 종료 때 만든 상품 URL 리디렉션은 다시 게시하기 전에 삭제 (핸들 변경 리디렉션과 경로가 겹치지 않도록)
+    await listingRetirementService.removeRetirementRedirect(syncedDoc, jobId);
+
     if (operationType === 'update' && shopifyProductGid) {
       logger.info(`[CatalogSvc:Job-${jobId}] Attempting to update Shopify product GID: ${shopifyProductGid}`);
       
       // Update product - NO variants in ProductInput
       const updateInput = {
         ...shopifyProductInput,
-        id: shopifyProductGid
+        id: shopifyProductGid,
+        // 핸들이 바뀌면 기존 URL은 새 URL로 리디렉션
+        ...(syncedDoc.shopifyHandle && syncedDoc.shopifyHandle !== shopifyProductInput.handle && { redirectNewHandle: true })
       };
       
       shopifyApiResult = await shopifyService.updateProduct(updateInput, BUNJANG_COLLECTION_GID, null);
@@ -508,6 +1052,9 @@ async function syncBunjangProductToShopify(bunjangProduct, jobId = 'N/A') {
           // 2. 가격과 SKU 업데이트 - productVariantsBulkUpdate 사용
           await shopifyService.updateVariantPriceAndSku(productId, existingVariant.id, newPrice, variantData.sku);
           logger.info(`[CatalogSvc:Job-${jobId}] Updated variant price to $${newPrice} and SKU to ${variantData.sku}`);
+          if (variantData.weightGrams && existingVariant.inventoryItem?.id) {
+            await shopifyService.updateInventoryItemWeight(existingVariant.inventoryItem.id, variantData.weightGrams);
+          }
           
           // 3. 가격이 실제로 업데이트되었는지 확인
           const priceUpdated = await verifyVariantPrice(existingVariant.id, newPrice);
@@ -581,6 +1128,9 @@ async function syncBunjangProductToShopify(bunjangProduct, jobId = 'N/A') {
             // 가격과 SKU 업데이트
             await shopifyService.updateVariantPriceAndSku(productId, firstVariant.id, newPrice, variantData.sku);
             logger.info(`[CatalogSvc:Job-${jobId}] Updated variant price to $${newPrice}`);
+            if (variantData.weightGrams && firstVariant.inventoryItem?.id) {
+              await shopifyService.updateInventoryItemWeight(firstVariant.inventoryItem.id, variantData.weightGrams);
+            }
             
             // 재고 업데이트 (항상 1로)
             if (firstVariant.inventoryItem?.id) {
@@ -614,6 +1164,7 @@ async function syncBunjangProductToShopify(bunjangProduct, jobId = 'N/A') {
         price: variantData.price, // 이미 문자열
         sku: variantData.sku,
         inventoryPolicy: variantData.inventoryPolicy,
+        weightGrams: variantData.weightGrams,
         quantity: 1,  // *** 항상 재고를 1로 설정 ***
         locationId: 'gid://shopify/Location/82604261625',  // BunJang Warehouse GID
         enableInventoryTracking: true  // 재고 추적 활성화
@@ -662,6 +1213,10 @@ async function syncBunjangProductToShopify(bunjangProduct, jobId = 'N/A') {
       throw new Error('Shopify API did not return a valid product ID after create/update.');
     }
 
+    // 옵션이 있으면 위에서 설정한 단일 variant를 옵션 조합별 variant로 교체
+    const bunjangVariants = await syncProductVariants(createdOrUpdatedProductId, { variantPlan, syncedDoc, bunjangProduct, variantData, jobId });
+    const hasVariantOptions = variantPlan?.productOptions.length > 0;
+
     // FIX: 최종 가격 및 재고 확인
     try {
       const finalCheckQuery = `
@@ -698,7 +1253,8 @@ async function syncBunjangProductToShopify(bunjangProduct, jobId = 'N/A') {
       const finalCheckResponse = await shopifyService.shopifyGraphqlRequest(finalCheckQuery, { id: createdOrUpdatedProductId });
       const finalVariant = finalCheckResponse.data?.product?.variants?.edges?.[0]?.node;
       
-      if (finalVariant) {
+      // 옵션 조합별 variant는 가격/재고가 variant마다 달라 단일 variant 기준 확인을 건너뜀
+      if (finalVariant && !hasVariantOptions) {
         const finalPrice = parseFloat(finalVariant.price || '0');
         const expectedPrice = parseFloat(shopifyPriceString);
         const isTracked = finalVariant.inventoryItem?.tracked;
@@ -754,117 +1310,17 @@ async function syncBunjangProductToShopify(bunjangProduct, jobId = 'N/A') {
       logger.error(`[CatalogSvc:Job-${jobId}] Failed to perform final check: ${finalCheckError.message}`);
     }
 
-    // 이미지 첨부 단계
-    const bunjangImageUrls = bunjangProduct.images;
-    let mediaInputsToAttach = [];
-    const productNameForAlt = bunjangProduct.name ? bunjangProduct.name.substring(0, 250) : 'Product image';
-
-    // 이미지 URL 유효성 검사 및 변환 함수
-    const processImageUrl = (url) => {
-        if (!url || typeof url !== 'string') return null;
-        let processedUrl = url.trim();
-        
-        // Ensure HTTPS for better Shopify compatibility
-        if (processedUrl.startsWith('http://')) {
-            processedUrl = processedUrl.replace('http://', 'https://');
-            logger.debug(`[CatalogSvc:Job-${jobId}] Converted HTTP to HTTPS: ${processedUrl}`);
-        }
-        
-        // Replace {res} placeholder with standard resolution
-        if (processedUrl.includes('{res}')) {
-            processedUrl = processedUrl.replace('{res}', '856');
-            logger.debug(`[CatalogSvc:Job-${jobId}] Replaced {res} placeholder with 856 in URL: ${processedUrl}`);
-        }
-        
-        // Basic URL validation
-        if (!processedUrl.startsWith('https://')) return null;
-        
-        // 번개장터 이미지 서버 도메인 확인
-        const bunjangDomains = ['media.bunjang.co.kr', 'img.bunjang.co.kr', 'img2.bunjang.co.kr'];
-        try {
-            const urlObj = new URL(processedUrl);
-            const isBunjangUrl = bunjangDomains.some(domain => urlObj.hostname.includes(domain));
-            
-            // Accept Bunjang URLs (even though they might fail later) and standard image files
-            if (isBunjangUrl) {
-                logger.debug(`[CatalogSvc:Job-${jobId}] Bunjang image URL will be attempted: ${processedUrl}`);
-                return processedUrl;
-            }
-            
-            // For non-Bunjang URLs, check for image extensions
-            if (/\.(jpg|jpeg|png|gif|webp|bmp)$/i.test(urlObj.pathname)) {
-                return processedUrl;
-            }
-            
-            // Also accept URLs without extensions if they're from known CDNs
-            const knownCdns = ['cloudinary.com', 'imgix.net', 'amazonaws.com', 'googleusercontent.com'];
-            if (knownCdns.some(cdn => urlObj.hostname.includes(cdn))) {
-                return processedUrl;
-            }
-            
-            return null;
-        } catch (e) {
-            return null;
-        }
-    };
-
-    if (typeof bunjangImageUrls === 'string' && bunjangImageUrls.trim() !== '') {
-        mediaInputsToAttach = bunjangImageUrls.split(',')
-            .map(url => url.trim())
-            .map(url => processImageUrl(url))
-            .filter(url => {
-                if (!url) {
-                    logger.debug(`[CatalogSvc:Job-${jobId}] Invalid or unsupported image URL skipped`);
-                    return false;
-                }
-                return true;
-            })
-            .map(url => ({ 
-                originalSource: url, 
-                mediaContentType: 'IMAGE', 
-                alt: productNameForAlt 
-            }));
-    } else if (Array.isArray(bunjangImageUrls)) {
-        mediaInputsToAttach = bunjangImageUrls
-            .map(url => String(url || '').trim())
-            .map(url => processImageUrl(url))
-            .filter(url => {
-                if (!url) {
-                    logger.debug(`[CatalogSvc:Job-${jobId}] Invalid or unsupported image URL skipped`);
-                    return false;
-                }
-                return true;
-            })
-            .map(url => ({ 
-                originalSource: url, 
-                mediaContentType: 'IMAGE', 
-                alt: productNameForAlt 
-            }));
-    }
-    
-    if (mediaInputsToAttach.length > 0) {
-        if (shopifyService.appendMediaToProduct) {
-            try {
-                logger.info(`[CatalogSvc:Job-${jobId}] Attaching ${mediaInputsToAttach.length} media items to product ${createdOrUpdatedProductId}`);
-                const mediaResult = await shopifyService.appendMediaToProduct(createdOrUpdatedProductId, mediaInputsToAttach.slice(0, 250));
-                
-                // Log warning if some images failed (common with Bunjang URLs)
-                if (mediaResult?.warning) {
-                    logger.warn(`[CatalogSvc:Job-${jobId}] Media attachment warning: ${mediaResult.warning}`);
-                }
-                
-                const successfulMedia = mediaResult?.media?.filter(m => m.status !== 'FAILED')?.length || 0;
-                if (successfulMedia > 0) {
-                    logger.info(`[CatalogSvc:Job-${jobId}] Successfully attached ${successfulMedia} media items to product.`);
-                }
-            } catch (mediaError) {
-                // Don't fail the entire sync if media attachment fails
-                logger.error(`[CatalogSvc:Job-${jobId}] Failed to attach media to product ${createdOrUpdatedProductId}: ${mediaError.message}`, { stack: mediaError.stack });
-                // Continue with the sync - product is already created/updated
-            }
-        } else {
-            logger.warn(`[CatalogSvc:Job-${jobId}] shopifyService.appendMediaToProduct function is not defined. Skipping media attachment for product ${createdOrUpdatedProductId}.`);
-        }
+    // 이미지 첨부 단계 - 새로 생성했거나 이미지가 바뀐 경우에만 첨부 (지난번 첨부한 미디어는 교체됨)
+    let images = null;
+    if (operationType === 'create' || needsImageIngestion) {
+      // 부분 업데이트 대상이던 상품이 Shopify에서 사라져 새로 만드는 경우에는 여기서 검증
+      const ingestion = imageIngestion || await imageIngestionService.validateProductImages(bunjangProduct, jobId);
+      images = await attachBunjangImagesToProduct(createdOrUpdatedProductId, bunjangProduct, ingestion, {
+        syncedDoc: operationType === 'create' ? null : syncedDoc,
+        jobId,
+      });
+      imageStatusFields.validImageCount = ingestion.validImageCount;
+      imageStatusFields.firstImagePerceptualHash = ingestion.firstImagePerceptualHash;
     }
 
     await SyncedProduct.updateOne({ bunjangPid }, {
@@ -877,7 +1333,14 @@ async function syncBunjangProductToShopify(bunjangProduct, jobId = 'N/A') {
         syncErrorMessage: null,
         syncErrorStackSample: null,
         shopifyListedPriceUsd: shopifyPriceString,
+        shopifyStatus: shopifyProductInput.status,
+        retiredAt: null,
+        retirementReason: null,
         bunjangUpdatedAt: bunjangCatalogUpdatedAt,
+        ...contentHashFields,
+        bunjangVariants,
+        ...imageStatusFields,
+        ...(images && { images }),
         syncAttemptCount: 0,
         bunjangQuantity: 1,  // DB에도 재고 1로 저장
         lastInventorySyncAt: now  // 재고 동기화 시간 업데이트
@@ -889,87 +1352,947 @@ async function syncBunjangProductToShopify(bunjangProduct, jobId = 'N/A') {
     return { status: 'success', operation: operationType, shopifyGid: createdOrUpdatedProductId };
 
   } catch (error) {
-    let errorMessage = error.message;
-    if (error.userErrors && Array.isArray(error.userErrors) && error.userErrors.length > 0) {
-        errorMessage = error.userErrors.map(e => `Field: ${e.field?.join(',') || 'N/A'}, Msg: ${e.message}`).join('; ');
-    } else if (error.networkError) {
-        errorMessage = `Network error: ${error.message}`;
+    return recordProductSyncError(bunjangProduct, error, shopifyProductGid, jobId);
+  }
+}
+
+// 일괄 동기화 productSet: 상품 필드와 옵션/variant를 한 번에 설정 (컬렉션, 게시, 이미지는 작업이 끝난 뒤 따로 처리)
+const BULK_PRODUCT_SET_MUTATION = `
+  mutation productSet($input: ProductSetInput!) {
+    productSet(input: $input, synchronous: true) {
+      product {
+        id
+        handle
+        variants(first: 100) {
+          edges {
+            node {
+              id
+              sku
+            }
+          }
+        }
+      }
+      userErrors {
+        field
+        message
+        code
+      }
     }
-    const errorStackSample = error.stack ? error.stack.substring(0, 1000) : null;
-    logger.error(`[CatalogSvc:Job-${jobId}] Failed to ${shopifyProductGid ? 'update' : 'create'} Shopify product for Bunjang PID ${bunjangPid}: ${errorMessage}`, { originalErrorStack: error.originalError?.stack || error.stack });
+  }`;
 
-    await SyncedProduct.updateOne({ bunjangPid }, {
-      $set: {
-        syncStatus: 'ERROR',
-        syncErrorMessage: errorMessage.substring(0, 1000),
-        syncErrorStackSample: errorStackSample,
-        bunjangUpdatedAt: bunjangCatalogUpdatedAt,
-        ...(shopifyProductGid && { shopifyGid: shopifyProductGid })
+const BULK_PUBLISH_MUTATION = `
+  mutation publishablePublish($id: ID!, $input: [PublicationInput!]!) {
+    publishablePublish(id: $id, input: $input) {
+      userErrors {
+        field
+        message
+      }
+    }
+  }`;
+
+/**
+ * 일괄 동기화할 상품을 준비합니다. 상품별 동기화와 같은 건너뛰기/변경 확인/입력 변환을 거친 뒤 productSet 입력을 만듭니다.
+ * 부분 업데이트 대신 항상 전체 필드를 보냅니다 (일괄 작업에서는 필드 수가 요청 수에 영향을 주지 않음).
+ * @param {object} bunjangProduct - processCatalogRow 결과 상품 객체.
+ * @param {string} [jobId='N/A'] - 작업 식별자 (로깅용).
+ * @returns {Promise<object>} 건너뛰었거나 준비 중 실패하면 { result }, 아니면 runBulkProductSync에 넘길 항목.
+ */
+async function prepareBulkProductSync(bunjangProduct, jobId = 'N/A') {
+  const target = await resolveProductSyncTarget(bunjangProduct, jobId);
+  if (target.result) return target;
+  let shopifyProductGid = target.shopifyProductGid;
+
+  try {
+    const prepared = await buildProductSyncInput(bunjangProduct, target, jobId);
+    if (prepared.result) return prepared;
+    shopifyProductGid = prepared.shopifyProductGid;
+    const { syncedDoc, productInput, variantData, variantPlan, imageIngestion } = prepared;
+
+    const hasVariantOptions = variantPlan?.productOptions.length > 0;
+    const pricedVariants = hasVariantOptions
+      ? await priceVariantPlan(variantPlan, bunjangProduct, variantData)
+      : [{ sku: variantData.sku, price: variantData.price, quantity: 1 }];
+    // productSet의 collections는 목록에 없는 컬렉션에서 상품을 빼므로 쓰지 않고, 작업이 끝난 뒤 collectionAddProducts로 추가
+    const { collectionsToJoin, publishedAt, ...productFields } = productInput;
+    const productSetInput = {
+      ...productFields,
+      ...(shopifyProductGid && { id: shopifyProductGid }),
+      // 핸들이 바뀌면 기존 URL은 새 URL로 리디렉션
+      ...(shopifyProductGid && syncedDoc.shopifyHandle && syncedDoc.shopifyHandle !== productInput.handle && { redirectNewHandle: true }),
+      ...shopifyService.buildProductSetVariantInputs(hasVariantOptions ? variantPlan.productOptions : [], pricedVariants, {
+        inventoryPolicy: variantData.inventoryPolicy,
+        weightGrams: variantData.weightGrams,
+      }),
+    };
+
+    // 판매 종료 때 만든 상품 URL 리디렉션은 다시 게시하기 전에 삭제
+    await listingRetirementService.removeRetirementRedirect(syncedDoc, jobId);
+    // 이미지 내용은 일괄 작업이 끝날 때까지 들고 있지 않음 (다시 올려야 하면 첨부할 때 다시 받음)
+    imageIngestion?.images.forEach(image => { delete image.buffer; });
+
+    return { ...target, ...prepared, bunjangProduct, pricedVariants, hasVariantOptions, productSetInput };
+  } catch (error) {
+    return { result: await recordProductSyncError(bunjangProduct, error, shopifyProductGid, jobId) };
+  }
+}
+
+/**
+ * 일괄 동기화된 상품을 컬렉션에 추가합니다. 새 상품은 번개장터 컬렉션과 카테고리/브랜드 컬렉션에,
+ * 기존 상품은 카테고리/브랜드가 바뀐 경우에만 해당 컬렉션에 추가합니다. 실패해도 동기화는 성공으로 둡니다.
+ * @param {Array<{entry: object, productGid: string}>} synced - 성공한 항목.
+ * @param {string} jobId - 작업 식별자 (로깅용).
+ */
+async function addBulkSyncedProductsToCollections(synced, jobId) {
+  const productGidsByCollection = new Map();
+  for (const { entry, productGid } of synced) {
+    const isNew = !entry.shopifyProductGid;
+    const collectionsChanged = !entry.changedFields || entry.changedFields.some(field => field === 'category' || field === 'brand');
+    const collectionGids = [
+      ...(isNew ? [BUNJANG_COLLECTION_GID] : []),
+      ...(isNew || collectionsChanged ? entry.productInput.collectionsToJoin || [] : []),
+    ];
+    for (const collectionGid of collectionGids) {
+      if (!productGidsByCollection.has(collectionGid)) productGidsByCollection.set(collectionGid, []);
+      productGidsByCollection.get(collectionGid).push(productGid);
+    }
+  }
+
+  for (const [collectionGid, productGids] of productGidsByCollection) {
+    for (let start = 0; start < productGids.length; start += COLLECTION_ADD_BATCH_SIZE) {
+      const batch = productGids.slice(start, start + COLLECTION_ADD_BATCH_SIZE);
+      await shopifyService.addProductsToCollection(collectionGid, batch)
+        .catch(error => logger.warn(`[CatalogSvc:Job-${jobId}] Failed to add ${batch.length} bulk-synced product(s) to collection ${collectionGid}: ${error.message}`));
+    }
+  }
+}
+
+/**
+ * 일괄 작업으로 새로 만든 상품을 판매 채널에 게시합니다. (상품별 publishablePublish 대신 일괄 작업 하나로 처리)
+ * @param {string[]} productGids - 새로 만든 상품 GID 목록.
+ * @param {string} jobId - 작업 식별자 (로깅용).
+ */
+async function publishBulkCreatedProducts(productGids, jobId) {
+  if (productGids.length === 0) return;
+  try {
+    const publications = await shopifyService.getSalesChannelPublications();
+    if (publications.length === 0) {
+      logger.warn(`[CatalogSvc:Job-${jobId}] No online store publication found. ${productGids.length} bulk-created product(s) may not be visible.`);
+      return;
+    }
+    const input = publications.map(publication => ({ publicationId: publication.id }));
+    const { results } = await shopifyBulkOperationService.runBulkMutation(BULK_PUBLISH_MUTATION, productGids.map(id => ({ id, input })), { jobId });
+    const failed = results.filter(result => result.errors?.length > 0 || result.data?.publishablePublish?.userErrors?.length > 0);
+    if (failed.length > 0) {
+      logger.warn(`[CatalogSvc:Job-${jobId}] Failed to publish ${failed.length}/${productGids.length} bulk-created product(s).`, { sample: failed.slice(0, 5) });
+    }
+  } catch (error) {
+    logger.error(`[CatalogSvc:Job-${jobId}] Failed to publish ${productGids.length} bulk-created product(s) to sales channels: ${error.message}`);
+  }
+}
+
+/**
+ * 일괄 작업 결과를 받지 못한 새 상품이 Shopify에 이미 만들어졌는지 핸들로 확인합니다.
+ * 찾으면 오류 기록에 GID가 남아 다음 실행에서 새로 만들지 않고 그 상품을 업데이트합니다.
+ * @param {object} entry - prepareBulkProductSync 결과 항목.
+ * @param {string} jobId - 작업 식별자 (로깅용).
+ * @returns {Promise<string|null>} 대상 Shopify 상품 GID (기존 상품이면 그대로, 찾지 못하면 null).
+ */
+async function findBulkCreatedProductGid(entry, jobId) {
+  if (entry.shopifyProductGid) return entry.shopifyProductGid;
+  try {
+    const product = await shopifyService.findProductByHandle(entry.productSetInput.handle);
+    if (product?.id) {
+      logger.warn(`[CatalogSvc:Job-${jobId}] PID ${entry.bunjangProduct.pid} was created as ${product.id} although its bulk result is missing. Keeping the GID for the next sync.`);
+    }
+    return product?.id || null;
+  } catch (lookupError) {
+    logger.warn(`[CatalogSvc:Job-${jobId}] Failed to look up handle ${entry.productSetInput.handle} for PID ${entry.bunjangProduct.pid}: ${lookupError.message}`);
+    return null;
+  }
+}
+
+/**
+ * prepareBulkProductSync로 준비한 상품을 Shopify 일괄 작업 하나로 동기화하고 결과를 SyncedProduct에 기록합니다.
+ * productSet 이후 컬렉션 추가와 새 상품 게시는 묶어서, 이미지 첨부는 새 상품과 이미지가 바뀐 상품만 상품별로 처리합니다.
+ * Shopify에서 사라진 상품은 상품별 동기화로 다시 처리하고(새로 생성), 작업 전체가 실패하면 모든 상품을 오류로 기록합니다 (이미 만들어진 새 상품은 GID를 함께 기록).
+ * @param {Array<object>} entries - prepareBulkProductSync 결과 항목.
+ * @param {string} [jobId='N/A'] - 작업 식별자 (로깅용).
+ * @returns {Promise<Array<{product: object, result: object}>>} 상품별 동기화 결과 (syncBunjangProductToShopify와 같은 형식).
+ */
+async function runBulkProductSync(entries, jobId = 'N/A') {
+  if (entries.length === 0) return [];
+  logger.info(`[CatalogSvc:Job-${jobId}] Syncing ${entries.length} product(s) through a Shopify bulk operation.`);
+
+  let lineResults;
+  try {
+    ({ results: lineResults } = await shopifyBulkOperationService.runBulkMutation(BULK_PRODUCT_SET_MUTATION, entries.map(entry => ({ input: entry.productSetInput })), { jobId }));
+  } catch (error) {
+    logger.error(`[CatalogSvc:Job-${jobId}] Bulk operation for ${entries.length} product(s) failed: ${error.message}`);
+    const results = [];
+    // 작업이 도중에 멈췄어도 일부 상품은 이미 만들어졌을 수 있으므로 GID를 찾아 기록 (다음 실행에서 중복 생성 방지)
+    for (const entry of entries) {
+      const shopifyProductGid = await findBulkCreatedProductGid(entry, jobId);
+      results.push({ product: entry.bunjangProduct, result: await recordProductSyncError(entry.bunjangProduct, error, shopifyProductGid, jobId) });
+    }
+    return results;
+  }
+
+  const results = [];
+  const synced = [];
+  for (const [index, entry] of entries.entries()) {
+    const lineResult = lineResults[index];
+    const productSet = lineResult.data?.productSet;
+    const userErrors = productSet?.userErrors || [];
+    if (productSet?.product?.id && userErrors.length === 0) {
+      synced.push({ entry, productGid: productSet.product.id, product: productSet.product });
+      continue;
+    }
+    if (entry.shopifyProductGid && userErrors.some(userError => userError.code === 'PRODUCT_DOES_NOT_EXIST')) {
+      logger.warn(`[CatalogSvc:Job-${jobId}] Product ${entry.shopifyProductGid} no longer exists in Shopify. Syncing PID ${entry.bunjangProduct.pid} individually.`);
+      results.push({ product: entry.bunjangProduct, result: await syncBunjangProductToShopify(entry.bunjangProduct, jobId) });
+      continue;
+    }
+    const errorMessage = userErrors.length > 0
+      ? userErrors.map(e => `Field: ${e.field?.join(',') || 'N/A'}, Msg: ${e.message}`).join('; ')
+      : (lineResult.errors || []).map(e => e.message).join('; ') || 'No product returned';
+    const error = new ExternalServiceError('ShopifySvc', null, `Bulk product set failed: ${errorMessage}`, 'SHOPIFY_PRODUCT_SET_ERROR');
+    // userErrors 없이 결과가 빠진 줄(작업 취소/실패)은 상품이 만들어졌을 수 있음
+    const shopifyProductGid = userErrors.length > 0 ? entry.shopifyProductGid : await findBulkCreatedProductGid(entry, jobId);
+    results.push({ product: entry.bunjangProduct, result: await recordProductSyncError(entry.bunjangProduct, error, shopifyProductGid, jobId) });
+  }
+
+  await addBulkSyncedProductsToCollections(synced, jobId);
+  await publishBulkCreatedProducts(synced.filter(({ entry }) => !entry.shopifyProductGid).map(({ productGid }) => productGid), jobId);
+
+  for (const { entry, productGid, product } of synced) {
+    const { bunjangProduct, syncedDoc, imageStatusFields } = entry;
+    const operationType = entry.shopifyProductGid ? 'update' : 'create';
+    try {
+      // 이미지 첨부 단계 - 새로 생성했거나 이미지가 바뀐 경우에만 첨부 (재업로드가 켜져 있으면 이미지를 다시 받아 올림)
+      let images = null;
+      if (entry.needsImageIngestion) {
+        const ingestion = config.bunjang.images.rehostEnabled
+          ? await imageIngestionService.validateProductImages(bunjangProduct, jobId)
+          : entry.imageIngestion;
+        images = await attachBunjangImagesToProduct(productGid, bunjangProduct, ingestion, {
+          syncedDoc: operationType === 'create' ? null : syncedDoc,
+          jobId,
+        });
       }
+
+      const variantGidsBySku = new Map((product.variants?.edges || []).map(edge => [edge.node.sku, edge.node.id]));
+      const bunjangVariants = entry.hasVariantOptions
+        ? entry.pricedVariants.map(variant => toSyncedVariant(variant, variantGidsBySku.get(variant.sku) || null))
+        : (entry.variantPlan?.variants || []).map(variant => toSyncedVariant(variant));
+
+      await SyncedProduct.updateOne({ bunjangPid: bunjangProduct.pid }, {
+        $set: {
+          shopifyGid: productGid,
+          shopifyProductId: productGid.split('/').pop(),
+          shopifyHandle: product.handle,
+          lastSuccessfulSyncAt: entry.now,
+          syncStatus: 'SYNCED',
+          syncErrorMessage: null,
+          syncErrorStackSample: null,
+          shopifyListedPriceUsd: entry.shopifyPriceString,
+          shopifyStatus: entry.productInput.status,
+          retiredAt: null,
+          retirementReason: null,
+          bunjangUpdatedAt: bunjangProduct.updatedAt,
+          ...entry.contentHashFields,
+          bunjangVariants,
+          ...imageStatusFields,
+          ...(images && { images }),
+          syncAttemptCount: 0,
+          bunjangQuantity: 1,
+          lastInventorySyncAt: entry.now,
+        },
+        $inc: { syncSuccessCount: 1 },
+      });
+      results.push({ product: bunjangProduct, result: { status: 'success', operation: `bulk_${operationType}`, shopifyGid: productGid } });
+    } catch (error) {
+      results.push({ product: bunjangProduct, result: await recordProductSyncError(bunjangProduct, error, productGid, jobId) });
+    }
+  }
+
+  logger.info(`[CatalogSvc:Job-${jobId}] Bulk sync finished. Synced: ${synced.length}/${entries.length}.`);
+  return results;
+}
+
+/**
+ * 카탈로그 행을 큐에 추가하지 않아도 되는지 확인합니다.
+ * 판매자 정책으로 새로 게시하지 않을 상품, 재등록된 PID에 Shopify 상품을 넘겨준 상품, 중복 검토 대기 중인 상품이거나,
+ * 마지막 동기화 이후 변경되지 않은 상품이면 건너뜁니다.
+ * @param {object} bunjangProduct - processCatalogRow 결과 상품 객체.
+ * @returns {Promise<'skipped_filter'|'skipped_no_change'|null>} 건너뛸 사유. 큐에 추가해야 하면 null.
+ */
+async function resolveEnqueueSkipStatus(bunjangProduct) {
+  const syncedDoc = await SyncedProduct.findOne({ bunjangPid: bunjangProduct.pid })
+    .select('syncStatus shopifyGid shopifyStatus bunjangUpdatedAt bunjangSellerUid retiredAt bunjangContentHash bunjangContentHashAlgorithm shopifyListedPriceUsd validImageCount supersededByPid duplicateStatus')
+    .lean();
+  if (isExcludedBySellerPolicy(syncedDoc, bunjangProduct)) return 'skipped_filter';
+  if (await duplicateListingService.isSupersededListing(syncedDoc)) return 'skipped_filter';
+  if (duplicateListingService.isHeldForDuplicateReview(syncedDoc)) return 'skipped_filter';
+  if (config.forceResyncAll) return null;
+  const expectedPriceUsd = await calculateExpectedPriceUsd(syncedDoc, bunjangProduct);
+  if (!isSyncedContentUnchanged(syncedDoc, bunjangProduct, computeProductContentHashes(bunjangProduct), expectedPriceUsd)) return null;
+  await backfillSellerUid(syncedDoc, bunjangProduct);
+  return 'skipped_no_change';
+}
+
+/**
+ * 상품 하나에 대해 동기화가 수행할 작업을 Shopify 호출 없이 결정합니다. (plan 모드)
+ * syncBunjangProductToShopify의 건너뛰기/부분 업데이트 판단과 같은 규칙을 사용합니다.
+ * @param {object|null} syncedDoc - SyncedProduct 문서(lean).
+ * @param {object} bunjangProduct - processCatalogRow 결과 상품 객체.
+ * @param {object} [pricingOverrides] - 설정 대신 사용할 가격 계산 값. { markupPercentage, handlingFeeUsd }
+ * @returns {Promise<object>} 계획 항목 { bunjangPid, rowNumber, productName, action, reason, changedFields, priceKrw, shopifyPriceUsd, currentShopifyPriceUsd, shopifyGid }
+ */
+async function planProductSyncAction(syncedDoc, bunjangProduct, pricingOverrides = {}) {
+  const shopifyPriceUsd = await calculateShopifyPriceUsd(getListingPriceKrw(bunjangProduct), pricingOverrides);
+  // 비상 환율로 계산된 가격은 실제 동기화에서도 리스팅 가격과 비교하지 않음
+  const comparablePriceUsd = getCachedRateInfo() ? shopifyPriceUsd : null;
+  const entry = {
+    bunjangPid: bunjangProduct.pid,
+    rowNumber: bunjangProduct.rowNumber,
+    productName: bunjangProduct.name,
+    priceKrw: bunjangProduct.price,
+    shopifyPriceUsd,
+    currentShopifyPriceUsd: syncedDoc?.shopifyListedPriceUsd || null,
+    shopifyGid: syncedDoc?.shopifyGid || null,
+  };
+
+  if (isExcludedBySellerPolicy(syncedDoc, bunjangProduct)) {
+    return { ...entry, action: 'skip', reason: `seller_excluded:${bunjangProduct.sellerListingPolicy.reason}` };
+  }
+  if (await duplicateListingService.isSupersededListing(syncedDoc)) {
+    return { ...entry, action: 'skip', reason: `superseded:${syncedDoc.supersededByPid}` };
+  }
+  if (duplicateListingService.isHeldForDuplicateReview(syncedDoc)) {
+    return { ...entry, action: 'skip', reason: `duplicate_review:${syncedDoc.duplicateOfPid}` };
+  }
+  if (!syncedDoc?.shopifyGid) {
+    return { ...entry, action: 'create', reason: syncedDoc ? `not_on_shopify:${syncedDoc.syncStatus}` : 'new_product' };
+  }
+  const contentHashes = computeProductContentHashes(bunjangProduct);
+  if (isSyncedContentUnchanged(syncedDoc, bunjangProduct, contentHashes, comparablePriceUsd)) {
+    return { ...entry, action: 'skip', reason: 'unchanged' };
+  }
+  if (!canApplyPartialUpdate(syncedDoc)) {
+    let reason = 'full_update';
+    if (config.forceResyncAll) reason = 'force_resync';
+    else if (syncedDoc.retiredAt) reason = 'relist';
+    return { ...entry, action: 'update_content', reason };
+  }
+
+  const changedFields = diffContentFieldHashes(syncedDoc.bunjangContentFieldHashes, contentHashes.fieldHashes) || [];
+  const listingStatus = resolveListingStatus(bunjangProduct, syncedDoc);
+  if ((syncedDoc.shopifyStatus || 'ACTIVE') !== listingStatus) {
+    return { ...entry, action: 'update_content', reason: `listing_status:${listingStatus}`, changedFields };
+  }
+  if (changedFields.some(field => PRODUCT_INPUT_FIELDS_BY_CONTENT_FIELD[field] || field === 'images')) {
+    return { ...entry, action: 'update_content', reason: 'content_changed', changedFields };
+  }
+  if (changedFields.includes('price')) {
+    return { ...entry, action: 'update_price', reason: 'price_changed', changedFields };
+  }
+  if (hasListedPriceDrifted(entry.currentShopifyPriceUsd, comparablePriceUsd)) {
+    return { ...entry, action: 'update_price', reason: 'price_drift', changedFields };
+  }
+  // Shopify 필드에 매핑되지 않은 필드(배송비, 옵션 등)만 바뀐 경우 DB의 해시만 갱신됨
+  return { ...entry, action: 'skip', reason: 'db_only', changedFields };
+}
+
+/**
+ * 다운로드한 카탈로그 파일로 plan 보고서를 만듭니다. 상품별 예정 작업과 계산된 USD 가격을 CatalogPlanEntry에 기록하며
+ * Shopify 변경 호출이나 SyncedProduct/체크포인트/격리 기록은 하지 않습니다.
+ * @param {string} catalogType - 'full' 또는 'segment'.
+ * @param {string} localCsvPath - 압축 해제된 CSV 파일 경로.
+ * @param {object} context
+ * @param {string} context.runId - plan 실행 ID.
+ * @param {string} [context.jobId='N/A'] - 작업 식별자 (로깅용).
+ * @param {object} [context.overrides] - 설정 대신 적용해 볼 값. { markupPercentage, handlingFeeUsd, filterCategoryIds }
+ * @returns {Promise<object>} { totalOriginalCsvRows, validProductsToProcess, plan: { entries, byAction, overrides } }
+ */
+async function buildCatalogPlan(catalogType, localCsvPath, { runId, jobId = 'N/A', overrides = {} }) {
+  const { filterCategoryIds, ...pricingOverrides } = overrides;
+  const filterRules = await catalogFilterRuleService.loadActiveRules();
+  const sellerPolicies = await sellerReputationService.loadSellerListingPolicies();
+  const brands = await brandCatalogService.loadBrandMap(); // brand 해시가 브랜드 캐시에 따라 달라지므로 실제 처리와 같게 붙임
+  const byAction = catalogPlanService.createEmptyActionCounts();
+  const catalogSaleStatuses = catalogType === 'full' ? new Map() : null;
+  let pendingProducts = [];
+  let pendingEntries = [];
+  let originalCsvRowCount = 0;
+  let validProductCount = 0;
+
+  const flushEntries = async () => {
+    const entries = pendingEntries;
+    pendingEntries = [];
+    await catalogPlanService.recordPlanEntries(runId, entries);
+    entries.forEach(entry => { byAction[entry.action]++; });
+  };
+
+  const planPendingProducts = async () => {
+    const products = pendingProducts;
+    pendingProducts = [];
+    const syncedDocs = await SyncedProduct.find({ bunjangPid: { $in: products.map(product => product.pid) } })
+      .select('bunjangPid syncStatus shopifyGid shopifyStatus shopifyListedPriceUsd bunjangUpdatedAt retiredAt bunjangContentHash bunjangContentFieldHashes bunjangContentHashAlgorithm validImageCount supersededByPid duplicateStatus duplicateOfPid')
+      .lean();
+    const syncedDocsByPid = new Map(syncedDocs.map(doc => [doc.bunjangPid, doc]));
+    for (const product of products) {
+      pendingEntries.push(await planProductSyncAction(syncedDocsByPid.get(product.pid) || null, product, pricingOverrides));
+    }
+    await flushEntries();
+  };
+
+  logger.info(`[CatalogSvc:Job-${jobId}] Building catalog plan from ${localCsvPath}. Overrides:`, overrides);
+  for await (const row of iterateCsvRows(localCsvPath)) {
+    originalCsvRowCount++;
+    const rowNumber = originalCsvRowCount;
+    const pid = (row.pid || '').trim();
+    const saleStatus = (row.saleStatus || '').trim().toUpperCase();
+    if (catalogSaleStatuses && pid) catalogSaleStatuses.set(pid, saleStatus);
+
+    let rejection = null;
+    let filterDecision = null;
+    const product = processCatalogRow(row, rowNumber, rowRejection => { rejection = rowRejection; }, {
+      filterCategoryIds,
+      filterRules,
+      sellerPolicies,
+      brands,
+      onFilterDecision: decision => { filterDecision = decision; },
     });
-    return { status: 'error', message: errorMessage.substring(0, 255), shopifyGid: shopifyProductGid };
+    if (!product) {
+      // 판매중이 아닌 행은 보고서에 넣지 않고, 판매중인데 빠지는 행만 사유와 함께 기록
+      if (saleStatus === 'SELLING') {
+        let reason = 'filtered_category';
+        if (rejection) reason = `rejected:${rejection.rule}`;
+        else if (filterDecision?.decision === 'EXCLUDED') reason = `filter_rule:${filterDecision.ruleName || 'no_include_match'}`;
+        pendingEntries.push({
+          bunjangPid: pid,
+          rowNumber,
+          productName: (row.name || '').trim(),
+          action: 'skip',
+          reason,
+        });
+      }
+    } else {
+      validProductCount++;
+      pendingProducts.push(product);
+    }
+    if (pendingProducts.length >= PLAN_BATCH_SIZE) await planPendingProducts();
+    else if (pendingEntries.length >= PLAN_BATCH_SIZE) await flushEntries();
   }
+  await planPendingProducts();
+
+  // 실제 실행과 같은 조건에서만 카탈로그에서 사라진 상품을 보관 대상으로 표시
+  if (catalogSaleStatuses && config.bunjang.retirement?.enabled && listingRetirementService.catalogHasSellingRows(catalogSaleStatuses)) {
+    for await (const { syncedDoc, reason } of listingRetirementService.iterateRetirementCandidates(catalogSaleStatuses)) {
+      pendingEntries.push({
+        bunjangPid: syncedDoc.bunjangPid,
+        productName: syncedDoc.bunjangProductName,
+        action: 'archive',
+        reason,
+        currentShopifyPriceUsd: syncedDoc.shopifyListedPriceUsd || null,
+        shopifyGid: syncedDoc.shopifyGid,
+      });
+      if (pendingEntries.length >= PLAN_BATCH_SIZE) await flushEntries();
+    }
+    await flushEntries();
+  }
+
+  const plan = {
+    entries: Object.values(byAction).reduce((sum, count) => sum + count, 0),
+    byAction,
+    overrides,
+  };
+  logger.info(`[CatalogSvc:Job-${jobId}] Catalog plan built. Rows: ${originalCsvRowCount}, Valid: ${validProductCount}, By action:`, byAction);
+  return { totalOriginalCsvRows: originalCsvRowCount, validProductsToProcess: validProductCount, plan };
 }
 
-async function fetchAndProcessBunjangCatalog(catalogType, jobIdForLog = 'N/A') {
-  logger.info(`[CatalogSvc:Job-${jobIdForLog}] Starting Bunjang catalog processing. Type: ${catalogType}`);
-  let catalogFileUrl;
-  let catalogFileNameGz;
-  let baseFileNameWithoutExt;
+/**
+ * 변경된 상품 하나를 product-sync 큐에 추가합니다.
+ * 작업 ID는 PID와 상품의 카탈로그 버전(updatedAt)으로 고정되어, 같은 버전이 여러 카탈로그 파일에 포함되어도 한 번만 처리됩니다.
+ * updatedAt이 없는 상품은 버전을 알 수 없으므로 실행마다 다른 작업 ID를 씁니다.
+ * 판매자 정책으로 DRAFT 게시하는 상품은 같은 버전의 ACTIVE 게시 작업과 구분되도록 작업 ID에 상태를 덧붙입니다.
+ * 같은 ID의 작업이 이미 끝나 있으면(재시도를 모두 실패했거나, 완료됐지만 여전히 변경이 남은 경우) 지우고 다시 추가하며,
+ * 아직 대기/실행 중이면 추가하지 않고 skipped_no_change로 보고합니다 (결과는 그 작업을 추가한 실행에 기록됨).
+ * @param {import('bullmq').Queue} queue - product-sync 큐.
+ * @param {object} bunjangProduct - processCatalogRow 결과 상품 객체.
+ * @param {object} context - { runId, catalogFileName, jobId }
+ * @returns {Promise<object>} { status: 'enqueued' | 'skipped_no_change' | 'skipped_filter', jobId }
+ */
+async function enqueueProductSyncJob(queue, bunjangProduct, { runId, catalogFileName, jobId = 'N/A' }) {
+  const skipStatus = await resolveEnqueueSkipStatus(bunjangProduct);
+  if (skipStatus) {
+    return { status: skipStatus };
+  }
+  const catalogVersion = bunjangProduct.updatedAt ? bunjangProduct.updatedAt.getTime() : `unknown-${runId || Date.now()}`;
+  const listingStatus = resolveListingStatus(bunjangProduct);
+  const productJobId = `product-${bunjangProduct.pid}-${catalogVersion}${listingStatus === 'ACTIVE' ? '' : `-${listingStatus.toLowerCase()}`}`;
 
-  const fileDate = new Date();
-  catalogFileNameGz = generateBunjangCatalogFilename(catalogType, fileDate);
-  baseFileNameWithoutExt = catalogFileNameGz.replace(/\.csv\.gz$/, '');
+  // 같은 ID의 작업이 남아 있으면 queue.add가 아무것도 하지 않으므로 먼저 상태를 확인
+  const existingJob = await queue.getJob(productJobId);
+  if (existingJob) {
+    const state = await existingJob.getState();
+    if (state !== 'failed' && state !== 'completed') {
+      logger.debug(`[CatalogSvc:Job-${jobId}] Product sync job ${productJobId} for PID ${bunjangProduct.pid} is already ${state}. Not enqueuing again.`);
+      return { status: 'skipped_no_change', message: `Sync job already ${state}.`, jobId: productJobId };
+    }
+    logger.info(`[CatalogSvc:Job-${jobId}] Product sync job ${productJobId} for PID ${bunjangProduct.pid} is ${state}${state === 'failed' ? ` (${existingJob.failedReason})` : ''}. Replacing it with a new job.`);
+    await existingJob.remove();
+  }
+
+  await queue.add('SyncBunjangProduct', {
+    product: bunjangProduct,
+    catalogRunId: runId ? String(runId) : null,
+    catalogFileName,
+    triggeredBy: 'catalog_fan_out',
+  }, { jobId: productJobId });
+  logger.debug(`[CatalogSvc:Job-${jobId}] Enqueued product sync job ${productJobId} for PID ${bunjangProduct.pid}.`);
+  return { status: 'enqueued', jobId: productJobId };
+}
+
+/**
+ * 번개장터 카탈로그 파일을 다운로드/파싱하고 각 상품을 Shopify에 동기화합니다.
+ * 진행 상황은 청크 단위로 체크포인트에 기록되며, 같은 파일에 대해 진행 중인 체크포인트가 있으면
+ * 마지막으로 처리한 행 다음부터 이어서 처리합니다.
+ * 각 실행은 CatalogRun 이력으로 저장됩니다 (타이밍, 트리거, 카운터, 오류 샘플).
+ * config.bunjang.productSyncViaQueue가 켜져 있으면 변경된 상품을 product-sync 큐에 추가만 하며(enqueuedForSync),
+ * 상품별 동기화 결과는 productSyncWorker가 CatalogRun.productSyncResults에 기록합니다.
+ * @param {string} catalogType - 'full' 또는 'segment'.
+ * @param {string} [jobIdForLog='N/A'] - 작업 식별자 (로깅용).
+ * @param {object} [options] - 추가 옵션.
+ * @param {string} [options.fileName] - 처리할 카탈로그 파일명. 없으면 현재 시각 기준으로 생성합니다.
+ * @param {string} [options.triggeredBy] - 실행 주체 (예: 'cron_scheduler', 'api_manual'). 실행 이력의 트리거 구분에 사용됩니다.
+ * @param {boolean} [options.bypassAnomalyGuard] - 이상 감지 결과와 관계없이 진행.
+ * @param {boolean} [options.dryRun] - true이면 plan 모드: Shopify에 반영하지 않고 상품별 예정 작업만 plan 보고서로 기록합니다.
+ * @param {object} [options.planOverrides] - plan 모드에서 설정 대신 적용해 볼 값. { markupPercentage, handlingFeeUsd, filterCategoryIds }
+ * @returns {Promise<object>} 처리 요약 (재개된 경우 누적 카운터 기준). plan 모드이면 dryRun과 plan 요약 포함.
+ */
+async function fetchAndProcessBunjangCatalog(catalogType, jobIdForLog = 'N/A', options = {}) {
+  logger.info(`[CatalogSvc:Job-${jobIdForLog}] Starting Bunjang catalog processing. Type: ${catalogType}`);
+  const catalogFileNameGz = options.fileName || generateBunjangCatalogFilename(catalogType, new Date());
 
   if (!config.bunjang?.catalogApiUrl) {
     logger.error(`[CatalogSvc:Job-${jobIdForLog}] Bunjang catalog API URL (config.bunjang.catalogApiUrl) is not configured.`);
     throw new AppError("Bunjang catalog API URL is not configured.", 500, "BUNJANG_URL_MISSING");
   }
-  catalogFileUrl = `${config.bunjang.catalogApiUrl}/catalog/${catalogType}/${catalogFileNameGz}`;
+  const catalogFileUrl = `${config.bunjang.catalogApiUrl}/catalog/${catalogType}/${catalogFileNameGz}`;
   logger.info(`[CatalogSvc:Job-${jobIdForLog}] Catalog file to process: ${catalogFileNameGz}, URL: ${catalogFileUrl}`);
 
   if (!TEMP_DOWNLOAD_DIR) {
     logger.error(`[CatalogSvc:Job-${jobIdForLog}] Temporary directory (TEMP_DOWNLOAD_DIR from config.tempDir) is not configured.`);
     throw new AppError("Temporary directory for downloads is not configured.", 500, "TEMP_DIR_MISSING");
   }
-  const localCsvPath = await downloadAndProcessFile(catalogFileUrl, TEMP_DOWNLOAD_DIR, baseFileNameWithoutExt);
-  logger.info(`[CatalogSvc:Job-${jobIdForLog}] Parsing CSV file: ${localCsvPath}`);
-  const { products: bunjangProducts, totalRows: originalCsvRowCount } = await parseCsvFileWithRowProcessor(localCsvPath, processCatalogRow);
 
-  if (!bunjangProducts || bunjangProducts.length === 0) {
-    logger.warn(`[CatalogSvc:Job-${jobIdForLog}] No valid products found after filtering in CSV file: ${localCsvPath}. Processing finished.`);
-    if (await fs.pathExists(localCsvPath)) await fs.remove(localCsvPath);
-    return { filename: catalogFileNameGz, totalOriginalCsvRows: originalCsvRowCount || 0, validProductsToProcess: 0, successfullyProcessed: 0, errors: 0, skippedByFilter: 0, skippedNoChange: 0 };
+  const run = await catalogRunService.startRun({
+    catalogType,
+    fileName: catalogFileNameGz,
+    triggeredBy: options.triggeredBy,
+    jobId: jobIdForLog,
+  });
+
+  let summary;
+  try {
+    summary = options.dryRun
+      ? await planCatalogFile(catalogType, catalogFileNameGz, catalogFileUrl, jobIdForLog, run._id, options.planOverrides)
+      : await processCatalogFile(catalogType, catalogFileNameGz, catalogFileUrl, jobIdForLog, run._id, {
+        bypassAnomalyGuard: options.bypassAnomalyGuard === true,
+      });
+    await catalogRunService.finishRun(run._id, summary);
+  } catch (error) {
+    await catalogRunService.failRun(run._id, error, { unavailable: error.errorCode === CATALOG_FILE_NOT_AVAILABLE })
+      .catch(runError => logger.warn(`[CatalogSvc:Job-${jobIdForLog}] Failed to record catalog run failure: ${runError.message}`));
+    throw error;
+  }
+
+  if (summary.anomaly?.blocked && summary.anomaly.action === 'abort') {
+    throw new AppError(
+      `카탈로그 파일 이상이 감지되어 처리를 중단했습니다: ${catalogFileNameGz}. ${summary.anomaly.anomalies.map(anomaly => anomaly.message).join(' ')}`,
+      422,
+      CATALOG_ANOMALY_DETECTED,
+      true,
+      { runId: String(run._id), anomalies: summary.anomaly.anomalies }
+    );
   }
+  return { ...summary, runId: String(run._id) };
+}
 
-  let successfullyProcessed = 0;
-  let errorCount = 0;
-  let skippedByFilterCount = 0;
-  let skippedNoChangeCount = 0;
+/**
+ * 사전 점검용으로 CSV 파일 전체를 한 번 읽어 행 통계를 계산합니다. (Shopify/DB 쓰기 없음)
+ * @param {string} localCsvPath - 압축 해제된 CSV 파일 경로.
+ * @param {Array<object>} [filterRules] - 본 처리와 같은 DB 필터 규칙 (처리 대상 상품 수를 같은 기준으로 계산).
+ * @returns {Promise<object>} { totalRows, sellingRows, validRows, rejectedRows, rejectedByRule }
+ */
+async function collectCatalogFileStats(localCsvPath, filterRules = []) {
+  const stats = { totalRows: 0, sellingRows: 0, validRows: 0, rejectedRows: 0, rejectedByRule: {} };
+  for await (const row of iterateCsvRows(localCsvPath)) {
+    stats.totalRows++;
+    if ((row.saleStatus || '').trim().toUpperCase() === 'SELLING') stats.sellingRows++;
+    const product = processCatalogRow(row, stats.totalRows, rejection => {
+      stats.rejectedRows++;
+      stats.rejectedByRule[rejection.rule] = (stats.rejectedByRule[rejection.rule] || 0) + 1;
+    }, { filterRules });
+    if (product) stats.validRows++;
+  }
+  return stats;
+}
 
-  logger.info(`[CatalogSvc:Job-${jobIdForLog}] Processing ${bunjangProducts.length} valid items from Bunjang catalog...`);
-  const concurrency = config.bunjang?.syncConcurrency || 1;
-  const productChunks = [];
-  for (let i = 0; i < bunjangProducts.length; i += concurrency) {
-    productChunks.push(bunjangProducts.slice(i, i + concurrency));
+/**
+ * 카탈로그 파일 하나를 plan 모드로 처리합니다. (fetchAndProcessBunjangCatalog 내부용)
+ * 체크포인트를 만들지 않으므로 같은 파일의 실제 처리 진행 상황에 영향을 주지 않습니다.
+ * @param {string} catalogType - 'full' 또는 'segment'.
+ * @param {string} catalogFileNameGz - 카탈로그 파일명.
+ * @param {string} catalogFileUrl - 카탈로그 다운로드 URL.
+ * @param {string} jobIdForLog - 작업 식별자 (로깅용).
+ * @param {string} runId - plan 실행 ID.
+ * @param {object} [overrides] - { markupPercentage, handlingFeeUsd, filterCategoryIds }
+ * @returns {Promise<object>} 처리 요약 (dryRun: true, plan: { entries, byAction, overrides }).
+ */
+async function planCatalogFile(catalogType, catalogFileNameGz, catalogFileUrl, jobIdForLog, runId, overrides = {}) {
+  const baseFileNameWithoutExt = catalogFileNameGz.replace(/\.csv\.gz$/, '');
+  // 같은 파일을 처리 중인 실제 실행의 CSV와 겹치지 않도록 실행별 이름으로 다운로드
+  const localCsvPath = await downloadAndProcessFile(catalogFileUrl, TEMP_DOWNLOAD_DIR, `${baseFileNameWithoutExt}-plan-${runId}`);
+  try {
+    const { totalOriginalCsvRows, validProductsToProcess, plan } = await buildCatalogPlan(catalogType, localCsvPath, {
+      runId,
+      jobId: jobIdForLog,
+      overrides: overrides || {},
+    });
+    const summary = {
+      filename: catalogFileNameGz,
+      checkpointId: null,
+      resumedFromRow: null,
+      abandoned: false,
+      totalOriginalCsvRows,
+      validProductsToProcess,
+      ...createEmptyCounters(),
+      retirement: null,
+      anomaly: null,
+      dryRun: true,
+      plan,
+    };
+    logger.info(`[CatalogSvc:Job-${jobIdForLog}] Bunjang catalog plan finished. Nothing was written to Shopify. Summary:`, summary);
+    return summary;
+  } finally {
+    await fs.remove(localCsvPath)
+      .catch(unlinkError => logger.warn(`[CatalogSvc:Job-${jobIdForLog}] Failed to clean up local CSV file ${localCsvPath}:`, unlinkError));
   }
+}
 
-  for (const chunk of productChunks) {
-    const chunkResults = await Promise.allSettled(
-      chunk.map(product => syncBunjangProductToShopify(product, jobIdForLog))
-    );
-    chunkResults.forEach(result => {
-      if (result.status === 'fulfilled' && result.value) {
-        if (result.value.status === 'success') successfullyProcessed++;
-        else if (result.value.status === 'skipped_filter') skippedByFilterCount++;
-        else if (result.value.status === 'skipped_no_change') skippedNoChangeCount++;
-        else if (result.value.status === 'error') errorCount++;
-      } else if (result.status === 'rejected') {
-        errorCount++;
-        logger.error(`[CatalogSvc:Job-${jobIdForLog}] Unhandled promise rejection in sync chunk for a product:`, result.reason);
+/**
+ * 카탈로그 파일 하나를 체크포인트 기반으로 처리합니다. (fetchAndProcessBunjangCatalog 내부용)
+ * config.bunjang.bulkSync가 이 카탈로그 유형에 켜져 있으면 변경된 상품을 Shopify 일괄 작업으로 모아서 동기화합니다.
+ * @param {string} catalogType - 'full' 또는 'segment'.
+ * @param {string} catalogFileNameGz - 카탈로그 파일명.
+ * @param {string} catalogFileUrl - 카탈로그 다운로드 URL.
+ * @param {string} jobIdForLog - 작업 식별자 (로깅용).
+ * @param {string} runId - 실행 이력 ID (오류 샘플 기록용).
+ * @param {object} [options] - { bypassAnomalyGuard: 이상 감지 결과와 관계없이 진행 }
+ * @returns {Promise<object>} 처리 요약. 이상 감지로 차단된 경우 anomaly.blocked가 true.
+ */
+async function processCatalogFile(catalogType, catalogFileNameGz, catalogFileUrl, jobIdForLog, runId, options = {}) {
+  const baseFileNameWithoutExt = catalogFileNameGz.replace(/\.csv\.gz$/, '');
+
+  const { checkpoint, resumed } = await catalogCheckpointService.startOrResumeCheckpoint(catalogType, catalogFileNameGz, jobIdForLog);
+  const checkpointId = checkpoint._id;
+  const resumeAfterRow = resumed ? (checkpoint.lastProcessedRow || 0) : 0;
+  await catalogRunService.attachCheckpoint(runId, { checkpointId, resumedFromRow: resumed ? resumeAfterRow : null });
+
+  // 재개 시 이전 실행에서 받아둔 CSV 파일이 남아 있으면 다시 다운로드하지 않음
+  let localCsvPath = path.join(TEMP_DOWNLOAD_DIR, `${baseFileNameWithoutExt}.csv`);
+  if (resumed && await fs.pathExists(localCsvPath)) {
+    logger.info(`[CatalogSvc:Job-${jobIdForLog}] Reusing previously downloaded CSV file for resumed run: ${localCsvPath}`);
+  } else {
+    try {
+      localCsvPath = await downloadAndProcessFile(catalogFileUrl, TEMP_DOWNLOAD_DIR, baseFileNameWithoutExt);
+    } catch (downloadError) {
+      // 아직 게시되지 않은 파일은 처리한 적이 없으므로 새로 만든 체크포인트를 남기지 않음
+      if (downloadError.errorCode === CATALOG_FILE_NOT_AVAILABLE && !resumed) {
+        await catalogCheckpointService.discardCheckpoint(checkpointId)
+          .catch(cpError => logger.warn(`[CatalogSvc:Job-${jobIdForLog}] Failed to discard checkpoint ${checkpointId}: ${cpError.message}`));
       }
+      throw downloadError;
+    }
+  }
+
+  // 실행 도중 규칙이 바뀌어도 같은 파일에는 같은 규칙을 적용하도록 시작 시 한 번 불러옴
+  const filterRules = await catalogFilterRuleService.loadActiveRules();
+  const sellerPolicies = await sellerReputationService.loadSellerListingPolicies();
+  const categoryMappings = await categoryMappingService.loadCategoryMappings();
+  const artistDictionary = await artistDictionaryService.loadArtistDictionary();
+  const attributePatterns = await productAttributeService.loadAttributePatterns();
+  const brands = await brandCatalogService.loadBrandMap();
+  const categorySightings = new Map(); // 카테고리 ID → { categoryName, count, samplePid } (매핑되지 않은 카테고리 보고서용)
+
+  // 새로 시작하는 파일은 쓰기 전에 파일 통계를 점검 (재개된 파일은 이미 점검을 통과한 파일)
+  if (!resumed && catalogAnomalyGuardService.isGuardEnabledFor(catalogType)) {
+    const stats = await collectCatalogFileStats(localCsvPath, filterRules);
+    const preflight = await catalogAnomalyGuardService.runPreflightCheck({
+      catalogType,
+      fileName: catalogFileNameGz,
+      stats,
+      runId,
+      bypass: options.bypassAnomalyGuard,
+      jobId: jobIdForLog,
+    });
+    await catalogRunService.recordPreflight(runId, preflight)
+      .catch(runError => logger.warn(`[CatalogSvc:Job-${jobIdForLog}] Failed to record preflight result: ${runError.message}`));
+
+    if (preflight.blocked) {
+      logger.error(`[CatalogSvc:Job-${jobIdForLog}] Catalog ${catalogFileNameGz} looks anomalous (action: ${preflight.action}). Nothing will be written to Shopify.`, { anomalies: preflight.anomalies });
+      // 같은 파일이 재개되거나 세그먼트 보충으로 반복 처리되지 않도록 체크포인트를 중단 상태로 남김
+      await catalogCheckpointService.abandonCheckpoint(checkpointId, `Catalog anomaly detected: ${preflight.anomalies.map(anomaly => anomaly.check).join(', ')}`)
+        .catch(cpError => logger.warn(`[CatalogSvc:Job-${jobIdForLog}] Failed to abandon checkpoint ${checkpointId}: ${cpError.message}`));
+      // dry-run으로 전환된 경우 처리했다면 무엇이 바뀌었을지 plan 보고서로 남김
+      let plan = null;
+      if (preflight.action === 'dry_run') {
+        plan = await buildCatalogPlan(catalogType, localCsvPath, { runId, jobId: jobIdForLog })
+          .then(planResult => planResult.plan)
+          .catch(planError => {
+            logger.warn(`[CatalogSvc:Job-${jobIdForLog}] Failed to build plan for dry-run catalog ${catalogFileNameGz}: ${planError.message}`);
+            return null;
+          });
+      }
+      await fs.remove(localCsvPath)
+        .catch(unlinkError => logger.warn(`[CatalogSvc:Job-${jobIdForLog}] Failed to clean up local CSV file ${localCsvPath}:`, unlinkError));
+      return {
+        filename: catalogFileNameGz,
+        checkpointId: String(checkpointId),
+        resumedFromRow: null,
+        abandoned: false,
+        totalOriginalCsvRows: stats.totalRows,
+        validProductsToProcess: stats.validRows,
+        ...createEmptyCounters(),
+        retirement: null,
+        anomaly: preflight,
+        plan,
+      };
+    }
+  }
+  // 전체 카탈로그는 판매 종료 상품 정리를 위해 모든 행의 PID → saleStatus를 함께 수집
+  const catalogSaleStatuses = catalogType === 'full' ? new Map() : null;
+
+  // CSV를 스트리밍으로 읽으면서 유효한 상품을 바로 동기화에 전달합니다.
+  // 동시에 처리 중인 상품이 concurrency개에 도달하면 하나가 끝날 때까지 다음 행을 읽지 않습니다(backpressure).
+  const concurrency = Math.max(config.bunjang?.syncConcurrency || 1, 1);
+  const inFlightTasks = new Set();
+  const inFlightRows = new Set();
+  // 일괄 작업 모드: 준비된 상품을 모았다가 batchSize마다 일괄 작업 하나로 동기화 (제출 전 행은 처리 완료로 기록하지 않음)
+  const bulkSyncRows = new Set();
+  let pendingBulkEntries = [];
+  let pendingCounters = createEmptyCounters();
+  let pendingErrorSamples = [];
+  let pendingQuarantineRows = [];
+  let pendingFilterDecisions = [];
+  let settledSinceFlush = 0;
+  let originalCsvRowCount = 0;
+  let validProductCount = 0;
+  let lastReadRow = 0;
+  let abandoned = false;
+
+  // 처리 순서와 완료 순서가 다를 수 있으므로, 이전 행이 모두 끝난 지점까지만 "처리 완료"로 기록
+  const getCompletedRowWatermark = () => {
+    const unfinishedRows = [...inFlightRows, ...bulkSyncRows];
+    return unfinishedRows.length > 0 ? Math.min(...unfinishedRows) - 1 : lastReadRow;
+  };
+
+  const tallyResult = (product, result) => {
+    if (result.status === 'fulfilled' && result.value) {
+      if (result.value.status === 'success') pendingCounters.successfullyProcessed++;
+      else if (result.value.status === 'enqueued') pendingCounters.enqueuedForSync++;
+      else if (result.value.status === 'skipped_filter') pendingCounters.skippedByFilter++;
+      else if (result.value.status === 'skipped_no_change') pendingCounters.skippedNoChange++;
+      else if (result.value.status === 'error') {
+        pendingCounters.errors++;
+        pendingErrorSamples.push({ pid: product.pid, rowNumber: product.rowNumber, message: result.value.message });
+      }
+    } else if (result.status === 'rejected') {
+      pendingCounters.errors++;
+      pendingErrorSamples.push({ pid: product.pid, rowNumber: product.rowNumber, message: result.reason?.message || String(result.reason) });
+      logger.error(`[CatalogSvc:Job-${jobIdForLog}] Unhandled promise rejection while syncing PID ${product.pid}:`, result.reason);
+    }
+  };
+
+  // 일괄 작업 모드(bulkSync.catalogTypes, 기본: 전체 카탈로그)에서는 변경된 상품을 준비만 하고 Shopify 일괄 작업으로 모아서 동기화
+  // 큐 모드에서는 변경된 상품만 product-sync 큐에 추가하고, 실제 동기화는 productSyncWorker가 처리
+  const useBulkSync = config.bunjang.bulkSync.enabled && config.bunjang.bulkSync.catalogTypes.includes(catalogType);
+  const productSyncQueue = !useBulkSync && config.bunjang.productSyncViaQueue ? getQueue(config.bullmq.queues.productSync) : null;
+  const queueBulkEntry = async product => {
+    const entry = await prepareBulkProductSync(product, jobIdForLog);
+    if (entry.result) return entry.result;
+    bulkSyncRows.add(product.rowNumber);
+    pendingBulkEntries.push(entry);
+    return { status: 'bulk_pending' };
+  };
+  let syncOrEnqueue = product => syncBunjangProductToShopify(product, jobIdForLog);
+  if (useBulkSync) {
+    syncOrEnqueue = queueBulkEntry;
+    logger.info(`[CatalogSvc:Job-${jobIdForLog}] Syncing changed products through Shopify bulk operations (batch size ${config.bunjang.bulkSync.batchSize}).`);
+  } else if (productSyncQueue) {
+    syncOrEnqueue = product => enqueueProductSyncJob(productSyncQueue, product, { runId, catalogFileName: catalogFileNameGz, jobId: jobIdForLog });
+  } else if (config.bunjang.productSyncViaQueue) {
+    logger.warn(`[CatalogSvc:Job-${jobIdForLog}] Product sync queue is not available. Syncing products inline.`);
+  }
+
+  const flushBulkSync = async () => {
+    const entries = pendingBulkEntries;
+    pendingBulkEntries = [];
+    const results = await runBulkProductSync(entries, jobIdForLog);
+    results.forEach(({ product, result }) => tallyResult(product, { status: 'fulfilled', value: result }));
+    entries.forEach(entry => bulkSyncRows.delete(entry.bunjangProduct.rowNumber));
+  };
+
+  const dispatchProduct = (product) => {
+    inFlightRows.add(product.rowNumber);
+    const task = syncOrEnqueue(product)
+      .then(
+        value => tallyResult(product, { status: 'fulfilled', value }),
+        reason => tallyResult(product, { status: 'rejected', reason })
+      )
+      .finally(() => {
+        inFlightRows.delete(product.rowNumber);
+        inFlightTasks.delete(task);
+        settledSinceFlush++;
+      });
+    inFlightTasks.add(task);
+  };
+
+  const flushQuarantine = async () => {
+    const rejectedRows = pendingQuarantineRows;
+    pendingQuarantineRows = [];
+    await catalogQuarantineService.recordRejectedRows(rejectedRows, {
+      catalogType,
+      catalogFileName: catalogFileNameGz,
+      catalogRunId: runId,
+      jobId: jobIdForLog,
+    }).catch(quarantineError => logger.warn(`[CatalogSvc:Job-${jobIdForLog}] Failed to quarantine ${rejectedRows.length} rejected rows: ${quarantineError.message}`));
+  };
+
+  const flushFilterDecisions = async () => {
+    const decisions = pendingFilterDecisions;
+    pendingFilterDecisions = [];
+    await catalogFilterRuleService.recordFilterDecisions(decisions, {
+      catalogFileName: catalogFileNameGz,
+      catalogRunId: runId,
+      jobId: jobIdForLog,
+    }).catch(decisionError => logger.warn(`[CatalogSvc:Job-${jobIdForLog}] Failed to record ${decisions.length} filter decisions: ${decisionError.message}`));
+    // 새 제외 규칙에 걸린 상품이 이미 게시 중이면 DRAFT로 내림 (동기화 대상에서 빠지므로 여기서 처리)
+    const excludedPids = decisions.filter(decision => decision.decision === 'EXCLUDED').map(decision => decision.bunjangPid);
+    await catalogFilterRuleService.draftExcludedListings(excludedPids, { jobId: jobIdForLog })
+      .catch(draftError => logger.warn(`[CatalogSvc:Job-${jobIdForLog}] Failed to draft ${excludedPids.length} filter-excluded listings: ${draftError.message}`));
+  };
+
+  const flushProgress = async () => {
+    // 격리 행과 필터 결정을 먼저 기록해야 진행 행 번호를 저장한 뒤 재개해도 누락되지 않음
+    await flushQuarantine();
+    await flushFilterDecisions();
+    const counterDelta = pendingCounters;
+    const errorSamples = pendingErrorSamples;
+    pendingCounters = createEmptyCounters();
+    pendingErrorSamples = [];
+    settledSinceFlush = 0;
+
+    await catalogRunService.recordErrorSamples(runId, errorSamples)
+      .catch(runError => logger.warn(`[CatalogSvc:Job-${jobIdForLog}] Failed to record error samples: ${runError.message}`));
+    const watermark = getCompletedRowWatermark();
+    await catalogCheckpointService.recordChunkProgress(checkpointId, watermark, counterDelta);
+    logger.debug(`[CatalogSvc:Job-${jobIdForLog}] Progress saved up to row #${watermark}. Delta - Success: ${counterDelta.successfullyProcessed}, FilterSkip: ${counterDelta.skippedByFilter}, NoChangeSkip: ${counterDelta.skippedNoChange}, Quarantined: ${counterDelta.quarantined}, Errors: ${counterDelta.errors}. In flight: ${inFlightTasks.size}`);
+  };
+
+  logger.info(`[CatalogSvc:Job-${jobIdForLog}] Streaming CSV file ${localCsvPath} with sync concurrency ${concurrency}...`);
+  try {
+    for await (const row of iterateCsvRows(localCsvPath)) {
+      originalCsvRowCount++;
+      const rowNumber = originalCsvRowCount;
+
+      if (catalogSaleStatuses) {
+        const pid = (row.pid || '').trim();
+        if (pid) catalogSaleStatuses.set(pid, (row.saleStatus || '').trim().toUpperCase());
+      }
+
+      // 재개 시 이전 실행에서 이미 처리한 행은 다시 격리하지 않음
+      const onRejected = rowNumber > resumeAfterRow
+        ? rejection => {
+          pendingCounters.quarantined++;
+          pendingQuarantineRows.push({ ...rejection, rawRow: row, rowNumber });
+        }
+        : null;
+      const product = processCatalogRow(row, rowNumber, onRejected, {
+        filterRules,
+        sellerPolicies,
+        categoryMappings,
+        artistDictionary,
+        attributePatterns,
+        brands,
+        onFilterDecision: rowNumber > resumeAfterRow ? decision => pendingFilterDecisions.push(decision) : null,
+      });
+      if (pendingQuarantineRows.length >= QUARANTINE_FLUSH_SIZE) {
+        await flushQuarantine();
+      }
+      if (pendingFilterDecisions.length >= FILTER_DECISION_FLUSH_SIZE) {
+        await flushFilterDecisions();
+      }
+      if (product) {
+        validProductCount++;
+        if (product.categoryId) {
+          const sighting = categorySightings.get(product.categoryId) || { categoryName: product.categoryName, count: 0, samplePid: product.pid };
+          sighting.count++;
+          categorySightings.set(product.categoryId, sighting);
+        }
+        if (rowNumber > resumeAfterRow) {
+          while (inFlightTasks.size >= concurrency) {
+            await Promise.race(inFlightTasks);
+          }
+          if (pendingBulkEntries.length >= config.bunjang.bulkSync.batchSize) {
+            await flushBulkSync();
+          }
+          if (settledSinceFlush >= concurrency) {
+            await flushProgress();
+            if (await catalogCheckpointService.isCheckpointAbandoned(checkpointId)) {
+              logger.warn(`[CatalogSvc:Job-${jobIdForLog}] Checkpoint ${checkpointId} was abandoned. Stopping before row #${rowNumber}.`);
+              abandoned = true;
+              break;
+            }
+          }
+          dispatchProduct(product);
+        }
+      }
+      lastReadRow = rowNumber;
+    }
+
+    await Promise.all(inFlightTasks);
+    await flushBulkSync();
+    await flushProgress();
+  } catch (error) {
+    // 이미 시작된 상품 동기화는 끝까지 기다린 뒤 진행 상황을 저장하고,
+    // 체크포인트는 IN_PROGRESS로 유지하여 재시도 시 이어서 처리되도록 함 (일괄 작업에 제출하지 못한 행도 재시도 시 다시 처리)
+    await Promise.all(inFlightTasks);
+    await flushProgress()
+      .catch(flushError => logger.warn(`[CatalogSvc:Job-${jobIdForLog}] Failed to save progress after error: ${flushError.message}`));
+    await catalogCheckpointService.recordCheckpointError(checkpointId, error.message)
+      .catch(cpError => logger.warn(`[CatalogSvc:Job-${jobIdForLog}] Failed to record checkpoint error: ${cpError.message}`));
+    throw error;
+  }
+
+  await categoryMappingService.recordCategorySightings(categorySightings, { catalogFileName: catalogFileNameGz, catalogRunId: runId, jobId: jobIdForLog })
+    .catch(sightingError => logger.warn(`[CatalogSvc:Job-${jobIdForLog}] Failed to record category sightings: ${sightingError.message}`));
+  const unmappedCategoryCount = [...categorySightings.keys()].filter(categoryId => !categoryMappings.has(categoryId)).length;
+  if (unmappedCategoryCount > 0) {
+    logger.warn(`[CatalogSvc:Job-${jobIdForLog}] ${unmappedCategoryCount} category ID(s) in ${catalogFileNameGz} have no category mapping. See GET /api/sync/catalog/category-mappings/unmapped.`);
+  }
+
+  if (resumed) {
+    logger.info(`[CatalogSvc:Job-${jobIdForLog}] Resumed run skipped rows up to #${resumeAfterRow} that were processed before.`);
+  }
+  // 중단된 경우 끝까지 읽지 않았으므로 행 수가 부분 값이 되어 기존 파싱 통계를 유지
+  if (!abandoned) {
+    await catalogCheckpointService.recordParseStats(checkpointId, {
+      totalOriginalCsvRows: originalCsvRowCount,
+      validProductsToProcess: validProductCount,
     });
-    logger.debug(`[CatalogSvc:Job-${jobIdForLog}] Processed a chunk. Totals - Success: ${successfullyProcessed}, FilterSkip: ${skippedByFilterCount}, NoChangeSkip: ${skippedNoChangeCount}, Errors: ${errorCount} / TotalValid: ${bunjangProducts.length}`);
   }
 
   if (await fs.pathExists(localCsvPath)) {
@@ -978,19 +2301,63 @@ async function fetchAndProcessBunjangCatalog(catalogType, jobIdForLog = 'N/A') {
       .catch(unlinkError => logger.warn(`[CatalogSvc:Job-${jobIdForLog}] Failed to clean up local CSV file ${localCsvPath}:`, unlinkError));
   }
 
+  const finalCheckpoint = abandoned
+    ? await catalogCheckpointService.getCheckpoint(checkpointId)
+    : await catalogCheckpointService.completeCheckpoint(checkpointId) || await catalogCheckpointService.getCheckpoint(checkpointId);
+  const counters = finalCheckpoint.counters || {};
+
+  if (validProductCount === 0 && !abandoned) {
+    logger.warn(`[CatalogSvc:Job-${jobIdForLog}] No valid products found after filtering in CSV file: ${localCsvPath}. Processing finished.`);
+  }
+
+  // 전체 카탈로그를 끝까지 처리한 경우에만 카탈로그에서 사라진 상품을 정리
+  let retirement = null;
+  if (catalogSaleStatuses && !abandoned && config.bunjang.retirement?.enabled) {
+    try {
+      const retirementResult = await listingRetirementService.retireListingsMissingFromCatalog({
+        catalogSaleStatuses,
+        catalogFileName: catalogFileNameGz,
+        checkpointId,
+        jobId: jobIdForLog,
+      });
+      retirement = {
+        policy: retirementResult.policy,
+        candidates: retirementResult.candidates,
+        retired: retirementResult.retired,
+        failed: retirementResult.failed,
+      };
+    } catch (retirementError) {
+      logger.error(`[CatalogSvc:Job-${jobIdForLog}] Retirement pass failed for ${catalogFileNameGz}: ${retirementError.message}`, { stack: retirementError.stack });
+      retirement = { error: retirementError.message };
+    }
+  }
+
   const summary = {
     filename: catalogFileNameGz,
-    totalOriginalCsvRows: originalCsvRowCount || 0,
-    validProductsToProcess: bunjangProducts.length,
-    successfullyProcessed,
-    errors: errorCount,
-    skippedByFilter: skippedByFilterCount,
-    skippedNoChange: skippedNoChangeCount,
+    checkpointId: String(checkpointId),
+    resumedFromRow: resumed ? resumeAfterRow : null,
+    abandoned,
+    totalOriginalCsvRows: abandoned ? (finalCheckpoint.totalOriginalCsvRows || originalCsvRowCount) : originalCsvRowCount,
+    validProductsToProcess: abandoned ? (finalCheckpoint.validProductsToProcess || validProductCount) : validProductCount,
+    successfullyProcessed: counters.successfullyProcessed || 0,
+    errors: counters.errors || 0,
+    skippedByFilter: counters.skippedByFilter || 0,
+    skippedNoChange: counters.skippedNoChange || 0,
+    enqueuedForSync: counters.enqueuedForSync || 0,
+    quarantined: counters.quarantined || 0,
+    retirement,
+    anomaly: null,
   };
-  logger.info(`[CatalogSvc:Job-${jobIdForLog}] Bunjang catalog processing finished. Summary:`, summary);
+  logger.info(`[CatalogSvc:Job-${jobIdForLog}] Bunjang catalog processing ${abandoned ? 'stopped (checkpoint abandoned)' : 'finished'}. Summary:`, summary);
   return summary;
 }
 
 module.exports = {
   fetchAndProcessBunjangCatalog,
-};
\ No newline at end of file
+  processCatalogRow,
+  syncBunjangProductToShopify,
+  enqueueProductSyncJob,
+  generateBunjangCatalogFilename,
+  CATALOG_FILE_NOT_AVAILABLE,
+  CATALOG_ANOMALY_DETECTED,
+};
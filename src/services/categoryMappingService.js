@@ -0,0 +1,220 @@
+// src/services/categoryMappingService.js
+// 번개장터 카테고리 → Shopify 상품 유형/컬렉션/태그/기본 무게 매핑을 관리하고, 카탈로그에 나타났지만 매핑되지 않은 카테고리를 보고합니다.
+
+const config = require('../config');
+const logger = require('../config/logger');
+const CategoryMapping = require('../models/categoryMapping.model');
+const CatalogCategorySighting = require('../models/catalogCategorySighting.model');
+const bunjangService = require('./bunjangService');
+const { AppError, NotFoundError } = require('../utils/customErrors');
+
+const SERVICE_NAME = 'CategoryMappingSvc';
+// 시드 시 매핑할 카테고리를 고르는 기본 키워드 (findBunjangCategories.js와 같은 K-Pop/키덜트 키워드)
+const DEFAULT_SEED_KEYWORDS = [
+  'k-pop', '케이팝', '아이돌', 'idol', '앨범', 'album', '포토카드', 'photocard', '굿즈', 'goods', '음반',
+  '키덜트', 'kidult', '피규어', 'figure', '프라모델', 'plamodel', '건담', 'gundam', '레고', 'lego', '장난감', 'toy', '인형', 'doll',
+];
+
+/**
+ * 활성 매핑을 카탈로그 처리용으로 불러옵니다. 카탈로그 처리 시작 시 한 번 호출합니다.
+ * @returns {Promise<Map<string, object>>} 카테고리 ID → { shopifyProductType, shopifyCollectionGid, tags, defaultWeightGrams }
+ */
+async function loadCategoryMappings() {
+  const mappings = await CategoryMapping.find({ enabled: true })
+    .select('bunjangCategoryId shopifyProductType shopifyCollectionGid tags defaultWeightGrams')
+    .lean();
+  return new Map(mappings.map(({ bunjangCategoryId, _id, ...mapping }) => [bunjangCategoryId, mapping]));
+}
+
+/**
+ * 매핑 목록을 카테고리 ID 순으로 조회합니다.
+ * @param {object} [filters] - { enabled, source }
+ * @returns {Promise<object[]>}
+ */
+async function listMappings({ enabled, source } = {}) {
+  const query = {};
+  if (enabled !== undefined) query.enabled = enabled;
+  if (source) query.source = source;
+  return CategoryMapping.find(query).sort({ bunjangCategoryId: 1 }).lean();
+}
+
+/**
+ * 카테고리 하나의 매핑을 조회합니다.
+ * @param {string} bunjangCategoryId - 번개장터 카테고리 ID.
+ * @returns {Promise<object>}
+ * @throws {NotFoundError} 매핑이 없는 경우.
+ */
+async function getMapping(bunjangCategoryId) {
+  const mapping = await CategoryMapping.findOne({ bunjangCategoryId }).lean();
+  if (!mapping) throw new NotFoundError(undefined, 'CategoryMapping', bunjangCategoryId);
+  return mapping;
+}
+
+/**
+ * 매핑을 생성합니다.
+ * @param {object} data - CategoryMapping 필드.
+ * @returns {Promise<object>}
+ * @throws {AppError} 같은 카테고리의 매핑이 이미 있는 경우 (409).
+ */
+async function createMapping(data) {
+  try {
+    const created = await CategoryMapping.create({ ...data, source: 'MANUAL' });
+    logger.info(`[${SERVICE_NAME}] Created category mapping ${created.bunjangCategoryId} -> "${created.shopifyProductType || '(catalog name)'}".`);
+    return created.toObject();
+  } catch (error) {
+    if (error.code === 11000) {
+      throw new AppError(`이미 매핑된 카테고리입니다: ${data.bunjangCategoryId}`, 409, 'CATEGORY_MAPPING_CONFLICT');
+    }
+    throw error;
+  }
+}
+
+/**
+ * 매핑의 일부 필드를 수정합니다. 카테고리 ID는 바꿀 수 없습니다.
+ * @param {string} bunjangCategoryId - 번개장터 카테고리 ID.
+ * @param {object} updates - 수정할 필드.
+ * @returns {Promise<object>}
+ * @throws {NotFoundError} 매핑이 없는 경우.
+ */
+async function updateMapping(bunjangCategoryId, updates) {
+  const fields = { ...updates };
+  delete fields.bunjangCategoryId;
+  const updated = await CategoryMapping.findOneAndUpdate(
+    { bunjangCategoryId },
+    { $set: fields },
+    { new: true, runValidators: true }
+  ).lean();
+  if (!updated) throw new NotFoundError(undefined, 'CategoryMapping', bunjangCategoryId);
+  logger.info(`[${SERVICE_NAME}] Updated category mapping ${bunjangCategoryId}. Fields: [${Object.keys(fields).join(', ')}]`);
+  return updated;
+}
+
+/**
+ * 매핑을 삭제합니다. 이후 해당 카테고리 상품은 카탈로그의 카테고리명을 상품 유형으로 사용합니다.
+ * @param {string} bunjangCategoryId - 번개장터 카테고리 ID.
+ * @returns {Promise<object>} 삭제된 매핑.
+ * @throws {NotFoundError} 매핑이 없는 경우.
+ */
+async function deleteMapping(bunjangCategoryId) {
+  const deleted = await CategoryMapping.findOneAndDelete({ bunjangCategoryId }).lean();
+  if (!deleted) throw new NotFoundError(undefined, 'CategoryMapping', bunjangCategoryId);
+  logger.info(`[${SERVICE_NAME}] Deleted category mapping ${bunjangCategoryId}.`);
+  return deleted;
+}
+
+/**
+ * 카탈로그 처리에서 확인된 카테고리별 상품 수를 기록합니다.
+ * @param {Map<string, {categoryName: string, count: number, samplePid: string}>} sightings - 카테고리 ID별 집계.
+ * @param {object} context - { catalogFileName, catalogRunId, jobId }
+ * @returns {Promise<number>} 기록된 카테고리 수.
+ */
+async function recordCategorySightings(sightings, { catalogFileName, catalogRunId, jobId = 'N/A' }) {
+  if (!sightings || sightings.size === 0) return 0;
+  const now = new Date();
+  const operations = [...sightings].map(([bunjangCategoryId, sighting]) => ({
+    updateOne: {
+      filter: { bunjangCategoryId },
+      update: {
+        $set: {
+          categoryName: sighting.categoryName,
+          lastSeenAt: now,
+          lastCatalogFileName: catalogFileName,
+          lastCatalogRunId: catalogRunId || null,
+          lastRunProductCount: sighting.count,
+          samplePid: sighting.samplePid,
+        },
+      },
+      upsert: true,
+    },
+  }));
+  await CatalogCategorySighting.bulkWrite(operations, { ordered: false });
+  logger.debug(`[${SERVICE_NAME}:Job-${jobId}] Recorded ${operations.length} category sighting(s) from ${catalogFileName}.`);
+  return operations.length;
+}
+
+/**
+ * 최근 카탈로그에 나타났지만 활성 매핑이 없는 카테고리를 상품 수가 많은 순으로 조회합니다.
+ * @param {object} [filters] - { days: 최근 며칠 이내에 나타난 카테고리 (기본 7), limit }
+ * @returns {Promise<object>} { since, count, categories }
+ */
+async function listUnmappedCategories({ days = 7, limit = 100 } = {}) {
+  const since = new Date(Date.now() - days * 24 * 60 * 60 * 1000);
+  const mappedCategoryIds = await CategoryMapping.distinct('bunjangCategoryId', { enabled: true });
+  const categories = await CatalogCategorySighting.find({
+    lastSeenAt: { $gte: since },
+    bunjangCategoryId: { $nin: mappedCategoryIds },
+  })
+    .select('-_id')
+    .sort({ lastRunProductCount: -1, bunjangCategoryId: 1 })
+    .limit(limit)
+    .lean();
+  return { since, count: categories.length, categories };
+}
+
+/**
+ * 번개장터 카테고리 API로 매핑 테이블을 채웁니다. 키워드와 일치하는 카테고리(includeAll이면 전체)를 추가하고,
+ * BUNJANG_CATEGORY_TO_SHOPIFY_TYPE_<id> 환경 변수의 기존 매핑도 가져옵니다. 이미 있는 매핑은 바꾸지 않습니다.
+ * @param {object} [options] - { keywords, includeAll, jobId }
+ * @returns {Promise<object>} { fetched, matched, envMappings, created, existing }
+ */
+async function seedCategoryMappings({ keywords = DEFAULT_SEED_KEYWORDS, includeAll = false, jobId = 'N/A' } = {}) {
+  const categories = await bunjangService.getBunjangCategories();
+  const lowerKeywords = keywords.map(keyword => keyword.toLowerCase());
+  const envMappings = config.bunjang.categoryToShopifyType || {};
+
+  const seeds = new Map();
+  for (const category of categories) {
+    const categoryId = String(category.id || '').trim();
+    if (!categoryId) continue;
+    const names = [category.nameKor, category.nameEng].map(name => (name || '').toLowerCase());
+    const matched = includeAll || lowerKeywords.some(keyword => names.some(name => name.includes(keyword)));
+    if (!matched && !envMappings[categoryId]) continue;
+    seeds.set(categoryId, {
+      bunjangCategoryId: categoryId,
+      bunjangCategoryName: category.nameKor,
+      bunjangCategoryNameEng: category.nameEng,
+      shopifyProductType: envMappings[categoryId] || category.nameEng || category.nameKor,
+      source: envMappings[categoryId] ? 'ENV' : 'SEED',
+    });
+  }
+  // 카테고리 API 결과에 없는 환경 변수 매핑도 유지
+  for (const [categoryId, productType] of Object.entries(envMappings)) {
+    if (!seeds.has(categoryId)) {
+      seeds.set(categoryId, { bunjangCategoryId: categoryId, shopifyProductType: productType, source: 'ENV' });
+    }
+  }
+
+  let created = 0;
+  if (seeds.size > 0) {
+    const result = await CategoryMapping.bulkWrite([...seeds.values()].map(seed => ({
+      updateOne: {
+        filter: { bunjangCategoryId: seed.bunjangCategoryId },
+        update: { $setOnInsert: { ...seed, tags: [], enabled: true } },
+        upsert: true,
+      },
+    })), { ordered: false });
+    created = result.upsertedCount || 0;
+  }
+
+  const summary = {
+    fetched: categories.length,
+    matched: [...seeds.values()].filter(seed => seed.source === 'SEED').length,
+    envMappings: Object.keys(envMappings).length,
+    created,
+    existing: seeds.size - created,
+  };
+  logger.info(`[${SERVICE_NAME}:Job-${jobId}] Seeded category mappings.`, summary);
+  return summary;
+}
+
+module.exports = {
+  loadCategoryMappings,
+  listMappings,
+  getMapping,
+  createMapping,
+  updateMapping,
+  deleteMapping,
+  recordCategorySightings,
+  listUnmappedCategories,
+  seedCategoryMappings,
+};
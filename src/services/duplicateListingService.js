@@ -0,0 +1,330 @@
+// src/services/duplicateListingService.js
+// 번개장터 판매자가 같은 물건을 지우고 새 PID로 다시 올리거나(재등록) 다른 계정으로 중복 게시하면
+// 카탈로그 동기화가 물건 하나에 Shopify 상품을 두 개 만듭니다. 새 PID를 Shopify에 만들기 전에 기존 동기화 상품과 비교하여
+//   - 확실한 중복: 새 PID가 기존 Shopify 상품을 이어받고(LINKED) 기존 PID는 더 이상 동기화하지 않음 (supersededByPid)
+//   - 애매한 중복: 새 상품을 만들지 않고 검토 대기(PENDING_REVIEW). 검토 API로 연결하거나 중복 아님(DISMISSED)으로 처리
+// 비교 기준: 정규화 상품명 유사도, 판매자 uid, 가격 차이, 첫 번째 이미지 pHash 해밍 거리 (utils/perceptualHash.js)
+
+const config = require('../config');
+const logger = require('../config/logger');
+const SyncedProduct = require('../models/syncedProduct.model');
+const DuplicateListing = require('../models/duplicateListing.model');
+const { hammingDistance } = require('../utils/perceptualHash');
+const { AppError, NotFoundError } = require('../utils/customErrors');
+
+const SERVICE_NAME = 'DuplicateListingSvc';
+
+// 점수 가중치 (합계 1). 이미지/상품명이 같고 가격이 비슷하면 판매자가 달라도 0.85 (기본 연결 기준)
+const SIGNAL_WEIGHTS = { image: 0.4, title: 0.3, seller: 0.15, price: 0.15 };
+// 재등록할 때 흔히 붙이거나 빼는 판매 문구 (상품 자체와 무관)
+const TITLE_NOISE_PATTERN = /급처|급매|최저가|네고|택포|반택|무배|무료\s*배송|팝니다|팔아요|판매(?:합니다)?|양도(?:합니다)?|재업|끌올/g;
+
+/**
+ * 비교용으로 상품명을 정규화합니다. (NFKC, 소문자, 판매 문구/기호 제거, 공백 정리)
+ * @param {string} name - 번개장터 상품명.
+ * @returns {string} 예: "[급처] BTS 정국 포카 (택포)" → "bts 정국 포카"
+ */
+function normalizeListingTitle(name) {
+  return String(name || '')
+    .normalize('NFKC')
+    .toLowerCase()
+    .replace(TITLE_NOISE_PATTERN, ' ')
+    .replace(/[^\p{L}\p{N}]+/gu, ' ')
+    .trim();
+}
+
+/**
+ * 두 정규화 상품명의 유사도를 계산합니다. 띄어쓰기 차이에 영향받지 않도록 공백을 뺀 글자 2-gram의 Dice 계수를 사용합니다.
+ * @param {string} titleA - normalizeListingTitle 결과.
+ * @param {string} titleB - normalizeListingTitle 결과.
+ * @returns {number} 0 ~ 1
+ */
+function computeTitleSimilarity(titleA, titleB) {
+  const compactA = String(titleA || '').replace(/\s+/g, '');
+  const compactB = String(titleB || '').replace(/\s+/g, '');
+  if (!compactA || !compactB) return 0;
+  if (compactA === compactB) return 1;
+  if (compactA.length < 2 || compactB.length < 2) return 0;
+
+  const bigramCounts = new Map();
+  for (let i = 0; i < compactA.length - 1; i++) {
+    const bigram = compactA.substring(i, i + 2);
+    bigramCounts.set(bigram, (bigramCounts.get(bigram) || 0) + 1);
+  }
+  let overlap = 0;
+  for (let i = 0; i < compactB.length - 1; i++) {
+    const bigram = compactB.substring(i, i + 2);
+    const count = bigramCounts.get(bigram) || 0;
+    if (count > 0) {
+      overlap++;
+      bigramCounts.set(bigram, count - 1);
+    }
+  }
+  return (2 * overlap) / (compactA.length - 1 + compactB.length - 1);
+}
+
+/**
+ * 새 상품과 기존 동기화 상품 하나를 비교하여 점수를 매깁니다.
+ * @param {object} listing - { normalizedTitle, sellerUid, priceKrw, perceptualHash }
+ * @param {object} candidate - SyncedProduct (lean).
+ * @returns {{score: number, signals: object}}
+ */
+function scoreCandidate(listing, candidate) {
+  const { titleSimilarityThreshold, maxImageDistance, priceTolerancePercent } = config.bunjang.duplicates;
+  const titleSimilarity = computeTitleSimilarity(
+    listing.normalizedTitle,
+    candidate.bunjangNormalizedTitle || normalizeListingTitle(candidate.bunjangProductName)
+  );
+  const sameSeller = !!listing.sellerUid && String(candidate.bunjangSellerUid || '') === listing.sellerUid;
+  const priceDifferencePercent = candidate.bunjangOriginalPriceKrw > 0 && listing.priceKrw > 0
+    ? Math.round((Math.abs(listing.priceKrw - candidate.bunjangOriginalPriceKrw) / Math.max(listing.priceKrw, candidate.bunjangOriginalPriceKrw)) * 1000) / 10
+    : null;
+  const imageDistance = hammingDistance(listing.perceptualHash, candidate.firstImagePerceptualHash);
+
+  const score =
+    (imageDistance !== null && imageDistance <= maxImageDistance ? SIGNAL_WEIGHTS.image : 0) +
+    (titleSimilarity >= titleSimilarityThreshold ? SIGNAL_WEIGHTS.title * titleSimilarity : 0) +
+    (sameSeller ? SIGNAL_WEIGHTS.seller : 0) +
+    (priceDifferencePercent !== null && priceDifferencePercent <= priceTolerancePercent ? SIGNAL_WEIGHTS.price : 0);
+
+  return {
+    score: Math.round(score * 1000) / 1000,
+    signals: { titleSimilarity: Math.round(titleSimilarity * 1000) / 1000, sameSeller, priceDifferencePercent, imageDistance },
+  };
+}
+
+/**
+ * 새 상품과 같은 물건으로 보이는 기존 동기화 상품(Shopify에 올라간 상품)을 찾습니다.
+ * 같은 정규화 상품명, 같은 판매자, 또는 (pHash가 있으면) 비슷한 가격의 상품을 후보로 가져와 점수를 매깁니다.
+ * @param {object} bunjangProduct - processCatalogRow 결과 상품 객체 (pid, name, uid, price).
+ * @param {object} [options] - { perceptualHash: 첫 번째 이미지 pHash }
+ * @returns {Promise<{candidate: object, score: number, signals: object, decision: 'LINK'|'REVIEW'}|null>} 기준 미만이면 null.
+ */
+async function findDuplicateListing(bunjangProduct, { perceptualHash = null } = {}) {
+  const duplicatesConfig = config.bunjang.duplicates;
+  const listing = {
+    normalizedTitle: normalizeListingTitle(bunjangProduct.name),
+    sellerUid: bunjangProduct.uid ? String(bunjangProduct.uid) : null,
+    priceKrw: Number(bunjangProduct.price) || 0,
+    perceptualHash,
+  };
+
+  const candidateConditions = [];
+  if (listing.normalizedTitle) candidateConditions.push({ bunjangNormalizedTitle: listing.normalizedTitle });
+  if (listing.sellerUid) candidateConditions.push({ bunjangSellerUid: listing.sellerUid });
+  if (perceptualHash && listing.priceKrw > 0) {
+    const tolerance = duplicatesConfig.priceTolerancePercent / 100;
+    candidateConditions.push({
+      firstImagePerceptualHash: { $ne: null },
+      bunjangOriginalPriceKrw: { $gte: listing.priceKrw * (1 - tolerance), $lte: listing.priceKrw * (1 + tolerance) },
+    });
+  }
+  if (candidateConditions.length === 0) return null;
+
+  const candidates = await SyncedProduct.find({
+    bunjangPid: { $ne: bunjangProduct.pid },
+    shopifyGid: { $ne: null },
+    lastSuccessfulSyncAt: { $gte: new Date(Date.now() - duplicatesConfig.lookbackDays * 24 * 60 * 60 * 1000) },
+    $or: candidateConditions,
+  })
+    .select('bunjangPid bunjangProductName bunjangNormalizedTitle bunjangSellerUid bunjangOriginalPriceKrw firstImagePerceptualHash shopifyGid')
+    .sort({ lastSuccessfulSyncAt: -1 })
+    .limit(duplicatesConfig.maxCandidates)
+    .lean();
+
+  let best = null;
+  for (const candidate of candidates) {
+    const { score, signals } = scoreCandidate(listing, candidate);
+    if (!best || score > best.score) best = { candidate, score, signals };
+  }
+  if (!best || best.score < duplicatesConfig.reviewScore) return null;
+  return { ...best, decision: duplicatesConfig.autoLinkEnabled && best.score >= duplicatesConfig.linkScore ? 'LINK' : 'REVIEW' };
+}
+
+/**
+ * 새 PID가 기존 PID의 Shopify 상품을 이어받도록 연결합니다.
+ * 기존 PID는 Shopify 상품 정보를 지우고 supersededByPid로 표시되어 다음 동기화부터 건너뛰며, 판매 종료 처리 대상에서도 빠집니다.
+ * 새 PID는 다음 동기화(또는 바로 이어지는 동기화)에서 기존 Shopify 상품을 전체 업데이트합니다.
+ * @param {string} bunjangPid - 새 PID.
+ * @param {string} duplicateOfPid - 기존 PID.
+ * @param {object} match - { score, signals }
+ * @param {object} [options] - { linkedBy: 'AUTO'|'REVIEW', reviewNote, jobId }
+ * @returns {Promise<{shopifyGid: string}>} 이어받은 Shopify 상품.
+ */
+async function linkDuplicateListing(bunjangPid, duplicateOfPid, match, { linkedBy = 'AUTO', reviewNote, jobId = 'N/A' } = {}) {
+  const existing = await SyncedProduct.findOne({ bunjangPid: duplicateOfPid }).lean();
+  if (!existing?.shopifyGid) {
+    throw new AppError(`기존 상품(PID ${duplicateOfPid})이 Shopify에 연결되어 있지 않아 연결할 수 없습니다.`, 409, 'DUPLICATE_TARGET_NOT_LISTED');
+  }
+  const now = new Date();
+
+  // shopifyGid는 unique 인덱스이므로 기존 PID에서 먼저 제거
+  await SyncedProduct.updateOne({ bunjangPid: duplicateOfPid }, {
+    $set: { supersededByPid: bunjangPid, supersededAt: now },
+    $unset: { shopifyGid: '', shopifyProductId: '', shopifyUrlRedirectGid: '' },
+  });
+  await SyncedProduct.updateOne({ bunjangPid }, {
+    $set: {
+      shopifyGid: existing.shopifyGid,
+      shopifyProductId: existing.shopifyProductId,
+      shopifyHandle: existing.shopifyHandle,
+      shopifyStatus: existing.shopifyStatus,
+      shopifyUrlRedirectGid: existing.shopifyUrlRedirectGid || null,
+      bunjangVariants: existing.bunjangVariants || [],
+      images: existing.images || [],
+      retiredAt: existing.retiredAt || null,
+      duplicateOfPid,
+      duplicateStatus: 'LINKED',
+    },
+    $unset: { supersededByPid: '', supersededAt: '' },
+  });
+  await DuplicateListing.updateOne({ bunjangPid }, {
+    $set: {
+      duplicateOfPid,
+      shopifyGid: existing.shopifyGid,
+      score: match.score,
+      signals: match.signals,
+      status: 'LINKED',
+      linkedBy,
+      ...(linkedBy === 'REVIEW' && { reviewedAt: now, reviewNote }),
+      jobId,
+    },
+  }, { upsert: true });
+
+  logger.info(`[${SERVICE_NAME}:Job-${jobId}] Linked PID ${bunjangPid} to Shopify product ${existing.shopifyGid} of PID ${duplicateOfPid} (${linkedBy}, score ${match.score}). PID ${duplicateOfPid} is superseded.`);
+  return { shopifyGid: existing.shopifyGid };
+}
+
+/**
+ * 새 상품을 중복 검사하고 결과를 반영합니다. 새 Shopify 상품을 만들기 직전에 호출합니다.
+ * @param {object} bunjangProduct - processCatalogRow 결과 상품 객체.
+ * @param {object} syncedDoc - 새 PID의 SyncedProduct (lean).
+ * @param {object} [options] - { perceptualHash, jobId }
+ * @returns {Promise<{action: 'LINKED'|'HELD', duplicateOfPid: string, shopifyGid?: string, score: number}|null>}
+ *   LINKED이면 shopifyGid 상품을 업데이트, HELD이면 상품을 만들지 않음. 중복이 아니면 null.
+ */
+async function resolveDuplicateListing(bunjangProduct, syncedDoc, { perceptualHash = null, jobId = 'N/A' } = {}) {
+  if (!config.bunjang.duplicates?.enabled || syncedDoc?.duplicateStatus === 'DISMISSED') return null;
+  // 이미 검토 대기 중이면 다시 비교하지 않음 (검토 API로 연결하거나 중복 아님으로 처리할 때까지 보류)
+  if (isHeldForDuplicateReview(syncedDoc)) return { action: 'HELD', duplicateOfPid: syncedDoc.duplicateOfPid, score: null };
+
+  const match = await findDuplicateListing(bunjangProduct, { perceptualHash });
+  if (!match) return null;
+  const duplicateOfPid = match.candidate.bunjangPid;
+
+  if (match.decision === 'LINK') {
+    const { shopifyGid } = await linkDuplicateListing(bunjangProduct.pid, duplicateOfPid, match, { linkedBy: 'AUTO', jobId });
+    return { action: 'LINKED', duplicateOfPid, shopifyGid, score: match.score };
+  }
+
+  await SyncedProduct.updateOne({ bunjangPid: bunjangProduct.pid }, { $set: { duplicateOfPid, duplicateStatus: 'PENDING_REVIEW' } });
+  await DuplicateListing.updateOne({ bunjangPid: bunjangProduct.pid }, {
+    $set: {
+      duplicateOfPid,
+      shopifyGid: match.candidate.shopifyGid,
+      score: match.score,
+      signals: match.signals,
+      status: 'PENDING_REVIEW',
+      jobId,
+    },
+  }, { upsert: true });
+  logger.info(`[${SERVICE_NAME}:Job-${jobId}] Held PID ${bunjangProduct.pid} for review as a likely duplicate of PID ${duplicateOfPid} (score ${match.score}, signals ${JSON.stringify(match.signals)}).`);
+  return { action: 'HELD', duplicateOfPid, score: match.score };
+}
+
+/**
+ * 중복 검토를 기다리는 상품인지 확인합니다. 검토 전에는 이미지를 다시 받거나 비교하지 않고 동기화를 건너뜁니다.
+ * @param {object} syncedDoc - SyncedProduct (lean).
+ * @returns {boolean}
+ */
+function isHeldForDuplicateReview(syncedDoc) {
+  return !!config.bunjang.duplicates?.enabled && syncedDoc?.duplicateStatus === 'PENDING_REVIEW';
+}
+
+/**
+ * 다른 PID에 Shopify 상품을 넘겨준 상품인지 확인합니다. 이어받은 PID가 판매 종료되었으면 다시 동기화할 수 있도록 false입니다.
+ * @param {object} syncedDoc - SyncedProduct (lean).
+ * @returns {Promise<boolean>}
+ */
+async function isSupersededListing(syncedDoc) {
+  if (!syncedDoc?.supersededByPid) return false;
+  return !!(await SyncedProduct.exists({ bunjangPid: syncedDoc.supersededByPid, shopifyGid: { $ne: null }, retiredAt: null }));
+}
+
+/**
+ * 중복 상품 기록을 조회합니다. (관리 API용)
+ * @param {object} [filters] - { status, bunjangPid, duplicateOfPid, limit }
+ * @returns {Promise<object[]>}
+ */
+async function listDuplicateListings({ status, bunjangPid, duplicateOfPid, limit = 100 } = {}) {
+  const query = {};
+  if (status) query.status = status;
+  if (bunjangPid) query.bunjangPid = bunjangPid;
+  if (duplicateOfPid) query.duplicateOfPid = duplicateOfPid;
+  return DuplicateListing.find(query).sort({ createdAt: -1 }).limit(limit).lean();
+}
+
+/**
+ * 중복 상품 기록 하나를 조회합니다.
+ * @param {string} duplicateId - DuplicateListing ID.
+ * @returns {Promise<object>}
+ */
+async function getDuplicateListing(duplicateId) {
+  const duplicate = await DuplicateListing.findById(duplicateId).lean();
+  if (!duplicate) throw new NotFoundError(undefined, 'DuplicateListing', duplicateId);
+  return duplicate;
+}
+
+/**
+ * 검토 대기 중인 기록을 확인합니다.
+ * @param {string} duplicateId - DuplicateListing ID.
+ * @returns {Promise<object>}
+ */
+async function getPendingDuplicateListing(duplicateId) {
+  const duplicate = await getDuplicateListing(duplicateId);
+  if (duplicate.status !== 'PENDING_REVIEW') {
+    throw new AppError(`이미 검토된 중복 상품입니다 (${duplicate.status}): ${duplicateId}`, 409, 'DUPLICATE_ALREADY_REVIEWED');
+  }
+  return duplicate;
+}
+
+/**
+ * 검토 대기 중인 새 PID를 기존 Shopify 상품에 연결합니다. 새 PID의 내용은 다음 카탈로그 동기화에서 반영됩니다.
+ * @param {string} duplicateId - DuplicateListing ID.
+ * @param {object} [options] - { note }
+ * @returns {Promise<object>} 갱신된 기록.
+ */
+async function linkReviewedDuplicate(duplicateId, { note } = {}) {
+  const duplicate = await getPendingDuplicateListing(duplicateId);
+  await linkDuplicateListing(duplicate.bunjangPid, duplicate.duplicateOfPid, duplicate, { linkedBy: 'REVIEW', reviewNote: note, jobId: 'duplicate-review' });
+  return getDuplicateListing(duplicateId);
+}
+
+/**
+ * 검토 대기 중인 새 PID를 중복이 아닌 것으로 처리합니다. 다음 카탈로그 동기화에서 새 Shopify 상품으로 만들어집니다.
+ * @param {string} duplicateId - DuplicateListing ID.
+ * @param {object} [options] - { note }
+ * @returns {Promise<object>} 갱신된 기록.
+ */
+async function dismissDuplicateListing(duplicateId, { note } = {}) {
+  const duplicate = await getPendingDuplicateListing(duplicateId);
+  await SyncedProduct.updateOne({ bunjangPid: duplicate.bunjangPid }, { $set: { duplicateStatus: 'DISMISSED' } });
+  const updated = await DuplicateListing.findByIdAndUpdate(duplicateId, {
+    $set: { status: 'DISMISSED', reviewedAt: new Date(), reviewNote: note },
+  }, { new: true }).lean();
+  logger.info(`[${SERVICE_NAME}] Dismissed duplicate match of PID ${duplicate.bunjangPid} -> PID ${duplicate.duplicateOfPid}. It will be listed as a new product on the next sync.`);
+  return updated;
+}
+
+module.exports = {
+  normalizeListingTitle,
+  computeTitleSimilarity,
+  findDuplicateListing,
+  resolveDuplicateListing,
+  isHeldForDuplicateReview,
+  isSupersededListing,
+  listDuplicateListings,
+  getDuplicateListing,
+  linkReviewedDuplicate,
+  dismissDuplicateListing,
+};
@@ -0,0 +1,61 @@
+// src/services/glossaryTranslationProvider.js
+// 용어집 기반 기본 번역기입니다. 외부 API 없이 용어집의 한국어 용어를 영어로 치환합니다.
+// 용어집에 없는 한국어는 그대로 남으므로, 문장 번역이 필요하면 같은 인터페이스의 외부 번역기를 등록합니다 (translationService.registerTranslationProvider).
+
+const HANGUL_PATTERN = /[ㄱ-ㆎ가-힣]/;
+
+/**
+ * 정규식 특수문자를 이스케이프합니다.
+ * @param {string} text
+ * @returns {string}
+ */
+function escapeRegExp(text) {
+  return text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+}
+
+/**
+ * 텍스트에 용어집을 적용합니다. 긴 용어부터 치환하여 "미개봉"이 "개봉"보다 먼저 적용되며,
+ * 치환된 영어 단어가 앞뒤 한글에 붙지 않도록 공백을 넣습니다. 줄바꿈은 유지합니다.
+ * @param {string} text - 원문.
+ * @param {Array<{source: string, target: string}>} glossary - 용어집.
+ * @returns {string}
+ */
+function applyGlossary(text, glossary) {
+  if (!text || !HANGUL_PATTERN.test(text)) return text;
+  const terms = glossary
+    .filter(term => term.source && term.target)
+    .sort((a, b) => b.source.length - a.source.length);
+  if (terms.length === 0) return text;
+
+  const targetsBySource = new Map(terms.map(term => [term.source, term.target]));
+  const pattern = new RegExp(terms.map(term => escapeRegExp(term.source)).join('|'), 'g');
+  return text
+    .replace(pattern, match => ` ${targetsBySource.get(match)} `)
+    .split('\n')
+    .map(line => line.replace(/[ \t]{2,}/g, ' ').replace(/ ([,.!?)\]])/g, '$1').replace(/([([]) /g, '$1').trim())
+    .join('\n');
+}
+
+/**
+ * 용어집 번역기를 만듭니다.
+ * @returns {{name: string, translate: function}} 번역기 (translationService의 번역기 인터페이스).
+ */
+function createGlossaryTranslationProvider() {
+  return {
+    name: 'glossary',
+    /**
+     * @param {string[]} texts - 번역할 원문 목록.
+     * @param {object} context - { sourceLanguage, targetLanguage, glossary }
+     * @returns {Promise<string[]>} 원문과 같은 순서의 번역문.
+     */
+    async translate(texts, { glossary = [] } = {}) {
+      return texts.map(text => applyGlossary(text, glossary));
+    },
+  };
+}
+
+module.exports = {
+  HANGUL_PATTERN,
+  applyGlossary,
+  createGlossaryTranslationProvider,
+};
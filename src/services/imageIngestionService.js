@@ -0,0 +1,355 @@
+// src/services/imageIngestionService.js
+// 번개장터 상품 이미지를 확인하고 Shopify에 다시 올려 상품 미디어로 첨부합니다.
+//   1. 검증: URL을 직접 받아 응답 여부, 이미지 형식(JPEG/PNG/GIF/WEBP), 가로/세로 크기를 확인
+//   2. 중복 제거: 같은 URL 또는 같은 내용(sha256)의 이미지는 한 번만 사용
+//   3. 대표 이미지: 번개장터 순서상 첫 번째로 충분히 큰 이미지 (없으면 가장 큰 이미지)
+//      첫 번째 유효 이미지의 perceptual hash는 중복/재등록 상품 감지에 사용 (duplicateListingService)
+//   4. 첨부: staged upload로 Shopify에 올린 파일을 미디어로 추가 (번개장터 CDN의 핫링크 차단/지역 제한 회피)
+// 이미지별 결과는 SyncedProduct.images에 저장되며, 유효한 이미지가 없는 상품은 DRAFT로 게시됩니다 (catalogService.resolveListingStatus).
+// 단, CDN 장애(타임아웃, 5xx)로 받지 못한 이미지뿐이면 DRAFT로 내리지 않고 동기화를 실패로 기록해 다음 동기화에서 다시 확인합니다.
+
+const crypto = require('crypto');
+const axios = require('axios');
+
+const config = require('../config');
+const logger = require('../config/logger');
+const shopifyService = require('./shopifyService');
+const { ExternalServiceError } = require('../utils/customErrors');
+const { computePerceptualHash } = require('../utils/perceptualHash');
+
+const SERVICE_NAME = 'ImageIngestionSvc';
+
+const MAX_SHOPIFY_PIXELS = 25000000; // Shopify 이미지 최대 해상도 (25MP)
+const MIME_TYPES_BY_FORMAT = { jpeg: 'image/jpeg', png: 'image/png', gif: 'image/gif', webp: 'image/webp' };
+const FILE_EXTENSIONS_BY_FORMAT = { jpeg: 'jpg', png: 'png', gif: 'gif', webp: 'webp' };
+const USABLE_STATUSES = ['VALID', 'UNCHECKED'];
+
+/**
+ * 번개장터 이미지 URL을 정리합니다. ({res} 자리표시자를 기본 해상도로, http를 https로)
+ * @param {string} url - 원본 URL.
+ * @returns {string|null} https URL이 아니면 null.
+ */
+function normalizeImageUrl(url) {
+  if (!url || typeof url !== 'string') return null;
+  let normalizedUrl = url.trim().replace('{res}', '856');
+  if (normalizedUrl.startsWith('http://')) normalizedUrl = `https://${normalizedUrl.slice('http://'.length)}`;
+  try {
+    return new URL(normalizedUrl).protocol === 'https:' ? normalizedUrl : null;
+  } catch (e) {
+    return null;
+  }
+}
+
+/**
+ * 카탈로그 images 필드(쉼표 구분 문자열 또는 배열)를 URL 목록으로 나눕니다. 순서는 유지합니다.
+ * @param {string|string[]} images
+ * @returns {string[]}
+ */
+function splitImageUrls(images) {
+  const list = Array.isArray(images) ? images : String(images || '').split(',');
+  return list.map(url => String(url || '').trim()).filter(Boolean);
+}
+
+/**
+ * 이미지 파일 앞부분을 읽어 형식과 가로/세로 크기를 구합니다. (JPEG, PNG, GIF, WEBP)
+ * @param {Buffer} buffer - 이미지 파일 내용.
+ * @returns {{format: string, width: number, height: number}|null} 지원하지 않는 형식이거나 헤더가 깨졌으면 null.
+ */
+function readImageDimensions(buffer) {
+  if (!Buffer.isBuffer(buffer) || buffer.length < 24) return null;
+  try {
+    // PNG: 시그니처 뒤 IHDR 청크
+    if (buffer.readUInt32BE(0) === 0x89504e47 && buffer.readUInt32BE(4) === 0x0d0a1a0a) {
+      return { format: 'png', width: buffer.readUInt32BE(16), height: buffer.readUInt32BE(20) };
+    }
+    // GIF: 논리 화면 크기
+    if (buffer.toString('ascii', 0, 4) === 'GIF8') {
+      return { format: 'gif', width: buffer.readUInt16LE(6), height: buffer.readUInt16LE(8) };
+    }
+    // WEBP: RIFF 컨테이너의 첫 청크(VP8 / VP8L / VP8X)
+    if (buffer.toString('ascii', 0, 4) === 'RIFF' && buffer.toString('ascii', 8, 12) === 'WEBP' && buffer.length >= 30) {
+      const chunk = buffer.toString('ascii', 12, 16);
+      if (chunk === 'VP8 ') {
+        return { format: 'webp', width: buffer.readUInt16LE(26) & 0x3fff, height: buffer.readUInt16LE(28) & 0x3fff };
+      }
+      if (chunk === 'VP8L') {
+        const bits = buffer.readUInt32LE(21);
+        return { format: 'webp', width: (bits & 0x3fff) + 1, height: ((bits >> 14) & 0x3fff) + 1 };
+      }
+      if (chunk === 'VP8X') {
+        return { format: 'webp', width: buffer.readUIntLE(24, 3) + 1, height: buffer.readUIntLE(27, 3) + 1 };
+      }
+      return null;
+    }
+    // JPEG: SOF 마커까지 세그먼트를 건너뜀
+    if (buffer[0] === 0xff && buffer[1] === 0xd8) {
+      let offset = 2;
+      while (offset + 9 < buffer.length) {
+        if (buffer[offset] !== 0xff) return null;
+        const marker = buffer[offset + 1];
+        if (marker === 0xff) { offset += 1; continue; } // 채움 바이트
+        if ((marker >= 0xd0 && marker <= 0xd7) || marker === 0x01) { offset += 2; continue; } // 길이 없는 마커
+        const isStartOfFrame = marker >= 0xc0 && marker <= 0xcf && ![0xc4, 0xc8, 0xcc].includes(marker);
+        if (isStartOfFrame) {
+          return { format: 'jpeg', width: buffer.readUInt16BE(offset + 7), height: buffer.readUInt16BE(offset + 5) };
+        }
+        offset += 2 + buffer.readUInt16BE(offset + 2);
+      }
+    }
+  } catch (error) {
+    return null; // 헤더가 잘린 파일
+  }
+  return null;
+}
+
+/**
+ * 이미지 URL 하나를 받아 검증합니다.
+ * @param {string} sourceUrl - 정리된 이미지 URL.
+ * @returns {Promise<object>} 이미지 기록 { sourceUrl, status, error, contentType, width, height, bytes, contentHash, buffer }.
+ *   status: VALID | UNREACHABLE | INVALID_CONTENT_TYPE | TOO_SMALL | TOO_LARGE. buffer는 VALID일 때만 포함 (업로드용, 저장하지 않음).
+ *   응답이 없거나(타임아웃, 연결 오류) 5xx/429로 받지 못한 UNREACHABLE 기록은 retryable: true (저장하지 않음).
+ */
+async function validateImageUrl(sourceUrl) {
+  const { requestTimeoutMs, maxBytes, minDimension } = config.bunjang.images;
+  const record = { sourceUrl, checkedAt: new Date() };
+
+  let response;
+  try {
+    response = await axios.get(sourceUrl, {
+      responseType: 'arraybuffer',
+      timeout: requestTimeoutMs,
+      maxContentLength: maxBytes,
+      headers: { Accept: 'image/avif,image/webp,image/png,image/jpeg,image/*;q=0.8' },
+    });
+  } catch (error) {
+    const isTooLarge = /maxContentLength/i.test(error.message || '');
+    const status = error.response?.status;
+    return {
+      ...record,
+      status: isTooLarge ? 'TOO_LARGE' : 'UNREACHABLE',
+      error: (isTooLarge ? `Larger than ${maxBytes} bytes` : (error.response ? `HTTP ${status}` : error.message)).substring(0, 300),
+      ...(!isTooLarge && (!error.response || status >= 500 || status === 429) && { retryable: true }),
+    };
+  }
+
+  const buffer = Buffer.from(response.data);
+  const headerContentType = String(response.headers?.['content-type'] || '').split(';')[0].trim().toLowerCase();
+  record.bytes = buffer.length;
+  record.contentHash = crypto.createHash('sha256').update(buffer).digest('hex');
+
+  // 헤더보다 실제 파일 내용을 기준으로 형식 판단 (CDN이 application/octet-stream으로 응답하는 경우가 있음)
+  const dimensions = readImageDimensions(buffer);
+  if (!dimensions) {
+    return { ...record, contentType: headerContentType || null, status: 'INVALID_CONTENT_TYPE', error: `Not a supported image (Content-Type: ${headerContentType || 'none'})` };
+  }
+  Object.assign(record, { contentType: MIME_TYPES_BY_FORMAT[dimensions.format], width: dimensions.width, height: dimensions.height });
+
+  if (dimensions.width < minDimension || dimensions.height < minDimension) {
+    return { ...record, status: 'TOO_SMALL', error: `${dimensions.width}x${dimensions.height} is smaller than ${minDimension}px` };
+  }
+  if (dimensions.width * dimensions.height > MAX_SHOPIFY_PIXELS) {
+    return { ...record, status: 'TOO_LARGE', error: `${dimensions.width}x${dimensions.height} exceeds Shopify's 25MP limit` };
+  }
+  return { ...record, status: 'VALID', buffer };
+}
+
+/**
+ * 대표 이미지를 고릅니다. 번개장터 순서상 첫 번째로 primaryMinDimension 이상인 이미지, 없으면 가장 큰 이미지.
+ * @param {Array<object>} usableImages - 사용할 수 있는 이미지 기록 (번개장터 순서).
+ * @returns {object|null}
+ */
+function choosePrimaryImage(usableImages) {
+  if (usableImages.length === 0) return null;
+  const { primaryMinDimension } = config.bunjang.images;
+  const largeEnough = usableImages.find(image => image.width == null ||
+    (image.width >= primaryMinDimension && image.height >= primaryMinDimension));
+  if (largeEnough) return largeEnough;
+  return usableImages.reduce((largest, image) => (image.width * image.height > largest.width * largest.height ? image : largest));
+}
+
+/**
+ * 상품 이미지 URL을 모두 검증하고 중복 제거 후 대표 이미지를 정합니다. (Shopify 호출 없음)
+ * 검증이 꺼져 있으면(config.bunjang.images.validationEnabled=false) 받지 않고 UNCHECKED로 표시합니다.
+ * @param {object} bunjangProduct - processCatalogRow 결과 상품 객체 (pid, images).
+ * @param {string} [jobId='N/A'] - 작업 식별자 (로깅용).
+ * @returns {Promise<{images: Array<object>, validImageCount: number, firstImagePerceptualHash: string|null}>}
+ *   images는 번개장터 순서, 대표 이미지는 isPrimary. firstImagePerceptualHash는 첫 번째 유효 이미지의 pHash (검증을 하지 않았거나 실패하면 null).
+ * @throws {ExternalServiceError} 사용할 수 있는 이미지가 없고 일시적인 오류로 받지 못한 이미지가 있는 경우 (IMAGE_SOURCE_UNAVAILABLE).
+ */
+async function validateProductImages(bunjangProduct, jobId = 'N/A') {
+  const { validationEnabled, maxImagesPerProduct } = config.bunjang.images;
+  const images = [];
+  const seenUrls = new Map();
+  const seenHashes = new Map();
+
+  for (const rawUrl of splitImageUrls(bunjangProduct.images).slice(0, maxImagesPerProduct)) {
+    const sourceUrl = normalizeImageUrl(rawUrl);
+    if (!sourceUrl) {
+      images.push({ sourceUrl: rawUrl.substring(0, 500), status: 'INVALID_URL', error: 'Not an http(s) URL', checkedAt: new Date() });
+      continue;
+    }
+    if (seenUrls.has(sourceUrl)) {
+      images.push({ sourceUrl, status: 'DUPLICATE', error: `Same URL as image #${seenUrls.get(sourceUrl) + 1}`, checkedAt: new Date() });
+      continue;
+    }
+    seenUrls.set(sourceUrl, images.length);
+
+    if (!validationEnabled) {
+      images.push({ sourceUrl, status: 'UNCHECKED', checkedAt: new Date() });
+      continue;
+    }
+    const record = await validateImageUrl(sourceUrl);
+    if (record.status === 'VALID' && seenHashes.has(record.contentHash)) {
+      delete record.buffer;
+      Object.assign(record, { status: 'DUPLICATE', error: `Same content as image #${seenHashes.get(record.contentHash) + 1}` });
+    } else if (record.status === 'VALID') {
+      seenHashes.set(record.contentHash, images.length);
+    }
+    images.push(record);
+  }
+
+  const usableImages = images.filter(image => USABLE_STATUSES.includes(image.status));
+  const primaryImage = choosePrimaryImage(usableImages);
+  images.forEach(image => { image.isPrimary = image === primaryImage; });
+
+  const rejected = images.filter(image => !USABLE_STATUSES.includes(image.status));
+  if (rejected.length > 0) {
+    logger.info(`[${SERVICE_NAME}:Job-${jobId}] PID ${bunjangProduct.pid}: ${usableImages.length}/${images.length} image(s) usable. Rejected: ${rejected.map(image => `${image.status}(${image.sourceUrl})`).join(', ')}`);
+  }
+  // CDN 장애로 받지 못했을 수 있으므로 유효 이미지 0개로 기록(DRAFT 전환)하지 않고 실패 처리 (기존 게시 상태 유지, 다음 동기화에서 재시도)
+  const retryableImages = images.filter(image => image.retryable);
+  if (usableImages.length === 0 && retryableImages.length > 0) {
+    throw new ExternalServiceError(
+      SERVICE_NAME,
+      null,
+      `PID ${bunjangProduct.pid}의 이미지를 일시적으로 받을 수 없습니다 (${retryableImages.map(image => `${image.error}: ${image.sourceUrl}`).join(', ')}).`.substring(0, 1000),
+      'IMAGE_SOURCE_UNAVAILABLE'
+    );
+  }
+  if (usableImages.length === 0) {
+    logger.warn(`[${SERVICE_NAME}:Job-${jobId}] PID ${bunjangProduct.pid} has no usable images. The product will be listed as DRAFT.`);
+  }
+
+  let firstImagePerceptualHash = null;
+  const firstValidImage = images.find(image => image.status === 'VALID');
+  if (firstValidImage) {
+    try {
+      firstImagePerceptualHash = await computePerceptualHash(firstValidImage.buffer);
+    } catch (error) {
+      logger.warn(`[${SERVICE_NAME}:Job-${jobId}] PID ${bunjangProduct.pid}: failed to compute perceptual hash of ${firstValidImage.sourceUrl}: ${error.message}`);
+    }
+  }
+  return { images, validImageCount: usableImages.length, firstImagePerceptualHash };
+}
+
+/**
+ * 검증된 이미지를 staged upload로 Shopify에 올리고 미디어 입력의 originalSource를 정합니다.
+ * 업로드에 실패한 이미지는 원본 URL로 첨부합니다 (uploadStatus: SOURCE_URL).
+ * @param {Array<object>} attachable - 첨부할 이미지 기록 (buffer 포함).
+ * @param {string} pid - 번개장터 상품 ID (파일명용).
+ * @param {string} jobId - 작업 식별자 (로깅용).
+ * @returns {Promise<void>} 각 기록에 originalSource, uploadStatus를 채웁니다.
+ */
+async function stageImageUploads(attachable, pid, jobId) {
+  const toUpload = config.bunjang.images.rehostEnabled ? attachable.filter(image => image.buffer) : [];
+  attachable.forEach(image => { image.originalSource = image.sourceUrl; image.uploadStatus = 'SOURCE_URL'; });
+  if (toUpload.length === 0) return;
+
+  const uploadInputs = toUpload.map((image, index) => {
+    const format = Object.keys(MIME_TYPES_BY_FORMAT).find(key => MIME_TYPES_BY_FORMAT[key] === image.contentType);
+    return { filename: `bunjang-${pid}-${index + 1}.${FILE_EXTENSIONS_BY_FORMAT[format] || 'jpg'}`, mimeType: image.contentType, fileSize: image.bytes };
+  });
+  let targets;
+  try {
+    targets = await shopifyService.createStagedUploads(uploadInputs);
+  } catch (error) {
+    logger.error(`[${SERVICE_NAME}:Job-${jobId}] Could not create staged uploads for PID ${pid}, attaching source URLs instead: ${error.message}`);
+    return;
+  }
+
+  for (let index = 0; index < toUpload.length; index += 1) {
+    const image = toUpload[index];
+    const target = targets[index];
+    if (!target) continue;
+    try {
+      await shopifyService.uploadFileToStagedTarget(target, image.buffer, uploadInputs[index]);
+      image.originalSource = target.resourceUrl;
+      image.uploadStatus = 'STAGED';
+    } catch (error) {
+      image.uploadError = error.message.substring(0, 300);
+      logger.warn(`[${SERVICE_NAME}:Job-${jobId}] Staged upload failed for ${image.sourceUrl} (PID ${pid}), attaching source URL instead: ${error.message}`);
+    }
+  }
+}
+
+/**
+ * 검증 결과의 이미지를 Shopify 상품 미디어로 첨부합니다. 대표 이미지가 첫 번째 미디어가 됩니다.
+ * 지난 동기화에서 첨부한 미디어(SyncedProduct.images의 shopifyMediaGid)는 새 이미지를 올리기 전에 삭제합니다.
+ * 이미지 구성(내용 해시와 순서)이 지난번과 같으면 다시 올리지 않고 기존 미디어를 유지합니다.
+ * @param {string} productGid - Shopify 상품 GID.
+ * @param {object} ingestion - validateProductImages 결과.
+ * @param {object} options - { previousImages, altText, pid, jobId }
+ * @returns {Promise<Array<object>>} SyncedProduct.images에 저장할 이미지 기록 (buffer 제외).
+ */
+async function attachProductImages(productGid, ingestion, { previousImages = [], altText, pid, jobId = 'N/A' }) {
+  const attachable = ingestion.images.filter(image => USABLE_STATUSES.includes(image.status));
+  attachable.sort((a, b) => Number(b.isPrimary) - Number(a.isPrimary)); // 대표 이미지를 맨 앞으로 (나머지는 번개장터 순서)
+  const toStoredRecord = ({ buffer, originalSource, ...image }) => image;
+
+  const previousAttached = previousImages.filter(image => image.shopifyMediaGid);
+  const signature = images => images.map(image => image.contentHash || image.sourceUrl).join('|');
+  const previousOrdered = [...previousAttached].sort((a, b) => Number(b.isPrimary) - Number(a.isPrimary));
+  if (attachable.length > 0 && previousAttached.length === attachable.length && signature(previousOrdered) === signature(attachable)) {
+    logger.info(`[${SERVICE_NAME}:Job-${jobId}] Images for PID ${pid} are unchanged in content. Keeping ${previousAttached.length} existing media item(s) on ${productGid}.`);
+    return ingestion.images.map(image => {
+      const previous = previousOrdered[attachable.indexOf(image)];
+      return toStoredRecord(previous ? { ...image, uploadStatus: previous.uploadStatus, shopifyMediaGid: previous.shopifyMediaGid } : image);
+    });
+  }
+
+  if (previousAttached.length > 0) {
+    try {
+      await shopifyService.deleteProductMedia(productGid, previousAttached.map(image => image.shopifyMediaGid));
+      logger.info(`[${SERVICE_NAME}:Job-${jobId}] Removed ${previousAttached.length} previous media item(s) from ${productGid}.`);
+    } catch (error) {
+      logger.warn(`[${SERVICE_NAME}:Job-${jobId}] Could not remove previous media from ${productGid}: ${error.message}`);
+    }
+  }
+  if (attachable.length === 0) return ingestion.images.map(toStoredRecord);
+
+  await stageImageUploads(attachable, pid, jobId);
+  const mediaInputs = attachable.map(image => ({ originalSource: image.originalSource, mediaContentType: 'IMAGE', alt: altText }));
+  let mediaResult;
+  try {
+    mediaResult = await shopifyService.appendMediaToProduct(productGid, mediaInputs);
+  } catch (error) {
+    logger.error(`[${SERVICE_NAME}:Job-${jobId}] Failed to attach images to ${productGid} for PID ${pid}: ${error.message}`);
+    attachable.forEach(image => { image.uploadStatus = 'FAILED'; image.uploadError = error.message.substring(0, 300); });
+    return ingestion.images.map(toStoredRecord);
+  }
+
+  // mediaUserErrors의 field(예: ["media", "2", "originalSource"])로 실패한 입력을 찾고, 나머지는 생성된 미디어와 순서대로 연결
+  const failedIndexes = new Set((mediaResult?.mediaUserErrors || [])
+    .map(error => parseInt(error.field?.[1], 10))
+    .filter(index => Number.isInteger(index)));
+  const createdMedia = [...(mediaResult?.media || [])];
+  attachable.forEach((image, index) => {
+    if (failedIndexes.has(index)) {
+      image.uploadStatus = 'FAILED';
+      return;
+    }
+    const media = createdMedia.shift();
+    if (media?.id) image.shopifyMediaGid = media.id;
+  });
+
+  const stagedCount = attachable.filter(image => image.uploadStatus === 'STAGED').length;
+  logger.info(`[${SERVICE_NAME}:Job-${jobId}] Attached ${attachable.length - failedIndexes.size}/${attachable.length} image(s) to ${productGid} for PID ${pid} (${stagedCount} re-hosted via staged upload).`);
+  return ingestion.images.map(toStoredRecord);
+}
+
+module.exports = {
+  normalizeImageUrl,
+  readImageDimensions,
+  validateProductImages,
+  attachProductImages,
+};
@@ -89,13 +89,11 @@ async function syncBunjangInventoryToShopify(bunjangPid, bunjangQuantity) {
     if (!variant.inventoryItem.tracked) {
       logger.info(`[InventorySvc] Enabling inventory tracking for variant ${variant.id}`);
       await shopifyService.enableInventoryTracking(inventoryItemId);
-      await new Promise(resolve => setTimeout(resolve, 1000));
     }
     
     // BunJang Warehouse에 연결
     logger.info(`[InventorySvc] Activating inventory at BunJang Warehouse...`);
     await shopifyService.activateInventoryAtLocation(inventoryItemId, BUNJANG_WAREHOUSE_GID);
-    await new Promise(resolve => setTimeout(resolve, 1500));
     
     // 재고를 항상 1로 설정 (BunJang Warehouse만)
     logger.info(`[InventorySvc] Setting inventory to 1 ONLY at BunJang Warehouse...`);
@@ -143,8 +141,6 @@ async function syncBunjangInventoryToShopify(bunjangPid, bunjangQuantity) {
     logger.info(`[InventorySvc] ✅ Successfully updated inventory. Changes:`, changes);
     
     // 최종 확인 - 실제로 설정되었는지 검증
-    await new Promise(resolve => setTimeout(resolve, 1000));
-    
     const finalCheckQuery = `
       query getInventoryLevels($itemId: ID!) {
         inventoryItem(id: $itemId) {
@@ -363,11 +359,6 @@ async function performFullInventorySync(jobId = 'MANUAL') {
         results.failed++;
         logger.error(`[InventorySvc:Job-${jobId}] Failed to sync inventory for PID ${product.bunjangPid}:`, error.message);
       }
-      
-      // Rate limiting - 1초에 2개 상품 처리
-      if (results.synced % 2 === 0) {
-        await new Promise(resolve => setTimeout(resolve, 1000));
-      }
     }
     
     const duration = Date.now() - startTime;
@@ -0,0 +1,189 @@
+// src/services/listingRetirementService.js
+// 전체 카탈로그 처리가 끝난 뒤 SyncedProduct와 카탈로그를 비교하여,
+// 카탈로그에서 사라졌거나 판매중(SELLING)이 아닌 상품을 설정된 정책에 따라 Shopify에서 보관(ARCHIVED) 또는 임시저장(DRAFT) 처리합니다.
+// 내린 상품의 URL은 404 대신 아티스트 컬렉션으로 리디렉션하고, 상품이 다시 게시되면 리디렉션을 삭제합니다.
+
+const config = require('../config');
+const logger = require('../config/logger');
+const SyncedProduct = require('../models/syncedProduct.model');
+const ListingRetirement = require('../models/listingRetirement.model');
+const shopifyService = require('./shopifyService');
+const artistDictionaryService = require('./artistDictionaryService');
+
+const SERVICE_NAME = 'ListingRetirementSvc';
+
+const POLICY_TO_SHOPIFY_STATUS = {
+  ARCHIVE: 'ARCHIVED',
+  DRAFT: 'DRAFT',
+};
+
+/**
+ * 카탈로그에 판매중(SELLING) 행이 하나라도 있는지 확인합니다.
+ * 하나도 없다면 파일 이상으로 보고 정리 대상을 만들지 않습니다.
+ * @param {Map<string, string>} catalogSaleStatuses - 전체 카탈로그의 PID → saleStatus 맵.
+ * @returns {boolean}
+ */
+function catalogHasSellingRows(catalogSaleStatuses) {
+  return [...catalogSaleStatuses.values()].some(saleStatus => saleStatus === 'SELLING');
+}
+
+/**
+ * Shopify에 게시 중인 동기화 상품 중 카탈로그에 없거나 SELLING이 아닌 상품을 순회합니다.
+ * @param {Map<string, string>} catalogSaleStatuses - 전체 카탈로그의 PID → saleStatus 맵.
+ * @returns {AsyncGenerator<{syncedDoc: object, saleStatus: string|null, reason: string}>}
+ */
+async function* iterateRetirementCandidates(catalogSaleStatuses) {
+  const cursor = SyncedProduct.find({ shopifyGid: { $ne: null }, retiredAt: null })
+    .select('bunjangPid bunjangProductName shopifyGid shopifyHandle shopifyStatus shopifyListedPriceUsd shopifyUrlRedirectGid productAttributes')
+    .lean()
+    .cursor();
+
+  for await (const syncedDoc of cursor) {
+    const saleStatus = catalogSaleStatuses.get(syncedDoc.bunjangPid);
+    if (saleStatus === 'SELLING') continue;
+    yield { syncedDoc, saleStatus: saleStatus || null, reason: saleStatus ? 'NOT_SELLING' : 'MISSING_FROM_CATALOG' };
+  }
+}
+
+/**
+ * 내린 상품 URL의 리디렉션 대상을 정합니다. 첫 번째 아티스트의 컬렉션, 아티스트를 모르면 기본 경로입니다.
+ * @param {object} syncedDoc - SyncedProduct (productAttributes.artists 포함).
+ * @param {Map<string, string>} artistSlugsByName - 아티스트 이름 → slug (아티스트 사전).
+ * @returns {string} 예: "/collections/bts"
+ */
+function resolveRetirementRedirectTarget(syncedDoc, artistSlugsByName) {
+  const retirementConfig = config.bunjang.retirement;
+  const artistName = syncedDoc.productAttributes?.artists?.[0];
+  const artistSlug = artistName && (artistSlugsByName.get(artistName) || artistDictionaryService.toArtistSlug(artistName));
+  return artistSlug
+    ? retirementConfig.artistCollectionPath.replace('{artist}', encodeURIComponent(artistSlug))
+    : retirementConfig.fallbackRedirectPath;
+}
+
+/**
+ * 내린 상품의 URL(/products/<handle>)을 아티스트 컬렉션으로 리디렉션합니다.
+ * 실패해도 상품 정리는 유지하며 실패 사유만 반환합니다.
+ * @param {object} syncedDoc - SyncedProduct.
+ * @param {string|null} handle - 상품 핸들.
+ * @param {Map<string, string>} artistSlugsByName - 아티스트 이름 → slug.
+ * @param {string} jobId - 작업 식별자 (로깅용).
+ * @returns {Promise<object>} { redirectPath, redirectTarget, shopifyUrlRedirectGid } 또는 { redirectError }. 리디렉션하지 않으면 빈 객체.
+ */
+async function createRetirementRedirect(syncedDoc, handle, artistSlugsByName, jobId) {
+  if (!config.bunjang.retirement?.redirectEnabled || !handle || syncedDoc.shopifyUrlRedirectGid) return {};
+  const redirectPath = `/products/${handle}`;
+  const redirectTarget = resolveRetirementRedirectTarget(syncedDoc, artistSlugsByName);
+  try {
+    const urlRedirect = await shopifyService.createUrlRedirect(redirectPath, redirectTarget);
+    return { redirectPath, redirectTarget, shopifyUrlRedirectGid: urlRedirect.id };
+  } catch (error) {
+    logger.warn(`[${SERVICE_NAME}:Job-${jobId}] Failed to redirect ${redirectPath} -> ${redirectTarget} for PID ${syncedDoc.bunjangPid}: ${error.message}`);
+    return { redirectPath, redirectTarget, redirectError: String(error.message || '').substring(0, 1000) };
+  }
+}
+
+/**
+ * 판매 종료 때 만든 상품 URL 리디렉션을 삭제합니다. 상품을 다시 게시하기 전에 호출합니다.
+ * 삭제에 실패하면 경고만 남기고 다음 동기화에서 다시 시도합니다.
+ * @param {object} syncedDoc - SyncedProduct (bunjangPid, shopifyUrlRedirectGid).
+ * @param {string} [jobId='N/A'] - 작업 식별자 (로깅용).
+ * @returns {Promise<boolean>} 삭제했으면 true.
+ */
+async function removeRetirementRedirect(syncedDoc, jobId = 'N/A') {
+  if (!syncedDoc?.shopifyUrlRedirectGid) return false;
+  try {
+    await shopifyService.deleteUrlRedirect(syncedDoc.shopifyUrlRedirectGid);
+    await SyncedProduct.updateOne({ bunjangPid: syncedDoc.bunjangPid }, { $set: { shopifyUrlRedirectGid: null } });
+    logger.info(`[${SERVICE_NAME}:Job-${jobId}] Removed retirement redirect ${syncedDoc.shopifyUrlRedirectGid} for relisted PID ${syncedDoc.bunjangPid}.`);
+    return true;
+  } catch (error) {
+    logger.warn(`[${SERVICE_NAME}:Job-${jobId}] Failed to remove retirement redirect ${syncedDoc.shopifyUrlRedirectGid} for PID ${syncedDoc.bunjangPid}: ${error.message}`);
+    return false;
+  }
+}
+
+/**
+ * 카탈로그에 없는(또는 SELLING이 아닌) 동기화 상품을 찾아 Shopify에서 정리합니다.
+ * @param {object} params
+ * @param {Map<string, string>} params.catalogSaleStatuses - 전체 카탈로그의 PID → saleStatus 맵.
+ * @param {string} params.catalogFileName - 기준이 된 전체 카탈로그 파일명.
+ * @param {string} [params.checkpointId] - 해당 카탈로그 처리의 체크포인트 ID.
+ * @param {string} [params.jobId='N/A'] - 작업 식별자 (로깅용).
+ * @returns {Promise<object>} { policy, candidates, retired, failed, retiredPids }
+ */
+async function retireListingsMissingFromCatalog({ catalogSaleStatuses, catalogFileName, checkpointId, jobId = 'N/A' }) {
+  const policy = config.bunjang.retirement?.policy || 'ARCHIVE';
+  const newShopifyStatus = POLICY_TO_SHOPIFY_STATUS[policy];
+  const summary = { policy, candidates: 0, retired: 0, failed: 0, retiredPids: [] };
+
+  // 카탈로그에 판매중 상품이 하나도 없다면 파일 이상으로 보고 전체 상품을 내리지 않음
+  if (!catalogHasSellingRows(catalogSaleStatuses)) {
+    logger.warn(`[${SERVICE_NAME}:Job-${jobId}] Catalog ${catalogFileName} has no SELLING rows. Skipping retirement pass to avoid retiring every listing.`);
+    return summary;
+  }
+
+  const artistSlugsByName = config.bunjang.retirement?.redirectEnabled
+    ? new Map((await artistDictionaryService.loadArtistDictionary()).map(artist => [artist.name, artist.slug]))
+    : new Map();
+
+  for await (const { syncedDoc, saleStatus, reason } of iterateRetirementCandidates(catalogSaleStatuses)) {
+    summary.candidates++;
+    const record = {
+      bunjangPid: syncedDoc.bunjangPid,
+      shopifyGid: syncedDoc.shopifyGid,
+      reason,
+      bunjangSaleStatus: saleStatus,
+      policy,
+      previousShopifyStatus: syncedDoc.shopifyStatus || null,
+      catalogFileName,
+      checkpointId,
+      jobId,
+    };
+
+    try {
+      const updatedProduct = await shopifyService.updateProductStatus(syncedDoc.shopifyGid, newShopifyStatus);
+      const { shopifyUrlRedirectGid, ...redirectRecord } = await createRetirementRedirect(
+        syncedDoc, updatedProduct.handle || syncedDoc.shopifyHandle, artistSlugsByName, jobId
+      );
+      const now = new Date();
+      await SyncedProduct.updateOne(
+        { bunjangPid: syncedDoc.bunjangPid },
+        { $set: { shopifyStatus: newShopifyStatus, retiredAt: now, retirementReason: reason, ...(shopifyUrlRedirectGid && { shopifyUrlRedirectGid }) } }
+      );
+      await ListingRetirement.create({ ...record, ...redirectRecord, newShopifyStatus, status: 'RETIRED' });
+      summary.retired++;
+      summary.retiredPids.push(syncedDoc.bunjangPid);
+      logger.info(`[${SERVICE_NAME}:Job-${jobId}] Retired PID ${syncedDoc.bunjangPid} (${reason}${saleStatus ? `: ${saleStatus}` : ''}). Shopify product ${syncedDoc.shopifyGid} -> ${newShopifyStatus}.`);
+    } catch (error) {
+      summary.failed++;
+      logger.error(`[${SERVICE_NAME}:Job-${jobId}] Failed to retire PID ${syncedDoc.bunjangPid} (Shopify ${syncedDoc.shopifyGid}): ${error.message}`);
+      await ListingRetirement.create({ ...record, status: 'FAILED', errorMessage: String(error.message || '').substring(0, 1000) })
+        .catch(recordError => logger.warn(`[${SERVICE_NAME}:Job-${jobId}] Failed to record retirement failure for PID ${syncedDoc.bunjangPid}: ${recordError.message}`));
+    }
+  }
+
+  logger.info(`[${SERVICE_NAME}:Job-${jobId}] Retirement pass for ${catalogFileName} finished. Policy: ${policy}, Candidates: ${summary.candidates}, Retired: ${summary.retired}, Failed: ${summary.failed}`);
+  return summary;
+}
+
+/**
+ * 판매 종료 처리 기록을 조회합니다. (관리 API용)
+ * @param {object} [filters] - { catalogFileName, reason, status, bunjangPid, limit }
+ * @returns {Promise<object[]>}
+ */
+async function listRetirements({ catalogFileName, reason, status, bunjangPid, limit = 100 } = {}) {
+  const query = {};
+  if (catalogFileName) query.catalogFileName = catalogFileName;
+  if (reason) query.reason = reason;
+  if (status) query.status = status;
+  if (bunjangPid) query.bunjangPid = bunjangPid;
+  return ListingRetirement.find(query).sort({ createdAt: -1 }).limit(limit).lean();
+}
+
+module.exports = {
+  catalogHasSellingRows,
+  iterateRetirementCandidates,
+  retireListingsMissingFromCatalog,
+  removeRetirementRedirect,
+  listRetirements,
+};
@@ -0,0 +1,54 @@
+// src/services/notificationService.js
+// 운영 알림 발송 서비스. 알림은 항상 로그로 남기고, 설정된 경우 Slack Incoming Webhook으로 전송합니다.
+// 알림 실패가 호출한 작업을 실패시키지 않도록 오류를 던지지 않습니다.
+
+const axios = require('axios');
+const config = require('../config');
+const logger = require('../config/logger');
+
+const SERVICE_NAME = 'NotificationSvc';
+const SEVERITY_EMOJI = { info: ':information_source:', warning: ':warning:', critical: ':rotating_light:' };
+
+/**
+ * 운영 알림을 발송합니다.
+ * @param {object} alert
+ * @param {string} alert.title - 알림 제목.
+ * @param {string} alert.message - 알림 본문.
+ * @param {'info'|'warning'|'critical'} [alert.severity='warning'] - 심각도.
+ * @param {object} [alert.details] - 로그와 Slack 메시지에 첨부할 추가 정보.
+ * @returns {Promise<{delivered: boolean, channels: string[]}>} 외부 채널 전송 결과.
+ */
+async function sendAlert({ title, message, severity = 'warning', details = null }) {
+  const logMethod = severity === 'critical' ? 'error' : 'warn';
+  logger[logMethod](`[${SERVICE_NAME}] ALERT (${severity}): ${title} - ${message}`, details || {});
+
+  const notifications = config.notifications || {};
+  if (!notifications.enabled) return { delivered: false, channels: [] };
+
+  const channels = [];
+  const slack = notifications.slack || {};
+  if (slack.enabled && slack.webhookUrl) {
+    const detailsText = details ? `\n\`\`\`${JSON.stringify(details, null, 2).substring(0, 2500)}\`\`\`` : '';
+    try {
+      await axios.post(slack.webhookUrl, {
+        channel: slack.channel,
+        username: slack.username,
+        text: `${SEVERITY_EMOJI[severity] || ''} *${title}*\n${message}${detailsText}`,
+      }, { timeout: 10000 });
+      channels.push('slack');
+    } catch (error) {
+      logger.error(`[${SERVICE_NAME}] Failed to send Slack alert "${title}": ${error.message}`);
+    }
+  }
+
+  if (notifications.email?.enabled) {
+    // 메일 전송 모듈이 아직 포함되어 있지 않음
+    logger.warn(`[${SERVICE_NAME}] Email notifications are enabled but no mail transport is configured. Skipping email for "${title}".`);
+  }
+
+  return { delivered: channels.length > 0, channels };
+}
+
+module.exports = {
+  sendAlert,
+};
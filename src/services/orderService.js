@@ -6,6 +6,8 @@ const logger = require('../config/logger');
 const bunjangService = require('./bunjangService');
 const shopifyService = require('./shopifyService');
 const SyncedProduct = require('../models/syncedProduct.model');
+const sellerReputationService = require('./sellerReputationService');
+const { findSyncedVariantForLineItem, resolveBunjangOptionPrice } = require('../mappers/variantMapper');
 const { AppError, ExternalServiceError, NotFoundError, ValidationError } = require('../utils/customErrors');
 
 /**
@@ -132,19 +134,44 @@ async function processShopifyOrderForBunjang(shopifyOrder, jobId = 'N/A') {
         continue;
       }
 
-      // 5. 번개장터 주문 페이로드 생성
+      // 5. 주문한 variant의 번개장터 옵션 확인 (옵션 상품이면 옵션 가격으로 주문)
+      const syncedVariant = findSyncedVariantForLineItem(syncedProduct, item);
+      const selectedOptions = syncedVariant?.bunjangOptions || [];
+      let orderPriceKrw = bunjangProductDetails.price || 0;
+      if (selectedOptions.length > 0) {
+        const { price, unavailableOptions } = resolveBunjangOptionPrice(bunjangProductDetails, selectedOptions);
+        if (unavailableOptions.length > 0) {
+          logger.warn(`[OrderSvc:Job-${jobId}] Ordered option(s) no longer available for PID ${bunjangPid}: ${unavailableOptions.map(option => `${option.id}=${option.value}`).join(', ')}`);
+          await shopifyService.updateOrder({
+            id: shopifyOrderGid,
+            tags: [`${bunjangOrderIdentifier}_Error`, `PID-${bunjangPid}-OptionUnavailable`]
+          });
+          continue;
+        }
+        orderPriceKrw = price;
+      } else if (syncedProduct.bunjangVariants?.length > 1) {
+        logger.warn(`[OrderSvc:Job-${jobId}] Could not match line item (SKU: ${item.sku}, variant: ${item.variant_title}) to a Bunjang option for PID ${bunjangPid}.`);
+        await shopifyService.updateOrder({
+          id: shopifyOrderGid,
+          tags: [`${bunjangOrderIdentifier}_Error`, `PID-${bunjangPid}-OptionUnknown`]
+        });
+        continue;
+      }
+
+      // 6. 번개장터 주문 페이로드 생성
       const bunjangOrderPayload = {
         product: {
           id: parseInt(bunjangPid),
-          price: bunjangProductDetails.price || 0
+          price: orderPriceKrw,
+          ...(selectedOptions.length > 0 && { options: selectedOptions.map(({ id, value }) => ({ id, value })) })
         },
         deliveryPrice: 0 // 배송비 0원 정책 적용
       };
       
       const actualBunjangShippingFeeKrw = bunjangProductDetails.shippingFee || 0;
-      logger.info(`[OrderSvc:Job-${jobId}] Creating Bunjang order for PID ${bunjangPid}. Price: ${bunjangOrderPayload.product.price} KRW, Actual shipping: ${actualBunjangShippingFeeKrw} KRW (applied as 0)`);
+      logger.info(`[OrderSvc:Job-${jobId}] Creating Bunjang order for PID ${bunjangPid}. Price: ${bunjangOrderPayload.product.price} KRW, Options: ${selectedOptions.map(option => `${option.id}=${option.value}`).join(', ') || 'none'}, Actual shipping: ${actualBunjangShippingFeeKrw} KRW (applied as 0)`);
 
-      // 6. 번개장터 주문 생성 API 호출
+      // 7. 번개장터 주문 생성 API 호출
       try {
         const bunjangApiResponse = await bunjangService.createBunjangOrderV2(bunjangOrderPayload);
         
@@ -154,11 +181,11 @@ async function processShopifyOrderForBunjang(shopifyOrder, jobId = 'N/A') {
           createdBunjangOrderIds.push(String(bunjangOrderId));
           bunjangOrderSuccessfullyCreatedOverall = true;
 
-          // 7. Shopify 주문에 태그 추가 (개별 성공)
+          // 8. Shopify 주문에 태그 추가 (개별 성공)
           const tagsToAdd = [`BunjangOrder-${bunjangOrderId}`];
           await shopifyService.updateOrder({ id: shopifyOrderGid, tags: tagsToAdd });
           
-          // 8. 포인트 잔액 확인
+          // 9. 포인트 잔액 확인
           try {
             const pointBalance = await bunjangService.getBunjangPointBalance();
             if (pointBalance) {
@@ -274,6 +301,7 @@ async function syncBunjangOrderStatuses(startDate, endDate, jobId = 'N/A') {
   let errorCount = 0;
   let page = 0;
   let hasMore = true;
+  const sellerUidsWithOutcomes = new Set();
   
   try {
     while (hasMore) {
@@ -287,6 +315,13 @@ async function syncBunjangOrderStatuses(startDate, endDate, jobId = 'N/A') {
       if (!ordersResponse || !ordersResponse.data) break;
       
       for (const order of ordersResponse.data) {
+        // 판매자 신뢰도용 처리 결과 기록은 Shopify 주문이 없거나 업데이트에 실패해도 남김
+        try {
+          const sellerUids = await sellerReputationService.recordOrderItemOutcomes(order, jobId);
+          sellerUids.forEach(sellerUid => sellerUidsWithOutcomes.add(sellerUid));
+        } catch (error) {
+          logger.error(`[OrderSvc:Job-${jobId}] Failed to record seller outcomes for order ${order.id}: ${error.message}`);
+        }
         try {
           await updateShopifyOrderFromBunjangStatus(order, jobId);
           syncedCount++;
@@ -299,6 +334,12 @@ async function syncBunjangOrderStatuses(startDate, endDate, jobId = 'N/A') {
       hasMore = page < (ordersResponse.totalPages - 1);
       page++;
     }
+
+    try {
+      await sellerReputationService.refreshSellerReputations([...sellerUidsWithOutcomes], jobId);
+    } catch (error) {
+      logger.error(`[OrderSvc:Job-${jobId}] Failed to refresh seller reputations: ${error.message}`);
+    }
     
     logger.info(`[OrderSvc:Job-${jobId}] Order status sync completed. Synced: ${syncedCount}, Errors: ${errorCount}`);
     return { success: true, syncedOrders: syncedCount, errors: errorCount };
@@ -29,10 +29,11 @@ function convertKrwToUsd(krwAmount, krwToUsdRate) {
  * 로직: (원화 가격 * 환율) * (1 + 마크업 비율/100) + 취급 수수료
  * 가격은 소수점 둘째 자리까지 반올림된 문자열로 반환됩니다.
  * @param {number} bunjangPriceKrw - 번개장터 상품의 원화 가격.
+ * @param {object} [pricingOverrides] - 설정 대신 사용할 값 (plan 모드에서 마크업 변경을 미리 확인할 때). { markupPercentage, handlingFeeUsd }
  * @returns {Promise<string>} 계산된 최종 USD 가격 (문자열, 예: "27.88").
  * @throws {AppError|ValidationError} 환율 정보를 가져오지 못하거나 계산 중 문제 발생 시.
  */
-async function calculateShopifyPriceUsd(bunjangPriceKrw) {
+async function calculateShopifyPriceUsd(bunjangPriceKrw, pricingOverrides = {}) {
   logger.info(`[PriceCalcSvc] Starting price calculation for Bunjang KRW price: ${bunjangPriceKrw}`);
 
   // 입력값 검증
@@ -66,13 +67,13 @@ async function calculateShopifyPriceUsd(bunjangPriceKrw) {
   logger.debug(`[PriceCalcSvc] Step 1 - KRW to USD conversion: ${bunjangPriceKrw} KRW * ${krwToUsdRate} = ${priceInUsdBeforeMarkup.toFixed(4)}`);
 
   // 2. 마크업 적용 (config에서 % 단위로 가져옴)
-  const markupPercentage = config.priceCalculation.markupPercentage || 10;
+  const markupPercentage = pricingOverrides.markupPercentage ?? (config.priceCalculation.markupPercentage || 10);
   const markupRatio = markupPercentage / 100;
   const priceAfterMarkup = priceInUsdBeforeMarkup * (1 + markupRatio);
   logger.debug(`[PriceCalcSvc] Step 2 - Markup (${markupPercentage}%): ${priceInUsdBeforeMarkup.toFixed(4)} * ${1 + markupRatio} = ${priceAfterMarkup.toFixed(4)}`);
 
   // 3. 취급 수수료 추가
-  const handlingFeeUsd = config.priceCalculation.handlingFeeUsd || 5;
+  const handlingFeeUsd = pricingOverrides.handlingFeeUsd ?? (config.priceCalculation.handlingFeeUsd || 5);
   const finalPriceUsd = priceAfterMarkup + handlingFeeUsd;
   logger.debug(`[PriceCalcSvc] Step 3 - Handling fee: ${priceAfterMarkup.toFixed(4)} + ${handlingFeeUsd} = ${finalPriceUsd.toFixed(4)}`);
 
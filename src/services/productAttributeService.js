@@ -0,0 +1,285 @@
+// src/services/productAttributeService.js
+// 상품명/키워드에서 상품 종류(포토카드, 앨범, 응원봉 등), 아티스트, 멤버, 앨범/활동명, 버전을 추출합니다.
+// 상품 종류/앨범/버전은 DB의 정규식 패턴(AttributePattern)으로, 아티스트/멤버는 아티스트 사전(artistDictionaryService) 결과로 정합니다.
+// 추출 결과는 Shopify 메타필드(bunjang.item_type 등)와 SyncedProduct.productAttributes에 저장됩니다.
+
+const logger = require('../config/logger');
+const AttributePattern = require('../models/attributePattern.model');
+const artistDictionaryService = require('./artistDictionaryService');
+const { AppError, NotFoundError, ValidationError } = require('../utils/customErrors');
+
+const SERVICE_NAME = 'ProductAttributeSvc';
+const ATTRIBUTE_RESULT_KEYS = { ITEM_TYPE: 'itemType', ALBUM: 'album', VERSION: 'version' };
+const MAX_VALUE_LENGTH = 100;
+// 시드용 기본 패턴. 관리 API로 추가/수정합니다.
+const DEFAULT_PATTERNS = [
+  // "포카 포함" 앨범은 포토카드가 아니라 앨범
+  { name: 'item-type-album-with-photocard', attribute: 'ITEM_TYPE', value: 'Album', priority: 5, pattern: '(?:앨범|음반|album).*(?:포카|포토\\s*카드)\\s*(?:포함|랜덤\\s*포함)' },
+  { name: 'item-type-photocard', attribute: 'ITEM_TYPE', value: 'Photocard', priority: 10, pattern: '포카|포토\\s*카드|photo\\s*card|(?<![a-z])pc(?![a-z])' },
+  { name: 'item-type-lightstick', attribute: 'ITEM_TYPE', value: 'Lightstick', priority: 20, pattern: '응원봉|light\\s*stick' },
+  { name: 'item-type-seasons-greetings', attribute: 'ITEM_TYPE', value: "Season's Greetings", priority: 30, pattern: "시즌\\s*그리팅|season'?s\\s*greetings?" },
+  { name: 'item-type-photobook', attribute: 'ITEM_TYPE', value: 'Photobook', priority: 40, pattern: '포토\\s*북|photo\\s*book' },
+  { name: 'item-type-poster', attribute: 'ITEM_TYPE', value: 'Poster', priority: 50, pattern: '포스터|poster' },
+  { name: 'item-type-album', attribute: 'ITEM_TYPE', value: 'Album', priority: 90, pattern: '앨범|음반|album' },
+  // "FML 앨범", "Proof album" → 앨범 앞의 영문 제목 (아티스트 이름은 제거)
+  { name: 'album-before-keyword', attribute: 'ALBUM', value: '$1', priority: 100, pattern: "([a-z0-9][a-z0-9 '’&:.\\-]*?)\\s*(?:정규|미니|싱글)?\\s*(?:\\d+\\s*집)?\\s*(?:앨범|album)" },
+  { name: 'version-numbered', attribute: 'VERSION', value: 'ver.$1', priority: 10, pattern: 'ver(?:sion)?\\.?\\s*(\\d+|[a-z])(?![a-z])' },
+  { name: 'version-named', attribute: 'VERSION', value: '$1', priority: 20, pattern: '(?<![a-z0-9])([a-z0-9]+)\\s*ver(?:sion)?\\.?(?![a-z])' },
+  // "캐럿반", "한정반" (한 글자 + 반인 "일반", "절반"은 제외)
+  { name: 'version-korean-edition', attribute: 'VERSION', value: '$1', priority: 30, pattern: '([a-z0-9가-힣]{2,})반(?![가-힣])' },
+];
+
+/**
+ * 패턴 정의의 정규식이 유효한지 검사합니다.
+ * @param {object} pattern - 패턴 정의 (모델 필드).
+ * @returns {Array<{field: string, message: string}>} 오류 목록 (없으면 빈 배열).
+ */
+function getPatternDefinitionErrors(pattern) {
+  const errors = [];
+  try {
+    new RegExp(pattern.pattern, pattern.patternFlags || 'i');
+  } catch (regexError) {
+    errors.push({ field: 'pattern', message: `유효하지 않은 정규식입니다: ${regexError.message}` });
+  }
+  return errors;
+}
+
+/**
+ * 패턴 문서를 추출용 객체로 변환합니다.
+ * @param {object} pattern - AttributePattern 문서(lean).
+ * @returns {{name: string, attribute: string, artistSlug: string|null, regex: RegExp, value: string|undefined}}
+ */
+function compilePattern(pattern) {
+  return {
+    name: pattern.name,
+    attribute: pattern.attribute,
+    artistSlug: pattern.artistSlug || null,
+    regex: new RegExp(pattern.pattern, (pattern.patternFlags || 'i').replace(/[gy]/g, '')),
+    value: pattern.value,
+  };
+}
+
+/**
+ * 일치 결과와 값 템플릿으로 속성 값을 만듭니다.
+ * @param {RegExpExecArray} match - 정규식 일치 결과.
+ * @param {string} [template] - 값 템플릿 ($1~$9는 캡처 그룹).
+ * @returns {string}
+ */
+function resolvePatternValue(match, template) {
+  const value = template
+    ? template.replace(/\$(\d)/g, (_, group) => match[Number(group)] || '')
+    : (match[1] ?? match[0]);
+  return value.replace(/\s+/g, ' ').trim().slice(0, MAX_VALUE_LENGTH);
+}
+
+/**
+ * 앨범명 앞뒤에 붙은 아티스트 이름을 제거합니다. ("BTS Proof" → "Proof")
+ * @param {string} album - 추출한 앨범명.
+ * @param {object[]} artists - 상품에서 찾은 아티스트 목록.
+ * @returns {string}
+ */
+function stripArtistNames(album, artists) {
+  const artistWords = new Set(artists.flatMap(artist => [artist.name, artist.slug, artist.matchedAlias])
+    .filter(Boolean)
+    .map(word => word.toLowerCase()));
+  return album.split(' ').filter(word => !artistWords.has(word.toLowerCase())).join(' ').trim();
+}
+
+/**
+ * 활성 패턴을 평가 순서대로 불러와 컴파일합니다. 카탈로그 처리 시작 시 한 번 호출합니다.
+ * 정규식이 잘못된 패턴은 경고 후 건너뜁니다.
+ * @returns {Promise<object[]>} 컴파일된 패턴 목록.
+ */
+async function loadAttributePatterns() {
+  const patterns = await AttributePattern.find({ enabled: true }).sort({ priority: 1, createdAt: 1 }).lean();
+  const compiledPatterns = [];
+  for (const pattern of patterns) {
+    try {
+      compiledPatterns.push(compilePattern(pattern));
+    } catch (error) {
+      logger.warn(`[${SERVICE_NAME}] Skipping invalid attribute pattern "${pattern.name}" (${pattern._id}): ${error.message}`);
+    }
+  }
+  return compiledPatterns;
+}
+
+/**
+ * 상품에서 속성을 추출합니다. 속성마다 평가 순서대로 처음 일치한 패턴의 값을 사용합니다.
+ * @param {object} product - processCatalogRow 상품 객체 (name, keywords, artists).
+ * @param {object[]} compiledPatterns - loadAttributePatterns 결과.
+ * @returns {object|null} { itemType, artists, members, album, version }. 추출한 속성이 없으면 null.
+ */
+function extractProductAttributes(product, compiledPatterns = []) {
+  const artists = product.artists || [];
+  const artistSlugs = new Set(artists.map(artist => artist.slug));
+  const text = [product.name, ...(product.keywords || [])].filter(Boolean).join(' ');
+
+  const attributes = {
+    itemType: null,
+    artists: artists.map(artist => artist.name),
+    members: [...new Set(artists.flatMap(artist => artist.members || []))],
+    album: null,
+    version: null,
+  };
+  for (const pattern of compiledPatterns) {
+    const key = ATTRIBUTE_RESULT_KEYS[pattern.attribute];
+    if (!key || attributes[key] || (pattern.artistSlug && !artistSlugs.has(pattern.artistSlug))) continue;
+    const match = pattern.regex.exec(text);
+    if (!match) continue;
+    let value = resolvePatternValue(match, pattern.value);
+    if (key === 'album') value = stripArtistNames(value, artists);
+    if (value) attributes[key] = value;
+  }
+
+  const found = attributes.itemType || attributes.album || attributes.version || attributes.artists.length > 0;
+  return found ? attributes : null;
+}
+
+/**
+ * 추출한 속성을 Shopify 메타필드 입력으로 변환합니다. 값이 없는 속성은 제외합니다.
+ * @param {object|null} attributes - extractProductAttributes 결과.
+ * @returns {Array<{namespace: string, key: string, type: string, value: string}>}
+ */
+function buildAttributeMetafields(attributes) {
+  if (!attributes) return [];
+  const metafields = [];
+  const addText = (key, value) => {
+    if (value) metafields.push({ namespace: 'bunjang', key, type: 'single_line_text_field', value });
+  };
+  const addList = (key, values) => {
+    if (values?.length) metafields.push({ namespace: 'bunjang', key, type: 'list.single_line_text_field', value: JSON.stringify(values) });
+  };
+  addText('item_type', attributes.itemType);
+  addList('artist', attributes.artists);
+  addList('member', attributes.members);
+  addText('album', attributes.album);
+  addText('version', attributes.version);
+  return metafields;
+}
+
+/**
+ * 패턴 목록을 속성별 평가 순서대로 조회합니다.
+ * @param {object} [filters] - { attribute, enabled }
+ * @returns {Promise<object[]>}
+ */
+async function listPatterns({ attribute, enabled } = {}) {
+  const query = {};
+  if (attribute) query.attribute = attribute;
+  if (enabled !== undefined) query.enabled = enabled;
+  return AttributePattern.find(query).sort({ attribute: 1, priority: 1, createdAt: 1 }).lean();
+}
+
+/**
+ * 패턴 하나를 조회합니다.
+ * @param {string} patternId - 패턴 ID.
+ * @returns {Promise<object>}
+ * @throws {NotFoundError} 패턴이 없는 경우.
+ */
+async function getPattern(patternId) {
+  const pattern = await AttributePattern.findById(patternId).lean();
+  if (!pattern) throw new NotFoundError(undefined, 'AttributePattern', patternId);
+  return pattern;
+}
+
+/**
+ * 패턴 정의를 검사하고, 같은 이름의 패턴이 있으면 409 오류로 변환합니다.
+ * @param {function(): Promise<object>} saveFn - 저장 함수.
+ * @param {object} pattern - 검사할 패턴 정의.
+ * @returns {Promise<object>}
+ */
+async function saveValidatedPattern(saveFn, pattern) {
+  const errors = getPatternDefinitionErrors(pattern);
+  if (errors.length > 0) {
+    throw new ValidationError('속성 패턴 정의가 유효하지 않습니다.', errors);
+  }
+  try {
+    return await saveFn();
+  } catch (error) {
+    if (error.code === 11000) {
+      throw new AppError(`같은 이름의 속성 패턴이 이미 있습니다: ${pattern.name}`, 409, 'ATTRIBUTE_PATTERN_NAME_CONFLICT');
+    }
+    throw error;
+  }
+}
+
+/**
+ * 패턴을 생성합니다. 다음 카탈로그 처리부터 적용됩니다.
+ * @param {object} data - 패턴 필드.
+ * @returns {Promise<object>}
+ */
+async function createPattern(data) {
+  const created = await saveValidatedPattern(() => AttributePattern.create(data), data);
+  logger.info(`[${SERVICE_NAME}] Created ${created.attribute} attribute pattern "${created.name}" (priority ${created.priority}).`);
+  return created.toObject();
+}
+
+/**
+ * 패턴을 수정합니다. 다음 카탈로그 처리부터 적용됩니다.
+ * @param {string} patternId - 패턴 ID.
+ * @param {object} updates - 바꿀 필드.
+ * @returns {Promise<object>}
+ * @throws {NotFoundError} 패턴이 없는 경우.
+ */
+async function updatePattern(patternId, updates) {
+  const existing = await getPattern(patternId);
+  const updated = await saveValidatedPattern(
+    () => AttributePattern.findByIdAndUpdate(patternId, { $set: updates }, { new: true, runValidators: true }).lean(),
+    { ...existing, ...updates }
+  );
+  logger.info(`[${SERVICE_NAME}] Updated attribute pattern "${updated.name}" (${patternId}). Fields: [${Object.keys(updates).join(', ')}]`);
+  return updated;
+}
+
+/**
+ * 패턴을 삭제합니다.
+ * @param {string} patternId - 패턴 ID.
+ * @returns {Promise<object>} 삭제된 패턴.
+ * @throws {NotFoundError} 패턴이 없는 경우.
+ */
+async function deletePattern(patternId) {
+  const deleted = await AttributePattern.findByIdAndDelete(patternId).lean();
+  if (!deleted) throw new NotFoundError(undefined, 'AttributePattern', patternId);
+  logger.info(`[${SERVICE_NAME}] Deleted attribute pattern "${deleted.name}" (${patternId}).`);
+  return deleted;
+}
+
+/**
+ * 현재 활성 패턴과 아티스트 사전으로 샘플 상품명/키워드의 속성을 추출합니다. (저장하지 않음)
+ * @param {object} sample - { name, keywords }
+ * @returns {Promise<object>} { attributes, metafields }
+ */
+async function extractSampleAttributes({ name, keywords = [] }) {
+  const artists = artistDictionaryService.matchArtists([name, ...keywords], await artistDictionaryService.loadArtistDictionary());
+  const attributes = extractProductAttributes({ name, keywords, artists }, await loadAttributePatterns());
+  return { attributes, metafields: buildAttributeMetafields(attributes) };
+}
+
+/**
+ * 기본 패턴을 추가합니다. 이미 있는 패턴(같은 이름)은 바꾸지 않습니다.
+ * @returns {Promise<object>} { total, created, existing }
+ */
+async function seedDefaultPatterns() {
+  const result = await AttributePattern.bulkWrite(DEFAULT_PATTERNS.map(pattern => ({
+    updateOne: {
+      filter: { name: pattern.name },
+      update: { $setOnInsert: { patternFlags: 'i', enabled: true, ...pattern } },
+      upsert: true,
+    },
+  })), { ordered: false });
+  const created = result.upsertedCount || 0;
+  logger.info(`[${SERVICE_NAME}] Seeded default attribute patterns. Created: ${created}, Existing: ${DEFAULT_PATTERNS.length - created}`);
+  return { total: DEFAULT_PATTERNS.length, created, existing: DEFAULT_PATTERNS.length - created };
+}
+
+module.exports = {
+  loadAttributePatterns,
+  extractProductAttributes,
+  buildAttributeMetafields,
+  listPatterns,
+  getPattern,
+  createPattern,
+  updatePattern,
+  deletePattern,
+  extractSampleAttributes,
+  seedDefaultPatterns,
+};
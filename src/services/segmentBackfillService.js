@@ -0,0 +1,77 @@
+// src/services/segmentBackfillService.js
+// 시간별 세그먼트 카탈로그(segment-YYYYMMDD_HH.csv.gz) 중 아직 처리되지 않은 시간대를 찾아 KST 시간 순서대로 처리합니다.
+// cron 지연, Redis 중단, 파일 미게시 등으로 건너뛴 시간대가 영구히 누락되지 않도록 합니다.
+
+const config = require('../config');
+const logger = require('../config/logger');
+const catalogCheckpointService = require('./catalogCheckpointService');
+const {
+  fetchAndProcessBunjangCatalog,
+  generateBunjangCatalogFilename,
+  CATALOG_FILE_NOT_AVAILABLE,
+} = require('./catalogService');
+
+const SERVICE_NAME = 'SegmentBackfillSvc';
+const ONE_HOUR_MS = 60 * 60 * 1000;
+
+/**
+ * 기준 시각까지 최근 N개 시간대의 세그먼트 파일명을 오래된 순서(KST)로 반환합니다.
+ * @param {number} hours - 확인할 시간대 수 (기준 시각의 시간대 포함).
+ * @param {Date} [now=new Date()] - 기준 시각.
+ * @returns {string[]} 예: ["segment-20240524_11.csv.gz", "segment-20240524_12.csv.gz", ...]
+ */
+function listExpectedSegmentFileNames(hours, now = new Date()) {
+  const fileNames = [];
+  for (let offset = Math.max(hours, 1) - 1; offset >= 0; offset--) {
+    fileNames.push(generateBunjangCatalogFilename('segment', new Date(now.getTime() - offset * ONE_HOUR_MS)));
+  }
+  return fileNames;
+}
+
+/**
+ * 처리되지 않은 세그먼트 파일을 KST 시간 순서대로 처리합니다.
+ * 아직 게시되지 않은 파일은 실패로 처리하지 않고 unavailable 목록으로 반환하여 나중에 재시도하도록 합니다.
+ * @param {string} [jobIdForLog='N/A'] - 작업 식별자 (로깅용).
+ * @param {object} [options] - { triggeredBy, now }
+ * @returns {Promise<object>} { windowHours, expected, alreadyProcessed, processed, unavailable, failed }
+ */
+async function processPendingSegmentCatalogs(jobIdForLog = 'N/A', options = {}) {
+  const windowHours = config.bunjang.segmentBackfillHours || 24;
+  const expectedFileNames = listExpectedSegmentFileNames(windowHours, options.now || new Date());
+  const finishedFileNames = await catalogCheckpointService.findFinishedFileNames(expectedFileNames);
+  const pendingFileNames = expectedFileNames.filter(fileName => !finishedFileNames.has(fileName));
+
+  logger.info(`[${SERVICE_NAME}:Job-${jobIdForLog}] Segment window: ${expectedFileNames[0]} ~ ${expectedFileNames[expectedFileNames.length - 1]} (${windowHours}h). Already processed: ${finishedFileNames.size}, Pending: ${pendingFileNames.length}`);
+
+  const result = {
+    windowHours,
+    expected: expectedFileNames.length,
+    alreadyProcessed: finishedFileNames.size,
+    processed: [],
+    unavailable: [],
+    failed: [],
+  };
+
+  for (const fileName of pendingFileNames) {
+    try {
+      const summary = await fetchAndProcessBunjangCatalog('segment', jobIdForLog, { fileName, triggeredBy: options.triggeredBy });
+      result.processed.push(summary);
+    } catch (error) {
+      if (error.errorCode === CATALOG_FILE_NOT_AVAILABLE) {
+        logger.info(`[${SERVICE_NAME}:Job-${jobIdForLog}] Segment ${fileName} is not yet available. Will retry later.`);
+        result.unavailable.push(fileName);
+      } else {
+        logger.error(`[${SERVICE_NAME}:Job-${jobIdForLog}] Failed to process segment ${fileName}: ${error.message}`);
+        result.failed.push({ fileName, message: error.message });
+      }
+    }
+  }
+
+  logger.info(`[${SERVICE_NAME}:Job-${jobIdForLog}] Segment backfill finished. Processed: ${result.processed.length}, Not yet available: ${result.unavailable.length}, Failed: ${result.failed.length}`);
+  return result;
+}
+
+module.exports = {
+  listExpectedSegmentFileNames,
+  processPendingSegmentCatalogs,
+};
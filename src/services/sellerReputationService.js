@@ -0,0 +1,271 @@
+// src/services/sellerReputationService.js
+// 주문 상태 동기화 결과로 번개장터 판매자별 처리 결과(발송 준비 소요 시간, 취소, 환불)를 기록하고 신뢰도 점수를 계산합니다.
+// 카탈로그 파이프라인은 loadSellerListingPolicies로 차단/저신뢰 판매자의 상품을 제외하거나 임시 저장(DRAFT)으로 게시합니다.
+
+const config = require('../config');
+const logger = require('../config/logger');
+const SellerOrderOutcome = require('../models/sellerOrderOutcome.model');
+const SellerReputation = require('../models/sellerReputation.model');
+const SyncedProduct = require('../models/syncedProduct.model');
+const notificationService = require('./notificationService');
+const { NotFoundError } = require('../utils/customErrors');
+
+const SERVICE_NAME = 'SellerReputationSvc';
+const HOUR_MS = 60 * 60 * 1000;
+// 번개장터 주문 상품 상태 → 처음 확인한 시각을 기록할 SellerOrderOutcome 필드
+const OUTCOME_FIELD_BY_STATUS = {
+  SHIP_READY: 'shipReadyAt',
+  IN_TRANSIT: 'shipReadyAt',
+  DELIVERY_COMPLETED: 'shipReadyAt',
+  PURCHASE_CONFIRM: 'shipReadyAt',
+  CANCEL_REQUESTED_BEFORE_SHIPPING: 'cancelledAt',
+  REFUNDED: 'refundedAt',
+  RETURN_REQUESTED: 'returnedAt',
+  RETURNED: 'returnedAt',
+};
+// 점수 = 100 × (1 - Σ 가중치 × 비율)
+const SCORE_WEIGHTS = { cancelRate: 0.4, refundRate: 0.3, lateRate: 0.3 };
+
+/**
+ * 유효한 Date로 변환합니다.
+ * @param {*} value
+ * @returns {Date|null}
+ */
+function toDate(value) {
+  if (!value) return null;
+  const date = new Date(value);
+  return isNaN(date.getTime()) ? null : date;
+}
+
+/**
+ * 번개장터 주문 하나의 상품별 상태를 판매자 처리 결과로 기록합니다.
+ * 판매자는 SyncedProduct.bunjangSellerUid로 찾으며, 판매자를 알 수 없는 상품(카탈로그 동기화 이전 상품 등)은 건너뜁니다.
+ * @param {object} bunjangOrder - 번개장터 주문 조회 결과 (orderItems 포함).
+ * @param {string} [jobId='N/A'] - 작업 식별자 (로깅용).
+ * @returns {Promise<string[]>} 기록된 판매자 UID 목록.
+ */
+async function recordOrderItemOutcomes(bunjangOrder, jobId = 'N/A') {
+  if (!config.bunjang.sellerReputation?.enabled) return [];
+  const orderItems = (bunjangOrder.orderItems || []).filter(item => item.product?.id);
+  if (orderItems.length === 0) return [];
+
+  const pids = orderItems.map(item => String(item.product.id));
+  const syncedDocs = await SyncedProduct.find({ bunjangPid: { $in: pids }, bunjangSellerUid: { $nin: [null, ''] } })
+    .select('bunjangPid bunjangSellerUid')
+    .lean();
+  const sellerUidByPid = new Map(syncedDocs.map(doc => [doc.bunjangPid, doc.bunjangSellerUid]));
+
+  const operations = [];
+  for (const orderItem of orderItems) {
+    const bunjangPid = String(orderItem.product.id);
+    const sellerUid = sellerUidByPid.get(bunjangPid);
+    if (!sellerUid) {
+      logger.debug(`[${SERVICE_NAME}:Job-${jobId}] Seller unknown for PID ${bunjangPid} (order ${bunjangOrder.id}). Outcome not recorded.`);
+      continue;
+    }
+    const statusAt = toDate(orderItem.statusUpdatedAt) || new Date();
+    const firstSeen = { orderedAt: toDate(bunjangOrder.createdAt) || statusAt };
+    const outcomeField = OUTCOME_FIELD_BY_STATUS[orderItem.status];
+    if (outcomeField) firstSeen[outcomeField] = statusAt;
+
+    operations.push({
+      updateOne: {
+        filter: { bunjangOrderId: String(bunjangOrder.id), bunjangPid },
+        update: {
+          $set: { sellerUid, lastStatus: orderItem.status, lastStatusAt: statusAt },
+          $min: firstSeen,
+        },
+        upsert: true,
+      },
+    });
+  }
+  if (operations.length === 0) return [];
+
+  await SellerOrderOutcome.bulkWrite(operations, { ordered: false });
+  return [...new Set(operations.map(operation => operation.updateOne.update.$set.sellerUid))];
+}
+
+/**
+ * 판매자의 주문 처리 결과로 통계와 점수를 계산합니다.
+ * @param {object[]} outcomes - SellerOrderOutcome 문서(lean) 목록.
+ * @param {Date} [now=new Date()] - 기준 시각 (발송 준비 지연 판단용).
+ * @returns {{stats: object, score: number|null}}
+ */
+function calculateSellerScore(outcomes, now = new Date()) {
+  const { minOrders, shipReadySlaHours } = config.bunjang.sellerReputation;
+  const stats = { orders: outcomes.length, shipped: 0, cancelled: 0, refunded: 0, late: 0, pending: 0, avgShipReadyHours: null };
+  const shipReadyHours = [];
+
+  for (const outcome of outcomes) {
+    if (outcome.cancelledAt) stats.cancelled++;
+    if (outcome.refundedAt || outcome.returnedAt) stats.refunded++;
+    if (outcome.shipReadyAt) {
+      stats.shipped++;
+      if (outcome.orderedAt) {
+        const hours = Math.max(0, (new Date(outcome.shipReadyAt) - new Date(outcome.orderedAt)) / HOUR_MS);
+        shipReadyHours.push(hours);
+        if (hours > shipReadySlaHours) stats.late++;
+      }
+    } else if (!outcome.cancelledAt && !outcome.refundedAt) {
+      // 결제 완료(PAYMENT_RECEIVED) 상태로 멈춰 있는 주문은 SLA가 지나면 지연으로 집계
+      stats.pending++;
+      if (outcome.orderedAt && (now - new Date(outcome.orderedAt)) / HOUR_MS > shipReadySlaHours) stats.late++;
+    }
+  }
+  if (shipReadyHours.length > 0) {
+    stats.avgShipReadyHours = Math.round((shipReadyHours.reduce((sum, hours) => sum + hours, 0) / shipReadyHours.length) * 10) / 10;
+  }
+
+  if (stats.orders < minOrders) return { stats, score: null };
+  const penalty = SCORE_WEIGHTS.cancelRate * (stats.cancelled / stats.orders) +
+    SCORE_WEIGHTS.refundRate * (stats.refunded / stats.orders) +
+    SCORE_WEIGHTS.lateRate * (stats.late / stats.orders);
+  const score = Math.min(100, Math.max(0, Math.round(100 * (1 - penalty) * 10) / 10));
+  return { stats, score };
+}
+
+/**
+ * 판매자 신뢰도 정보로 카탈로그 게시 정책을 결정합니다. 관리자 설정이 점수보다 우선합니다.
+ * 차단(BLOCK)은 신뢰도 집계 사용 여부와 관계없이 적용됩니다.
+ * @param {object|null} reputation - SellerReputation 문서(lean).
+ * @returns {{action: 'EXCLUDE'|'DRAFT', reason: 'BLOCKED'|'LOW_SCORE', score: number|null}|null} 정책. 제한이 없으면 null.
+ */
+function resolveListingPolicy(reputation) {
+  if (!reputation || reputation.override === 'ALLOW') return null;
+  const reputationConfig = config.bunjang.sellerReputation || {};
+  const score = reputation.score ?? null;
+  if (reputation.override === 'BLOCK') {
+    return { action: reputationConfig.blockedAction || 'EXCLUDE', reason: 'BLOCKED', score };
+  }
+  if (reputationConfig.enabled && score !== null && score < reputationConfig.lowScoreThreshold) {
+    return { action: reputationConfig.lowScoreAction || 'DRAFT', reason: 'LOW_SCORE', score };
+  }
+  return null;
+}
+
+/**
+ * 게시가 제한된 판매자(차단 또는 저신뢰)의 정책을 불러옵니다. 카탈로그 처리 시작 시 한 번 호출합니다.
+ * @returns {Promise<Map<string, object>>} 판매자 UID → resolveListingPolicy 결과.
+ */
+async function loadSellerListingPolicies() {
+  const reputationConfig = config.bunjang.sellerReputation || {};
+  const conditions = [{ override: 'BLOCK' }];
+  if (reputationConfig.enabled) {
+    conditions.push({ override: 'NONE', score: { $lt: reputationConfig.lowScoreThreshold } });
+  }
+  const reputations = await SellerReputation.find({ $or: conditions }).select('sellerUid score override').lean();
+  const policies = new Map();
+  for (const reputation of reputations) {
+    const policy = resolveListingPolicy(reputation);
+    if (policy) policies.set(reputation.sellerUid, policy);
+  }
+  return policies;
+}
+
+/**
+ * 판매자들의 통계와 점수를 다시 계산하여 저장합니다. 점수가 새로 기준 미만이 된 판매자는 알림을 보냅니다.
+ * @param {string[]|null} [sellerUids] - 대상 판매자 UID 목록. null이면 처리 결과가 있는 모든 판매자.
+ * @param {string} [jobId='N/A'] - 작업 식별자 (로깅용).
+ * @returns {Promise<number>} 다시 계산한 판매자 수.
+ */
+async function recomputeSellerReputations(sellerUids = null, jobId = 'N/A') {
+  const uids = sellerUids || await SellerOrderOutcome.distinct('sellerUid');
+  const { lowScoreThreshold } = config.bunjang.sellerReputation;
+  const now = new Date();
+
+  for (const sellerUid of uids) {
+    const outcomes = await SellerOrderOutcome.find({ sellerUid }).lean();
+    const { stats, score } = calculateSellerScore(outcomes, now);
+    const previous = await SellerReputation.findOneAndUpdate(
+      { sellerUid },
+      { $set: { stats, score, scoreUpdatedAt: now } },
+      { upsert: true, new: false }
+    ).lean();
+
+    const wasLow = previous?.score != null && previous.score < lowScoreThreshold;
+    if (score !== null && score < lowScoreThreshold && !wasLow && (previous?.override || 'NONE') === 'NONE') {
+      await notificationService.sendAlert({
+        title: `Low seller reliability: ${sellerUid}`,
+        message: `Seller ${sellerUid} scored ${score} (threshold ${lowScoreThreshold}). New catalog listings will be handled as ${config.bunjang.sellerReputation.lowScoreAction}.`,
+        severity: 'warning',
+        details: { sellerUid, score, stats },
+      });
+    }
+  }
+  logger.info(`[${SERVICE_NAME}:Job-${jobId}] Recomputed reputation for ${uids.length} seller(s).`);
+  return uids.length;
+}
+
+/**
+ * 주문 상태 동기화가 끝난 뒤 점수를 갱신합니다. 이번에 상태가 바뀐 판매자와,
+ * 아직 발송 준비되지 않은 주문이 있는 판매자(시간이 지나며 지연으로 바뀔 수 있음)를 다시 계산합니다.
+ * @param {string[]} affectedSellerUids - 이번 동기화에서 처리 결과가 기록된 판매자 UID 목록.
+ * @param {string} [jobId='N/A'] - 작업 식별자 (로깅용).
+ * @returns {Promise<number>} 다시 계산한 판매자 수.
+ */
+async function refreshSellerReputations(affectedSellerUids, jobId = 'N/A') {
+  if (!config.bunjang.sellerReputation?.enabled) return 0;
+  const openOrderSellerUids = await SellerOrderOutcome.distinct('sellerUid', {
+    shipReadyAt: null, cancelledAt: null, refundedAt: null,
+  });
+  return recomputeSellerReputations([...new Set([...affectedSellerUids, ...openOrderSellerUids])], jobId);
+}
+
+/**
+ * 판매자 신뢰도 목록을 점수가 낮은 순으로 조회합니다. (API용)
+ * @param {object} [filters] - { override, maxScore, limit }
+ * @returns {Promise<object[]>} 게시 정책(listingPolicy)을 포함한 SellerReputation 문서 목록.
+ */
+async function listSellers({ override, maxScore, limit = 100 } = {}) {
+  const query = {};
+  if (override) query.override = override;
+  if (maxScore !== undefined) query.score = { $lte: maxScore };
+  const reputations = await SellerReputation.find(query).sort({ score: 1, updatedAt: -1 }).limit(limit).lean();
+  return reputations.map(reputation => ({ ...reputation, listingPolicy: resolveListingPolicy(reputation) }));
+}
+
+/**
+ * 판매자 한 명의 신뢰도, 게시 정책, 최근 주문 처리 결과를 조회합니다.
+ * @param {string} sellerUid - 번개장터 판매자 UID.
+ * @returns {Promise<object>} { sellerUid, reputation, listingPolicy, listedProducts, recentOutcomes }
+ * @throws {NotFoundError} 신뢰도 정보와 주문 처리 결과가 모두 없는 경우.
+ */
+async function getSeller(sellerUid) {
+  const [reputation, recentOutcomes, listedProducts] = await Promise.all([
+    SellerReputation.findOne({ sellerUid }).lean(),
+    SellerOrderOutcome.find({ sellerUid }).sort({ orderedAt: -1 }).limit(20).lean(),
+    SyncedProduct.countDocuments({ bunjangSellerUid: sellerUid, shopifyGid: { $ne: null }, retiredAt: null }),
+  ]);
+  if (!reputation && recentOutcomes.length === 0) {
+    throw new NotFoundError(undefined, 'SellerReputation', sellerUid);
+  }
+  return { sellerUid, reputation, listingPolicy: resolveListingPolicy(reputation), listedProducts, recentOutcomes };
+}
+
+/**
+ * 판매자 허용/차단 설정을 변경합니다. 다음 카탈로그 처리부터 적용됩니다.
+ * @param {string} sellerUid - 번개장터 판매자 UID.
+ * @param {object} params - { override: 'NONE'|'ALLOW'|'BLOCK', reason }
+ * @returns {Promise<object>} 게시 정책을 포함한 SellerReputation 문서.
+ */
+async function setSellerOverride(sellerUid, { override, reason = null }) {
+  const reputation = await SellerReputation.findOneAndUpdate(
+    { sellerUid },
+    { $set: { override, overrideReason: reason, overrideUpdatedAt: new Date() } },
+    { upsert: true, new: true }
+  ).lean();
+  logger.info(`[${SERVICE_NAME}] Seller ${sellerUid} override set to ${override}.${reason ? ` Reason: ${reason}` : ''}`);
+  return { ...reputation, listingPolicy: resolveListingPolicy(reputation) };
+}
+
+module.exports = {
+  recordOrderItemOutcomes,
+  calculateSellerScore,
+  resolveListingPolicy,
+  loadSellerListingPolicies,
+  recomputeSellerReputations,
+  refreshSellerReputations,
+  listSellers,
+  getSeller,
+  setSellerOverride,
+};
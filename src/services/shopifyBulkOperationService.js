@@ -0,0 +1,210 @@
+// src/services/shopifyBulkOperationService.js
+// Shopify 일괄 작업(bulkOperationRunMutation)으로 같은 mutation을 여러 변수 묶음에 한 번에 실행합니다.
+//   1. 변수 목록을 JSONL 파일로 만들어 staged upload(BULK_MUTATION_VARIABLES)로 올림
+//   2. bulkOperationRunMutation으로 제출 (상점당 한 번에 하나의 일괄 mutation만 실행되므로 실행 중인 작업이 끝날 때까지 대기)
+//   3. 작업이 끝날 때까지 상태를 확인하고, 결과 JSONL을 받아 입력 줄 순서(__lineNumber)대로 돌려줌
+
+const axios = require('axios');
+const config = require('../config');
+const logger = require('../config/logger');
+const shopifyService = require('./shopifyService');
+const { ExternalServiceError } = require('../utils/customErrors');
+
+const SERVICE_NAME = 'ShopifyBulkOpSvc';
+const FINISHED_STATUSES = ['COMPLETED', 'FAILED', 'CANCELED', 'EXPIRED'];
+const CANCEL_GRACE_MS = 2 * 60 * 1000; // 취소 요청 후 작업이 CANCELED가 되어 partialDataUrl이 생길 때까지 기다리는 시간
+const BULK_OPERATION_FIELDS = `
+  id
+  status
+  errorCode
+  objectCount
+  url
+  partialDataUrl`;
+
+/**
+ * 일괄 작업 상태를 조회합니다.
+ * @param {string} bulkOperationId - BulkOperation GID.
+ * @returns {Promise<object|null>} { id, status, errorCode, objectCount, url, partialDataUrl }
+ */
+async function getBulkOperation(bulkOperationId) {
+  const query = `
+    query getBulkOperation($id: ID!) {
+      node(id: $id) {
+        ... on BulkOperation {${BULK_OPERATION_FIELDS}
+        }
+      }
+    }`;
+  const response = await shopifyService.shopifyGraphqlRequest(query, { id: bulkOperationId });
+  return response.data?.node || null;
+}
+
+/**
+ * 실행 중인 일괄 작업을 취소합니다. (시간 제한을 넘긴 작업 정리용, 실패해도 오류를 던지지 않음)
+ * @param {string} bulkOperationId - BulkOperation GID.
+ * @param {string} jobId - 작업 식별자 (로깅용).
+ */
+async function cancelBulkOperation(bulkOperationId, jobId) {
+  const mutation = `
+    mutation bulkOperationCancel($id: ID!) {
+      bulkOperationCancel(id: $id) {
+        bulkOperation {
+          id
+          status
+        }
+        userErrors {
+          field
+          message
+        }
+      }
+    }`;
+  try {
+    await shopifyService.shopifyGraphqlRequest(mutation, { id: bulkOperationId });
+    logger.warn(`[${SERVICE_NAME}:Job-${jobId}] Requested cancellation of bulk operation ${bulkOperationId}.`);
+  } catch (error) {
+    logger.warn(`[${SERVICE_NAME}:Job-${jobId}] Failed to cancel bulk operation ${bulkOperationId}: ${error.message}`);
+  }
+}
+
+/**
+ * 일괄 작업이 끝날 때까지 기다립니다. 시간 제한(config.bunjang.bulkSync.timeoutMinutes)을 넘기면 작업을 취소하고,
+ * 이미 처리된 줄의 결과(partialDataUrl)를 받을 수 있도록 작업이 CANCELED가 될 때까지 조금 더 기다립니다.
+ * @param {string} bulkOperationId - BulkOperation GID.
+ * @param {string} jobId - 작업 식별자 (로깅용).
+ * @returns {Promise<object>} 끝난 작업 { id, status, errorCode, objectCount, url, partialDataUrl }
+ * @throws {ExternalServiceError} 취소를 요청한 뒤에도 작업이 끝나지 않은 경우.
+ */
+async function waitForBulkOperation(bulkOperationId, jobId) {
+  const { pollIntervalMs, timeoutMinutes } = config.bunjang.bulkSync;
+  let deadline = Date.now() + timeoutMinutes * 60 * 1000;
+  let cancelRequested = false;
+
+  for (;;) {
+    const operation = await getBulkOperation(bulkOperationId);
+    if (!operation || FINISHED_STATUSES.includes(operation.status)) return operation;
+    if (Date.now() >= deadline) {
+      if (cancelRequested) {
+        throw new ExternalServiceError(SERVICE_NAME, null, `Bulk operation ${bulkOperationId} did not finish within ${timeoutMinutes} minutes and was not canceled (status: ${operation.status}).`, 'SHOPIFY_BULK_OPERATION_TIMEOUT');
+      }
+      logger.warn(`[${SERVICE_NAME}:Job-${jobId}] Bulk operation ${bulkOperationId} did not finish within ${timeoutMinutes} minutes (status: ${operation.status}). Canceling it.`);
+      await cancelBulkOperation(bulkOperationId, jobId);
+      cancelRequested = true;
+      deadline = Date.now() + CANCEL_GRACE_MS;
+    }
+    logger.debug(`[${SERVICE_NAME}:Job-${jobId}] Bulk operation ${bulkOperationId} is ${operation.status} (${operation.objectCount || 0} objects).`);
+    await new Promise(resolve => setTimeout(resolve, pollIntervalMs));
+  }
+}
+
+/**
+ * 다른 실행(다른 워커 또는 이전 작업)의 일괄 mutation이 실행 중이면 끝날 때까지 기다립니다.
+ * @param {string} jobId - 작업 식별자 (로깅용).
+ */
+async function waitForRunningBulkMutation(jobId) {
+  const query = `
+    query currentBulkMutation {
+      currentBulkOperation(type: MUTATION) {${BULK_OPERATION_FIELDS}
+      }
+    }`;
+  const response = await shopifyService.shopifyGraphqlRequest(query, {});
+  const current = response.data?.currentBulkOperation;
+  if (current && !FINISHED_STATUSES.includes(current.status)) {
+    logger.info(`[${SERVICE_NAME}:Job-${jobId}] Waiting for running bulk mutation ${current.id} (${current.status}) before submitting a new one.`);
+    await waitForBulkOperation(current.id, jobId);
+  }
+}
+
+/**
+ * 변수 목록을 JSONL 파일로 staged upload에 올립니다.
+ * @param {Array<object>} variablesList - mutation 변수 묶음 목록 (한 줄에 하나).
+ * @param {string} jobId - 작업 식별자 (로깅용).
+ * @returns {Promise<string>} bulkOperationRunMutation의 stagedUploadPath.
+ */
+async function uploadBulkVariables(variablesList, jobId) {
+  const fileBuffer = Buffer.from(variablesList.map(variables => JSON.stringify(variables)).join('\n'), 'utf8');
+  const fileInfo = { filename: `bulk-op-vars-${Date.now()}.jsonl`, mimeType: 'text/jsonl' };
+  const [target] = await shopifyService.createStagedUploads([{ ...fileInfo, resource: 'BULK_MUTATION_VARIABLES' }]);
+  const stagedUploadPath = target?.parameters?.find(parameter => parameter.name === 'key')?.value;
+  if (!stagedUploadPath) {
+    throw new ExternalServiceError(SERVICE_NAME, null, 'Staged upload for bulk mutation variables did not return a key.', 'SHOPIFY_STAGED_UPLOAD_ERROR');
+  }
+  await shopifyService.uploadFileToStagedTarget(target, fileBuffer, fileInfo);
+  logger.info(`[${SERVICE_NAME}:Job-${jobId}] Uploaded ${variablesList.length} line(s) (${fileBuffer.length} bytes) of bulk mutation variables.`);
+  return stagedUploadPath;
+}
+
+/**
+ * 일괄 작업 결과 JSONL을 받아 입력 줄 번호별 결과로 나눕니다.
+ * @param {string} url - 결과 파일 URL (url 또는 partialDataUrl).
+ * @returns {Promise<Map<number, object>>} __lineNumber → { data, errors }
+ */
+async function downloadBulkResults(url) {
+  let response;
+  try {
+    response = await axios.get(url, { responseType: 'text', timeout: 5 * 60 * 1000, maxContentLength: Infinity });
+  } catch (error) {
+    throw new ExternalServiceError(SERVICE_NAME, error, `Failed to download bulk operation results: ${error.response?.status || error.message}`, 'SHOPIFY_BULK_RESULT_DOWNLOAD_ERROR');
+  }
+  const results = new Map();
+  for (const line of String(response.data).split('\n')) {
+    if (!line.trim()) continue;
+    const { __lineNumber: lineNumber, ...result } = JSON.parse(line);
+    results.set(lineNumber, result);
+  }
+  return results;
+}
+
+/**
+ * 같은 mutation을 변수 묶음마다 한 번씩 일괄 작업으로 실행하고 결과를 기다립니다.
+ * 작업이 도중에 실패해도 처리된 줄의 결과(partialDataUrl)는 돌려주며, 결과가 없는 줄은 errors에 작업 상태가 담깁니다.
+ * @param {string} mutation - 실행할 mutation (변수 이름은 variablesList의 키와 같아야 함).
+ * @param {Array<object>} variablesList - 변수 묶음 목록.
+ * @param {object} [options] - { jobId }
+ * @returns {Promise<{bulkOperation: object, results: Array<{data?: object, errors?: Array<object>}>}>} results는 variablesList 순서.
+ * @throws {ExternalServiceError} 제출, 시간 초과, 결과 다운로드에 실패했거나 결과 없이 작업이 실패한 경우.
+ */
+async function runBulkMutation(mutation, variablesList, { jobId = 'N/A' } = {}) {
+  if (variablesList.length === 0) return { bulkOperation: null, results: [] };
+
+  await waitForRunningBulkMutation(jobId);
+  const stagedUploadPath = await uploadBulkVariables(variablesList, jobId);
+
+  const runMutation = `
+    mutation bulkOperationRunMutation($mutation: String!, $stagedUploadPath: String!) {
+      bulkOperationRunMutation(mutation: $mutation, stagedUploadPath: $stagedUploadPath) {
+        bulkOperation {
+          id
+          status
+        }
+        userErrors {
+          field
+          message
+          code
+        }
+      }
+    }`;
+  const response = await shopifyService.shopifyGraphqlRequest(runMutation, { mutation, stagedUploadPath });
+  const userErrors = response.data?.bulkOperationRunMutation?.userErrors || [];
+  const submitted = response.data?.bulkOperationRunMutation?.bulkOperation;
+  if (userErrors.length > 0 || !submitted) {
+    const errorMessage = userErrors.map(e => `Field: ${e.field?.join(',') || 'N/A'}, Msg: ${e.message}`).join('; ') || 'No bulk operation returned';
+    throw new ExternalServiceError(SERVICE_NAME, null, `Bulk mutation submission failed: ${errorMessage}`, 'SHOPIFY_BULK_OPERATION_SUBMIT_ERROR');
+  }
+  logger.info(`[${SERVICE_NAME}:Job-${jobId}] Submitted bulk operation ${submitted.id} with ${variablesList.length} line(s).`);
+
+  const bulkOperation = await waitForBulkOperation(submitted.id, jobId) || { id: submitted.id, status: 'UNKNOWN' };
+  const resultUrl = bulkOperation.url || bulkOperation.partialDataUrl;
+  if (bulkOperation.status !== 'COMPLETED' && !resultUrl) {
+    throw new ExternalServiceError(SERVICE_NAME, null, `Bulk operation ${bulkOperation.id} ended with status ${bulkOperation.status}${bulkOperation.errorCode ? ` (${bulkOperation.errorCode})` : ''}.`, 'SHOPIFY_BULK_OPERATION_FAILED');
+  }
+
+  const resultsByLine = resultUrl ? await downloadBulkResults(resultUrl) : new Map();
+  const missingResult = { errors: [{ message: `No result for this line (bulk operation ${bulkOperation.status}${bulkOperation.errorCode ? `, ${bulkOperation.errorCode}` : ''}).` }] };
+  const results = variablesList.map((variables, lineNumber) => resultsByLine.get(lineNumber) || missingResult);
+  logger.info(`[${SERVICE_NAME}:Job-${jobId}] Bulk operation ${bulkOperation.id} ${bulkOperation.status}. Objects: ${bulkOperation.objectCount || 0}, Results: ${resultsByLine.size}/${variablesList.length}.`);
+  return { bulkOperation, results };
+}
+
+module.exports = {
+  runBulkMutation,
+  getBulkOperation,
+};
@@ -11,9 +11,12 @@ const {
     LATEST_API_VERSION
 } = require('@shopify/shopify-api');
 
+const axios = require('axios');
+
 const config = require('../config');
 const logger = require('../config/logger');
 const { ExternalServiceError, AppError, NotFoundError, ValidationError } = require('../utils/customErrors');
+const shopifyThrottleService = require('./shopifyThrottleService');
 
 const SERVICE_NAME = 'ShopifySvc';
 
@@ -177,6 +180,9 @@ async function shopifyGraphqlRequest(query, variables = {}) {
         variableValues: JSON.stringify(variables)
       });
       
+      // 버킷 잔량이 부족하면 429를 받기 전에 기다림 (모든 워커가 같은 버킷을 나눠 씀)
+      await shopifyThrottleService.acquire(operationName);
+
       // request 메소드는 query를 첫 번째 파라미터로, options를 두 번째 파라미터로 받습니다
       let response;
       try {
@@ -186,6 +192,8 @@ async function shopifyGraphqlRequest(query, variables = {}) {
           retries: 2
         });
       } catch (requestError) {
+        // THROTTLED 등 오류 응답에도 비용 정보가 있으면 버킷 상태에 반영
+        await shopifyThrottleService.recordCost(operationName, requestError.response?.body?.extensions?.cost || requestError.body?.extensions?.cost);
         // request 메소드 실패 시 상세 에러 로깅
         logger.error(`[${SERVICE_NAME}] Request method failed:`, {
           error: requestError.message,
@@ -209,6 +217,8 @@ async function shopifyGraphqlRequest(query, variables = {}) {
         throw requestError;
       }
 
+      await shopifyThrottleService.recordCost(operationName, response.extensions?.cost);
+
       // response 구조가 변경됨: response.body가 아닌 response 직접 사용
       if (response.errors && response.errors.length > 0) {
         const errorDetails = {
@@ -469,6 +479,123 @@ async function updateVariantPriceAndSku(productId, variantId, price, sku) {
   return updatedVariant;
 }
 
+/**
+ * 재고 항목(variant)의 배송 무게를 설정합니다.
+ * @param {string} inventoryItemId - Shopify InventoryItem GID.
+ * @param {number} weightGrams - 무게 (g).
+ * @returns {Promise<object|undefined>} 업데이트된 재고 항목.
+ */
+async function updateInventoryItemWeight(inventoryItemId, weightGrams) {
+  const mutation = `
+    mutation inventoryItemUpdate($id: ID!, $input: InventoryItemInput!) {
+      inventoryItemUpdate(id: $id, input: $input) {
+        inventoryItem {
+          id
+          measurement {
+            weight {
+              value
+              unit
+            }
+          }
+        }
+        userErrors {
+          field
+          message
+        }
+      }
+    }`;
+
+  logger.info(`[${SERVICE_NAME}] Updating inventory item ${inventoryItemId} weight to ${weightGrams}g`);
+  const response = await shopifyGraphqlRequest(mutation, {
+    id: inventoryItemId,
+    input: { measurement: { weight: { value: Number(weightGrams), unit: 'GRAMS' } } },
+  });
+
+  if (response.data?.inventoryItemUpdate?.userErrors?.length > 0) {
+    const errorMessage = response.data.inventoryItemUpdate.userErrors.map(e => `Field: ${e.field?.join(',') || 'N/A'}, Msg: ${e.message}`).join('; ');
+    logger.error(`[${SERVICE_NAME}] Failed to update inventory item weight: ${errorMessage}`);
+  }
+
+  return response.data?.inventoryItemUpdate?.inventoryItem;
+}
+
+/**
+ * productSet 입력의 옵션/variant 부분을 만듭니다. (setProductOptionsAndVariants와 일괄 작업 동기화가 함께 사용)
+ * productOptions가 비어 있으면 기본 옵션(Title / Default Title) 하나의 단일 variant입니다.
+ * @param {Array<{name: string, values: Array<{name: string}>}>} productOptions - 옵션 목록.
+ * @param {Array<object>} variants - { sku, optionValues: [{optionName, name}], price(USD 문자열), quantity }
+ * @param {object} [variantDefaults] - 모든 variant에 적용할 값. { inventoryPolicy, weightGrams, locationId }
+ * @returns {{productOptions: Array<object>, variants: Array<object>}} ProductSetInput의 productOptions, variants.
+ */
+function buildProductSetVariantInputs(productOptions, variants, variantDefaults = {}) {
+  const isDefaultOption = productOptions.length === 0;
+  const locationId = variantDefaults.locationId || BUNJANG_WAREHOUSE_GID;
+  return {
+    productOptions: isDefaultOption ? [{ name: 'Title', values: [{ name: 'Default Title' }] }] : productOptions,
+    variants: variants.map(variant => ({
+      optionValues: isDefaultOption ? [{ optionName: 'Title', name: 'Default Title' }] : variant.optionValues,
+      price: String(variant.price),
+      inventoryPolicy: variantDefaults.inventoryPolicy || 'DENY',
+      inventoryItem: {
+        sku: variant.sku,
+        tracked: true,
+        ...(variantDefaults.weightGrams && { measurement: { weight: { value: Number(variantDefaults.weightGrams), unit: 'GRAMS' } } }),
+      },
+      inventoryQuantities: [{ locationId, name: 'available', quantity: variant.quantity ?? 1 }],
+    })),
+  };
+}
+
+/**
+ * 상품의 옵션과 variant 전체를 productSet으로 설정합니다. 목록에 없는 기존 variant는 삭제됩니다.
+ * productOptions가 비어 있으면 기본 옵션(Title / Default Title) 하나의 단일 variant로 되돌립니다.
+ * @param {string} productGid - Shopify Product GID.
+ * @param {Array<{name: string, values: Array<{name: string}>}>} productOptions - 옵션 목록.
+ * @param {Array<object>} variants - { sku, optionValues: [{optionName, name}], price(USD 문자열), quantity }
+ * @param {object} [variantDefaults] - 모든 variant에 적용할 값. { inventoryPolicy, weightGrams, locationId }
+ * @returns {Promise<Array<{id: string, sku: string, price: string}>>} 설정된 variant 목록.
+ * @throws {ExternalServiceError} productSet이 userErrors를 반환한 경우.
+ */
+async function setProductOptionsAndVariants(productGid, productOptions, variants, variantDefaults = {}) {
+  const mutation = `
+    mutation productSet($input: ProductSetInput!, $synchronous: Boolean!) {
+      productSet(input: $input, synchronous: $synchronous) {
+        product {
+          id
+          variants(first: 100) {
+            edges {
+              node {
+                id
+                sku
+                price
+              }
+            }
+          }
+        }
+        userErrors {
+          field
+          message
+          code
+        }
+      }
+    }`;
+
+  const { productOptions: options, variants: variantInputs } = buildProductSetVariantInputs(productOptions, variants, variantDefaults);
+
+  logger.info(`[${SERVICE_NAME}] Setting ${options.length} option(s) and ${variantInputs.length} variant(s) on product ${productGid}`);
+  const response = await shopifyGraphqlRequest(mutation, {
+    input: { id: productGid, productOptions: options, variants: variantInputs },
+    synchronous: true,
+  });
+
+  const userErrors = response.data?.productSet?.userErrors || [];
+  if (userErrors.length > 0) {
+    const errorMessage = userErrors.map(e => `Field: ${e.field?.join(',') || 'N/A'}, Msg: ${e.message}`).join('; ');
+    throw new ExternalServiceError(SERVICE_NAME, null, `Product option/variant set failed: ${errorMessage}`, 'SHOPIFY_PRODUCT_SET_ERROR', { userErrors });
+  }
+  return (response.data?.productSet?.product?.variants?.edges || []).map(edge => edge.node);
+}
+
 // updateVariantSku 함수 - SKU만 업데이트
 async function updateVariantSku(variantId, sku) {
   const mutation = `
@@ -603,8 +730,8 @@ async function createProduct(productInput, collectionGID = null, variantInfo = n
   // Remove media field if present (images are added separately)
   const { media, ...baseProductInput } = productInput;
   
-  // Ensure product is set to ACTIVE status and published
-  baseProductInput.status = 'ACTIVE';
+  // Ensure product is published as ACTIVE unless the caller asked for another status (e.g. DRAFT for low-score sellers)
+  baseProductInput.status = baseProductInput.status || 'ACTIVE';
   
   // Set publishedAt to make sure product is visible
   if (!baseProductInput.publishedAt) {
@@ -612,7 +739,7 @@ async function createProduct(productInput, collectionGID = null, variantInfo = n
   }
   
   if (collectionGID) {
-    baseProductInput.collectionsToJoin = [collectionGID];
+    baseProductInput.collectionsToJoin = [...new Set([collectionGID, ...(baseProductInput.collectionsToJoin || [])])];
   }
 
   // In API 2025-04, variants are NOT supported in ProductInput
@@ -692,7 +819,6 @@ async function createProduct(productInput, collectionGID = null, variantInfo = n
       if (inventoryItemId && !defaultVariant.inventoryItem?.tracked) {
         logger.info(`[${SERVICE_NAME}] Step 1: Enabling inventory tracking...`);
         await enableInventoryTracking(inventoryItemId);
-        await new Promise(resolve => setTimeout(resolve, 1000));
         logger.info(`[${SERVICE_NAME}] ✅ Inventory tracking enabled`);
       }
       
@@ -708,9 +834,14 @@ async function createProduct(productInput, collectionGID = null, variantInfo = n
         logger.info(`[${SERVICE_NAME}] ✅ Inventory policy updated`);
       }
       
-      // 4. 재고 설정 - 항상 1로 설정
+      // 4. 카테고리 기본 무게 설정
+      if (inventoryItemId && variantInfo.weightGrams) {
+        await updateInventoryItemWeight(inventoryItemId, variantInfo.weightGrams);
+      }
+      
+      // 5. 재고 설정 - 항상 1로 설정
       if (inventoryItemId) {
-        logger.info(`[${SERVICE_NAME}] Step 4: Setting inventory quantity to 1 at BunJang Warehouse...`);
+        logger.info(`[${SERVICE_NAME}] Step 5: Setting inventory quantity to 1 at BunJang Warehouse...`);
         
         try {
           // updateInventoryLevel 함수 사용 - 항상 1로 설정
@@ -741,9 +872,11 @@ async function createProduct(productInput, collectionGID = null, variantInfo = n
   return createdProduct;
 }
 
-async function publishProductToSalesChannels(productId) {
-  logger.info(`[${SERVICE_NAME}] Publishing product ${productId} to sales channels...`);
-  
+/**
+ * 상품/컬렉션을 게시할 판매 채널(온라인 스토어 등)을 조회합니다.
+ * @returns {Promise<Array<{id: string, name: string}>>} 게시할 publication 목록.
+ */
+async function getSalesChannelPublications() {
   // Get all available publications (sales channels)
   const pubQuery = `
     query {
@@ -764,17 +897,22 @@ async function publishProductToSalesChannels(productId) {
   logger.info(`[${SERVICE_NAME}] Found ${publications.length} sales channels`);
   
   // Find online store and any other active channels
-  const channelsToPublish = publications.filter(pub => {
+  return publications.filter(pub => {
     const name = pub.node.name.toLowerCase();
     // Include online store and potentially other channels
     return name.includes('online store') || 
            name === 'online store' ||
            name.includes('온라인 스토어') ||
            name.includes('shop');
-  });
+  }).map(pub => pub.node);
+}
+
+async function publishProductToSalesChannels(productId) {
+  logger.info(`[${SERVICE_NAME}] Publishing product ${productId} to sales channels...`);
+  const channelsToPublish = await getSalesChannelPublications();
   
   if (channelsToPublish.length > 0) {
-    logger.info(`[${SERVICE_NAME}] Publishing to ${channelsToPublish.length} channels: ${channelsToPublish.map(ch => ch.node.name).join(', ')}`);
+    logger.info(`[${SERVICE_NAME}] Publishing to ${channelsToPublish.length} channels: ${channelsToPublish.map(ch => ch.name).join(', ')}`);
     
     // Use publishablePublish to add product to sales channels
     const publishMutation = `
@@ -792,7 +930,7 @@ async function publishProductToSalesChannels(productId) {
       }`;
     
     const publicationInputs = channelsToPublish.map(ch => ({
-      publicationId: ch.node.id
+      publicationId: ch.id
     }));
     
     const publishResult = await shopifyGraphqlRequest(publishMutation, {
@@ -894,7 +1032,7 @@ async function updateProduct(productUpdateInput, collectionGIDToJoin = null, col
   const { media, ...finalProductUpdateInput } = productUpdateInput;
   
   if (collectionGIDToJoin) {
-    finalProductUpdateInput.collectionsToJoin = [collectionGIDToJoin];
+    finalProductUpdateInput.collectionsToJoin = [...new Set([collectionGIDToJoin, ...(finalProductUpdateInput.collectionsToJoin || [])])];
   }
   if (collectionGIDToLeave) {
     finalProductUpdateInput.collectionsToLeave = [collectionGIDToLeave];
@@ -1221,6 +1359,104 @@ async function appendMediaToProduct(productId, mediaInputs) {
   }
 }
 
+/**
+ * 파일을 올릴 Shopify staged upload 대상을 만듭니다. (기본: 이미지, 일괄 작업 변수 파일은 resource: BULK_MUTATION_VARIABLES)
+ * @param {Array<{filename: string, mimeType: string, fileSize?: number, resource?: string}>} uploadInputs - 올릴 파일 정보 (입력 순서대로 대상이 반환됨).
+ * @returns {Promise<Array<{url: string, resourceUrl: string, parameters: Array<{name: string, value: string}>}>>}
+ * @throws {ExternalServiceError} stagedUploadsCreate가 userErrors를 반환한 경우.
+ */
+async function createStagedUploads(uploadInputs) {
+  const mutation = `
+    mutation stagedUploadsCreate($input: [StagedUploadInput!]!) {
+      stagedUploadsCreate(input: $input) {
+        stagedTargets {
+          url
+          resourceUrl
+          parameters {
+            name
+            value
+          }
+        }
+        userErrors {
+          field
+          message
+        }
+      }
+    }`;
+
+  const input = uploadInputs.map(upload => ({
+    resource: upload.resource || 'IMAGE',
+    filename: upload.filename,
+    mimeType: upload.mimeType,
+    ...(upload.fileSize !== undefined && { fileSize: String(upload.fileSize) }),
+    httpMethod: 'POST',
+  }));
+  const response = await shopifyGraphqlRequest(mutation, { input });
+
+  const userErrors = response.data?.stagedUploadsCreate?.userErrors || [];
+  if (userErrors.length > 0) {
+    const errorMessage = userErrors.map(e => `Field: ${e.field?.join(',') || 'N/A'}, Msg: ${e.message}`).join('; ');
+    throw new ExternalServiceError(SERVICE_NAME, null, `Staged upload creation failed: ${errorMessage}`, 'SHOPIFY_STAGED_UPLOAD_ERROR');
+  }
+  return response.data?.stagedUploadsCreate?.stagedTargets || [];
+}
+
+/**
+ * createStagedUploads로 받은 대상에 파일을 올립니다. 성공하면 target.resourceUrl을 미디어 originalSource로 사용할 수 있습니다.
+ * @param {object} target - { url, parameters } staged upload 대상.
+ * @param {Buffer} fileBuffer - 파일 내용.
+ * @param {object} fileInfo - { filename, mimeType }
+ * @returns {Promise<void>}
+ * @throws {ExternalServiceError} 업로드 요청이 실패한 경우.
+ */
+async function uploadFileToStagedTarget(target, fileBuffer, { filename, mimeType }) {
+  const form = new FormData();
+  // 서명 파라미터가 파일보다 먼저 와야 함
+  for (const parameter of target.parameters || []) {
+    form.append(parameter.name, parameter.value);
+  }
+  form.append('file', new Blob([fileBuffer], { type: mimeType }), filename);
+
+  try {
+    await axios.post(target.url, form, {
+      timeout: config.bunjang.images.requestTimeoutMs * 3,
+      maxBodyLength: Infinity,
+    });
+  } catch (error) {
+    throw new ExternalServiceError(SERVICE_NAME, error, `Staged upload of ${filename} failed: ${error.response?.status || error.message}`, 'SHOPIFY_STAGED_UPLOAD_ERROR');
+  }
+}
+
+/**
+ * 상품에서 미디어를 삭제합니다. (이미지를 다시 올리기 전에 예전 미디어 정리)
+ * @param {string} productId - Shopify Product GID.
+ * @param {string[]} mediaIds - 삭제할 미디어 GID 목록.
+ * @returns {Promise<string[]>} 삭제된 미디어 GID 목록.
+ * @throws {ExternalServiceError} productDeleteMedia가 userErrors를 반환한 경우.
+ */
+async function deleteProductMedia(productId, mediaIds) {
+  if (!mediaIds || mediaIds.length === 0) return [];
+  const mutation = `
+    mutation productDeleteMedia($productId: ID!, $mediaIds: [ID!]!) {
+      productDeleteMedia(productId: $productId, mediaIds: $mediaIds) {
+        deletedMediaIds
+        mediaUserErrors {
+          field
+          message
+          code
+        }
+      }
+    }`;
+
+  const response = await shopifyGraphqlRequest(mutation, { productId, mediaIds });
+  const userErrors = response.data?.productDeleteMedia?.mediaUserErrors || [];
+  if (userErrors.length > 0) {
+    const errorMessage = userErrors.map(e => `Field: ${e.field?.join(',') || 'N/A'}, Msg: ${e.message}`).join('; ');
+    throw new ExternalServiceError(SERVICE_NAME, null, `Media deletion failed for product ${productId}: ${errorMessage}`, 'SHOPIFY_MEDIA_DELETE_ERROR');
+  }
+  return response.data?.productDeleteMedia?.deletedMediaIds || [];
+}
+
 async function findProductByBunjangPidTag(bunjangPid) {
   const searchQuery = `tag:'bunjang_pid:${String(bunjangPid).trim()}'`;
   const query = `
@@ -1257,6 +1493,24 @@ async function findProductByBunjangPidTag(bunjangPid) {
   }
 }
 
+/**
+ * 핸들로 상품을 찾습니다. 태그 검색과 달리 검색 색인을 거치지 않으므로 방금 만든 상품도 바로 찾을 수 있습니다.
+ * @param {string} handle - 상품 핸들.
+ * @returns {Promise<object|null>} { id, title, handle } 또는 null.
+ */
+async function findProductByHandle(handle) {
+  const query = `
+    query productByHandle($identifier: ProductIdentifierInput!) {
+      productByIdentifier(identifier: $identifier) {
+        id
+        title
+        handle
+      }
+    }`;
+  const response = await shopifyGraphqlRequest(query, { identifier: { handle } });
+  return response.data?.productByIdentifier || null;
+}
+
 async function updateOrder(orderUpdateInput) {
   if (!orderUpdateInput.id) {
     throw new ValidationError('Shopify Order GID (id) is required for update.', [{ field: 'id', message: 'Order GID is required.'}]);
@@ -1332,6 +1586,48 @@ async function addProductsToCollection(collectionGID, productGIDs) {
   return response.data?.collectionAddProducts?.collection;
 }
 
+/**
+ * 수동 컬렉션을 만들고 판매 채널에 게시합니다. (예: 브랜드 컬렉션)
+ * @param {object} collectionInput - Shopify CollectionInput (title, handle, descriptionHtml 등).
+ * @returns {Promise<object>} 생성된 컬렉션 { id, handle, title }.
+ */
+async function createCollection(collectionInput) {
+  const mutation = `
+    mutation collectionCreate($input: CollectionInput!) {
+      collectionCreate(input: $input) {
+        collection {
+          id
+          handle
+          title
+        }
+        userErrors {
+          field
+          message
+        }
+      }
+    }`;
+
+  const response = await shopifyGraphqlRequest(mutation, { input: collectionInput });
+
+  if (response.data?.collectionCreate?.userErrors && response.data.collectionCreate.userErrors.length > 0) {
+    const errorMessage = response.data.collectionCreate.userErrors.map(e => `Field: ${e.field?.join(',') || 'N/A'}, Msg: ${e.message}`).join('; ');
+    throw new ExternalServiceError(SERVICE_NAME, null, `Collection creation failed: ${errorMessage}`, 'SHOPIFY_COLLECTION_CREATE_ERROR', { userErrors: response.data.collectionCreate.userErrors });
+  }
+
+  const collection = response.data?.collectionCreate?.collection;
+  if (!collection) {
+    throw new ExternalServiceError(SERVICE_NAME, null, 'Collection creation returned null collection', 'SHOPIFY_COLLECTION_CREATE_NULL');
+  }
+  logger.info(`[${SERVICE_NAME}] Created collection "${collection.title}" (${collection.handle}, ${collection.id})`);
+
+  try {
+    await publishProductToSalesChannels(collection.id); // publishablePublish는 컬렉션에도 사용 가능
+  } catch (publishError) {
+    logger.error(`[${SERVICE_NAME}] Failed to publish collection ${collection.id} to sales channels: ${publishError.message}`);
+  }
+  return collection;
+}
+
 /**
  * 주문의 특정 메타필드를 조회합니다.
  * @param {string} orderId - Shopify 주문 GID
@@ -1395,6 +1691,111 @@ async function deleteProduct(productGid) {
   return deletedProductId;
 }
 
+/**
+ * 상품 상태(ACTIVE/DRAFT/ARCHIVED)만 변경합니다.
+ * updateProduct와 달리 재고/게시 처리를 하지 않으므로 판매 종료 상품 정리에 사용합니다.
+ * @param {string} productGid - Shopify 상품 GID.
+ * @param {'ACTIVE'|'DRAFT'|'ARCHIVED'} status - 변경할 상태.
+ * @returns {Promise<object>} 업데이트된 상품 { id, handle, status }.
+ */
+async function updateProductStatus(productGid, status) {
+  const mutation = `
+    mutation productStatusUpdate($input: ProductInput!) {
+      productUpdate(input: $input) {
+        product {
+          id
+          handle
+          status
+        }
+        userErrors {
+          field
+          message
+        }
+      }
+    }`;
+
+  logger.info(`[${SERVICE_NAME}] Updating status of Shopify product ${productGid} to ${status}`);
+
+  const response = await shopifyGraphqlRequest(mutation, { input: { id: productGid, status } });
+
+  if (response.data?.productUpdate?.userErrors && response.data.productUpdate.userErrors.length > 0) {
+    const errorMessage = response.data.productUpdate.userErrors.map(e => `Field: ${e.field?.join(',') || 'N/A'}, Msg: ${e.message}`).join('; ');
+    throw new ExternalServiceError(SERVICE_NAME, null, `Product status update failed: ${errorMessage}`, 'SHOPIFY_PRODUCT_STATUS_UPDATE_ERROR', { userErrors: response.data.productUpdate.userErrors });
+  }
+
+  const updatedProduct = response.data?.productUpdate?.product;
+  if (!updatedProduct) {
+    throw new ExternalServiceError(SERVICE_NAME, null, 'Product status update returned null product', 'SHOPIFY_PRODUCT_STATUS_UPDATE_NULL');
+  }
+  return updatedProduct;
+}
+
+/**
+ * 스토어 URL 리디렉션을 만듭니다. (예: 판매 종료된 상품 URL → 아티스트 컬렉션)
+ * @param {string} path - 리디렉션할 경로 (예: "/products/bts-photocard-123").
+ * @param {string} target - 이동할 경로 또는 URL (예: "/collections/bts").
+ * @returns {Promise<object>} 생성된 리디렉션 { id, path, target }.
+ */
+async function createUrlRedirect(path, target) {
+  const mutation = `
+    mutation urlRedirectCreate($urlRedirect: UrlRedirectInput!) {
+      urlRedirectCreate(urlRedirect: $urlRedirect) {
+        urlRedirect {
+          id
+          path
+          target
+        }
+        userErrors {
+          field
+          message
+        }
+      }
+    }`;
+
+  const response = await shopifyGraphqlRequest(mutation, { urlRedirect: { path, target } });
+
+  if (response.data?.urlRedirectCreate?.userErrors && response.data.urlRedirectCreate.userErrors.length > 0) {
+    const errorMessage = response.data.urlRedirectCreate.userErrors.map(e => `Field: ${e.field?.join(',') || 'N/A'}, Msg: ${e.message}`).join('; ');
+    throw new ExternalServiceError(SERVICE_NAME, null, `URL redirect creation failed: ${errorMessage}`, 'SHOPIFY_URL_REDIRECT_CREATE_ERROR', { userErrors: response.data.urlRedirectCreate.userErrors });
+  }
+
+  const urlRedirect = response.data?.urlRedirectCreate?.urlRedirect;
+  if (!urlRedirect) {
+    throw new ExternalServiceError(SERVICE_NAME, null, 'URL redirect creation returned null redirect', 'SHOPIFY_URL_REDIRECT_CREATE_NULL');
+  }
+  logger.info(`[${SERVICE_NAME}] Created URL redirect ${urlRedirect.path} -> ${urlRedirect.target} (${urlRedirect.id})`);
+  return urlRedirect;
+}
+
+/**
+ * 스토어 URL 리디렉션을 삭제합니다. (예: 판매 종료됐던 상품이 다시 게시될 때)
+ * @param {string} urlRedirectGid - 리디렉션 GID.
+ * @returns {Promise<string|null>} 삭제된 리디렉션 GID (이미 없으면 null).
+ */
+async function deleteUrlRedirect(urlRedirectGid) {
+  const mutation = `
+    mutation urlRedirectDelete($id: ID!) {
+      urlRedirectDelete(id: $id) {
+        deletedUrlRedirectId
+        userErrors {
+          field
+          message
+        }
+      }
+    }`;
+
+  const response = await shopifyGraphqlRequest(mutation, { id: urlRedirectGid });
+
+  const userErrors = response.data?.urlRedirectDelete?.userErrors || [];
+  if (userErrors.length > 0) {
+    // 관리자가 이미 지운 리디렉션은 삭제된 것으로 처리
+    if (userErrors.every(e => /not\s*found|does not exist/i.test(e.message || ''))) return null;
+    const errorMessage = userErrors.map(e => `Field: ${e.field?.join(',') || 'N/A'}, Msg: ${e.message}`).join('; ');
+    throw new ExternalServiceError(SERVICE_NAME, null, `URL redirect deletion failed: ${errorMessage}`, 'SHOPIFY_URL_REDIRECT_DELETE_ERROR', { userErrors });
+  }
+  return response.data?.urlRedirectDelete?.deletedUrlRedirectId || null;
+}
+
 async function publishProductToOnlineStore(productId) {
   try {
     // This function is now handled by publishProductToSalesChannels
@@ -1409,11 +1810,19 @@ module.exports = {
   shopifyGraphqlRequest,
   createProduct,
   updateProduct,
+  updateProductStatus,
+  createUrlRedirect,
+  deleteUrlRedirect,
   updateProductVariant,
   appendMediaToProduct,
+  createStagedUploads,
+  uploadFileToStagedTarget,
+  deleteProductMedia,
   findProductByBunjangPidTag,
+  findProductByHandle,
   updateOrder,
   addProductsToCollection,
+  createCollection,
   updateInventoryLevel,
   publishProductToOnlineStore,
   getOrderMetafield,
@@ -1423,5 +1832,9 @@ module.exports = {
   updateVariantWithInventoryTracking,
   updateVariantPriceAndSku,
   updateVariantSku,
+  updateInventoryItemWeight,
+  setProductOptionsAndVariants,
+  buildProductSetVariantInputs,
+  getSalesChannelPublications,
   enableInventoryTracking,
 };
\ No newline at end of file
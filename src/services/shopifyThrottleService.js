@@ -0,0 +1,140 @@
+// src/services/shopifyThrottleService.js
+// Shopify GraphQL 비용 기반 요청 조절(leaky bucket)입니다. shopifyGraphqlRequest가 요청 전에 acquire, 응답 후 recordCost를 호출합니다.
+//   - 버킷 상태(잔량, 크기, 초당 회복량)는 응답의 extensions.cost.throttleStatus로 갱신
+//   - 요청 전에 operation별 예상 비용(지난 응답의 requestedQueryCost)만큼 차감하고, 잔량이 부족하면 회복될 때까지 기다림
+//   - Redis가 켜져 있으면 상태를 Redis에 두어 모든 워커/인스턴스가 같은 버킷을 나눠 씀 (Redis 오류 시 프로세스 메모리 상태로 계속)
+
+const config = require('../config');
+const logger = require('../config/logger');
+const { getRedisClient } = require('../config/redisClient');
+
+const SERVICE_NAME = 'ShopifyThrottleSvc';
+const STATE_TTL_SECONDS = 3600; // 한 시간 동안 요청이 없으면 상태를 지우고 기본값부터 다시 시작
+
+// 인스턴스 간 시계 차이가 없도록 Redis 서버 시간(TIME, 초 단위 실수로 저장)을 사용 (replicate_commands는 Redis 5 미만에서 TIME 뒤 쓰기를 허용하기 위함)
+// KEYS[1]: 상태 해시, ARGV: cost, reservePoints, initialMaximumAvailable, initialRestoreRate
+// 반환: 0이면 차감 완료, 아니면 기다려야 할 시간(ms)
+const ACQUIRE_SCRIPT = `
+if redis.replicate_commands then redis.replicate_commands() end
+local state = redis.call('HMGET', KEYS[1], 'available', 'maximum', 'restoreRate', 'updatedAt')
+local time = redis.call('TIME')
+local now = tonumber(time[1]) + tonumber(time[2]) / 1000000
+local cost = tonumber(ARGV[1])
+local maximum = tonumber(state[2]) or tonumber(ARGV[3])
+local restoreRate = tonumber(state[3]) or tonumber(ARGV[4])
+local available = tonumber(state[1]) or maximum
+local updatedAt = tonumber(state[4]) or now
+available = math.min(maximum, available + math.max(0, now - updatedAt) * restoreRate)
+local needed = math.min(cost + tonumber(ARGV[2]), maximum)
+if available < needed then
+  return math.ceil((needed - available) / restoreRate * 1000)
+end
+redis.call('HSET', KEYS[1], 'available', available - cost, 'maximum', maximum, 'restoreRate', restoreRate, 'updatedAt', now)
+redis.call('EXPIRE', KEYS[1], ${STATE_TTL_SECONDS})
+return 0
+`;
+
+// KEYS[1]: 상태 해시, ARGV: currentlyAvailable, maximumAvailable, restoreRate (Shopify가 알려준 값으로 덮어씀)
+const RECORD_SCRIPT = `
+if redis.replicate_commands then redis.replicate_commands() end
+local time = redis.call('TIME')
+local now = tonumber(time[1]) + tonumber(time[2]) / 1000000
+redis.call('HSET', KEYS[1], 'available', ARGV[1], 'maximum', ARGV[2], 'restoreRate', ARGV[3], 'updatedAt', now)
+redis.call('EXPIRE', KEYS[1], ${STATE_TTL_SECONDS})
+return 1
+`;
+
+const estimatedCosts = new Map(); // operation 이름 → 지난 응답의 requestedQueryCost
+let localState = null; // Redis를 쓰지 않을 때의 버킷 상태 { available, maximum, restoreRate, updatedAt }
+
+/**
+ * 사용할 Redis 클라이언트를 반환합니다. Redis가 꺼져 있거나 연결되지 않았으면 null (프로세스 메모리 상태 사용).
+ * @returns {import('ioredis').Redis|null}
+ */
+function getReadyRedisClient() {
+  if (!config.redis.enabled) return null;
+  const client = getRedisClient();
+  return client && client.status === 'ready' ? client : null;
+}
+
+/**
+ * 프로세스 메모리 버킷에서 비용을 차감합니다. (ACQUIRE_SCRIPT와 같은 계산)
+ * @param {number} cost - 예상 비용.
+ * @returns {number} 0이면 차감 완료, 아니면 기다려야 할 시간(ms).
+ */
+function acquireLocal(cost) {
+  const { reservePoints, initialMaximumAvailable, initialRestoreRate } = config.shopify.graphqlThrottle;
+  const now = Date.now();
+  const state = localState || { available: initialMaximumAvailable, maximum: initialMaximumAvailable, restoreRate: initialRestoreRate, updatedAt: now };
+  const available = Math.min(state.maximum, state.available + Math.max(0, now - state.updatedAt) / 1000 * state.restoreRate);
+  const needed = Math.min(cost + reservePoints, state.maximum);
+  if (available < needed) return Math.ceil((needed - available) / state.restoreRate * 1000);
+  localState = { ...state, available: available - cost, updatedAt: now };
+  return 0;
+}
+
+/**
+ * operation을 보내기 전에 예상 비용만큼 버킷에서 차감합니다. 잔량이 부족하면 회복될 때까지 기다립니다.
+ * maxWaitMs를 넘기면 더 기다리지 않고 보냅니다 (Shopify가 THROTTLED로 거절하면 shopifyGraphqlRequest의 재시도가 처리).
+ * @param {string} operationName - GraphQL operation 이름 (비용 추정용).
+ * @returns {Promise<void>}
+ */
+async function acquire(operationName) {
+  const { enabled, defaultQueryCost, reservePoints, initialMaximumAvailable, initialRestoreRate, maxWaitMs, redisKey } = config.shopify.graphqlThrottle;
+  if (!enabled) return;
+
+  const cost = estimatedCosts.get(operationName) || defaultQueryCost;
+  const startedAt = Date.now();
+  for (;;) {
+    let waitMs;
+    const redisClient = getReadyRedisClient();
+    if (redisClient) {
+      try {
+        waitMs = Number(await redisClient.eval(ACQUIRE_SCRIPT, 1, redisKey, cost, reservePoints, initialMaximumAvailable, initialRestoreRate));
+      } catch (error) {
+        logger.warn(`[${SERVICE_NAME}] Shared throttle state unavailable, using local state: ${error.message}`);
+        waitMs = acquireLocal(cost);
+      }
+    } else {
+      waitMs = acquireLocal(cost);
+    }
+    if (waitMs <= 0) return;
+
+    const elapsedMs = Date.now() - startedAt;
+    if (elapsedMs + waitMs > maxWaitMs) {
+      logger.warn(`[${SERVICE_NAME}] ${operationName} (estimated cost ${cost}) waited ${elapsedMs}ms for throttle budget. Sending without waiting further.`);
+      return;
+    }
+    logger.debug(`[${SERVICE_NAME}] Throttle budget low. Waiting ${waitMs}ms before ${operationName} (estimated cost ${cost}).`);
+    await new Promise(resolve => setTimeout(resolve, waitMs));
+  }
+}
+
+/**
+ * 응답의 extensions.cost로 operation 예상 비용과 버킷 상태를 갱신합니다. 실패해도 요청 결과에는 영향을 주지 않습니다.
+ * @param {string} operationName - GraphQL operation 이름.
+ * @param {object} [cost] - extensions.cost { requestedQueryCost, actualQueryCost, throttleStatus: { maximumAvailable, currentlyAvailable, restoreRate } }
+ * @returns {Promise<void>}
+ */
+async function recordCost(operationName, cost) {
+  if (!config.shopify.graphqlThrottle.enabled || !cost) return;
+  if (cost.requestedQueryCost > 0) estimatedCosts.set(operationName, cost.requestedQueryCost);
+
+  const throttleStatus = cost.throttleStatus;
+  if (!throttleStatus || !(throttleStatus.restoreRate > 0)) return;
+  const { currentlyAvailable, maximumAvailable, restoreRate } = throttleStatus;
+  localState = { available: currentlyAvailable, maximum: maximumAvailable, restoreRate, updatedAt: Date.now() };
+
+  const redisClient = getReadyRedisClient();
+  if (!redisClient) return;
+  try {
+    await redisClient.eval(RECORD_SCRIPT, 1, config.shopify.graphqlThrottle.redisKey, currentlyAvailable, maximumAvailable, restoreRate);
+  } catch (error) {
+    logger.warn(`[${SERVICE_NAME}] Failed to record throttle status for ${operationName}: ${error.message}`);
+  }
+}
+
+module.exports = {
+  acquire,
+  recordCost,
+};
@@ -0,0 +1,354 @@
+// src/services/translationService.js
+// 카탈로그 상품명/설명을 한국어에서 영어로 번역합니다.
+// 번역기는 { name, translate(texts, { sourceLanguage, targetLanguage, glossary }) → Promise<string[]> } 인터페이스를 따르며,
+// 기본 제공 번역기는 용어집 번역기(glossaryTranslationProvider)입니다. 외부 번역기는 registerTranslationProvider로 등록하고
+// config.bunjang.translation.provider로 선택합니다. 번역 결과는 원문 해시로 TranslationCache에 저장됩니다.
+
+const crypto = require('crypto');
+
+const config = require('../config');
+const logger = require('../config/logger');
+const GlossaryTerm = require('../models/glossaryTerm.model');
+const TranslationCache = require('../models/translationCache.model');
+const Artist = require('../models/artist.model');
+const { HANGUL_PATTERN, createGlossaryTranslationProvider } = require('./glossaryTranslationProvider');
+const { sanitizeDescriptionText } = require('../mappers/descriptionRenderer');
+const { AppError, NotFoundError, ValidationError } = require('../utils/customErrors');
+
+const SERVICE_NAME = 'TranslationSvc';
+const SOURCE_LANGUAGE = 'ko';
+const TARGET_LANGUAGE = 'en';
+const MAX_TITLE_LENGTH = 255; // Shopify 상품명 길이 제한
+// 시드용 기본 용어집. 관리 API로 추가/수정합니다.
+const DEFAULT_GLOSSARY = [
+  // 상품 종류
+  { source: '포카', target: 'Photocard' },
+  { source: '포토카드', target: 'Photocard' },
+  { source: '미공포', target: 'Unreleased Photocard' },
+  { source: '럭드', target: 'Lucky Draw' },
+  { source: '럭키드로우', target: 'Lucky Draw' },
+  { source: '앨범', target: 'Album' },
+  { source: '응원봉', target: 'Lightstick' },
+  { source: '시즌그리팅', target: "Season's Greetings" },
+  { source: '포토북', target: 'Photobook' },
+  { source: '포스터', target: 'Poster' },
+  { source: '엽서', target: 'Postcard' },
+  { source: '스티커', target: 'Sticker' },
+  { source: '키링', target: 'Keyring' },
+  { source: '인형', target: 'Doll' },
+  { source: '슬로건', target: 'Slogan' },
+  { source: '트레카', target: 'Trading Card' },
+  { source: '굿즈', target: 'Merch' },
+  { source: '특전', target: 'Pre-order Benefit' },
+  { source: '친필사인', target: 'Autographed' },
+  // 상태
+  { source: '미개봉', target: 'Sealed' },
+  { source: '개봉', target: 'Opened' },
+  { source: '새상품', target: 'Brand New' },
+  { source: '새것', target: 'New' },
+  { source: '중고', target: 'Used' },
+  { source: '정품', target: 'Authentic' },
+  { source: '공식', target: 'Official' },
+  { source: '한정판', target: 'Limited Edition' },
+  { source: '풀구성', target: 'Complete Set' },
+  { source: '구성품', target: 'Contents' },
+  { source: '단품', target: 'Single Item' },
+  { source: '일괄', target: 'Bundle' },
+  { source: '세트', target: 'Set' },
+  { source: '랜덤', target: 'Random' },
+  { source: '버전', target: 'Version' },
+  { source: '멤버', target: 'Member' },
+  // 거래 용어
+  { source: '양도', target: 'For Sale' },
+  { source: '판매', target: 'For Sale' },
+  { source: '판매자', target: 'Seller' }, // "판매"보다 먼저 적용됨 (긴 용어 우선)
+  { source: '구매자', target: 'Buyer' },
+  { source: '급처', target: 'Quick Sale' },
+  { source: '택포', target: 'Shipping Included' },
+  { source: '배송비', target: 'Shipping Fee' },
+];
+
+const providers = new Map();
+const glossaryProvider = createGlossaryTranslationProvider();
+providers.set(glossaryProvider.name, glossaryProvider);
+
+let glossaryCache = null; // { glossary, version, loadedAt }
+
+/**
+ * 번역기를 등록합니다. 같은 이름의 번역기가 있으면 교체합니다.
+ * @param {{name: string, translate: function}} provider - translate(texts, context)는 원문과 같은 순서의 번역문 배열을 반환해야 합니다.
+ */
+function registerTranslationProvider(provider) {
+  if (!provider?.name || typeof provider.translate !== 'function') {
+    throw new ValidationError('Translation provider must have a name and a translate(texts, context) function.', []);
+  }
+  providers.set(provider.name.toLowerCase(), provider);
+  logger.info(`[${SERVICE_NAME}] Registered translation provider "${provider.name}".`);
+}
+
+/**
+ * 설정에서 선택한 번역기를 반환합니다. 등록되지 않은 이름이면 용어집 번역기를 사용합니다.
+ * @returns {{name: string, translate: function}}
+ */
+function getActiveProvider() {
+  const providerName = config.bunjang.translation.provider;
+  const provider = providers.get(providerName);
+  if (!provider) {
+    logger.warn(`[${SERVICE_NAME}] Translation provider "${providerName}" is not registered. Using the glossary provider.`);
+    return glossaryProvider;
+  }
+  return provider;
+}
+
+/**
+ * 용어집을 불러옵니다. (DB 용어 + 아티스트 사전의 한글 이름, 같은 용어는 DB 용어 우선)
+ * config.bunjang.translation.glossaryRefreshMs 동안 메모리에 보관하며, 관리 API로 용어를 바꾸면 바로 다시 불러옵니다.
+ * @returns {Promise<{glossary: Array<{source: string, target: string}>, version: string}>} version은 용어집 내용 해시 (캐시 키에 포함).
+ */
+async function loadGlossary() {
+  if (glossaryCache && Date.now() - glossaryCache.loadedAt < config.bunjang.translation.glossaryRefreshMs) {
+    return glossaryCache;
+  }
+  const [terms, artists] = await Promise.all([
+    GlossaryTerm.find({ enabled: true }).select('source target').lean(),
+    Artist.find({ enabled: true }).select('name aliases members').lean(),
+  ]);
+
+  const targetsBySource = new Map();
+  const addHangulAliases = (name, aliases = []) => aliases
+    .filter(alias => HANGUL_PATTERN.test(alias))
+    .forEach(alias => targetsBySource.set(alias.trim(), name));
+  for (const artist of artists) {
+    addHangulAliases(artist.name, artist.aliases);
+    (artist.members || []).forEach(member => addHangulAliases(member.name, member.aliases));
+  }
+  terms.forEach(term => targetsBySource.set(term.source, term.target));
+
+  const glossary = [...targetsBySource.entries()]
+    .map(([source, target]) => ({ source, target }))
+    .sort((a, b) => a.source.localeCompare(b.source));
+  const version = crypto.createHash('sha256').update(JSON.stringify(glossary)).digest('hex').substring(0, 16);
+  glossaryCache = { glossary, version, loadedAt: Date.now() };
+  logger.debug(`[${SERVICE_NAME}] Loaded translation glossary: ${terms.length} term(s), ${glossary.length - terms.length} artist name(s), version ${version}.`);
+  return glossaryCache;
+}
+
+/**
+ * 원문 목록을 번역합니다. 캐시에 있는 번역은 재사용하고, 나머지만 번역기에 한 번에 요청합니다.
+ * 한국어가 없는 원문은 번역하지 않습니다. 번역기 호출이 실패하면 용어집 번역기로 대신 번역합니다.
+ * @param {string[]} texts - 원문 목록.
+ * @returns {Promise<{translations: string[], provider: string}>} 원문과 같은 순서의 번역문과 실제로 사용한 번역기 이름.
+ */
+async function translateTexts(texts) {
+  let provider = getActiveProvider();
+  const { glossary, version } = await loadGlossary();
+  const translations = texts.map(text => (text && HANGUL_PATTERN.test(text) ? null : text));
+  const pendingIndexes = translations.map((translation, index) => (translation === null ? index : -1)).filter(index => index >= 0);
+  if (pendingIndexes.length === 0) return { translations, provider: provider.name };
+
+  const cacheKeyOf = (providerName, text) => crypto.createHash('sha256').update(`${providerName}|${version}|${text}`).digest('hex');
+  const cacheKeys = new Map(pendingIndexes.map(index => [index, cacheKeyOf(provider.name, texts[index])]));
+  const cached = await TranslationCache.find({ cacheKey: { $in: [...cacheKeys.values()] } }).select('cacheKey translatedText').lean();
+  const cachedByKey = new Map(cached.map(entry => [entry.cacheKey, entry.translatedText]));
+  if (cached.length > 0) {
+    await TranslationCache.updateMany({ cacheKey: { $in: [...cachedByKey.keys()] } }, { $set: { lastUsedAt: new Date() }, $inc: { hitCount: 1 } });
+  }
+
+  const missIndexes = pendingIndexes.filter(index => {
+    const hit = cachedByKey.get(cacheKeys.get(index));
+    if (hit !== undefined) translations[index] = hit;
+    return hit === undefined;
+  });
+  if (missIndexes.length === 0) return { translations, provider: provider.name };
+
+  const context = { sourceLanguage: SOURCE_LANGUAGE, targetLanguage: TARGET_LANGUAGE, glossary };
+  let translated;
+  try {
+    translated = await provider.translate(missIndexes.map(index => texts[index]), context);
+    if (!Array.isArray(translated) || translated.length !== missIndexes.length) {
+      throw new Error(`Provider returned ${Array.isArray(translated) ? translated.length : typeof translated} result(s) for ${missIndexes.length} text(s).`);
+    }
+  } catch (error) {
+    if (provider === glossaryProvider) throw error;
+    logger.warn(`[${SERVICE_NAME}] Translation provider "${provider.name}" failed, falling back to the glossary provider: ${error.message}`);
+    provider = glossaryProvider;
+    translated = await provider.translate(missIndexes.map(index => texts[index]), context);
+  }
+
+  const now = new Date();
+  await TranslationCache.bulkWrite(missIndexes.map((index, position) => {
+    translations[index] = translated[position];
+    return {
+      updateOne: {
+        filter: { cacheKey: cacheKeyOf(provider.name, texts[index]) },
+        update: {
+          $set: { translatedText: translated[position], lastUsedAt: now },
+          $setOnInsert: { provider: provider.name, glossaryVersion: version, sourceLanguage: SOURCE_LANGUAGE, targetLanguage: TARGET_LANGUAGE },
+        },
+        upsert: true,
+      },
+    };
+  }), { ordered: false });
+  return { translations, provider: provider.name };
+}
+
+/**
+ * 상품명과 설명을 영어로 번역합니다. 동기화 단계에서 Shopify 입력을 만들기 전에 호출합니다.
+ * 설명은 외부 연락처/링크를 제거한 텍스트(sanitizeDescriptionText)를 번역합니다. 번역에 실패해도 동기화는 한국어 원문으로 계속합니다.
+ * @param {object} bunjangProduct - processCatalogRow 결과 상품 객체 (pid, name, description).
+ * @param {string} [jobId='N/A'] - 작업 식별자 (로깅용).
+ * @returns {Promise<object|null>} { title, description, provider }. 번역이 꺼져 있거나 실패하면 null.
+ */
+async function translateProductContent(bunjangProduct, jobId = 'N/A') {
+  if (!config.bunjang.translation.enabled) return null;
+  try {
+    const { translations, provider } = await translateTexts([bunjangProduct.name || '', sanitizeDescriptionText(bunjangProduct.description)]);
+    const [title, description] = translations;
+    return { title: (title || '').substring(0, MAX_TITLE_LENGTH) || null, description: description || null, provider };
+  } catch (error) {
+    logger.error(`[${SERVICE_NAME}:Job-${jobId}] Failed to translate PID ${bunjangProduct.pid}. Publishing Korean text: ${error.message}`);
+    return null;
+  }
+}
+
+/**
+ * 번역한 상품의 한국어 원문을 Shopify 메타필드 입력으로 만듭니다. 설명은 외부 연락처/링크를 제거한 텍스트를 보관합니다.
+ * @param {object} bunjangProduct - translateProductContent 결과(translation)가 있는 상품 객체.
+ * @returns {Array<object>} bunjang.original_title, bunjang.original_description 메타필드 (번역하지 않았으면 빈 배열).
+ */
+function buildOriginalTextMetafields(bunjangProduct) {
+  if (!bunjangProduct.translation) return [];
+  const metafields = [];
+  if (bunjangProduct.name) {
+    metafields.push({ namespace: 'bunjang', key: 'original_title', type: 'single_line_text_field', value: bunjangProduct.name });
+  }
+  const originalDescription = sanitizeDescriptionText(bunjangProduct.description);
+  if (originalDescription) {
+    metafields.push({ namespace: 'bunjang', key: 'original_description', type: 'multi_line_text_field', value: originalDescription });
+  }
+  return metafields;
+}
+
+/**
+ * 용어 목록을 원문순으로 조회합니다.
+ * @param {object} [filters] - { enabled }
+ * @returns {Promise<object[]>}
+ */
+async function listGlossaryTerms({ enabled } = {}) {
+  const query = {};
+  if (enabled !== undefined) query.enabled = enabled;
+  return GlossaryTerm.find(query).sort({ source: 1 }).lean();
+}
+
+/**
+ * 용어 하나를 조회합니다.
+ * @param {string} termId - GlossaryTerm 문서 ID.
+ * @returns {Promise<object>}
+ * @throws {NotFoundError} 용어가 없는 경우.
+ */
+async function getGlossaryTerm(termId) {
+  const term = await GlossaryTerm.findById(termId).lean();
+  if (!term) throw new NotFoundError(undefined, 'GlossaryTerm', termId);
+  return term;
+}
+
+/**
+ * 원문 중복 오류를 409로 변환하여 저장하고, 용어집 메모리 캐시를 비웁니다.
+ * @param {function} saveFn - 저장 함수.
+ * @param {string} source - 용어 원문 (오류 메시지용).
+ * @returns {Promise<*>}
+ */
+async function saveGlossaryTerm(saveFn, source) {
+  try {
+    return await saveFn();
+  } catch (error) {
+    if (error.code === 11000) {
+      throw new AppError(`같은 원문의 용어가 이미 있습니다: ${source}`, 409, 'GLOSSARY_TERM_CONFLICT');
+    }
+    throw error;
+  } finally {
+    glossaryCache = null;
+  }
+}
+
+/**
+ * 용어를 추가합니다.
+ * @param {object} data - { source, target, description, enabled }
+ * @returns {Promise<object>}
+ */
+async function createGlossaryTerm(data) {
+  const created = await saveGlossaryTerm(() => GlossaryTerm.create(data), data.source);
+  logger.info(`[${SERVICE_NAME}] Added glossary term "${created.source}" -> "${created.target}".`);
+  return created.toObject();
+}
+
+/**
+ * 용어의 일부 필드를 수정합니다.
+ * @param {string} termId - GlossaryTerm 문서 ID.
+ * @param {object} updates - 수정할 필드.
+ * @returns {Promise<object>}
+ * @throws {NotFoundError} 용어가 없는 경우.
+ */
+async function updateGlossaryTerm(termId, updates) {
+  const updated = await saveGlossaryTerm(
+    () => GlossaryTerm.findByIdAndUpdate(termId, { $set: updates }, { new: true, runValidators: true }).lean(),
+    updates.source || termId
+  );
+  if (!updated) throw new NotFoundError(undefined, 'GlossaryTerm', termId);
+  logger.info(`[${SERVICE_NAME}] Updated glossary term "${updated.source}" (${termId}). Fields: [${Object.keys(updates).join(', ')}]`);
+  return updated;
+}
+
+/**
+ * 용어를 삭제합니다.
+ * @param {string} termId - GlossaryTerm 문서 ID.
+ * @returns {Promise<object>} 삭제된 용어.
+ * @throws {NotFoundError} 용어가 없는 경우.
+ */
+async function deleteGlossaryTerm(termId) {
+  const deleted = await saveGlossaryTerm(() => GlossaryTerm.findByIdAndDelete(termId).lean(), termId);
+  if (!deleted) throw new NotFoundError(undefined, 'GlossaryTerm', termId);
+  logger.info(`[${SERVICE_NAME}] Deleted glossary term "${deleted.source}" (${termId}).`);
+  return deleted;
+}
+
+/**
+ * 현재 번역기와 용어집으로 샘플을 번역합니다. (결과는 캐시에 저장됨)
+ * @param {object} sample - { name, description }
+ * @returns {Promise<object>} { title, description, provider }
+ */
+async function translateSample({ name, description }) {
+  const { translations, provider } = await translateTexts([name || '', description || '']);
+  return { title: translations[0], description: translations[1], provider };
+}
+
+/**
+ * 기본 용어집을 추가합니다. 이미 있는 용어(같은 원문)는 바꾸지 않습니다.
+ * @returns {Promise<object>} { total, created, existing }
+ */
+async function seedDefaultGlossary() {
+  const result = await GlossaryTerm.bulkWrite(DEFAULT_GLOSSARY.map(term => ({
+    updateOne: {
+      filter: { source: term.source },
+      update: { $setOnInsert: { enabled: true, ...term } },
+      upsert: true,
+    },
+  })), { ordered: false });
+  glossaryCache = null;
+  const created = result.upsertedCount || 0;
+  logger.info(`[${SERVICE_NAME}] Seeded default translation glossary. Created: ${created}, Existing: ${DEFAULT_GLOSSARY.length - created}`);
+  return { total: DEFAULT_GLOSSARY.length, created, existing: DEFAULT_GLOSSARY.length - created };
+}
+
+module.exports = {
+  registerTranslationProvider,
+  translateProductContent,
+  buildOriginalTextMetafields,
+  listGlossaryTerms,
+  getGlossaryTerm,
+  createGlossaryTerm,
+  updateGlossaryTerm,
+  deleteGlossaryTerm,
+  translateSample,
+  seedDefaultGlossary,
+};
@@ -3,6 +3,7 @@
 
 const fs = require('fs-extra'); // fs-extra는 mkdirp, pathExists 등 편리한 기능 제공
 const csv = require('csv-parser');
+const { pipeline } = require('node:stream');
 const logger = require('../config/logger'); // ../config/logger.js
 const { AppError } = require('./customErrors'); // ./customErrors.js
 
@@ -88,6 +89,39 @@ async function parseCsvFile(filePath, rowProcessorAsync = null, csvParserOptions
   });
 }
 
+/**
+ * CSV 파일의 행을 하나씩 비동기로 반환하는 제너레이터입니다.
+ * 호출 측이 for await 루프에서 다음 행을 요청할 때만 읽기가 진행되므로(backpressure),
+ * 전체 파일을 메모리에 올리지 않고 행 단위로 처리할 수 있습니다. 루프를 중간에 빠져나오면 스트림이 정리됩니다.
+ * @param {string} filePath - CSV 파일 경로.
+ * @param {object} [csvParserOptions] - csv-parser 라이브러리 옵션.
+ * @yields {object} 파싱된 행 객체.
+ * @throws {AppError} 파일 읽기 또는 파싱 실패 시.
+ */
+async function* iterateCsvRows(filePath, csvParserOptions = {}) {
+  const absoluteFilePath = require('path').resolve(filePath);
+  // 파일 스트림 오류도 csv 스트림으로 전달되도록 stream.pipeline으로 연결
+  const rowStream = pipeline(
+    fs.createReadStream(absoluteFilePath),
+    csv({
+      mapHeaders: ({ header }) => header.trim(),
+      ...csvParserOptions,
+    }),
+    () => {} // 오류는 아래 for await 루프에서 처리
+  );
+
+  try {
+    for await (const row of rowStream) {
+      yield row;
+    }
+  } catch (error) {
+    logger.error(`[CsvProcessor] Error streaming CSV file ${absoluteFilePath}:`, error);
+    if (error instanceof AppError) throw error;
+    throw new AppError(`CSV 파일 파싱 또는 파이프라인 오류: ${error.message}`, 500, 'CSV_PARSING_PIPELINE_ERROR', true, { originalError: error });
+  }
+}
+
 module.exports = {
   parseCsvFile,
+  iterateCsvRows,
 };
@@ -0,0 +1,72 @@
+// src/utils/perceptualHash.js
+// 이미지의 perceptual hash(pHash)를 계산합니다. 같은 사진을 다시 올리면(재업로드, 리사이즈, 재압축) 파일 해시는 달라도
+// pHash는 거의 같으므로, 해밍 거리로 같은 사진인지 판단합니다 (중복/재등록 상품 감지에 사용).
+//   1. 32x32 흑백으로 축소  2. 2차원 DCT  3. 저주파 8x8 계수 중 DC를 뺀 63개를 그 중앙값과 비교해 비트 생성
+//   (결과는 64비트 자리의 16진수 16자리이며 최상위 비트는 쓰지 않음)
+
+const sharp = require('sharp');
+
+const SAMPLE_SIZE = 32;
+const HASH_SIZE = 8;
+
+// DCT 계수 (SAMPLE_SIZE x HASH_SIZE, 저주파만 필요)
+const DCT_COEFFICIENTS = Array.from({ length: HASH_SIZE }, (_, u) =>
+  Array.from({ length: SAMPLE_SIZE }, (__, x) => Math.cos(((2 * x + 1) * u * Math.PI) / (2 * SAMPLE_SIZE)))
+);
+
+/**
+ * 이미지 파일 내용으로 pHash를 계산합니다.
+ * @param {Buffer} buffer - 이미지 파일 내용 (JPEG/PNG/GIF/WEBP).
+ * @returns {Promise<string>} 16자리 16진수 (하위 63비트 사용).
+ */
+async function computePerceptualHash(buffer) {
+  const pixels = await sharp(buffer, { failOn: 'none' })
+    .rotate() // EXIF 방향 반영
+    .resize(SAMPLE_SIZE, SAMPLE_SIZE, { fit: 'fill' })
+    .grayscale()
+    .raw()
+    .toBuffer();
+
+  const coefficients = [];
+  for (let u = 0; u < HASH_SIZE; u++) {
+    for (let v = 0; v < HASH_SIZE; v++) {
+      let sum = 0;
+      for (let y = 0; y < SAMPLE_SIZE; y++) {
+        for (let x = 0; x < SAMPLE_SIZE; x++) {
+          sum += DCT_COEFFICIENTS[u][y] * DCT_COEFFICIENTS[v][x] * pixels[y * SAMPLE_SIZE + x];
+        }
+      }
+      coefficients.push(sum);
+    }
+  }
+
+  const acCoefficients = coefficients.slice(1); // DC(평균 밝기)는 중앙값과 비트 모두에서 제외
+  const median = [...acCoefficients].sort((a, b) => a - b)[Math.floor(acCoefficients.length / 2)];
+  let hash = 0n;
+  for (const coefficient of acCoefficients) {
+    hash = (hash << 1n) | (coefficient > median ? 1n : 0n);
+  }
+  return hash.toString(16).padStart(HASH_SIZE * HASH_SIZE / 4, '0');
+}
+
+/**
+ * 두 pHash의 해밍 거리(다른 비트 수)를 계산합니다.
+ * @param {string} hashA - computePerceptualHash 결과.
+ * @param {string} hashB - computePerceptualHash 결과.
+ * @returns {number|null} 0(같은 사진) ~ 63. 둘 중 하나라도 없으면 null.
+ */
+function hammingDistance(hashA, hashB) {
+  if (!hashA || !hashB) return null;
+  let diff = BigInt(`0x${hashA}`) ^ BigInt(`0x${hashB}`);
+  let distance = 0;
+  while (diff > 0n) {
+    distance += Number(diff & 1n);
+    diff >>= 1n;
+  }
+  return distance;
+}
+
+module.exports = {
+  computePerceptualHash,
+  hammingDistance,
+};
@@ -0,0 +1,111 @@
+// src/utils/productContentHash.js
+// 카탈로그 상품 중 Shopify에 매핑되는 필드의 안정적인 해시를 계산합니다.
+// updatedAt만 바뀌고 내용은 같은 행을 건너뛰고, 실제로 바뀐 필드만 Shopify에 반영하기 위해 사용합니다.
+
+const crypto = require('crypto');
+
+const CONTENT_HASH_ALGORITHM = 'sha256-v1'; // 정규화 규칙이 바뀌면 버전을 올려 전체 재동기화를 유도
+const CONTENT_HASH_FIELDS = ['name', 'description', 'price', 'shippingFee', 'images', 'options', 'category', 'brand'];
+
+/**
+ * 이미지 목록(쉼표 구분 문자열 또는 배열)을 공백 제거된 URL 배열로 정규화합니다. 순서는 대표 이미지 결정에 영향을 주므로 유지합니다.
+ * @param {string|string[]} images
+ * @returns {string[]}
+ */
+function normalizeImages(images) {
+  const list = Array.isArray(images) ? images : String(images || '').split(',');
+  return list.map(url => String(url || '').trim()).filter(Boolean);
+}
+
+/**
+ * 옵션 원본(JSON 문자열 또는 배열)을 정규화합니다. JSON 파싱에 실패하면 공백 제거된 원본 문자열을 사용합니다.
+ * @param {string|Array} optionsRaw
+ * @returns {*}
+ */
+function normalizeOptions(optionsRaw) {
+  if (Array.isArray(optionsRaw)) return optionsRaw;
+  const text = String(optionsRaw || '').trim();
+  if (!text) return null;
+  try {
+    return JSON.parse(text);
+  } catch (e) {
+    return text;
+  }
+}
+
+/**
+ * 객체 키를 정렬하여 직렬화합니다. (키 순서와 무관하게 같은 값이면 같은 문자열)
+ * @param {*} value
+ * @returns {string}
+ */
+function stableStringify(value) {
+  if (value === undefined) return 'null';
+  if (value === null || typeof value !== 'object') return JSON.stringify(value);
+  if (Array.isArray(value)) return `[${value.map(stableStringify).join(',')}]`;
+  return `{${Object.keys(value).sort().map(key => `${JSON.stringify(key)}:${stableStringify(value[key])}`).join(',')}}`;
+}
+
+function sha256(text) {
+  return crypto.createHash('sha256').update(text).digest('hex');
+}
+
+/**
+ * processCatalogRow 결과 상품에서 해시 대상 필드를 정규화하여 추출합니다.
+ * @param {object} bunjangProduct
+ * @returns {object} CONTENT_HASH_FIELDS를 키로 갖는 객체.
+ */
+function extractHashableContent(bunjangProduct) {
+  const toNumber = value => (Number.isFinite(Number(value)) ? Number(value) : 0);
+  return {
+    name: String(bunjangProduct.name || '').trim(),
+    description: String(bunjangProduct.description || '').trim(),
+    price: toNumber(bunjangProduct.price),
+    shippingFee: toNumber(bunjangProduct.shippingFee),
+    images: normalizeImages(bunjangProduct.images),
+    options: normalizeOptions(bunjangProduct.optionsRaw),
+    category: { id: bunjangProduct.categoryId || '', name: bunjangProduct.categoryName || '' },
+    // 브랜드 캐시에 있는 브랜드는 이름/slug/컬렉션도 포함 (브랜드 이름이 알려지거나 컬렉션이 생기면 vendor/태그/컬렉션을 다시 반영)
+    brand: bunjangProduct.brand
+      ? {
+        id: bunjangProduct.brandId || '',
+        name: bunjangProduct.brand.name || '',
+        slug: bunjangProduct.brand.slug || '',
+        collection: bunjangProduct.brand.shopifyCollectionGid || '',
+      }
+      : bunjangProduct.brandId || '',
+  };
+}
+
+/**
+ * 상품 전체 해시와 필드별 해시를 계산합니다.
+ * @param {object} bunjangProduct - processCatalogRow 결과 상품 객체.
+ * @returns {{ contentHash: string, fieldHashes: object, algorithm: string }}
+ */
+function computeProductContentHashes(bunjangProduct) {
+  const content = extractHashableContent(bunjangProduct);
+  const fieldHashes = {};
+  CONTENT_HASH_FIELDS.forEach(field => {
+    fieldHashes[field] = sha256(stableStringify(content[field]));
+  });
+  const contentHash = sha256(`${CONTENT_HASH_ALGORITHM}:${CONTENT_HASH_FIELDS.map(field => fieldHashes[field]).join(':')}`);
+  return { contentHash, fieldHashes, algorithm: CONTENT_HASH_ALGORITHM };
+}
+
+/**
+ * 이전에 저장된 필드별 해시와 비교하여 바뀐 필드 목록을 반환합니다.
+ * @param {object} [previousFieldHashes] - SyncedProduct.bunjangContentFieldHashes.
+ * @param {object} nextFieldHashes - computeProductContentHashes().fieldHashes.
+ * @returns {string[]|null} 바뀐 필드 목록. 이전 해시가 없어 비교할 수 없으면 null.
+ */
+function diffContentFieldHashes(previousFieldHashes, nextFieldHashes) {
+  if (!previousFieldHashes || CONTENT_HASH_FIELDS.some(field => !previousFieldHashes[field])) return null;
+  return CONTENT_HASH_FIELDS.filter(field => previousFieldHashes[field] !== nextFieldHashes[field]);
+}
+
+module.exports = {
+  CONTENT_HASH_ALGORITHM,
+  CONTENT_HASH_FIELDS,
+  normalizeImages,
+  computeProductContentHashes,
+  diffContentFieldHashes,
+};
@@ -0,0 +1,39 @@
+// test/mappers/conditionGrader.test.js
+// gradeCondition이 판매자가 등록한 상태를 설명 표현으로 올리지 않고, 부정/범위가 다른 미개봉 표현을 무시하는지 확인합니다.
+
+process.env.LOG_DIR = require('os').tmpdir();
+process.env.LOG_LEVEL = 'error';
+
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const { gradeCondition } = require('../../src/mappers/conditionGrader');
+
+test('text cues never upgrade a damaged or used listing', () => {
+  assert.equal(gradeCondition({ condition: 'DAMAGED', name: '새상품 앨범', description: '' }).grade, 'DAMAGED');
+  assert.equal(gradeCondition({ condition: 'USED', name: '[미개봉] 세븐틴 앨범', description: '' }).grade, 'GOOD');
+  assert.equal(gradeCondition({ condition: 'USED', name: '앨범', description: '거의 새것이에요' }).grade, 'GOOD');
+});
+
+test('text cues refine a listing the seller declared new', () => {
+  assert.equal(gradeCondition({ condition: 'NEW', name: '[미개봉] 세븐틴 앨범', description: '' }).grade, 'SEALED');
+  assert.equal(gradeCondition({ condition: 'NEW', name: '앨범', description: '개봉 안 한 미개봉 상품입니다' }).grade, 'SEALED');
+  assert.equal(gradeCondition({ condition: 'NEW', name: '앨범', description: '거의 새것' }).grade, 'LIKE_NEW');
+});
+
+test('negated sealed cues are ignored', () => {
+  assert.equal(gradeCondition({ condition: 'NEW', name: '앨범', description: '미개봉 아님, 개봉함' }).grade, 'NEW');
+  assert.equal(gradeCondition({ condition: 'NEW', name: '앨범', description: '미개봉 아닙니다' }).grade, 'NEW');
+  assert.equal(gradeCondition({ condition: 'NEW', name: '앨범 밀봉 X', description: '' }).grade, 'NEW');
+  assert.equal(gradeCondition({ condition: 'NEW', name: 'album', description: 'not sealed, opened once' }).grade, 'NEW');
+});
+
+test('sealed cues about another item in a photocard-only listing are ignored', () => {
+  assert.equal(gradeCondition({ condition: 'NEW', name: '세븐틴 포카', description: '앨범 미개봉, 포카만 판매' }).grade, 'NEW');
+});
+
+test('flaw cues still downgrade', () => {
+  const grade = gradeCondition({ condition: 'NEW', name: '[미개봉] 앨범', description: '모서리 찍힘 있어요' });
+  assert.equal(grade.grade, 'DAMAGED');
+  assert.equal(gradeCondition({ condition: 'NEW', name: '미개봉 앨범', description: '하자 없음' }).grade, 'SEALED');
+  assert.equal(gradeCondition({ condition: 'USED', name: '앨범', description: '생활기스 있음' }).grade, 'FAIR');
+});
@@ -0,0 +1,24 @@
+// test/mappers/descriptionRenderer.test.js
+// sanitizeDescriptionText가 외부 연락처 부분만 지우고 카카오 관련 상품 설명은 남기는지 확인합니다.
+
+process.env.LOG_DIR = require('os').tmpdir();
+process.env.LOG_LEVEL = 'error';
+
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const { sanitizeDescriptionText } = require('../../src/mappers/descriptionRenderer');
+
+test('messenger contacts are redacted without dropping the rest of the line', () => {
+  assert.equal(sanitizeDescriptionText('미개봉 앨범입니다. 카톡으로 문의 주세요'), '미개봉 앨범입니다.');
+  assert.equal(sanitizeDescriptionText('포카 포함, 카카오톡 id: seller_01 연락주세요'), '포카 포함,');
+  assert.equal(sanitizeDescriptionText('급처합니다 카카오 아이디 abc123'), '급처합니다');
+  assert.equal(sanitizeDescriptionText('네고 가능 오픈채팅 https://open.kakao.com/o/sAbCdEf'), '네고 가능');
+  assert.equal(sanitizeDescriptionText('택포 2만원\n카톡 010-1234-5678\n상태 좋아요'), '택포 2만원\n상태 좋아요');
+  assert.equal(sanitizeDescriptionText('line id: kpopfan 텔레그램 문의'), '');
+});
+
+test('Kakao merchandise descriptions survive', () => {
+  assert.equal(sanitizeDescriptionText('카카오프렌즈 라이언 인형 팝니다'), '카카오프렌즈 라이언 인형 팝니다');
+  assert.equal(sanitizeDescriptionText('카카오 공식 굿즈, Kakao Friends 정품'), '카카오 공식 굿즈, Kakao Friends 정품');
+  assert.equal(sanitizeDescriptionText('라인프렌즈 BT21 쿠키 키링'), '라인프렌즈 BT21 쿠키 키링');
+});
@@ -0,0 +1,31 @@
+// test/mappers/variantMapper.test.js
+// buildVariantPlan의 variant SKU가 옵션 추가/삭제/재정렬에도 같은 조합이면 유지되는지 확인합니다.
+
+process.env.LOG_DIR = require('os').tmpdir();
+process.env.LOG_LEVEL = 'error';
+
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const { buildVariantPlan } = require('../../src/mappers/variantMapper');
+
+function skusByTitle(options) {
+  const plan = buildVariantPlan({ pid: '123', price: 10000, optionsRaw: JSON.stringify(options) });
+  return new Map(plan.variants.map(variant => [variant.optionValues.map(optionValue => optionValue.name).join(' / '), variant.sku]));
+}
+
+test('option SKUs stay the same when options are added, removed or reordered', () => {
+  const before = skusByTitle([{ id: '멤버', value: '정국' }, { id: '멤버', value: '지민' }, { id: '멤버', value: '뷔' }]);
+  const reordered = skusByTitle([{ id: '멤버', value: '뷔' }, { id: '멤버', value: '정국' }, { id: '멤버', value: '지민' }]);
+  const changed = skusByTitle([{ id: '멤버', value: 'RM' }, { id: '멤버', value: '지민' }, { id: '멤버', value: '정국' }]);
+
+  assert.equal(new Set(before.values()).size, 3);
+  for (const title of ['정국', '지민', '뷔']) assert.equal(reordered.get(title), before.get(title));
+  assert.equal(changed.get('정국'), before.get('정국'));
+  assert.equal(changed.get('지민'), before.get('지민'));
+  assert.match(before.get('정국'), /^BJ-123-[0-9a-f]{8}$/);
+});
+
+test('products without choice options keep the plain PID SKU', () => {
+  const plan = buildVariantPlan({ pid: '123', price: 10000, optionsRaw: JSON.stringify([{ id: '버전', value: 'A' }]) });
+  assert.deepEqual(plan.variants.map(variant => variant.sku), ['BJ-123']);
+});
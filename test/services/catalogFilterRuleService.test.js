@@ -0,0 +1,61 @@
+// test/services/catalogFilterRuleService.test.js
+// evaluateFilterRules가 priority 순서로 처음 일치한 규칙을 따르고, 일치하는 규칙이 없을 때 허용 목록/기본 포함으로 동작하는지 확인합니다.
+
+process.env.LOG_DIR = require('os').tmpdir();
+process.env.LOG_LEVEL = 'error';
+// shopifyService가 로드 시 Shopify API 클라이언트를 초기화하므로 자리표시 값을 둠 (이 테스트는 Shopify를 호출하지 않음)
+process.env.SHOPIFY_SHOP_DOMAIN = process.env.SHOPIFY_SHOP_DOMAIN || 'test-shop.myshopify.com';
+process.env.SHOPIFY_API_KEY = process.env.SHOPIFY_API_KEY || 'test-key';
+process.env.SHOPIFY_API_SECRET = process.env.SHOPIFY_API_SECRET || 'test-secret';
+process.env.SHOPIFY_ADMIN_ACCESS_TOKEN = process.env.SHOPIFY_ADMIN_ACCESS_TOKEN || 'test-token';
+
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const { compileRule, evaluateFilterRules } = require('../../src/services/catalogFilterRuleService');
+const { ValidationError } = require('../../src/utils/customErrors');
+
+let nextRuleId = 1;
+function rule(definition) {
+  return compileRule({ _id: `rule-${nextRuleId++}`, name: `${definition.effect}-${definition.type}`, ...definition });
+}
+
+const albumProduct = { pid: '100', name: 'BTS 앨범 미개봉', categoryId: '310', price: 30000, condition: 'NEW', images: 'https://a/1.jpg,https://a/2.jpg' };
+
+test('the first matching rule in priority order decides', () => {
+  const excludeAlbums = rule({ effect: 'EXCLUDE', type: 'CATEGORY', values: ['310'] });
+  const includeBts = rule({ effect: 'INCLUDE', type: 'KEYWORD_REGEX', pattern: 'bts' });
+
+  const excluded = evaluateFilterRules(albumProduct, [excludeAlbums, includeBts]);
+  assert.equal(excluded.decision, 'EXCLUDED');
+  assert.equal(excluded.reason, 'RULE_MATCH');
+  assert.equal(excluded.ruleId, excludeAlbums.id);
+
+  const included = evaluateFilterRules(albumProduct, [includeBts, excludeAlbums]);
+  assert.equal(included.decision, 'INCLUDED');
+  assert.equal(included.ruleId, includeBts.id);
+});
+
+test('unmatched products are excluded when any include rule exists and included otherwise', () => {
+  const includeSeller = rule({ effect: 'INCLUDE', type: 'SELLER', values: ['seller-1'] });
+  const excludeCheap = rule({ effect: 'EXCLUDE', type: 'PRICE_BAND', maxPriceKrw: 5000 });
+
+  const allowlisted = evaluateFilterRules(albumProduct, [excludeCheap, includeSeller]);
+  assert.equal(allowlisted.decision, 'EXCLUDED');
+  assert.equal(allowlisted.reason, 'NO_INCLUDE_MATCH');
+  assert.equal(allowlisted.ruleId, null);
+
+  const defaultIncluded = evaluateFilterRules(albumProduct, [excludeCheap]);
+  assert.equal(defaultIncluded.decision, 'INCLUDED');
+  assert.equal(defaultIncluded.reason, 'NO_RULE_MATCH');
+
+  assert.equal(evaluateFilterRules(albumProduct, []), null);
+});
+
+test('MIN_IMAGE_COUNT matches products with fewer images than required', () => {
+  const excludeFewImages = rule({ effect: 'EXCLUDE', type: 'MIN_IMAGE_COUNT', minImageCount: 3 });
+
+  assert.equal(evaluateFilterRules(albumProduct, [excludeFewImages]).decision, 'EXCLUDED');
+  assert.equal(evaluateFilterRules({ ...albumProduct, images: 'https://a/1.jpg, https://a/2.jpg,,https://a/3.jpg' }, [excludeFewImages]).decision, 'INCLUDED');
+  assert.equal(evaluateFilterRules({ ...albumProduct, images: '' }, [excludeFewImages]).decision, 'EXCLUDED');
+  assert.throws(() => rule({ effect: 'EXCLUDE', type: 'MIN_IMAGE_COUNT', minImageCount: 0 }), ValidationError);
+});
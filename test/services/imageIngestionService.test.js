@@ -0,0 +1,46 @@
+// test/services/imageIngestionService.test.js
+// validateProductImages가 없는 이미지(4xx)는 사용할 수 없음으로 세고, CDN 장애(타임아웃, 5xx)만 있으면 DRAFT 대신 실패로 처리하는지 확인합니다.
+
+process.env.LOG_DIR = require('os').tmpdir();
+process.env.LOG_LEVEL = 'error';
+// shopifyService가 로드 시 Shopify API 클라이언트를 초기화하므로 자리표시 값을 둠 (이 테스트는 Shopify를 호출하지 않음)
+process.env.SHOPIFY_SHOP_DOMAIN = process.env.SHOPIFY_SHOP_DOMAIN || 'test-shop.myshopify.com';
+process.env.SHOPIFY_API_KEY = process.env.SHOPIFY_API_KEY || 'test-key';
+process.env.SHOPIFY_API_SECRET = process.env.SHOPIFY_API_SECRET || 'test-secret';
+process.env.SHOPIFY_ADMIN_ACCESS_TOKEN = process.env.SHOPIFY_ADMIN_ACCESS_TOKEN || 'test-token';
+
+const { test, afterEach } = require('node:test');
+const assert = require('node:assert/strict');
+const axios = require('axios');
+const { validateProductImages } = require('../../src/services/imageIngestionService');
+
+const originalGet = axios.get;
+afterEach(() => { axios.get = originalGet; });
+
+/** URL별 응답 오류를 흉내 냅니다. (status가 없으면 응답 없는 네트워크 오류) */
+function failRequests(statusByUrl) {
+  axios.get = async url => {
+    const status = statusByUrl[url];
+    const error = new Error(status ? `Request failed with status code ${status}` : 'timeout of 10000ms exceeded');
+    if (status) error.response = { status };
+    else error.code = 'ECONNABORTED';
+    throw error;
+  };
+}
+
+test('missing images count as unusable', async () => {
+  failRequests({ 'https://img/1.jpg': 404, 'https://img/2.jpg': 403 });
+
+  const ingestion = await validateProductImages({ pid: '1', images: 'https://img/1.jpg,https://img/2.jpg' });
+  assert.equal(ingestion.validImageCount, 0);
+  assert.deepEqual(ingestion.images.map(image => image.status), ['UNREACHABLE', 'UNREACHABLE']);
+});
+
+test('timeouts and 5xx responses fail the sync instead of reporting zero usable images', async () => {
+  failRequests({ 'https://img/1.jpg': 503, 'https://img/2.jpg': 404 });
+
+  await assert.rejects(
+    validateProductImages({ pid: '2', images: 'https://img/1.jpg,https://img/2.jpg,https://img/3.jpg' }),
+    { errorCode: 'IMAGE_SOURCE_UNAVAILABLE' }
+  );
+});
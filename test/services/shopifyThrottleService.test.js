@@ -0,0 +1,103 @@
+// test/services/shopifyThrottleService.test.js
+// shopifyThrottleService의 Redis 버킷(Lua 스크립트)을 ioredis-mock으로, 회복 대기는 프로세스 메모리 버킷으로 확인합니다.
+// (ioredis-mock의 TIME은 초를 반올림하고 마이크로초가 실제 시간과 맞지 않아, Redis 버킷에서는 회복 시간을 재지 않음)
+
+process.env.LOG_DIR = require('os').tmpdir();
+process.env.LOG_LEVEL = 'error';
+
+const { test, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+const RedisMock = require('ioredis-mock');
+const config = require('../../src/config');
+const redisClientModule = require('../../src/config/redisClient');
+
+const redis = new RedisMock();
+redis.status = 'ready';
+redisClientModule.getRedisClient = () => redis;
+
+const shopifyThrottleService = require('../../src/services/shopifyThrottleService');
+
+const throttleConfig = config.shopify.graphqlThrottle;
+
+/** Shopify 응답의 extensions.cost 형식으로 버킷 상태를 만듭니다. */
+function costExtension(requestedQueryCost, currentlyAvailable, restoreRate = 1) {
+  return { requestedQueryCost, throttleStatus: { currentlyAvailable, maximumAvailable: 1000, restoreRate } };
+}
+
+async function readAvailable() {
+  return Number(await redis.hget(throttleConfig.redisKey, 'available'));
+}
+
+beforeEach(async () => {
+  config.redis.enabled = true;
+  Object.assign(throttleConfig, { enabled: true, reservePoints: 50, maxWaitMs: 5000 });
+  await redis.flushall();
+});
+
+test('acquire deducts the estimated cost from the shared bucket', async () => {
+  await shopifyThrottleService.recordCost('productSet', costExtension(100, 600));
+
+  await shopifyThrottleService.acquire('productSet');
+
+  const available = await readAvailable();
+  assert.ok(available >= 500 && available < 505, `available ${available}`);
+});
+
+test('concurrent acquires never deduct more than the bucket holds above the reserve', async () => {
+  // 잔량 350, 비용 100, 예비 50: 바로 보낼 수 있는 요청은 셋뿐이고 나머지는 기다려야 함 (maxWaitMs 0이면 기다리지 않고 포기)
+  throttleConfig.maxWaitMs = 0;
+  await shopifyThrottleService.recordCost('productSet', costExtension(100, 350));
+
+  const evalResults = [];
+  const originalEval = redis.eval.bind(redis);
+  redis.eval = async (...args) => {
+    const result = await originalEval(...args);
+    evalResults.push(Number(result));
+    return result;
+  };
+  try {
+    await Promise.all([1, 2, 3, 4, 5].map(() => shopifyThrottleService.acquire('productSet')));
+  } finally {
+    redis.eval = originalEval;
+  }
+
+  assert.equal(evalResults.filter(waitMs => waitMs === 0).length, 3);
+  assert.ok(evalResults.filter(waitMs => waitMs > 0).every(waitMs => waitMs >= 90 * 1000), 'rejected acquires wait for ~100 points at 1 point/s');
+  const available = await readAvailable();
+  assert.ok(available >= 50 && available < 55, `available ${available}`);
+});
+
+test('recordCost refunds an overestimated cost with the status Shopify reports', async () => {
+  await shopifyThrottleService.recordCost('productSet', costExtension(100, 150));
+  await shopifyThrottleService.acquire('productSet');
+  assert.ok(await readAvailable() < 55);
+
+  // 실제 비용은 10이었으므로 Shopify가 알려준 잔량으로 덮어씀
+  await shopifyThrottleService.recordCost('productSet', costExtension(100, 240));
+  assert.equal(await readAvailable(), 240);
+
+  throttleConfig.maxWaitMs = 0;
+  await shopifyThrottleService.acquire('productSet');
+  const available = await readAvailable();
+  assert.ok(available >= 140 && available < 145, `refunded budget is deducted without waiting (available ${available})`);
+});
+
+test('acquire waits for the bucket to refill before sending', async () => {
+  config.redis.enabled = false;
+  await shopifyThrottleService.recordCost('productSet', costExtension(100, 100, 500));
+
+  // 예비 포함 150이 필요하고 초당 500씩 회복되므로 약 100ms 대기
+  const startedAt = Date.now();
+  await shopifyThrottleService.acquire('productSet');
+  const waitedMs = Date.now() - startedAt;
+  assert.ok(waitedMs >= 95 && waitedMs < 1000, `waited ${waitedMs}ms`);
+});
+
+test('acquire sends without waiting when the wait would exceed maxWaitMs', async () => {
+  throttleConfig.maxWaitMs = 1000;
+  await shopifyThrottleService.recordCost('productSet', costExtension(500, 0));
+
+  const startedAt = Date.now();
+  await shopifyThrottleService.acquire('productSet');
+  assert.ok(Date.now() - startedAt < 500);
+});
@@ -0,0 +1,43 @@
+// test/utils/perceptualHash.test.js
+// computePerceptualHash가 DC 계수를 비트로 쓰지 않고, 리사이즈한 같은 사진은 가깝게/다른 사진은 멀게 계산하는지 확인합니다.
+
+process.env.LOG_DIR = require('os').tmpdir();
+process.env.LOG_LEVEL = 'error';
+
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const sharp = require('sharp');
+const { computePerceptualHash, hammingDistance } = require('../../src/utils/perceptualHash');
+
+/** (x, y) -> 밝기(0~255) 함수로 흑백 PNG를 만듭니다. */
+function renderImage(size, brightnessAt) {
+  const pixels = Buffer.alloc(size * size);
+  for (let y = 0; y < size; y++) {
+    for (let x = 0; x < size; x++) {
+      pixels[y * size + x] = Math.max(0, Math.min(255, Math.round(brightnessAt(x / size, y / size))));
+    }
+  }
+  return sharp(pixels, { raw: { width: size, height: size, channels: 1 } }).png().toBuffer();
+}
+
+const diagonalWaves = (x, y) => 128 + 60 * Math.sin(6 * x + 3 * y) + 50 * Math.cos(9 * y - 2 * x);
+const circles = (x, y) => 128 + 100 * Math.cos(14 * Math.hypot(x - 0.3, y - 0.6));
+
+test('the DC coefficient does not contribute a bit', async () => {
+  // 대비를 낮춰 밝기를 옮겨도 0/255에서 잘리지 않게 함
+  const softWaves = (x, y) => 128 + (diagonalWaves(x, y) - 128) / 3;
+  const bright = await computePerceptualHash(await renderImage(64, (x, y) => softWaves(x, y) + 60));
+  const dark = await computePerceptualHash(await renderImage(64, (x, y) => softWaves(x, y) - 60));
+
+  assert.equal(BigInt(`0x${bright}`) >> 63n, 0n);
+  assert.ok(hammingDistance(bright, dark) <= 4, `brightness shift changed ${hammingDistance(bright, dark)} bits`);
+});
+
+test('resized copies match and different pictures do not', async () => {
+  const original = await computePerceptualHash(await renderImage(256, diagonalWaves));
+  const resized = await computePerceptualHash(await renderImage(97, diagonalWaves));
+  const other = await computePerceptualHash(await renderImage(256, circles));
+
+  assert.ok(hammingDistance(original, resized) <= 4, `resized distance ${hammingDistance(original, resized)}`);
+  assert.ok(hammingDistance(original, other) > 16, `different picture distance ${hammingDistance(original, other)}`);
+});